@@ -3,6 +3,8 @@
  * Calculates and updates player ratings
  */
 
+import { handicapRatingBonus } from 'dots-js-shared';
+
 export class EloService {
   constructor() {
     this.ratings = new Map(); // userId -> { rating, gamesPlayed, wins, losses, draws }
@@ -55,13 +57,18 @@ export class EloService {
   /**
    * Update ratings after a match
    * result: 1 = player1 wins, 0 = player2 wins, 0.5 = draw
+   * handicap: the game's handicap, if any. The weaker player is expected to do
+   * as well as a player rated higher by what the handicap is worth.
    */
-  async updateRatings(player1Id, player2Id, result) {
+  async updateRatings(player1Id, player2Id, result, handicap = null) {
     const player1 = this.getRating(player1Id);
     const player2 = this.getRating(player2Id);
 
-    const expected1 = this.expectedScore(player1.rating, player2.rating);
-    const expected2 = this.expectedScore(player2.rating, player1.rating);
+    const bonus = handicapRatingBonus(handicap);
+    const effective1 = player1.rating + (handicap?.player === 1 ? bonus : 0);
+    const effective2 = player2.rating + (handicap?.player === 2 ? bonus : 0);
+    const expected1 = this.expectedScore(effective1, effective2);
+    const expected2 = this.expectedScore(effective2, effective1);
 
     const k1 = this.getKFactor(player1);
     const k2 = this.getKFactor(player2);
@@ -101,8 +108,96 @@ export class EloService {
     };
   }
 
+  /**
+   * Update ratings after a free-for-all game
+   * standings: [{ userId, place }], place 1 for the winner; tied players share
+   * a place. Every pair of players counts as a game won by the better placed
+   * one, with the K-factor shared out over the opponents, so one game moves a
+   * rating about as far as a two-player game would.
+   */
+  async updateFreeForAllRatings(standings) {
+    const players = standings.map(({ userId, place }) => {
+      const data = this.getRating(userId);
+      return { userId, place, data, oldRating: data.rating };
+    });
+    const opponents = players.length - 1;
+
+    for (const player of players) {
+      let expected = 0;
+      let actual = 0;
+      for (const other of players) {
+        if (other === player) continue;
+        expected += this.expectedScore(player.oldRating, other.oldRating);
+        actual += player.place < other.place ? 1 : player.place === other.place ? 0.5 : 0;
+      }
+      const k = this.getKFactor(player.data) / opponents;
+      player.newRating = this.calculateNewRating(player.oldRating, expected, actual, k);
+    }
+
+    const results = {};
+    const winners = players.filter(p => p.place === 1).length;
+    for (const player of players) {
+      player.data.rating = player.newRating;
+      player.data.gamesPlayed++;
+      if (player.place !== 1) {
+        player.data.losses++;
+      } else if (winners === 1) {
+        player.data.wins++;
+      } else {
+        player.data.draws++;
+      }
+      results[player.userId] = {
+        oldRating: player.oldRating,
+        newRating: player.newRating,
+        change: player.newRating - player.oldRating
+      };
+    }
+    return results;
+  }
+
+  /**
+   * Update ratings after a team game
+   * team1Ids, team2Ids: user ids of each team. result: 1 = team 1 wins,
+   * 0 = team 2 wins, 0.5 = draw. A team plays at the average rating of its
+   * players, and every player's rating moves by their own K-factor.
+   */
+  async updateTeamRatings(team1Ids, team2Ids, result) {
+    const teams = [team1Ids, team2Ids].map(ids => ids.map(userId => {
+      const data = this.getRating(userId);
+      return { userId, data, oldRating: data.rating };
+    }));
+    const average = team => team.reduce((sum, p) => sum + p.oldRating, 0) / team.length;
+    const [average1, average2] = teams.map(average);
+
+    const results = {};
+    teams.forEach((team, i) => {
+      const expected = i === 0 ? this.expectedScore(average1, average2) : this.expectedScore(average2, average1);
+      const actual = i === 0 ? result : 1 - result;
+      for (const player of team) {
+        player.data.rating = this.calculateNewRating(player.oldRating, expected, actual, this.getKFactor(player.data));
+        player.data.gamesPlayed++;
+        if (actual === 1) {
+          player.data.wins++;
+        } else if (actual === 0) {
+          player.data.losses++;
+        } else {
+          player.data.draws++;
+        }
+        results[player.userId] = {
+          oldRating: player.oldRating,
+          newRating: player.data.rating,
+          change: player.data.rating - player.oldRating
+        };
+      }
+    });
+    return results;
+  }
+
   /**
    * Record match in history
+   * Free-for-all matches carry players: [{ id, name, score, place }]
+   * instead of the player1/player2 fields. Team matches carry teams: true,
+   * players: [{ id, name, score, team }], teamScores and winningTeam.
    */
   async recordMatch(matchData) {
     const match = {
@@ -157,10 +252,17 @@ export class EloService {
    */
   getMatchHistory(userId, limit = 20) {
     return this.matches
-      .filter(m => m.player1Id === userId || m.player2Id === userId)
+      .filter(m => m.player1Id === userId || m.player2Id === userId || m.players?.some(p => p.id === userId))
       .slice(-limit)
       .reverse()
       .map(match => {
+        if (match.teams) {
+          return this.teamMatchSummary(match, userId);
+        }
+        if (match.players) {
+          return this.freeForAllMatchSummary(match, userId);
+        }
+
         const isPlayer1 = match.player1Id === userId;
         const won = match.winnerId === userId;
         const draw = match.winnerId === null;
@@ -178,4 +280,53 @@ export class EloService {
         };
       });
   }
+
+  /**
+   * A free-for-all match from one player's side: the other players are
+   * listed as the opponent, with the best of their scores
+   */
+  freeForAllMatchSummary(match, userId) {
+    const me = match.players.find(p => p.id === userId);
+    const opponents = match.players.filter(p => p !== me);
+    const shared = match.players.filter(p => p.place === 1).length > 1;
+
+    return {
+      id: match.id,
+      gameId: match.gameId,
+      opponentId: null,
+      opponentName: opponents.map(p => p.name).join(', '),
+      myScore: me.score,
+      opponentScore: Math.max(...opponents.map(p => p.score)),
+      result: me.place !== 1 ? 'loss' : (shared ? 'draw' : 'win'),
+      place: me.place,
+      playerCount: match.players.length,
+      isRanked: match.isRanked,
+      completedAt: match.completedAt
+    };
+  }
+
+  /**
+   * A team match from one player's side: scores are the pooled team scores
+   * and the other team is listed as the opponent
+   */
+  teamMatchSummary(match, userId) {
+    const me = match.players.find(p => p.id === userId);
+    const otherTeam = me.team === 1 ? 2 : 1;
+    const names = team => match.players.filter(p => p.team === team && p !== me).map(p => p.name);
+
+    return {
+      id: match.id,
+      gameId: match.gameId,
+      opponentId: null,
+      opponentName: names(otherTeam).join(' & '),
+      partnerName: names(me.team).join(', '),
+      myScore: match.teamScores[me.team],
+      opponentScore: match.teamScores[otherTeam],
+      result: match.winningTeam === null ? 'draw' : (match.winningTeam === me.team ? 'win' : 'loss'),
+      team: me.team,
+      teams: true,
+      isRanked: match.isRanked,
+      completedAt: match.completedAt
+    };
+  }
 }
@@ -0,0 +1,47 @@
+/**
+ * Analysis Service
+ * Reviews finished games move by move on demand (see analysis.js in
+ * dots-js-shared). Each analysis runs in a worker thread (see search.js)
+ * so the server keeps answering while the search works through the moves.
+ * Reports are cached per game; as only finished games are analysed, a
+ * cached report never goes out of date.
+ */
+
+import { parseGameRecord } from 'dots-js-shared';
+import { runSearch } from './search.js';
+
+// Reports kept before the oldest is dropped
+const MAX_CACHED_REPORTS = 200;
+
+export class AnalysisService {
+  constructor() {
+    this.reports = new Map(); // gameId -> Promise of the report
+  }
+
+  /**
+   * Analyse a finished game from its record text. Resolves with the report,
+   * or rejects when the game is not finished or its moves do not replay.
+   * With a gameId the report is cached, and asking again while the game is
+   * being analysed waits for the same run.
+   */
+  async analyze(record, gameId = null) {
+    if (gameId && this.reports.has(gameId)) {
+      return this.reports.get(gameId);
+    }
+
+    if (parseGameRecord(record).result === '*') {
+      throw new Error('Game is still in progress');
+    }
+
+    const report = runSearch('analyze', { record });
+    if (gameId) {
+      this.reports.set(gameId, report);
+      // A failed run is not cached, the next request tries again
+      report.catch(() => this.reports.delete(gameId));
+      if (this.reports.size > MAX_CACHED_REPORTS) {
+        this.reports.delete(this.reports.keys().next().value);
+      }
+    }
+    return report;
+  }
+}
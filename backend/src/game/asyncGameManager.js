@@ -1,19 +1,34 @@
 /**
  * Async/Turn-based Game Manager
- * Handles persistent turn-based games with time limits
+ * Handles persistent turn-based games with time limits. Each game has a time
+ * control of time per move plus an optional reserve (see timeControl.js in
+ * dots-js-shared). Players get a yearly allowance of vacation days; while a
+ * player is on vacation every one of their games is paused, and its turn
+ * deadline moves on by the time it was paused.
  */
 
+import { BoardLogic, normalizeBoardShape, normalizeRuleSet, resolveRuleOptions, normalizeHandicap, normalizeAsyncTimeControl, playerForMove, checkSwap, formatGameRecord, resultFromWinner, DEFAULT_RULE_SET } from 'dots-js-shared';
+import { runSearch } from './search.js';
+
+const HOUR = 60 * 60 * 1000; // ms
+const DAY = 24 * HOUR;
+// Vacation days each player may take per calendar year (UTC)
+export const VACATION_DAYS_PER_YEAR = 14;
+
 export class AsyncGameManager {
   constructor(eloService) {
     this.eloService = eloService;
     this.games = new Map(); // gameId -> game state
+    this.boards = new Map(); // gameId -> BoardLogic (rebuilt from moves when missing)
     this.playerGames = new Map(); // userId -> Set of gameIds
+    this.vacations = new Map(); // userId -> { year, used, until } with used in days
+    this.pendingHints = new Set(); // "gameId:playerNum" of hints being worked out
     this.maxGamesPerPlayer = 5;
     
-    // Time limits in milliseconds
-    this.timeLimits = {
-      ranked: 24 * 60 * 60 * 1000, // 1 day for ranked
-      unranked: 7 * 24 * 60 * 60 * 1000 // 7 days for unranked
+    // Time controls of games created without one, in hours
+    this.defaultTimeControls = {
+      ranked: { perMove: 24, reserve: 0 }, // 1 day per move for ranked
+      unranked: { perMove: 7 * 24, reserve: 0 } // 7 days per move for unranked
     };
     
     // Start timeout checker
@@ -22,8 +37,14 @@ export class AsyncGameManager {
 
   /**
    * Create a new async game
+   * boardShape is a grid size or { width, height, mask }, ruleSet a rule set
+   * name and ruleOptions overrides for its options; throws if any is invalid.
+   * A handicap game's handicap dots must already be in boardShape (see
+   * applyHandicap); handicap itself sets the turn order and rating update.
+   * timeControl is { perMove, reserve } in hours, by default one day per move
+   * for ranked and seven for unranked games.
    */
-  createGame(player1Id, player2Id, gridSize = 10, isRanked = false, player1Name = 'Player 1', player2Name = 'Player 2', player1Nickname = null, player2Nickname = null) {
+  createGame(player1Id, player2Id, boardShape = 10, isRanked = false, player1Name = 'Player 1', player2Name = 'Player 2', player1Nickname = null, player2Nickname = null, ruleSet = DEFAULT_RULE_SET, ruleOptions = {}, handicap = null, timeControl = null) {
     // Check player game limits
     if (this.getPlayerActiveGameCount(player1Id) >= this.maxGamesPerPlayer) {
       throw new Error('Player 1 has reached maximum active games');
@@ -32,8 +53,14 @@ export class AsyncGameManager {
       throw new Error('Player 2 has reached maximum active games');
     }
 
+    const shape = normalizeBoardShape(boardShape);
+    const rules = normalizeRuleSet(ruleSet);
+    const options = resolveRuleOptions(rules, ruleOptions);
+    const gameHandicap = normalizeHandicap(handicap);
+    const clock = normalizeAsyncTimeControl(timeControl) ?? this.defaultTimeControls[isRanked ? 'ranked' : 'unranked'];
     const gameId = this.generateGameId();
-    const timeLimit = isRanked ? this.timeLimits.ranked : this.timeLimits.unranked;
+    const now = Date.now();
+    const boardLogic = new BoardLogic(shape, rules, options);
     
     const game = {
       id: gameId,
@@ -43,20 +70,37 @@ export class AsyncGameManager {
       player2Name,
       player1Nickname,
       player2Nickname,
-      gridSize,
+      boardShape: shape,
+      ruleSet: rules,
+      ruleOptions: options,
+      handicap: gameHandicap,
       isRanked,
-      currentPlayer: 1,
-      board: this.createEmptyBoard(gridSize),
+      currentPlayer: playerForMove(0, gameHandicap),
+      board: boardLogic.serialize(),
       scores: { 1: 0, 2: 0 },
+      // Ratings when the game started, for the game record
+      ratings: {
+        1: this.eloService.getRating(player1Id).rating,
+        2: this.eloService.getRating(player2Id).rating
+      },
+      hints: { 1: 0, 2: 0 }, // hints each player asked for, for the game record
       moves: [],
-      turnDeadline: Date.now() + timeLimit,
-      timeLimit,
+      timeControl: clock,
+      reserve: { 1: clock.reserve * HOUR, 2: clock.reserve * HOUR }, // ms of reserve left
+      turnStartedAt: now,
+      turnDeadline: now,
+      pausedAt: null, // while a player is on vacation
       status: 'active', // active, completed, timeout
-      createdAt: Date.now(),
-      lastMoveAt: Date.now()
+      createdAt: now,
+      lastMoveAt: now
     };
+    if (this.isOnVacation(player1Id, now) || this.isOnVacation(player2Id, now)) {
+      game.pausedAt = now;
+    }
+    this.startTurn(game, now);
 
     this.games.set(gameId, game);
+    this.boards.set(gameId, boardLogic);
     this.addGameToPlayer(player1Id, gameId);
     this.addGameToPlayer(player2Id, gameId);
 
@@ -83,6 +127,7 @@ export class AsyncGameManager {
     if (game.status !== 'active') {
       throw new Error('Game is not active');
     }
+    this.checkNotPaused(game);
 
     // Verify it's the player's turn
     const playerNum = game.player1Id === userId ? 1 : 2;
@@ -91,33 +136,36 @@ export class AsyncGameManager {
       throw new Error('Not your turn');
     }
 
-    // Check if move is valid
-    if (game.board[y][x] !== 0) {
+    // Apply move through the shared rules engine (same capture rules as realtime games)
+    if (!Number.isInteger(x) || !Number.isInteger(y)) {
+      throw new Error('Position must be whole numbers');
+    }
+    const boardLogic = this.getBoardLogic(game);
+    if (!boardLogic.isWithinBounds(x, y)) {
+      throw new Error('Position out of bounds');
+    }
+    if (boardLogic.getDot(x, y).blocked) {
+      throw new Error('Position is blocked');
+    }
+    if (!boardLogic.isDotClickable(x, y)) {
       throw new Error('Position already occupied');
     }
 
-    // Apply move
-    game.board[y][x] = playerNum;
-    const moveData = { x, y, player: playerNum, timestamp: Date.now() };
+    const result = boardLogic.occupyDot(x, y, playerNum);
+    const capturedDots = result.capturedDots;
+    const moveData = { x, y, player: playerNum, captures: capturedDots, timestamp: Date.now() };
     game.moves.push(moveData);
-    console.log('Move added to game.moves array:', moveData);
-    console.log('Total moves now:', game.moves.length);
-
-    // Calculate captured dots (simplified - you'll need to integrate with boardLogic)
-    const capturedDots = this.calculateCapture(game, x, y, playerNum);
-    const points = 1 + capturedDots.length;
-    game.scores[playerNum] += points;
 
-    // Mark captured dots
-    for (const dot of capturedDots) {
-      game.board[dot.y][dot.x] = -playerNum; // Negative indicates captured
-    }
+    // Score from the board, as the game's rule set counts it
+    game.scores[1] = boardLogic.calculateScore(1);
+    game.scores[2] = boardLogic.calculateScore(2);
+    game.board = boardLogic.serialize();
 
-    // Switch turn
-    game.currentPlayer = game.currentPlayer === 1 ? 2 : 1;
+    // Switch turn, unless a handicap gives the player extra moves
+    this.chargeTurn(game);
+    game.currentPlayer = playerForMove(this.turnCount(game), game.handicap);
     game.lastMoveAt = Date.now();
-    game.turnDeadline = Date.now() + game.timeLimit;
-    console.log('Turn switched to player', game.currentPlayer);
+    this.startTurn(game);
 
     // Check if game is over
     if (this.isGameComplete(game)) {
@@ -127,18 +175,228 @@ export class AsyncGameManager {
     return {
       success: true,
       game: this.getGameInfo(gameId, userId),
-      capturedDots
+      capturedDots,
+      // Decided but not over: the players may pass to finish
+      settled: game.status === 'active' && boardLogic.isOutcomeSettled([1, 2])
     };
   }
 
   /**
-   * Calculate captured territory (simplified version)
-   * TODO: Integrate with actual BoardLogic for accurate capture detection
+   * Pass the turn without placing a dot. The game ends when both players
+   * passed in a row. Throws when it is not the player's turn.
+   */
+  passTurn(gameId, userId) {
+    const game = this.games.get(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+    if (game.status !== 'active') {
+      throw new Error('Game is not active');
+    }
+    this.checkNotPaused(game);
+    const playerNum = game.player1Id === userId ? 1 : 2;
+    if (game.currentPlayer !== playerNum) {
+      throw new Error('Not your turn');
+    }
+
+    game.moves.push({ player: playerNum, pass: true, timestamp: Date.now() });
+    this.chargeTurn(game);
+    game.currentPlayer = playerForMove(this.turnCount(game), game.handicap);
+    game.lastMoveAt = Date.now();
+    this.startTurn(game);
+
+    const lastTwo = game.moves.slice(-2);
+    if (lastTwo.length === 2 && lastTwo.every(move => move.pass)) {
+      this.endGame(gameId);
+    }
+    return game;
+  }
+
+  /**
+   * Suggest moves to the player to move (see suggestMoves in dots-js-shared)
+   * and count the hint for the game record. Throws in ranked games, when it
+   * is not the player's turn and while the player's last hint is still being
+   * worked out.
+   */
+  async requestHint(gameId, userId) {
+    const game = this.games.get(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+    if (game.isRanked) {
+      throw new Error('Hints are not allowed in ranked games');
+    }
+    if (game.status !== 'active') {
+      throw new Error('Game is not active');
+    }
+    if (game.player1Id !== userId && game.player2Id !== userId) {
+      throw new Error('Not a player in this game');
+    }
+    const playerNum = game.player1Id === userId ? 1 : 2;
+    if (game.currentPlayer !== playerNum) {
+      throw new Error('Not your turn');
+    }
+
+    const hintKey = `${gameId}:${playerNum}`;
+    if (this.pendingHints.has(hintKey)) {
+      throw new Error('A hint is already being worked out');
+    }
+
+    // The search runs in a worker on the stored board, not the loaded one
+    const moveCount = game.moves.length;
+    this.pendingHints.add(hintKey);
+    let hints;
+    try {
+      hints = await runSearch('hints', { board: game.board, playerNum });
+    } finally {
+      this.pendingHints.delete(hintKey);
+    }
+    if (game.moves.length !== moveCount || game.status !== 'active') {
+      throw new Error('The game moved on before the hint was ready');
+    }
+
+    game.hints ??= { 1: 0, 2: 0 };
+    game.hints[playerNum]++;
+    return hints;
+  }
+
+  /**
+   * Turns taken in a game: moves and passes, not swaps
+   */
+  turnCount(game) {
+    return game.moves.filter(move => !move.swap).length;
+  }
+
+  /**
+   * Swap sides under the swap rule: the players trade seats after the first
+   * move, and the player who made it, now player 2, moves next. Throws when
+   * the swap is not allowed.
+   */
+  swapSides(gameId, userId) {
+    const game = this.games.get(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+    if (game.status !== 'active') {
+      throw new Error('Game is not active');
+    }
+    if (game.player1Id !== userId && game.player2Id !== userId) {
+      throw new Error('Not a player in this game');
+    }
+    this.checkNotPaused(game);
+
+    const playerNum = game.player1Id === userId ? 1 : 2;
+    const error = checkSwap({
+      ruleOptions: game.ruleOptions,
+      handicap: game.handicap,
+      moveCount: this.getBoardLogic(game).getMoveHistory().length,
+      swapped: game.moves.some(move => move.swap)
+    }, playerNum);
+    if (error) {
+      throw new Error(error);
+    }
+
+    // The reserves change seats with the players
+    this.chargeTurn(game);
+    [game.player1Id, game.player2Id] = [game.player2Id, game.player1Id];
+    [game.player1Name, game.player2Name] = [game.player2Name, game.player1Name];
+    [game.player1Nickname, game.player2Nickname] = [game.player2Nickname, game.player1Nickname];
+    game.ratings = { 1: game.ratings?.[2], 2: game.ratings?.[1] };
+    game.hints = { 1: game.hints?.[2] ?? 0, 2: game.hints?.[1] ?? 0 };
+    game.reserve = { 1: game.reserve[2], 2: game.reserve[1] };
+    game.moves.push({ player: playerNum, swap: true, timestamp: Date.now() });
+    game.lastMoveAt = Date.now();
+    this.startTurn(game);
+
+    return game;
+  }
+
+  /**
+   * Take back the last move of an active game, restoring the board and
+   * scores from before it and giving the turn back to its player
+   */
+  undoLastMove(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+    if (game.status !== 'active') {
+      throw new Error('Game is not active');
+    }
+    if (game.moves.length === 0) {
+      throw new Error('No moves to undo');
+    }
+    if (game.moves.at(-1).swap) {
+      throw new Error('A swap cannot be taken back');
+    }
+    if (game.moves.at(-1).pass) {
+      throw new Error('A pass cannot be taken back');
+    }
+
+    const boardLogic = this.getBoardLogic(game);
+    const lastMove = game.moves.pop();
+    boardLogic.undo();
+
+    game.scores[1] = boardLogic.calculateScore(1);
+    game.scores[2] = boardLogic.calculateScore(2);
+    game.board = boardLogic.serialize();
+    this.chargeTurn(game);
+    game.currentPlayer = lastMove.player;
+    game.lastMoveAt = Date.now();
+    this.startTurn(game);
+
+    return { x: lastMove.x, y: lastMove.y, player: lastMove.player };
+  }
+
+  /**
+   * Start the turn of the player to move: it is due after the time per move
+   * plus what is left of their reserve. A paused game's turn starts paused.
    */
-  calculateCapture(_game, _x, _y, _playerNum) {
-    // This is a placeholder - you should integrate with your actual BoardLogic
-    // For now, return empty array
-    return [];
+  startTurn(game, now = Date.now()) {
+    game.turnStartedAt = now;
+    game.turnDeadline = now + game.timeControl.perMove * HOUR + game.reserve[game.currentPlayer];
+    if (game.pausedAt) {
+      game.pausedAt = now;
+    }
+  }
+
+  /**
+   * Charge the time the player to move took beyond the time per move to
+   * their reserve; time while the game was paused is free
+   */
+  chargeTurn(game, now = Date.now()) {
+    const taken = (game.pausedAt || now) - game.turnStartedAt;
+    const overrun = taken - game.timeControl.perMove * HOUR;
+    if (overrun > 0) {
+      game.reserve[game.currentPlayer] = Math.max(0, game.reserve[game.currentPlayer] - overrun);
+    }
+  }
+
+  /**
+   * Get the board for a game, replaying its moves if it is not loaded
+   */
+  getBoardLogic(game) {
+    let boardLogic = this.boards.get(game.id);
+    if (!boardLogic) {
+      boardLogic = this.replayMoves(game.boardShape, game.moves, game.ruleSet, game.ruleOptions);
+      this.boards.set(game.id, boardLogic);
+    }
+    return boardLogic;
+  }
+
+  /**
+   * Rebuild a board by replaying a move list from an empty grid
+   */
+  replayMoves(boardShape, moves, ruleSet = DEFAULT_RULE_SET, ruleOptions = {}) {
+    const boardLogic = new BoardLogic(boardShape, ruleSet, ruleOptions);
+    for (const move of moves) {
+      if (move.swap || move.pass) continue; // Seats changed or a turn passed, the board did not
+      const result = boardLogic.occupyDot(move.x, move.y, move.player);
+      if (!result.success) {
+        throw new Error(`Invalid move in history at (${move.x},${move.y})`);
+      }
+    }
+    return boardLogic;
   }
 
   /**
@@ -146,14 +404,7 @@ export class AsyncGameManager {
    */
   isGameComplete(game) {
     // Game is complete if all dots are occupied or captured
-    for (let y = 0; y < game.gridSize; y++) {
-      for (let x = 0; x < game.gridSize; x++) {
-        if (game.board[y][x] === 0) {
-          return false;
-        }
-      }
-    }
-    return true;
+    return this.getBoardLogic(game).isGameOver();
   }
 
   /**
@@ -185,7 +436,7 @@ export class AsyncGameManager {
     if (game.isRanked && winnerId) {
       console.log(`Updating ELO for ranked async game: ${game.player1Name} vs ${game.player2Name}`);
       const result = winnerId === game.player1Id ? 1 : 0;
-      this.eloService.updateRatings(game.player1Id, game.player2Id, result);
+      this.eloService.updateRatings(game.player1Id, game.player2Id, result, game.handicap);
     } else {
       console.log(`Skipping ELO update for async game (isRanked: ${game.isRanked}, winnerId: ${winnerId})`);
     }
@@ -230,16 +481,59 @@ export class AsyncGameManager {
       opponentScore: game.scores[playerNum === 1 ? 2 : 1],
       isMyTurn: game.currentPlayer === playerNum,
       turnDeadline: game.turnDeadline,
-      timeRemaining: Math.max(0, game.turnDeadline - Date.now()),
+      timeRemaining: Math.max(0, game.turnDeadline - (game.pausedAt || Date.now())),
+      timeControl: game.timeControl,
+      myReserve: game.reserve[playerNum],
+      opponentReserve: game.reserve[playerNum === 1 ? 2 : 1],
+      paused: Boolean(game.pausedAt),
       isRanked: game.isRanked,
       status: game.status,
-      gridSize: game.gridSize,
+      boardShape: game.boardShape,
+      ruleSet: game.ruleSet,
+      ruleOptions: game.ruleOptions,
+      handicap: game.handicap,
       moveCount: game.moves.length,
       createdAt: game.createdAt,
       lastMoveAt: game.lastMoveAt
     };
   }
 
+  /**
+   * Get a game as portable record text, or null if it does not exist.
+   * The Score header is counted from the board; timeouts and forfeits show
+   * up in the Result and Termination headers instead.
+   */
+  getGameRecord(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) return null;
+
+    const boardLogic = this.getBoardLogic(game);
+    const scores = { 1: boardLogic.calculateScore(1), 2: boardLogic.calculateScore(2) };
+    const finished = game.status !== 'active';
+    let winner = game.winner ?? null;
+    if (finished && !winner) {
+      winner = game.scores[1] > game.scores[2] ? 1 : game.scores[2] > game.scores[1] ? 2 : null;
+    }
+
+    return formatGameRecord({
+      players: {
+        1: { name: game.player1Nickname || game.player1Name, rating: game.ratings?.[1] },
+        2: { name: game.player2Nickname || game.player2Name, rating: game.ratings?.[2] }
+      },
+      boardShape: game.boardShape,
+      ruleSet: game.ruleSet,
+      ruleOptions: game.ruleOptions,
+      handicap: game.handicap,
+      moves: game.moves.filter(move => !move.swap),
+      swapped: game.moves.some(move => move.swap),
+      result: resultFromWinner(winner, finished),
+      termination: finished && game.status !== 'completed' ? game.status : null,
+      scores,
+      hints: game.hints,
+      date: game.createdAt
+    });
+  }
+
   /**
    * Get all active games for a player
    */
@@ -291,13 +585,139 @@ export class AsyncGameManager {
   }
 
   /**
-   * Check for timed-out games
+   * Vacation of a player this year: { allowance, used, remaining } in days,
+   * and until when they are on vacation, or null
    */
-  checkTimeouts() {
-    const now = Date.now();
+  getVacation(userId, now = Date.now()) {
+    const vacation = this.vacationYear(userId, now);
+    return {
+      allowance: VACATION_DAYS_PER_YEAR,
+      used: vacation.used,
+      remaining: VACATION_DAYS_PER_YEAR - vacation.used,
+      until: this.isOnVacation(userId, now) ? vacation.until : null
+    };
+  }
+
+  /**
+   * A player's vacation record, with the days used counted from the start of
+   * the current year
+   */
+  vacationYear(userId, now) {
+    const year = new Date(now).getUTCFullYear();
+    let vacation = this.vacations.get(userId);
+    if (!vacation) {
+      vacation = { year, used: 0, until: null };
+      this.vacations.set(userId, vacation);
+    }
+    if (vacation.year !== year) {
+      vacation.year = year;
+      vacation.used = 0;
+    }
+    return vacation;
+  }
+
+  isOnVacation(userId, now = Date.now()) {
+    const until = this.vacations.get(userId)?.until;
+    return Boolean(until && until > now);
+  }
+
+  /**
+   * Go on vacation for a number of whole days from this year's allowance,
+   * pausing every one of the player's active games. Throws when the player
+   * is already on vacation or has not enough days left.
+   */
+  startVacation(userId, days, now = Date.now()) {
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error('Vacation must be a whole number of days');
+    }
+    if (this.isOnVacation(userId, now)) {
+      throw new Error('Already on vacation');
+    }
+    const vacation = this.vacationYear(userId, now);
+    const remaining = VACATION_DAYS_PER_YEAR - vacation.used;
+    if (days > remaining) {
+      throw new Error(`Only ${remaining} vacation days left this year`);
+    }
+
+    vacation.used += days;
+    vacation.until = now + days * DAY;
+    for (const game of this.activeGamesOf(userId)) {
+      game.pausedAt = game.pausedAt || now;
+    }
+    console.log(`Player ${userId} is on vacation for ${days} days`);
+    return this.getVacation(userId, now);
+  }
+
+  /**
+   * Come back from vacation early; the whole days left are given back.
+   * Games resume unless the opponent is on vacation too.
+   */
+  endVacation(userId, now = Date.now()) {
+    if (!this.isOnVacation(userId, now)) {
+      throw new Error('Not on vacation');
+    }
+    const vacation = this.vacations.get(userId);
+    vacation.used = Math.max(0, vacation.used - Math.floor((vacation.until - now) / DAY));
+    vacation.until = null;
+    this.resumeGames(userId, now);
+    return this.getVacation(userId, now);
+  }
+
+  /**
+   * Resume the paused games of a player back from vacation, moving their
+   * turn deadlines on by the time they were paused
+   */
+  resumeGames(userId, now) {
+    for (const game of this.activeGamesOf(userId)) {
+      if (!game.pausedAt || this.isOnVacation(game.player1Id, now) || this.isOnVacation(game.player2Id, now)) {
+        continue;
+      }
+      const pausedFor = now - game.pausedAt;
+      game.turnStartedAt += pausedFor;
+      game.turnDeadline += pausedFor;
+      game.pausedAt = null;
+    }
+  }
+
+  /**
+   * End the vacations that are over, resuming games from when they ended
+   */
+  endFinishedVacations(now) {
+    for (const [userId, vacation] of this.vacations) {
+      if (vacation.until && vacation.until <= now) {
+        const { until } = vacation;
+        vacation.until = null;
+        this.resumeGames(userId, until);
+      }
+    }
+  }
+
+  /**
+   * Throw when the game is paused for a vacation. Vacations that are over are
+   * ended first, so a game does not wait for the next timeout check.
+   */
+  checkNotPaused(game) {
+    if (!game.pausedAt) return;
+    this.endFinishedVacations(Date.now());
+    if (game.pausedAt) {
+      throw new Error('Game is paused while a player is on vacation');
+    }
+  }
+
+  activeGamesOf(userId) {
+    return Array.from(this.playerGames.get(userId) ?? [])
+      .map(gameId => this.games.get(gameId))
+      .filter(game => game && game.status === 'active');
+  }
+
+  /**
+   * Check for timed-out games; paused games cannot time out
+   */
+  checkTimeouts(now = Date.now()) {
+    this.endFinishedVacations(now);
     
     for (const [gameId, game] of this.games) {
-      if (game.status === 'active' && now > game.turnDeadline) {
+      if (game.status === 'active' && !game.pausedAt && now > game.turnDeadline) {
         console.log(`Game ${gameId} timed out`);
         
         // Player who's turn it is loses by timeout
@@ -317,16 +737,19 @@ export class AsyncGameManager {
    */
   startTimeoutChecker() {
     // Check every minute
-    setInterval(() => {
+    this.timeoutInterval = setInterval(() => {
       this.checkTimeouts();
     }, 60000);
   }
 
-  // Helper methods
-  createEmptyBoard(size) {
-    return Array(size).fill(null).map(() => Array(size).fill(0));
+  /**
+   * Stop background timeout checker
+   */
+  stopTimeoutChecker() {
+    clearInterval(this.timeoutInterval);
   }
 
+  // Helper methods
   generateGameId() {
     return `async_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
@@ -354,6 +777,7 @@ export class AsyncGameManager {
       this.removeGameFromPlayer(game.player1Id, gameId);
       this.removeGameFromPlayer(game.player2Id, gameId);
       this.games.delete(gameId);
+      this.boards.delete(gameId);
     }
   }
 
@@ -0,0 +1,137 @@
+/**
+ * Bot Manager
+ * Seats server bots with players who have waited too long for an unranked
+ * match, and plays their turns with the shared computer opponent (see
+ * ai.js in dots-js-shared), which thinks in a worker thread (see search.js).
+ * A bot is an ordinary player of the game with isBot set: its moves go
+ * through GameManager like anyone else's, and games with bots are never rated.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeAiLevel } from 'dots-js-shared';
+import { GameStatus } from './gameState.js';
+import { runSearch } from './search.js';
+
+export const DEFAULT_BOT_WAIT = 30000; // ms
+// How often the unranked queue is checked for players waiting too long
+const MATCH_CHECK_INTERVAL = 5000; // ms
+// Search budget of an expert bot, kept short so players do not wait long
+const BOT_TIME_LIMIT = 500; // ms
+
+export class BotManager {
+  /**
+   * @param {GameManager} gameManager
+   * @param {Object} options
+   * @param {number} options.wait - Milliseconds a player waits before a bot joins; 0 turns bots off
+   * @param {string} options.level - AI level of the bots (see AI_LEVELS)
+   * @param {Function} options.search - Runs the bots' searches (see runSearch)
+   */
+  constructor(gameManager, { wait = DEFAULT_BOT_WAIT, level, search = runSearch } = {}) {
+    this.gameManager = gameManager;
+    this.wait = wait;
+    this.level = normalizeAiLevel(level);
+    this.search = search;
+  }
+
+  /**
+   * A new bot as { id, data } for GameManager.matchWithBots
+   */
+  createBot() {
+    const label = this.level.charAt(0).toUpperCase() + this.level.slice(1);
+    return {
+      id: `bot-${uuidv4()}`,
+      data: { name: `Bot (${label})`, nickname: null, picture: null, isBot: true, level: this.level }
+    };
+  }
+
+  /**
+   * Seat bots with every unranked player who has waited longer than the wait.
+   * Returns the matches made, as GameManager.tryMatch returns them.
+   */
+  matchWaitingPlayers(now = Date.now()) {
+    if (this.wait <= 0) return [];
+
+    const matches = [];
+    const waiting = this.gameManager.unrankedQueue
+      .filter(entry => !entry.playerData?.isBot && now - entry.joinedAt >= this.wait);
+    for (const entry of waiting) {
+      // An earlier match may have seated this player already
+      if (!this.gameManager.unrankedQueue.includes(entry)) continue;
+      const result = this.gameManager.matchWithBots(entry.playerId, () => this.createBot());
+      if (result.success) {
+        console.log(`Bots joined game ${result.gameId} after ${entry.playerId} waited ${Math.round((now - entry.joinedAt) / 1000)}s`);
+        matches.push(result);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Whether it is a bot's turn in a game that is still going
+   */
+  isBotTurn(gameId) {
+    const game = this.gameManager.getGame(gameId);
+    return Boolean(game) && game.status === GameStatus.PLAYING && game.isBot(game.currentPlayer);
+  }
+
+  /**
+   * Play the turn of the bot to move, if any. The bot passes when it has no
+   * dot left to play, or to accept finishing a settled game after a pass. It
+   * also passes when its search fails or its move is refused, so the game
+   * never waits on it. Returns { botId, move, result } or { botId, passed: true, result } with
+   * GameManager's result, or null when it is not a bot's turn, also when
+   * the game moved on while the bot was thinking.
+   */
+  async playTurn(gameId) {
+    if (!this.isBotTurn(gameId)) return null;
+
+    const game = this.gameManager.getGame(gameId);
+    const botId = game.players[game.currentPlayer].id;
+    const moveCount = game.moves.length;
+    let move = null;
+    if (!(game.consecutivePasses() > 0 && game.isSettled())) {
+      try {
+        move = await this.search('move', {
+          board: game.boardLogic.serialize(),
+          playerNum: game.currentPlayer,
+          level: game.players[game.currentPlayer].level ?? this.level,
+          playerCount: game.playerCount,
+          timeLimit: BOT_TIME_LIMIT
+        });
+      } catch (error) {
+        console.error(`Bot ${botId} could not think in game ${gameId}, passing:`, error.message);
+      }
+    }
+
+    // A takeback, a flag or the game ending while the search ran
+    if (!this.isBotTurn(gameId) || game.moves.length !== moveCount || game.players[game.currentPlayer].id !== botId) {
+      return null;
+    }
+    if (move) {
+      const result = this.gameManager.makeMove(botId, move.x, move.y);
+      if (result.success) {
+        return { botId, move, result };
+      }
+      console.error(`Bot ${botId} move ${move.x},${move.y} was refused in game ${gameId}, passing:`, result.error);
+    }
+    return { botId, passed: true, result: this.gameManager.pass(botId) };
+  }
+
+  /**
+   * Check the queue in the background, handing each match to onMatch
+   */
+  startMatching(onMatch) {
+    this.matchInterval = setInterval(() => {
+      for (const match of this.matchWaitingPlayers()) {
+        onMatch(match);
+      }
+    }, MATCH_CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop checking the queue
+   */
+  stopMatching() {
+    clearInterval(this.matchInterval);
+  }
+}
@@ -4,11 +4,21 @@
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import { applyHandicap, boardShapeKey, checkPlayerCount, checkTeams, handicapFromRatings, normalizeBoardShape, normalizePlayerCount, normalizeRuleSet, rankPlayers, resolveRuleOptions, rulesKey, teamMembers, teamOf, teamScores, normalizeTimeControl, timeControlKey, normalizeAsyncTimeControl, asyncTimeControlKey, DEFAULT_RULE_SET } from 'dots-js-shared';
 import { GameState, GameStatus } from './gameState.js';
 
+// Bots have no rating; team balancing counts them as a new player
+const BOT_RATING = 1500;
+
 export class GameManager {
-  constructor(eloService) {
+  /**
+   * @param {EloService} eloService
+   * @param {Object} options
+   * @param {Function} options.now - Returns the current ms timestamp for the game clocks, like Date.now
+   */
+  constructor(eloService, { now = Date.now } = {}) {
     this.eloService = eloService;
+    this.now = now;
     this.games = new Map(); // gameId -> GameState
     this.playerGames = new Map(); // playerId -> gameId
     this.rankedQueue = []; // Players waiting for ranked match
@@ -17,10 +27,24 @@ export class GameManager {
 
   /**
    * Create a new game
+   * boardShape is a grid size or { width, height, mask }, ruleSet a rule set
+   * name and ruleOptions overrides for its options. handicap is set by hand
+   * for casual games: { player, count, type } (see handicap.js). A playerCount
+   * of 3 or 4 makes a free-for-all game that starts once every seat is taken;
+   * with teams, four players play two against two (see teams.js).
+   * timeControl puts the players on the clock (see timeControl.js), and
+   * asyncTimeControl is the { perMove, reserve } of the game once saved as a
+   * turn-based game.
    */
-  createGame(playerId, playerData) {
-    const gameId = uuidv4();
-    const game = new GameState(gameId);
+  createGame(playerId, playerData, boardShape = 10, ruleSet = DEFAULT_RULE_SET, ruleOptions = {}, handicap = null, playerCount = 2, teams = false, timeControl = null, asyncTimeControl = null) {
+    let game;
+    try {
+      const { boardShape: shape, handicap: handicapped } = applyHandicap(boardShape, handicap);
+      game = new GameState(uuidv4(), shape, ruleSet, ruleOptions, handicapped, playerCount, teams, timeControl, asyncTimeControl, this.now);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    const gameId = game.id;
     
     const result = game.addPlayer(playerId, playerData);
     if (!result.success) {
@@ -33,7 +57,15 @@ export class GameManager {
     return {
       success: true,
       gameId,
-      playerNumber: result.playerNumber
+      playerNumber: result.playerNumber,
+      boardShape: game.boardShape,
+      ruleSet: game.ruleSet,
+      ruleOptions: game.ruleOptions,
+      handicap: game.handicap,
+      playerCount: game.playerCount,
+      teams: game.teams,
+      timeControl: game.timeControl,
+      asyncTimeControl: game.asyncTimeControl
     };
   }
 
@@ -56,6 +88,9 @@ export class GameManager {
     }
 
     this.playerGames.set(playerId, gameId);
+    if (game.status === GameStatus.PLAYING) {
+      this.recordRatings(game);
+    }
 
     return {
       success: true,
@@ -67,8 +102,31 @@ export class GameManager {
 
   /**
    * Add player to matchmaking queue
+   * Players are only matched with others asking for the same board shape,
+   * rules, player count, team mode and time controls. When both players opt
+   * in with useHandicap, the weaker one gets a handicap worked out from their
+   * ratings; free-for-all and team games have no handicap.
    */
-  addToMatchmaking(playerId, playerData, isRanked = false) {
+  addToMatchmaking(playerId, playerData, isRanked = false, boardShape = 10, ruleSet = DEFAULT_RULE_SET, ruleOptions = {}, useHandicap = false, playerCount = 2, teams = false, timeControl = null, asyncTimeControl = null) {
+    let shape;
+    let rules;
+    let options;
+    let players;
+    let clock;
+    let asyncClock;
+    try {
+      shape = normalizeBoardShape(boardShape);
+      rules = normalizeRuleSet(ruleSet);
+      options = resolveRuleOptions(rules, ruleOptions);
+      players = normalizePlayerCount(playerCount);
+      checkPlayerCount(players, { ruleOptions: options });
+      checkTeams(teams, players);
+      clock = normalizeTimeControl(timeControl);
+      asyncClock = normalizeAsyncTimeControl(asyncTimeControl);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
     // Remove if already in queue
     this.removeFromMatchmaking(playerId);
     
@@ -76,7 +134,19 @@ export class GameManager {
       playerId,
       playerData,
       joinedAt: Date.now(),
-      isRanked
+      isRanked,
+      boardShape: shape,
+      boardKey: boardShapeKey(shape),
+      ruleSet: rules,
+      ruleOptions: options,
+      rulesKey: rulesKey(rules, options),
+      useHandicap: useHandicap && players === 2,
+      playerCount: players,
+      teams: teams === true,
+      timeControl: clock,
+      timeControlKey: timeControlKey(clock),
+      asyncTimeControl: asyncClock,
+      asyncTimeControlKey: asyncTimeControlKey(asyncClock)
     };
 
     const queue = isRanked ? this.rankedQueue : this.unrankedQueue;
@@ -95,41 +165,114 @@ export class GameManager {
   }
 
   /**
-   * Try to match waiting players
+   * Try to match waiting players. The longest-waiting players who want the
+   * same game take the first seats, the player who just joined the last one.
+   * Team games are balanced instead (see balanceTeams).
    */
   tryMatch(playerId, isRanked = false) {
     const queue = isRanked ? this.rankedQueue : this.unrankedQueue;
     
-    if (queue.length < 2) {
+    const joining = queue.find(p => p.playerId === playerId);
+    const others = queue
+      .filter(p => p !== joining && p.boardKey === joining.boardKey && p.rulesKey === joining.rulesKey &&
+        p.playerCount === joining.playerCount && p.teams === joining.teams && p.timeControlKey === joining.timeControlKey &&
+        p.asyncTimeControlKey === joining.asyncTimeControlKey)
+      .slice(0, joining.playerCount - 1);
+    if (others.length < joining.playerCount - 1) {
       return { success: false, waiting: true };
     }
-
-    // Find two players to match
-    const player1 = queue.shift();
-    const player2 = queue.shift();
+    let seated = [...others, joining];
+    for (const entry of seated) {
+      queue.splice(queue.indexOf(entry), 1);
+    }
+    if (joining.teams) {
+      seated = this.balanceTeams(seated);
+    }
+    const [player1, player2] = seated;
+
+    // Even game unless both players asked for a handicap
+    let handicap = null;
+    if (player1.useHandicap && player2.useHandicap) {
+      handicap = handicapFromRatings(
+        this.eloService.getRating(player1.playerId).rating,
+        this.eloService.getRating(player2.playerId).rating
+      );
+    }
+    const { boardShape, handicap: handicapped } = applyHandicap(joining.boardShape, handicap);
 
     // Create game
     const gameId = uuidv4();
-    const game = new GameState(gameId);
+    const game = new GameState(gameId, boardShape, joining.ruleSet, joining.ruleOptions, handicapped, joining.playerCount, joining.teams, joining.timeControl, joining.asyncTimeControl, this.now);
     game.isRanked = isRanked; // Mark game as ranked/unranked
     
-    game.addPlayer(player1.playerId, player1.playerData, 1);
-    game.addPlayer(player2.playerId, player2.playerData, 2);
-
+    seated.forEach((entry, i) => {
+      game.addPlayer(entry.playerId, entry.playerData, i + 1);
+      this.playerGames.set(entry.playerId, gameId);
+    });
+    this.recordRatings(game);
     this.games.set(gameId, game);
-    this.playerGames.set(player1.playerId, gameId);
-    this.playerGames.set(player2.playerId, gameId);
 
     return {
       success: true,
       gameId,
       player1: player1.playerId,
       player2: player2.playerId,
+      players: seated.map(entry => entry.playerId), // in seat order
       game: this.getGameInfo(gameId),
       isRanked
     };
   }
 
+  /**
+   * Fill an unranked player's match with bots made by createBot() as
+   * { id, data }. Bots queue for the same game as the player, so the usual
+   * matching seats them. Returns the match as tryMatch does.
+   */
+  matchWithBots(playerId, createBot) {
+    const entry = this.unrankedQueue.find(p => p.playerId === playerId);
+    if (!entry) {
+      return { success: false, error: 'Not waiting for an unranked match' };
+    }
+
+    let result;
+    do {
+      const bot = createBot();
+      result = this.addToMatchmaking(bot.id, bot.data, false, entry.boardShape, entry.ruleSet,
+        entry.ruleOptions, false, entry.playerCount, entry.teams, entry.timeControl, entry.asyncTimeControl);
+    } while (result.waiting);
+    return result;
+  }
+
+  /**
+   * Seat four queued players for a team game so the teams are about even:
+   * the strongest and the weakest player against the two in between.
+   * Returns the entries in seat order (team 1 in seats 1 and 3).
+   */
+  balanceTeams(entries) {
+    const ratingOf = entry => entry.playerData?.isBot ? BOT_RATING : this.eloService.getRating(entry.playerId).rating;
+    const [strongest, second, third, weakest] = [...entries]
+      .sort((a, b) => ratingOf(b) - ratingOf(a));
+    return [strongest, second, weakest, third];
+  }
+
+  /**
+   * Keep every player's rating from the start of the game for its record;
+   * bots are left out so they never show up in the ratings
+   */
+  recordRatings(game) {
+    for (const num of game.seats().filter(num => !game.isBot(num))) {
+      game.ratings[num] = this.eloService.getRating(game.players[num].id).rating;
+    }
+  }
+
+  /**
+   * Get a game as portable record text, or null if it does not exist
+   */
+  getGameRecord(gameId) {
+    const game = this.games.get(gameId);
+    return game ? game.toRecord() : null;
+  }
+
   /**
    * Make a move in a game
    */
@@ -153,16 +296,98 @@ export class GameManager {
     return {
       ...result,
       gameId,
-      playerNum: game.getPlayerNumber(playerId)
+      playerNum: game.getPlayerNumber(playerId),
+      clock: game.clockState()
     };
   }
 
+  /**
+   * Pass the turn in the player's game; the game ends when every player passed in a row
+   */
+  pass(playerId) {
+    const game = this.getPlayerGame(playerId);
+    if (!game) {
+      return { success: false, error: 'Not in a game' };
+    }
+
+    const result = game.pass(playerId);
+    if (result.success && result.gameOver) {
+      this.handleGameOver(game.id);
+    }
+    return { ...result, gameId: game.id, clock: game.clockState() };
+  }
+
+  /**
+   * Suggest moves to the player to move, unless the game is ranked
+   */
+  async requestHint(playerId) {
+    const game = this.getPlayerGame(playerId);
+    if (!game) {
+      return { success: false, error: 'Not in a game' };
+    }
+    return { ...(await game.requestHint(playerId)), gameId: game.id };
+  }
+
+  /**
+   * Swap sides under the swap rule, answering the first move
+   */
+  swapSides(playerId) {
+    const game = this.getPlayerGame(playerId);
+    if (!game) {
+      return { success: false, error: 'Not in a game' };
+    }
+    return { ...game.swapSides(playerId), gameId: game.id, clock: game.clockState() };
+  }
+
+  /**
+   * Ask the opponent to take back the player's last move
+   */
+  requestTakeback(playerId) {
+    const game = this.getPlayerGame(playerId);
+    if (!game) {
+      return { success: false, error: 'Not in a game' };
+    }
+    return { ...game.requestTakeback(playerId), gameId: game.id };
+  }
+
+  /**
+   * Accept or decline the opponent's takeback request
+   */
+  respondToTakeback(playerId, accept) {
+    const game = this.getPlayerGame(playerId);
+    if (!game) {
+      return { success: false, error: 'Not in a game' };
+    }
+    return { ...game.respondToTakeback(playerId, accept), gameId: game.id, clock: game.clockState() };
+  }
+
+  /**
+   * End a game whose player to move has run out of time (see
+   * GameState.checkFlag). Returns whether the game ended.
+   */
+  checkFlag(gameId) {
+    const game = this.games.get(gameId);
+    if (!game || !game.checkFlag()) {
+      return false;
+    }
+    this.handleGameOver(gameId);
+    return true;
+  }
+
   /**
    * Handle game over - update ELO
    */
   async handleGameOver(gameId) {
     const game = this.games.get(gameId);
     if (!game) return;
+    if (game.teams) {
+      await this.handleTeamGameOver(game);
+      return;
+    }
+    if (game.playerCount > 2) {
+      await this.handleFreeForAllGameOver(game);
+      return;
+    }
 
     const player1Id = game.players[1]?.id;
     const player2Id = game.players[2]?.id;
@@ -182,12 +407,12 @@ export class GameManager {
         result = 0.5; // Draw
       }
 
-      // Only update ELO for ranked games
-      if (game.isRanked) {
+      // Only update ELO for ranked games without bots
+      if (game.isRanked && !game.hasBots()) {
         console.log(`Updating ELO for ranked game: ${player1Name} vs ${player2Name}`);
-        await this.eloService.updateRatings(player1Id, player2Id, result);
+        await this.eloService.updateRatings(player1Id, player2Id, result, game.handicap);
       } else {
-        console.log(`Skipping ELO update for unranked game: ${player1Name} vs ${player2Name}`);
+        console.log(`Skipping ELO update for ${game.isRanked ? 'bot' : 'unranked'} game: ${player1Name} vs ${player2Name}`);
       }
 
       // Store match record with detailed info
@@ -206,6 +431,71 @@ export class GameManager {
     }
   }
 
+  /**
+   * Free-for-all game over: update ELO from the final standings
+   * and record the match with every player's score and place
+   */
+  async handleFreeForAllGameOver(game) {
+    // Players who left are out of the standings, as a two-player game
+    // without both players is not rated
+    const seated = game.seats().filter(num => game.players[num]);
+    const standings = rankPlayers(Object.fromEntries(seated.map(num => [num, game.scores[num]])));
+    console.log(`Free-for-all game over: ${game.id}, isRanked: ${game.isRanked}, winner: ${game.winner}`);
+    if (standings.length < 2) return;
+
+    if (game.isRanked && !game.hasBots()) {
+      await this.eloService.updateFreeForAllRatings(
+        standings.map(({ player, place }) => ({ userId: game.players[player].id, place }))
+      );
+    }
+
+    await this.eloService.recordMatch({
+      gameId: game.id,
+      players: standings.map(({ player, score, place }) => ({
+        id: game.players[player].id,
+        name: game.players[player].name || game.players[player].id,
+        score,
+        place
+      })),
+      winnerId: game.players[game.winner]?.id ?? null,
+      isRanked: game.isRanked || false,
+      completedAt: new Date()
+    });
+  }
+
+  /**
+   * Team game over: update ELO team against team and record the match
+   * with every player's team and score and the pooled team scores
+   */
+  async handleTeamGameOver(game) {
+    console.log(`Team game over: ${game.id}, isRanked: ${game.isRanked}, winning team: ${game.winner}`);
+    const [team1, team2] = [1, 2].map(team => teamMembers(team).map(num => game.players[num]?.id));
+    // A team missing a player has forfeited; only full games are rated
+    if (game.isRanked && !game.hasBots() && [...team1, ...team2].every(Boolean)) {
+      const result = game.winner === 1 ? 1 : game.winner === 2 ? 0 : 0.5;
+      await this.eloService.updateTeamRatings(team1, team2, result);
+    }
+
+    const players = game.seats()
+      .filter(num => game.players[num])
+      .map(num => ({
+        id: game.players[num].id,
+        name: game.players[num].name || game.players[num].id,
+        score: game.scores[num] || 0,
+        team: teamOf(num)
+      }));
+    await this.eloService.recordMatch({
+      gameId: game.id,
+      teams: true,
+      players,
+      teamScores: teamScores(game.scores),
+      winningTeam: game.winner,
+      winnerId: null,
+      isRanked: game.isRanked || false,
+      completedAt: new Date()
+    });
+  }
+
   /**
    * Handle player disconnection
    */
@@ -249,7 +539,17 @@ export class GameManager {
       currentPlayer: game.currentPlayer,
       status: game.status,
       winner: game.winner,
-      isRanked: game.isRanked || false
+      endReason: game.endReason,
+      isRanked: game.isRanked || false,
+      boardShape: game.boardShape,
+      ruleSet: game.ruleSet,
+      ruleOptions: game.ruleOptions,
+      handicap: game.handicap,
+      playerCount: game.playerCount,
+      teams: game.teams,
+      timeControl: game.timeControl,
+      asyncTimeControl: game.asyncTimeControl,
+      clock: game.clockState()
     };
   }
 
@@ -283,7 +583,7 @@ export class GameManager {
       if (game.status === GameStatus.FINISHED || game.status === GameStatus.ABANDONED) {
         if (now - game.finishedAt > timeout) {
           // Remove game and player references
-          for (const num of [1, 2]) {
+          for (const num of game.seats()) {
             if (game.players[num]) {
               this.playerGames.delete(game.players[num].id);
             }
@@ -1,9 +1,15 @@
 /**
  * Game State
- * Represents a single game instance
+ * Represents a single game instance: two players, three to four in a
+ * free-for-all game, or two teams of two in a team game. A game with a time
+ * control keeps every player's clock (see timeControl.js in dots-js-shared):
+ * the player to move's clock runs from the start of their turn, and a player
+ * who runs out of time loses. The clocks read the time from now(), Date.now
+ * unless given.
  */
 
-import { BoardLogic } from './boardLogic.js';
+import { BoardLogic, normalizeBoardShape, normalizeRuleSet, resolveRuleOptions, formatGameRecord, resultFromWinner, normalizeHandicap, playerForMove, checkSwap, normalizePlayerCount, checkPlayerCount, checkTeams, playerNumbers, teamOf, teamScores, winnerFromScores, normalizeTimeControl, normalizeAsyncTimeControl, startingClock, spendTime, completeTurn, timeUntilFlag, DEFAULT_RULE_SET } from 'dots-js-shared';
+import { runSearch } from './search.js';
 
 export const GameStatus = {
   WAITING: 'waiting',
@@ -13,35 +19,58 @@ export const GameStatus = {
 };
 
 export class GameState {
-  constructor(gameId, gridSize = 10) {
+  constructor(gameId, boardShape = 10, ruleSet = DEFAULT_RULE_SET, ruleOptions = {}, handicap = null, playerCount = 2, teams = false, timeControl = null, asyncTimeControl = null, now = Date.now) {
     this.id = gameId;
-    this.gridSize = gridSize; // Store grid size
-    this.boardLogic = new BoardLogic(gridSize);
-    this.players = {
-      1: null,
-      2: null
-    };
-    this.scores = {
-      1: 0,
-      2: 0
-    };
-    this.currentPlayer = 1;
+    this.boardShape = normalizeBoardShape(boardShape); // { width, height, mask, start }
+    this.ruleSet = normalizeRuleSet(ruleSet); // 'territory' or 'classic'
+    this.ruleOptions = resolveRuleOptions(this.ruleSet, ruleOptions); // rule set options with overrides
+    this.handicap = normalizeHandicap(handicap); // handicap dots are already in boardShape.start (see applyHandicap)
+    this.playerCount = normalizePlayerCount(playerCount);
+    checkPlayerCount(this.playerCount, { handicap: this.handicap, ruleOptions: this.ruleOptions });
+    this.teams = teams === true; // seats 1 and 3 against seats 2 and 4 (see teams.js)
+    checkTeams(this.teams, this.playerCount);
+    this.boardLogic = new BoardLogic(this.boardShape, this.ruleSet, this.ruleOptions, this.teams);
+    this.players = this.bySeat(() => null);
+    this.scores = this.bySeat(() => 0);
+    this.ratings = this.bySeat(() => null); // ratings when the game started, for the game record
+    this.hints = this.bySeat(() => 0); // hints each player asked for, for the game record
+    this.pendingHints = new Set(); // player numbers whose hint is being worked out
+    this.currentPlayer = playerForMove(0, this.handicap, this.playerCount);
     this.status = GameStatus.WAITING;
     this.createdAt = new Date();
     this.startedAt = null;
     this.finishedAt = null;
     this.moves = [];
-    this.winner = null;
+    this.winner = null; // player number, or team number in a team game
+    this.endReason = null; // 'completed', 'settled' (passed out once decided), 'passes' or 'timeout'
+    this.takebackRequestedBy = null; // player number waiting for an answer to a takeback request
+    this.timeControl = normalizeTimeControl(timeControl); // null for an untimed game
+    this.clocks = this.timeControl ? this.bySeat(() => startingClock(this.timeControl)) : null;
+    // { perMove, reserve } the game keeps when saved as a turn-based game, null for the default
+    this.asyncTimeControl = normalizeAsyncTimeControl(asyncTimeControl);
+    this.turnStartedAt = null; // ms timestamp the player to move's clock runs from, null while stopped
+    this.now = now; // returns the current ms timestamp for the clocks
+  }
+
+  /**
+   * Seat numbers of the game: [1, 2], or up to [1, 2, 3, 4] in free-for-all
+   */
+  seats() {
+    return playerNumbers(this.playerCount);
+  }
+
+  /**
+   * Object with a value for each seat, e.g. { 1: 0, 2: 0, 3: 0 }
+   */
+  bySeat(valueFor) {
+    return Object.fromEntries(this.seats().map(num => [num, valueFor(num)]));
   }
 
   addPlayer(playerId, playerData, playerNumber = null) {
-    // Auto-assign player number if not specified
+    // Auto-assign the first free seat if not specified
     if (playerNumber === null) {
-      if (!this.players[1]) {
-        playerNumber = 1;
-      } else if (!this.players[2]) {
-        playerNumber = 2;
-      } else {
+      playerNumber = this.seats().find(num => !this.players[num]) ?? null;
+      if (playerNumber === null) {
         return { success: false, error: 'Game is full' };
       }
     }
@@ -55,24 +84,25 @@ export class GameState {
       ...playerData
     };
 
-    // Start game if both players present
-    if (this.players[1] && this.players[2]) {
+    // Start game once every seat is taken
+    if (this.seats().every(num => this.players[num])) {
       this.status = GameStatus.PLAYING;
       this.startedAt = new Date();
+      this.turnStartedAt = this.clocks ? this.now() : null;
     }
 
     return { success: true, playerNumber };
   }
 
   removePlayer(playerId) {
-    for (const num of [1, 2]) {
+    for (const num of this.seats()) {
       if (this.players[num] && this.players[num].id === playerId) {
         this.players[num] = null;
         
         if (this.status === GameStatus.PLAYING) {
           this.status = GameStatus.ABANDONED;
-          // Other player wins by forfeit
-          this.winner = num === 1 ? 2 : 1;
+          this.winner = this.winnerWithout(num);
+          this.turnStartedAt = null;
         }
         
         return { success: true, playerNumber: num };
@@ -81,23 +111,66 @@ export class GameState {
     return { success: false, error: 'Player not in game' };
   }
 
+  /**
+   * Winner when a player forfeits or loses on time: in free-for-all the
+   * leader of the others, in a team game the other team
+   */
+  winnerWithout(playerNum) {
+    if (this.teams) {
+      return teamOf(playerNum) === 1 ? 2 : 1;
+    }
+    const others = this.seats().filter(other => other !== playerNum);
+    return winnerFromScores(Object.fromEntries(others.map(other => [other, this.scores[other]])));
+  }
+
+  /**
+   * Seats playing against a player: every other seat in free-for-all, the
+   * other team's seats in a team game
+   */
+  opponentsOf(playerNum) {
+    return this.seats().filter(num => num !== playerNum && (!this.teams || teamOf(num) !== teamOf(playerNum)));
+  }
+
   getPlayerNumber(playerId) {
     console.log(`getPlayerNumber: looking for playerId=${playerId}`);
-    console.log(`  Player 1: ${this.players[1] ? this.players[1].id : 'null'}`);
-    console.log(`  Player 2: ${this.players[2] ? this.players[2].id : 'null'}`);
-    
-    if (this.players[1] && this.players[1].id === playerId) {
-      console.log('  -> Found as Player 1');
-      return 1;
-    }
-    if (this.players[2] && this.players[2].id === playerId) {
-      console.log('  -> Found as Player 2');
-      return 2;
+    for (const num of this.seats()) {
+      console.log(`  Player ${num}: ${this.players[num] ? this.players[num].id : 'null'}`);
+      if (this.players[num] && this.players[num].id === playerId) {
+        console.log(`  -> Found as Player ${num}`);
+        return num;
+      }
     }
     console.log('  -> NOT FOUND!');
     return null;
   }
 
+  /**
+   * Turns taken so far: moves and passes, not swaps
+   */
+  turnCount() {
+    return this.moves.filter(move => !move.swap).length;
+  }
+
+  /**
+   * Number of passes in a row at the end of the move history
+   */
+  consecutivePasses() {
+    let passes = 0;
+    while (this.moves[this.moves.length - 1 - passes]?.pass) passes++;
+    return passes;
+  }
+
+  /**
+   * Whether a seat is played by a server bot (see botManager.js)
+   */
+  isBot(playerNum) {
+    return this.players[playerNum]?.isBot === true;
+  }
+
+  hasBots() {
+    return this.seats().some(num => this.isBot(num));
+  }
+
   isPlayerTurn(playerId) {
     const playerNum = this.getPlayerNumber(playerId);
     const isTurn = playerNum === this.currentPlayer;
@@ -120,6 +193,10 @@ export class GameState {
       return { success: false, error: 'Game not in progress' };
     }
 
+    if (this.isOutOfTime()) {
+      return { success: false, error: 'Out of time' };
+    }
+
     const playerNum = this.currentPlayer;
     console.log('Attempting occupyDot with playerNum:', playerNum);
     const result = this.boardLogic.occupyDot(x, y, playerNum);
@@ -130,6 +207,9 @@ export class GameState {
       return { success: false, error: `Invalid move - position (${x},${y}) is not available` };
     }
 
+    // A new move answers any open takeback request
+    this.takebackRequestedBy = null;
+
     // Record move
     this.moves.push({
       player: playerNum,
@@ -138,20 +218,17 @@ export class GameState {
       timestamp: new Date()
     });
 
-    // Handle scoring: 1 for the dot + captured dots
-    // First deduct points from players who lost territory
-    if (result.lostByPlayers) {
-      for (const [lostPlayerNum, lostDotCount] of result.lostByPlayers) {
-        this.scores[lostPlayerNum] -= lostDotCount;
-      }
-    }
-    
-    // Then award points to capturing player
-    const points = 1 + result.capturedDots.length;
-    this.scores[playerNum] += points;
+    // Score from the board, as the rule set counts it
+    this.scores = this.bySeat(num => this.boardLogic.calculateScore(num));
 
-    // Always switch turns in dot occupation game
-    this.currentPlayer = this.currentPlayer === 1 ? 2 : 1;
+    // Switch turns, unless a handicap gives the player extra moves. The
+    // mover's clock before the turn's credit is kept for a takeback.
+    this.chargeClock();
+    if (this.clocks) {
+      this.moves.at(-1).clock = this.clocks[playerNum];
+    }
+    this.currentPlayer = playerForMove(this.turnCount(), this.handicap, this.playerCount);
+    this.completeClockTurn(playerNum);
     console.log('Turn switched to player:', this.currentPlayer);
 
     // Check game over
@@ -164,44 +241,406 @@ export class GameState {
       captures: result.capturedDots,
       continuesTurn: false, // No extra turns in dot game
       currentPlayer: this.currentPlayer,
+      gameOver: this.status === GameStatus.FINISHED,
+      settled: this.isSettled()
+    };
+  }
+
+  /**
+   * Whether the game is still running but already decided: no capture is
+   * possible any more and the remaining dots cannot change the winner.
+   * Players are offered to finish such a game by passing.
+   */
+  isSettled() {
+    return this.status === GameStatus.PLAYING && this.boardLogic.isOutcomeSettled(this.seats());
+  }
+
+  /**
+   * Pass the turn without placing a dot. The game ends once every player has
+   * passed in a row: both players pass in a two-player game. Recorded in the
+   * move history, a pass cannot be taken back.
+   */
+  pass(playerId) {
+    if (this.status !== GameStatus.PLAYING) {
+      return { success: false, error: 'Game not in progress' };
+    }
+    if (!this.isPlayerTurn(playerId)) {
+      return { success: false, error: 'Not your turn' };
+    }
+    if (this.isOutOfTime()) {
+      return { success: false, error: 'Out of time' };
+    }
+
+    const playerNum = this.currentPlayer;
+    this.takebackRequestedBy = null;
+    this.moves.push({
+      player: playerNum,
+      pass: true,
+      timestamp: new Date()
+    });
+    this.chargeClock();
+    this.currentPlayer = playerForMove(this.turnCount(), this.handicap, this.playerCount);
+    this.completeClockTurn(playerNum);
+
+    if (this.consecutivePasses() >= this.playerCount) {
+      this.finishGame(this.isSettled() ? 'settled' : 'passes');
+    }
+
+    return {
+      success: true,
+      playerNumber: playerNum,
+      currentPlayer: this.currentPlayer,
       gameOver: this.status === GameStatus.FINISHED
     };
   }
 
-  finishGame() {
+  /**
+   * Suggest the best few moves to the player to move (see suggestMoves in
+   * dots-js-shared) and count the hint for the game record. Ranked games
+   * have no hints. The search runs in a worker on a copy of the board, one
+   * hint per player at a time.
+   */
+  async requestHint(playerId) {
+    if (this.isRanked) {
+      return { success: false, error: 'Hints are not allowed in ranked games' };
+    }
+    if (this.status !== GameStatus.PLAYING) {
+      return { success: false, error: 'Game not in progress' };
+    }
+    if (!this.isPlayerTurn(playerId)) {
+      return { success: false, error: 'Not your turn' };
+    }
+    if (this.pendingHints.has(this.currentPlayer)) {
+      return { success: false, error: 'A hint is already being worked out' };
+    }
+
+    const playerNum = this.currentPlayer;
+    const moveCount = this.moves.length;
+    this.pendingHints.add(playerNum);
+    let hints;
+    try {
+      hints = await runSearch('hints', {
+        board: this.boardLogic.serialize(),
+        playerNum,
+        playerCount: this.playerCount
+      });
+    } finally {
+      this.pendingHints.delete(playerNum);
+    }
+    if (this.moves.length !== moveCount || this.status !== GameStatus.PLAYING) {
+      return { success: false, error: 'The game moved on before the hint was ready' };
+    }
+
+    this.hints[playerNum]++;
+    return { success: true, playerNumber: playerNum, hints };
+  }
+
+  /**
+   * Swap sides under the swap rule: player 2 takes over the first move and
+   * player 1's seat, and the player who made the first move, now player 2,
+   * moves next. Recorded in the move history, it cannot be taken back.
+   */
+  swapSides(playerId) {
+    const playerNum = this.getPlayerNumber(playerId);
+    if (!playerNum) {
+      return { success: false, error: 'Player not in game' };
+    }
+    if (this.status !== GameStatus.PLAYING) {
+      return { success: false, error: 'Game not in progress' };
+    }
+    const error = checkSwap({
+      ruleOptions: this.ruleOptions,
+      handicap: this.handicap,
+      moveCount: this.boardLogic.getMoveHistory().length,
+      swapped: this.isSwapped()
+    }, playerNum);
+    if (error) {
+      return { success: false, error };
+    }
+    if (this.isOutOfTime()) {
+      return { success: false, error: 'Out of time' };
+    }
+
+    // The clocks change seats with the players
+    this.chargeClock();
+    this.completeClockTurn(playerNum);
+    if (this.clocks) {
+      this.clocks = { 1: this.clocks[2], 2: this.clocks[1] };
+    }
+    this.players = { 1: this.players[2], 2: this.players[1] };
+    this.ratings = { 1: this.ratings[2], 2: this.ratings[1] };
+    this.hints = { 1: this.hints[2], 2: this.hints[1] };
+    this.takebackRequestedBy = null;
+    this.moves.push({
+      player: playerNum,
+      swap: true,
+      timestamp: new Date()
+    });
+
+    return { success: true, players: this.players, currentPlayer: this.currentPlayer };
+  }
+
+  isSwapped() {
+    return this.moves.some(move => move.swap);
+  }
+
+  /**
+   * Ask to take back a move. Only the player who made the last move can ask,
+   * and only while the game is in progress.
+   */
+  requestTakeback(playerId) {
+    const playerNum = this.getPlayerNumber(playerId);
+    if (!playerNum) {
+      return { success: false, error: 'Player not in game' };
+    }
+    if (this.status !== GameStatus.PLAYING) {
+      return { success: false, error: 'Game not in progress' };
+    }
+    const lastMove = this.moves[this.moves.length - 1];
+    if (lastMove?.swap) {
+      return { success: false, error: 'A swap cannot be taken back' };
+    }
+    if (lastMove?.pass) {
+      return { success: false, error: 'A pass cannot be taken back' };
+    }
+    if (!lastMove || lastMove.player !== playerNum) {
+      return { success: false, error: 'No move of yours to take back' };
+    }
+    if (this.takebackRequestedBy !== null) {
+      return { success: false, error: 'Takeback already requested' };
+    }
+
+    this.takebackRequestedBy = playerNum;
+    return { success: true, playerNumber: playerNum };
+  }
+
+  /**
+   * Answer an opponent's takeback request. Accepting undoes their last move;
+   * the requester's teammate cannot answer.
+   */
+  respondToTakeback(playerId, accept) {
+    const playerNum = this.getPlayerNumber(playerId);
+    const requestedBy = this.takebackRequestedBy;
+    if (!playerNum || requestedBy === null || requestedBy === playerNum) {
+      return { success: false, error: 'No takeback request to answer' };
+    }
+    if (!this.opponentsOf(requestedBy).includes(playerNum)) {
+      return { success: false, error: 'Only an opponent can answer a takeback request' };
+    }
+
+    this.takebackRequestedBy = null;
+    if (!accept) {
+      return { success: true, accepted: false, requestedBy };
+    }
+    return { ...this.undoMove(), accepted: true, requestedBy };
+  }
+
+  /**
+   * Undo the last move: restores the board and scores from before it and
+   * gives the turn back to the player who made it. Their clock loses the
+   * increment or byo-yomi reset the move earned, not the time it took.
+   */
+  undoMove() {
+    if (this.status !== GameStatus.PLAYING) {
+      return { success: false, error: 'Game not in progress' };
+    }
+    if (this.moves.at(-1)?.swap) {
+      return { success: false, error: 'A swap cannot be taken back' };
+    }
+    if (this.moves.at(-1)?.pass) {
+      return { success: false, error: 'A pass cannot be taken back' };
+    }
+    const lastMove = this.moves.pop();
+    if (!lastMove) {
+      return { success: false, error: 'No moves to undo' };
+    }
+
+    this.boardLogic.undo();
+    this.scores = this.bySeat(num => this.boardLogic.calculateScore(num));
+    const now = this.now();
+    // Time since the move is the opponent's, or the mover's on an extra handicap move
+    const spentSince = this.currentPlayer === lastMove.player ? now - this.turnStartedAt : 0;
+    this.chargeClock(now);
+    if (lastMove.clock) {
+      this.clocks[lastMove.player] = spendTime(lastMove.clock, spentSince, this.timeControl);
+    }
+    this.currentPlayer = lastMove.player;
+    this.takebackRequestedBy = null;
+
+    return {
+      success: true,
+      move: lastMove.move,
+      player: lastMove.player,
+      currentPlayer: this.currentPlayer,
+      scores: { ...this.scores }
+    };
+  }
+
+  /**
+   * End the game and decide the winner from the scores.
+   * reason: 'completed' when every dot was played, 'settled' when the players
+   * passed out a decided game, 'passes' when they passed out an open one
+   */
+  finishGame(reason = 'completed') {
     this.status = GameStatus.FINISHED;
     this.finishedAt = new Date();
-    
-    if (this.scores[1] > this.scores[2]) {
-      this.winner = 1;
-    } else if (this.scores[2] > this.scores[1]) {
-      this.winner = 2;
-    } else {
-      this.winner = null; // Draw
+    this.endReason = reason;
+    this.winner = winnerFromScores(this.teams ? this.teamScores() : this.scores); // null for a draw
+    this.turnStartedAt = null;
+  }
+
+  /**
+   * A seat's clock as of now: the player to move's clock has run since the
+   * start of their turn
+   */
+  clockOf(playerNum, now = this.now()) {
+    const clock = this.clocks[playerNum];
+    if (playerNum !== this.currentPlayer || this.turnStartedAt === null) {
+      return clock;
     }
+    return spendTime(clock, now - this.turnStartedAt, this.timeControl);
+  }
+
+  /**
+   * Charge the time since the start of the turn to the player to move
+   */
+  chargeClock(now = this.now()) {
+    if (!this.clocks || this.turnStartedAt === null) return;
+    this.clocks[this.currentPlayer] = this.clockOf(this.currentPlayer, now);
+    this.turnStartedAt = now;
+  }
+
+  /**
+   * Credit a completed turn to a player's clock: the Fischer increment, or a
+   * byo-yomi period starting over
+   */
+  completeClockTurn(playerNum) {
+    if (!this.clocks) return;
+    this.clocks[playerNum] = completeTurn(this.clocks[playerNum], this.timeControl);
+  }
+
+  /**
+   * Milliseconds until the player to move runs out of time, or null when no
+   * clock is running
+   */
+  timeUntilFlag(now = this.now()) {
+    if (!this.clocks || this.turnStartedAt === null) return null;
+    return timeUntilFlag(this.clockOf(this.currentPlayer, now), this.timeControl);
+  }
+
+  isOutOfTime(now = this.now()) {
+    return this.status === GameStatus.PLAYING && this.timeUntilFlag(now) === 0;
+  }
+
+  /**
+   * End the game if the player to move has run out of time: they lose on
+   * time, as by forfeit. Returns whether the game ended.
+   */
+  checkFlag(now = this.now()) {
+    if (!this.isOutOfTime(now)) return false;
+
+    const playerNum = this.currentPlayer;
+    this.chargeClock(now);
+    this.status = GameStatus.FINISHED;
+    this.finishedAt = new Date(now);
+    this.endReason = 'timeout';
+    this.winner = this.winnerWithout(playerNum);
+    this.turnStartedAt = null;
+    console.log(`Game ${this.id}: player ${playerNum} ran out of time`);
+    return true;
+  }
+
+  /**
+   * Clocks as sent to clients, or null for an untimed game:
+   * { timeControl, clocks, running } with each seat's clock as of now and
+   * running the seat whose clock runs, null while the clocks are stopped
+   */
+  clockState(now = this.now()) {
+    if (!this.clocks) return null;
+    return {
+      timeControl: this.timeControl,
+      clocks: this.bySeat(num => this.clockOf(num, now)),
+      running: this.turnStartedAt === null ? null : this.currentPlayer
+    };
+  }
+
+  /**
+   * Pooled scores of a team game: { 1, 2 }
+   */
+  teamScores() {
+    return teamScores(this.scores);
+  }
+
+  /**
+   * Export the game as portable record text (see gameRecord.js in dots-js-shared)
+   */
+  toRecord() {
+    const finished = this.status === GameStatus.FINISHED || this.status === GameStatus.ABANDONED;
+    return formatGameRecord({
+      players: this.bySeat(num => ({ name: this.players[num]?.name, rating: this.ratings[num] })),
+      playerCount: this.playerCount,
+      teams: this.teams,
+      boardShape: this.boardShape,
+      ruleSet: this.ruleSet,
+      ruleOptions: this.ruleOptions,
+      handicap: this.handicap,
+      moves: this.moves.filter(({ swap }) => !swap).map(({ move, pass }) => (pass ? { pass } : move)),
+      swapped: this.isSwapped(),
+      result: resultFromWinner(this.winner, finished, this.playerCount, this.teams),
+      termination: this.status === GameStatus.ABANDONED ? 'forfeit' : (this.endReason === 'timeout' ? 'timeout' : null),
+      scores: this.bySeat(num => this.boardLogic.calculateScore(num)),
+      hints: this.hints,
+      date: this.startedAt ?? this.createdAt
+    });
   }
 
   serialize() {
     return {
       id: this.id,
+      boardShape: this.boardShape,
+      ruleSet: this.ruleSet,
+      ruleOptions: this.ruleOptions,
+      handicap: this.handicap,
+      playerCount: this.playerCount,
+      teams: this.teams,
       board: this.boardLogic.serialize(),
       players: this.players,
       scores: this.scores,
+      ratings: this.ratings,
+      hints: this.hints,
       currentPlayer: this.currentPlayer,
       status: this.status,
       createdAt: this.createdAt,
       startedAt: this.startedAt,
       finishedAt: this.finishedAt,
       moves: this.moves,
-      winner: this.winner
+      winner: this.winner,
+      endReason: this.endReason,
+      takebackRequestedBy: this.takebackRequestedBy,
+      timeControl: this.timeControl,
+      asyncTimeControl: this.asyncTimeControl,
+      clocks: this.clocks,
+      turnStartedAt: this.turnStartedAt
     };
   }
 
   static deserialize(data) {
-    const game = new GameState(data.id);
+    const game = new GameState(
+      data.id,
+      data.boardShape ?? data.board,
+      data.ruleSet ?? data.board?.ruleSet,
+      data.ruleOptions ?? data.board?.ruleOptions,
+      data.handicap ?? null,
+      data.playerCount ?? 2,
+      data.teams ?? false,
+      data.timeControl ?? null,
+      data.asyncTimeControl ?? null
+    );
     game.boardLogic.deserialize(data.board);
     game.players = data.players;
     game.scores = data.scores;
+    game.ratings = data.ratings ?? game.bySeat(() => null);
+    game.hints = data.hints ?? game.bySeat(() => 0);
     game.currentPlayer = data.currentPlayer;
     game.status = data.status;
     game.createdAt = new Date(data.createdAt);
@@ -209,6 +648,10 @@ export class GameState {
     game.finishedAt = data.finishedAt ? new Date(data.finishedAt) : null;
     game.moves = data.moves;
     game.winner = data.winner;
+    game.endReason = data.endReason ?? null;
+    game.takebackRequestedBy = data.takebackRequestedBy ?? null;
+    game.clocks = data.clocks ?? game.clocks;
+    game.turnStartedAt = data.turnStartedAt ?? null;
     return game;
   }
 }
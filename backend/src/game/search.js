@@ -0,0 +1,86 @@
+/**
+ * Search
+ * Runs analyses, bot moves and hints in worker threads (searchWorker.js):
+ * each can take hundreds of milliseconds, too long to hold up the server.
+ * The workers are shared by every search and kept between searches; when all
+ * of them are busy, searches wait in line for the next free one.
+ */
+
+import { Worker } from 'worker_threads';
+
+// Searches running at once, so busy servers queue them rather than start a
+// thread for every request
+export const MAX_SEARCH_WORKERS = 2;
+
+class SearchPool {
+  constructor(size) {
+    this.size = size;
+    this.jobs = new Map(); // worker -> { task, input, resolve, reject }, null while idle
+    this.queue = []; // searches waiting for a free worker
+  }
+
+  run(task, input) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, input, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Hand waiting searches to idle workers, starting new ones up to the size
+   */
+  next() {
+    while (this.queue.length > 0) {
+      let worker = [...this.jobs.keys()].find(candidate => !this.jobs.get(candidate));
+      if (!worker) {
+        if (this.jobs.size >= this.size) return;
+        worker = this.startWorker();
+      }
+      const job = this.queue.shift();
+      this.jobs.set(worker, job);
+      // Idle workers do not keep the process alive, busy ones do
+      worker.ref();
+      worker.postMessage({ task: job.task, ...job.input });
+    }
+  }
+
+  startWorker() {
+    const worker = new Worker(new URL('./searchWorker.js', import.meta.url));
+    worker.on('message', ({ result, error }) => {
+      const job = this.jobs.get(worker);
+      this.jobs.set(worker, null);
+      worker.unref();
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+      this.next();
+    });
+    worker.on('error', error => this.drop(worker, error));
+    worker.on('exit', code => this.drop(worker, new Error(`Search stopped with exit code ${code}`)));
+    return worker;
+  }
+
+  /**
+   * Forget a worker that crashed or stopped, failing its search
+   */
+  drop(worker, error) {
+    if (!this.jobs.has(worker)) return;
+    const job = this.jobs.get(worker);
+    this.jobs.delete(worker);
+    job?.reject(error);
+    this.next();
+  }
+}
+
+const pool = new SearchPool(MAX_SEARCH_WORKERS);
+
+/**
+ * Run a search task on the shared workers, see searchWorker.js for the tasks
+ * and their input. Resolves with the result, or rejects with the reason the
+ * search failed.
+ */
+export function runSearch(task, input) {
+  return pool.run(task, input);
+}
@@ -0,0 +1,38 @@
+/**
+ * Search Worker
+ * Runs searches off the server's main thread (see search.js), one at a time,
+ * so sockets, matchmaking and clocks keep going while it thinks.
+ * - in: { task, ...input } where task is
+ *   'analyze' with { record }, the game's record text;
+ *   'move' with { board, playerNum, level, playerCount, timeLimit } for a bot;
+ *   'hints' with { board, playerNum, playerCount } for a player's hints;
+ *   board being from BoardLogic.serialize
+ * - out: { result }, the report, move (null when no dot is left) or hints,
+ *   or { error } with the reason it failed
+ */
+
+import { parentPort } from 'worker_threads';
+import { BoardLogic, analyzeGame, chooseAiMove, suggestMoves } from 'dots-js-shared';
+
+function loadBoard(board) {
+  const boardLogic = new BoardLogic();
+  boardLogic.deserialize(board);
+  return boardLogic;
+}
+
+const tasks = {
+  analyze: ({ record }) => analyzeGame(record),
+  move: ({ board, playerNum, level, playerCount, timeLimit }) =>
+    chooseAiMove(loadBoard(board), playerNum, { level, playerCount, timeLimit }),
+  hints: ({ board, playerNum, playerCount }) =>
+    suggestMoves(loadBoard(board), playerNum, { playerCount })
+};
+
+parentPort.on('message', ({ task, ...input }) => {
+  try {
+    if (!tasks[task]) throw new Error(`Unknown search task: ${task}`);
+    parentPort.postMessage({ result: tasks[task](input) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -13,6 +13,9 @@ import { GameManager } from './game/gameManager.js';
 import { AuthService } from './auth/authService.js';
 import { EloService } from './elo/eloService.js';
 import { AsyncGameManager } from './game/asyncGameManager.js';
+import { BotManager, DEFAULT_BOT_WAIT } from './game/botManager.js';
+import { AnalysisService } from './game/analysisService.js';
+import { PuzzleService } from './puzzles/puzzleService.js';
 import { WebSocketHandler } from './websocket/wsHandler.js';
 import { createRouter } from './routes/index.js';
 
@@ -21,12 +24,18 @@ config();
 
 const PORT = process.env.PORT || 8080;
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
+// Seconds an unranked player waits before a bot joins (0 turns bots off) and the bots' AI level
+const BOT_WAIT_SECONDS = Number(process.env.BOT_WAIT_SECONDS ?? DEFAULT_BOT_WAIT / 1000);
+const BOT_LEVEL = process.env.BOT_LEVEL || undefined;
 
 // Initialize services
 const authService = new AuthService(GOOGLE_CLIENT_ID);
 const eloService = new EloService();
 const gameManager = new GameManager(eloService);
 const asyncGameManager = new AsyncGameManager(eloService);
+const botManager = new BotManager(gameManager, { wait: BOT_WAIT_SECONDS * 1000, level: BOT_LEVEL });
+const analysisService = new AnalysisService();
+const puzzleService = new PuzzleService(eloService);
 
 // Create Express app
 const app = express();
@@ -42,10 +51,11 @@ const server = createServer(app);
 
 // Create WebSocket server
 const wss = new WebSocketServer({ server, path: '/ws' });
-const wsHandler = new WebSocketHandler(wss, authService, gameManager, asyncGameManager);
+const wsHandler = new WebSocketHandler(wss, authService, gameManager, asyncGameManager, botManager);
+botManager.startMatching(match => wsHandler.startMatch(match));
 
 // Setup REST routes
-app.use('/api', createRouter(authService, gameManager, eloService, asyncGameManager, wsHandler));
+app.use('/api', createRouter(authService, gameManager, eloService, asyncGameManager, wsHandler, analysisService, puzzleService));
 
 // Health check
 app.get('/health', (req, res) => {
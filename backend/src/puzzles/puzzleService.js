@@ -0,0 +1,155 @@
+/**
+ * Puzzle Service
+ * Serves the capture puzzles (see puzzles.js in dots-js-shared), checks
+ * attempts and keeps each player's puzzle stats: a puzzle rating, which moves
+ * like a game rating against the puzzle's own rating on the first attempt at
+ * each puzzle, and a streak of daily puzzles solved on consecutive days.
+ */
+
+import {
+  PUZZLES,
+  getPuzzle,
+  checkPuzzleSolution,
+  describePuzzleGoal,
+  dailyPuzzle,
+  puzzleDay
+} from 'dots-js-shared';
+
+const DAY = 24 * 60 * 60 * 1000; // ms
+
+export class PuzzleService {
+  constructor(eloService) {
+    this.eloService = eloService;
+    // userId -> { rating, attempted, solved, streak, bestStreak, lastDailyDay, attemptedPuzzles, solvedPuzzles }
+    this.stats = new Map();
+  }
+
+  /**
+   * Get or create a player's puzzle stats
+   */
+  getStats(userId) {
+    if (!this.stats.has(userId)) {
+      this.stats.set(userId, {
+        rating: 1500,
+        attempted: 0,
+        solved: 0,
+        streak: 0,
+        bestStreak: 0,
+        lastDailyDay: null, // UTC day the daily puzzle was last solved
+        attemptedPuzzles: new Set(),
+        solvedPuzzles: new Set()
+      });
+    }
+    return this.stats.get(userId);
+  }
+
+  /**
+   * Puzzle stats to send to clients. The streak counts as broken once a day
+   * has passed without solving the daily puzzle.
+   */
+  getPlayerStats(userId, now = Date.now()) {
+    const stats = this.getStats(userId);
+    const today = puzzleDay(now);
+    const streakAlive = stats.lastDailyDay === today || stats.lastDailyDay === puzzleDay(now - DAY);
+    return {
+      userId,
+      rating: stats.rating,
+      attempted: stats.attempted,
+      solved: stats.solved,
+      streak: streakAlive ? stats.streak : 0,
+      bestStreak: stats.bestStreak,
+      dailySolved: stats.lastDailyDay === today
+    };
+  }
+
+  /**
+   * A puzzle as served to clients, or null when there is none with this id
+   */
+  getPuzzle(puzzleId) {
+    const puzzle = PUZZLES.find(candidate => candidate.id === puzzleId);
+    return puzzle ? { ...puzzle, description: describePuzzleGoal(puzzle.goal) } : null;
+  }
+
+  /**
+   * Today's puzzle with the day it is for
+   */
+  getDailyPuzzle(now = Date.now()) {
+    return { ...this.getPuzzle(dailyPuzzle(now).id), day: puzzleDay(now) };
+  }
+
+  /**
+   * Every puzzle, marked solved for the player when a userId is given,
+   * and the id of the daily puzzle
+   */
+  listPuzzles(userId = null, now = Date.now()) {
+    const solved = userId ? this.getStats(userId).solvedPuzzles : new Set();
+    return {
+      daily: dailyPuzzle(now).id,
+      puzzles: PUZZLES.map(puzzle => ({
+        ...this.getPuzzle(puzzle.id),
+        solved: solved.has(puzzle.id)
+      }))
+    };
+  }
+
+  /**
+   * Check a finished attempt at a puzzle and update the player's stats.
+   * Returns { solved, captured, rating, ratingChange, streak }; the rating
+   * only moves on the first attempt at each puzzle.
+   */
+  attempt(userId, puzzleId, moves, now = Date.now()) {
+    const puzzle = getPuzzle(puzzleId);
+    if (!puzzle) {
+      throw new Error('Puzzle not found');
+    }
+    if (!Array.isArray(moves)) {
+      throw new Error('Moves required');
+    }
+
+    const result = checkPuzzleSolution(puzzle, moves);
+    if (!result.finished) {
+      throw new Error('Puzzle is not finished');
+    }
+
+    const stats = this.getStats(userId);
+    const oldRating = stats.rating;
+    if (!stats.attemptedPuzzles.has(puzzleId)) {
+      const expected = this.eloService.expectedScore(stats.rating, puzzle.rating);
+      const k = this.eloService.getKFactor({ gamesPlayed: stats.attempted });
+      stats.rating = this.eloService.calculateNewRating(stats.rating, expected, result.solved ? 1 : 0, k);
+      stats.attemptedPuzzles.add(puzzleId);
+      stats.attempted++;
+    }
+
+    if (result.solved) {
+      if (!stats.solvedPuzzles.has(puzzleId)) {
+        stats.solvedPuzzles.add(puzzleId);
+        stats.solved++;
+      }
+      if (puzzleId === dailyPuzzle(now).id) {
+        this.extendStreak(stats, now);
+      }
+    }
+
+    return {
+      solved: result.solved,
+      captured: result.captured,
+      rating: stats.rating,
+      ratingChange: stats.rating - oldRating,
+      streak: this.getPlayerStats(userId, now).streak
+    };
+  }
+
+  /**
+   * Count a solved daily puzzle: the streak goes on from yesterday's, and
+   * starts over after a missed day
+   */
+  extendStreak(stats, now) {
+    const today = puzzleDay(now);
+    if (stats.lastDailyDay === today) return;
+
+    stats.streak = stats.lastDailyDay === puzzleDay(now - DAY) ? stats.streak + 1 : 1;
+    stats.bestStreak = Math.max(stats.bestStreak, stats.streak);
+    stats.lastDailyDay = today;
+  }
+}
@@ -4,6 +4,7 @@
 
 import { Router } from 'express';
 import rateLimit from 'express-rate-limit';
+import { applyHandicap, replayGameRecord } from 'dots-js-shared';
 import p2pStore from '../p2p/p2pStore.js';
 
 // Rate limiter for authentication endpoints
@@ -24,7 +25,47 @@ const anonCreateLimiter = rateLimit({
   legacyHeaders: false
 });
 
-export function createRouter(authService, gameManager, eloService, asyncGameManager, wsHandler) {
+// Analysis keeps a worker busy for seconds per game
+const analysisLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Limit each IP to 30 analyses per windowMs
+  message: { error: 'Too many analysis requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Each hint keeps a worker busy too
+const hintLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 hints per windowMs
+  message: { error: 'Too many hint requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Send record text as a download, or 404 when the game does not exist
+function sendRecord(res, gameId, record) {
+  if (!record) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  res.type('text/plain');
+  res.attachment(`dots-${gameId}.txt`);
+  res.send(record);
+}
+
+// Send a game's analysis, 404 when the game does not exist or 400 when it cannot be analysed
+async function sendAnalysis(res, analysisService, gameId, record) {
+  if (!record) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  try {
+    res.json(await analysisService.analyze(record, gameId));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
+export function createRouter(authService, gameManager, eloService, asyncGameManager, wsHandler, analysisService, puzzleService) {
   const router = Router();
 
   // Authentication routes
@@ -102,6 +143,55 @@ export function createRouter(authService, gameManager, eloService, asyncGameMana
     }
   });
 
+  // Game records (see docs/API.md#game-records)
+  router.get('/games/:gameId/record', (req, res) => {
+    const record = gameManager.getGameRecord(req.params.gameId);
+    sendRecord(res, req.params.gameId, record);
+  });
+
+  // Post-game analysis (see docs/API.md#game-analysis)
+  router.get('/games/:gameId/analysis', analysisLimiter, (req, res) => {
+    const record = gameManager.getGameRecord(req.params.gameId);
+    sendAnalysis(res, analysisService, req.params.gameId, record);
+  });
+
+  // Analyse a game played elsewhere from its record; not cached
+  router.post('/records/analysis', analysisLimiter, (req, res) => {
+    const { record } = req.body;
+
+    if (typeof record !== 'string') {
+      return res.status(400).json({ error: 'record text required' });
+    }
+    sendAnalysis(res, analysisService, null, record);
+  });
+
+  // Validate a record by replaying it and return the game it describes
+  router.post('/records/import', (req, res) => {
+    const { record } = req.body;
+
+    if (typeof record !== 'string') {
+      return res.status(400).json({ error: 'record text required' });
+    }
+
+    try {
+      const { record: parsed, scores, gameOver } = replayGameRecord(record);
+      res.json({
+        players: parsed.players,
+        boardShape: parsed.boardShape,
+        ruleSet: parsed.ruleSet,
+        ruleOptions: parsed.ruleOptions,
+        result: parsed.result,
+        termination: parsed.termination,
+        date: parsed.date,
+        moves: parsed.moves,
+        scores,
+        gameOver
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   // ELO/Stats routes
   router.get('/stats/:userId', (req, res) => {
     const stats = eloService.getPlayerStats(req.params.userId);
@@ -180,20 +270,67 @@ export function createRouter(authService, gameManager, eloService, asyncGameMana
     res.json(matches);
   });
 
+  // Puzzle routes
+  router.get('/puzzles', (req, res) => {
+    res.json(puzzleService.listPuzzles(req.query.userId || null));
+  });
+
+  router.get('/puzzles/daily', (req, res) => {
+    res.json(puzzleService.getDailyPuzzle());
+  });
+
+  router.get('/puzzles/stats/:userId', (req, res) => {
+    res.json(puzzleService.getPlayerStats(req.params.userId));
+  });
+
+  router.get('/puzzles/:puzzleId', (req, res) => {
+    const puzzle = puzzleService.getPuzzle(req.params.puzzleId);
+    if (puzzle) {
+      res.json(puzzle);
+    } else {
+      res.status(404).json({ error: 'Puzzle not found' });
+    }
+  });
+
+  router.post('/puzzles/:puzzleId/attempt', (req, res) => {
+    const { userId, moves } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId required' });
+    }
+
+    try {
+      res.json(puzzleService.attempt(userId, req.params.puzzleId, moves));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   // Async/Turn-based game routes
   router.post('/async/games', (req, res) => {
-    const { player1Id, player2Id, gridSize, isRanked } = req.body;
+    // boardShape is { width, height, mask }; a plain gridSize is still accepted.
+    // timeControl is { perMove, reserve } in hours.
+    const { player1Id, player2Id, boardShape, gridSize, isRanked, ruleSet, ruleOptions, handicap, timeControl } = req.body;
     
     if (!player1Id || !player2Id) {
       return res.status(400).json({ error: 'Both player IDs required' });
     }
 
     try {
+      const handicapped = applyHandicap(boardShape || gridSize || 10, handicap);
       const game = asyncGameManager.createGame(
         player1Id, 
         player2Id, 
-        gridSize || 10, 
-        isRanked || false
+        handicapped.boardShape, 
+        isRanked || false,
+        'Player 1',
+        'Player 2',
+        null,
+        null,
+        ruleSet,
+        ruleOptions,
+        handicapped.handicap,
+        timeControl
       );
       res.json(game);
     } catch (error) {
@@ -253,6 +390,72 @@ export function createRouter(authService, gameManager, eloService, asyncGameMana
     }
   });
 
+  router.post('/async/games/:gameId/swap', (req, res) => {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId required' });
+    }
+
+    try {
+      const game = asyncGameManager.swapSides(req.params.gameId, userId);
+
+      // Tell the other player if they are online
+      if (wsHandler) {
+        wsHandler.broadcastAsyncSwap(req.params.gameId, userId);
+      }
+
+      res.json(game);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/async/games/:gameId/pass', (req, res) => {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId required' });
+    }
+
+    try {
+      const game = asyncGameManager.passTurn(req.params.gameId, userId);
+
+      // Tell the other player if they are online
+      if (wsHandler) {
+        wsHandler.broadcastAsyncPass(req.params.gameId, userId);
+      }
+
+      res.json(game);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/async/games/:gameId/hint', hintLimiter, async (req, res) => {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId required' });
+    }
+
+    try {
+      res.json({ hints: await asyncGameManager.requestHint(req.params.gameId, userId) });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.get('/async/games/:gameId/record', (req, res) => {
+    const record = asyncGameManager.getGameRecord(req.params.gameId);
+    sendRecord(res, req.params.gameId, record);
+  });
+
+  router.get('/async/games/:gameId/analysis', analysisLimiter, (req, res) => {
+    const record = asyncGameManager.getGameRecord(req.params.gameId);
+    sendAnalysis(res, analysisService, req.params.gameId, record);
+  });
+
   router.get('/async/games/:gameId/info', (req, res) => {
     const { userId } = req.query;
     
@@ -268,6 +471,39 @@ export function createRouter(authService, gameManager, eloService, asyncGameMana
     }
   });
 
+  // Vacation pauses all of a player's async games
+  router.get('/async/vacation/:userId', (req, res) => {
+    res.json(asyncGameManager.getVacation(req.params.userId));
+  });
+
+  router.post('/async/vacation', (req, res) => {
+    const { userId, days } = req.body;
+
+    if (!userId || days === undefined) {
+      return res.status(400).json({ error: 'userId and days required' });
+    }
+
+    try {
+      res.json(asyncGameManager.startVacation(userId, days));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/async/vacation/end', (req, res) => {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId required' });
+    }
+
+    try {
+      res.json(asyncGameManager.endVacation(userId));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   // P2P routes for WebRTC signaling
   router.post('/p2p/offer', (req, res) => {
     try {
@@ -3,12 +3,20 @@
  * Manages WebSocket connections and game communication
  */
 
+import { describeBoardShape, describeRules, teamMembers, teamOf, DEFAULT_RULE_SET } from 'dots-js-shared';
+
+// Pause before a bot moves, so its moves do not land at once
+const BOT_MOVE_DELAY = 800; // ms
+
 export class WebSocketHandler {
-  constructor(wss, authService, gameManager, asyncGameManager) {
+  constructor(wss, authService, gameManager, asyncGameManager, botManager = null) {
     this.wss = wss;
     this.authService = authService;
     this.gameManager = gameManager;
     this.asyncGameManager = asyncGameManager;
+    this.botManager = botManager;
+    this.botTimers = new Map(); // gameId -> pending bot turn
+    this.clockTimers = new Map(); // gameId -> pending flag fall check
     this.clients = new Map(); // ws -> { userId, user }
     this.userSockets = new Map(); // userId -> ws
     this.gameToAsync = new Map(); // realtime gameId -> async gameId
@@ -50,7 +58,7 @@ export class WebSocketHandler {
         await this.handleAnonymousAuth(ws, message);
         break;
       case 'create_game':
-        this.handleCreateGame(ws);
+        this.handleCreateGame(ws, message.boardShape, message.ruleSet, message.ruleOptions, message.handicap, message.playerCount, message.teams, message.timeControl, message.asyncTimeControl);
         break;
       case 'join_game':
         this.handleJoinGame(ws, message.gameId);
@@ -59,7 +67,7 @@ export class WebSocketHandler {
         this.handleLeaveGame(ws, message.gameId);
         break;
       case 'find_match':
-        this.handleFindMatch(ws, message.isRanked);
+        this.handleFindMatch(ws, message.isRanked, message.boardShape, message.ruleSet, message.ruleOptions, message.handicap, message.playerCount, message.teams, message.timeControl, message.asyncTimeControl);
         break;
       case 'cancel_match':
         this.handleCancelMatch(ws);
@@ -73,6 +81,21 @@ export class WebSocketHandler {
       case 'resign':
         this.handleResign(ws);
         break;
+      case 'swap':
+        this.handleSwap(ws);
+        break;
+      case 'pass':
+        this.handlePass(ws);
+        break;
+      case 'hint':
+        this.handleHint(ws);
+        break;
+      case 'takeback_request':
+        this.handleTakebackRequest(ws);
+        break;
+      case 'takeback_response':
+        this.handleTakebackResponse(ws, message.accept === true);
+        break;
       default:
         this.sendError(ws, 'Unknown message type');
     }
@@ -152,7 +175,7 @@ export class WebSocketHandler {
     this.broadcastQueueStats();
   }
 
-  handleCreateGame(ws) {
+  handleCreateGame(ws, boardShape, ruleSet, ruleOptions, handicap, playerCount, teams, timeControl, asyncTimeControl) {
     const client = this.clients.get(ws);
     if (!client) {
       this.sendError(ws, 'Not authenticated');
@@ -163,14 +186,22 @@ export class WebSocketHandler {
       name: client.user.name,
       nickname: client.user.nickname,
       picture: client.user.picture
-    });
+    }, boardShape, ruleSet, ruleOptions, handicap, playerCount, teams === true, timeControl, asyncTimeControl);
 
     if (result.success) {
       this.send(ws, {
         type: 'game_created',
         data: {
           gameId: result.gameId,
-          playerNumber: result.playerNumber
+          playerNumber: result.playerNumber,
+          boardShape: result.boardShape,
+          ruleSet: result.ruleSet,
+          ruleOptions: result.ruleOptions,
+          handicap: result.handicap,
+          playerCount: result.playerCount,
+          teams: result.teams,
+          timeControl: result.timeControl,
+          asyncTimeControl: result.asyncTimeControl
         }
       });
     } else {
@@ -214,7 +245,11 @@ export class WebSocketHandler {
               players: {
                 1: { id: asyncGame.player1Id, name: asyncGame.player1Name, nickname: asyncGame.player1Nickname },
                 2: { id: asyncGame.player2Id, name: asyncGame.player2Name, nickname: asyncGame.player2Nickname }
-              }
+              },
+              boardShape: asyncGame.boardShape,
+              ruleSet: asyncGame.ruleSet,
+              ruleOptions: asyncGame.ruleOptions,
+              handicap: asyncGame.handicap
             }
           };
         } else {
@@ -229,15 +264,14 @@ export class WebSocketHandler {
       const game = this.gameManager.getGameInfo(gameId);
       if (game) {
         // Check if this user is one of the players
-        const isPlayer1 = game.players[1]?.id === client.userId;
-        const isPlayer2 = game.players[2]?.id === client.userId;
+        const seat = Object.keys(game.players).find(num => game.players[num]?.id === client.userId);
         
-        if (isPlayer1 || isPlayer2) {
+        if (seat) {
           // Player is rejoining - allow it
           result = {
             success: true,
             gameId,
-            playerNumber: isPlayer1 ? 1 : 2,
+            playerNumber: Number(seat),
             game
           };
         }
@@ -260,15 +294,24 @@ export class WebSocketHandler {
         type: 'game_joined',
         data: {
           gameId: result.gameId,
-          playerNumber: result.playerNumber
+          playerNumber: result.playerNumber,
+          boardShape: result.game?.boardShape,
+          ruleSet: result.game?.ruleSet,
+          ruleOptions: result.game?.ruleOptions,
+          handicap: result.game?.handicap ?? null,
+          playerCount: result.game?.playerCount ?? 2,
+          teams: this.teamSeats(result.game),
+          timeControl: result.game?.timeControl ?? null
         }
       });
 
-      // Notify both players game is starting (for new games only)
+      // Notify all players game is starting (for new games only)
       const game = result.game;
       if (game && game.status === 'playing') {
-        // Save game to async storage so it can be resumed
-        this.saveGameToAsync(gameId, game, false); // Not ranked for join games
+        // Save two-player games to async storage so they can be resumed
+        if (game.playerCount === 2) {
+          this.saveGameToAsync(gameId, game, false); // Not ranked for join games
+        }
         
         this.broadcastToGame(gameId, {
           type: 'game_start',
@@ -276,9 +319,18 @@ export class WebSocketHandler {
             gameId,
             player1: game.players[1],
             player2: game.players[2],
-            currentPlayer: game.currentPlayer
+            players: game.players,
+            playerCount: game.playerCount,
+            teams: this.teamSeats(game),
+            currentPlayer: game.currentPlayer,
+            boardShape: game.boardShape,
+            ruleSet: game.ruleSet,
+            ruleOptions: game.ruleOptions,
+            handicap: game.handicap,
+            clock: game.clock
           }
         });
+        this.scheduleFlag(gameId);
       }
       
       // Notify about player presence
@@ -313,7 +365,7 @@ export class WebSocketHandler {
     }
   }
 
-  handleFindMatch(ws, isRanked = false) {
+  handleFindMatch(ws, isRanked = false, boardShape = 10, ruleSet = DEFAULT_RULE_SET, ruleOptions = {}, useHandicap = false, playerCount = 2, teams = false, timeControl = null, asyncTimeControl = null) {
     const client = this.clients.get(ws);
     if (!client) {
       this.sendError(ws, 'Not authenticated');
@@ -324,7 +376,7 @@ export class WebSocketHandler {
       name: client.user.name,
       nickname: client.user.nickname,
       picture: client.user.picture
-    }, isRanked);
+    }, isRanked, boardShape, ruleSet, ruleOptions, useHandicap === true, playerCount, teams === true, timeControl, asyncTimeControl);
 
     if (result.waiting) {
       this.send(ws, {
@@ -338,45 +390,76 @@ export class WebSocketHandler {
       // Broadcast queue stats to all clients
       this.broadcastQueueStats();
     } else if (result.success) {
-      // Match found - notify both players
-      const ws1 = this.userSockets.get(result.player1);
-      const ws2 = this.userSockets.get(result.player2);
+      this.startMatch(result);
+    } else {
+      this.sendError(ws, result.error);
+    }
+  }
 
-      const startMessage = {
-        type: 'game_start',
-        data: {
-          gameId: result.gameId,
-          player1: result.game.players[1],
-          player2: result.game.players[2],
-          currentPlayer: result.game.currentPlayer,
-          isRanked: result.isRanked
-        }
-      };
+  /**
+   * Start a game found by matchmaking, with players or bots (see botManager.js)
+   */
+  startMatch(result) {
+    // Match found - notify every player
+    const startMessage = {
+      type: 'game_start',
+      data: {
+        gameId: result.gameId,
+        player1: result.game.players[1],
+        player2: result.game.players[2],
+        players: result.game.players,
+        playerCount: result.game.playerCount,
+        teams: this.teamSeats(result.game),
+        currentPlayer: result.game.currentPlayer,
+        isRanked: result.isRanked,
+        boardShape: result.game.boardShape,
+        ruleSet: result.game.ruleSet,
+        ruleOptions: result.game.ruleOptions,
+        handicap: result.game.handicap,
+        clock: result.game.clock
+      }
+    };
 
-      // Save game to async storage
-      const asyncGame = this.saveGameToAsync(result.gameId, result.game, result.isRanked);
+    // Save two-player games to async storage; free-for-all, team and bot games are realtime only
+    const hasBots = Object.values(result.game.players).some(player => player?.isBot);
+    const asyncGame = result.game.playerCount === 2 && !hasBots
+      ? this.saveGameToAsync(result.gameId, result.game, result.isRanked)
+      : null;
+    const roomId = asyncGame?.id ?? result.gameId;
 
-      // Add both players to game room using ASYNC game ID (canonical ID)
-      if (!this.gameRooms.has(asyncGame.id)) {
-        this.gameRooms.set(asyncGame.id, new Set());
-      }
-      this.gameRooms.get(asyncGame.id).add(result.player1);
-      this.gameRooms.get(asyncGame.id).add(result.player2);
-      console.log(`Added players to game room ${asyncGame.id}:`, Array.from(this.gameRooms.get(asyncGame.id)));
+    // Add all players to game room using ASYNC game ID (canonical ID)
+    if (!this.gameRooms.has(roomId)) {
+      this.gameRooms.set(roomId, new Set());
+    }
+    for (const playerId of result.players) {
+      this.gameRooms.get(roomId).add(playerId);
+    }
+    console.log(`Added players to game room ${roomId}:`, Array.from(this.gameRooms.get(roomId)));
 
-      if (ws1) {
-        this.send(ws1, { ...startMessage, data: { ...startMessage.data, playerNumber: 1 } });
+    result.players.forEach((playerId, i) => {
+      const playerWs = this.userSockets.get(playerId);
+      if (playerWs) {
+        const team = result.game.teams ? teamOf(i + 1) : null;
+        this.send(playerWs, { ...startMessage, data: { ...startMessage.data, playerNumber: i + 1, team } });
       }
-      if (ws2) {
-        this.send(ws2, { ...startMessage, data: { ...startMessage.data, playerNumber: 2 } });
-      }
-      
-      // Broadcast presence update to both players using async game ID
-      this.broadcastPresenceUpdate(asyncGame.id);
-      
-      // Broadcast updated queue stats
-      this.broadcastQueueStats();
-    }
+    });
+    
+    // Broadcast presence update to all players using async game ID
+    this.broadcastPresenceUpdate(roomId);
+    
+    // Broadcast updated queue stats
+    this.broadcastQueueStats();
+    this.scheduleBotTurn(result.gameId);
+    this.scheduleFlag(result.gameId);
+  }
+
+  /**
+   * Seats of each team for game events, { 1: [1, 3], 2: [2, 4] },
+   * or null when the game is not a team game
+   */
+  teamSeats(game) {
+    if (!game?.teams) return null;
+    return { 1: teamMembers(1), 2: teamMembers(2) };
   }
 
   handleCancelMatch(ws) {
@@ -425,19 +508,18 @@ export class WebSocketHandler {
     
     // Try to get game from realtime manager first
     let game = this.gameManager.getGameInfo(gameId);
-    let player1Id, player2Id;
+    let playerIds; // seat number -> user id
     
     if (game) {
       // Game is in realtime manager
-      player1Id = game.players[1]?.id || game.players[1]?.userId;
-      player2Id = game.players[2]?.id || game.players[2]?.userId;
+      playerIds = Object.fromEntries(Object.entries(game.players)
+        .map(([num, player]) => [num, player?.id || player?.userId]));
     } else {
       // Check async manager
       const asyncGame = this.asyncGameManager.games.get(gameId);
       if (asyncGame) {
         console.log(`Broadcasting presence for async game ${gameId}`);
-        player1Id = asyncGame.player1Id;
-        player2Id = asyncGame.player2Id;
+        playerIds = { 1: asyncGame.player1Id, 2: asyncGame.player2Id };
       } else {
         console.log(`No game found for ${gameId} in either manager`);
         return;
@@ -446,24 +528,18 @@ export class WebSocketHandler {
     
     // Debug logging
     console.log(`Game ${gameId} presence:`, {
-      player1Id,
-      player2Id,
-      player1IdType: typeof player1Id,
-      player2IdType: typeof player2Id,
+      playerIds,
       playersInRoom: Array.from(playersInRoom),
       playersInRoomTypes: Array.from(playersInRoom).map(id => typeof id)
     });
     
     // Ensure IDs are strings for comparison (Google IDs are strings)
-    const player1IdStr = String(player1Id);
-    const player2IdStr = String(player2Id);
-    
-    const presence = {
-      player1Online: player1Id ? playersInRoom.has(player1IdStr) : false,
-      player2Online: player2Id ? playersInRoom.has(player2IdStr) : false
-    };
+    const presence = {};
+    for (const [num, playerId] of Object.entries(playerIds)) {
+      presence[`player${num}Online`] = playerId ? playersInRoom.has(String(playerId)) : false;
+    }
     
-    console.log('Broadcasting presence update:', { gameId, presence, player1Id: player1IdStr, player2Id: player2IdStr });
+    console.log('Broadcasting presence update:', { gameId, presence, playerIds });
     
     this.broadcastToGame(gameId, {
       type: 'presence_update',
@@ -502,57 +578,15 @@ export class WebSocketHandler {
           captures: result.captures,
           continuesTurn: result.continuesTurn,
           currentPlayer: result.currentPlayer,
-          gameOver: result.gameOver
+          gameOver: result.gameOver,
+          settled: result.settled,
+          clock: result.clock
         }
       });
 
-      // Notify opponent
-      const game = this.gameManager.getGame(result.gameId);
-      if (game) {
-        const opponentNum = result.playerNum === 1 ? 2 : 1;
-        const opponent = game.players[opponentNum];
-        if (opponent) {
-          const opponentWs = this.userSockets.get(opponent.id);
-          if (opponentWs && opponentWs !== ws) {
-            this.send(opponentWs, {
-              type: 'opponent_move',
-              data: {
-                move,
-                playerNum: result.playerNum,
-                captures: result.captures,
-                currentPlayer: result.currentPlayer,
-                gameOver: result.gameOver
-              }
-            });
-          }
-        }
-
-        // Handle game over
-        if (result.gameOver) {
-          // End the async game if it exists
-          const asyncGameId = this.gameToAsync.get(result.gameId);
-          if (asyncGameId) {
-            const asyncGame = this.asyncGameManager.games.get(asyncGameId);
-            if (asyncGame && asyncGame.status === 'active') {
-              // Sync final scores
-              asyncGame.scores = { ...game.scores };
-              asyncGame.winner = game.winner;
-              asyncGame.status = 'completed';
-              this.asyncGameManager.endGame(asyncGameId, 'completed');
-              console.log(`Ended async game ${asyncGameId} with final scores:`, asyncGame.scores);
-            }
-          }
-          
-          this.broadcastToGame(result.gameId, {
-            type: 'game_over',
-            data: {
-              winner: game.winner,
-              scores: game.scores,
-              players: game.players
-            }
-          });
-        }
-      }
+      this.announceMove(result, move, client.userId);
+      this.scheduleBotTurn(result.gameId);
+      this.scheduleFlag(result.gameId);
     } else {
       this.send(ws, {
         type: 'move_result',
@@ -561,6 +595,59 @@ export class WebSocketHandler {
     }
   }
 
+  /**
+   * Tell the other players about a move and everyone about the end of the game
+   */
+  announceMove(result, move, moverId) {
+    const game = this.gameManager.getGame(result.gameId);
+    if (!game) return;
+
+    for (const opponent of this.otherPlayers(game, moverId)) {
+      const opponentWs = this.userSockets.get(opponent.id);
+      if (opponentWs) {
+        this.send(opponentWs, {
+          type: 'opponent_move',
+          data: {
+            move,
+            playerNum: result.playerNum,
+            captures: result.captures,
+            currentPlayer: result.currentPlayer,
+            gameOver: result.gameOver,
+            settled: result.settled,
+            clock: result.clock
+          }
+        });
+      }
+    }
+
+    // Handle game over
+    if (result.gameOver) {
+      // End the async game if it exists
+      const asyncGameId = this.gameToAsync.get(result.gameId);
+      if (asyncGameId) {
+        const asyncGame = this.asyncGameManager.games.get(asyncGameId);
+        if (asyncGame && asyncGame.status === 'active') {
+          // Sync final scores
+          asyncGame.scores = { ...game.scores };
+          asyncGame.winner = game.winner;
+          asyncGame.status = 'completed';
+          this.asyncGameManager.endGame(asyncGameId, 'completed');
+          console.log(`Ended async game ${asyncGameId} with final scores:`, asyncGame.scores);
+        }
+      }
+      
+      this.broadcastToGame(result.gameId, {
+        type: 'game_over',
+        data: {
+          winner: game.winner,
+          scores: game.scores,
+          players: game.players,
+          reason: game.endReason
+        }
+      });
+    }
+  }
+
   handleRematch(ws) {
     const client = this.clients.get(ws);
     if (!client) return;
@@ -568,12 +655,8 @@ export class WebSocketHandler {
     const game = this.gameManager.getPlayerGame(client.userId);
     if (!game) return;
 
-    // Notify opponent about rematch request
-    const playerNum = game.getPlayerNumber(client.userId);
-    const opponentNum = playerNum === 1 ? 2 : 1;
-    const opponent = game.players[opponentNum];
-
-    if (opponent) {
+    // Notify the other players about rematch request
+    for (const opponent of this.otherPlayers(game, client.userId)) {
       const opponentWs = this.userSockets.get(opponent.id);
       if (opponentWs) {
         this.send(opponentWs, {
@@ -652,6 +735,251 @@ export class WebSocketHandler {
     }
   }
 
+  handleSwap(ws) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    const result = this.gameManager.swapSides(client.userId);
+    if (!result.success) {
+      this.sendError(ws, result.error);
+      return;
+    }
+
+    this.syncSwapToAsync(result.gameId, client.userId);
+    this.broadcastToGame(result.gameId, {
+      type: 'sides_swapped',
+      data: {
+        players: result.players,
+        currentPlayer: result.currentPlayer,
+        clock: result.clock
+      }
+    });
+    this.scheduleBotTurn(result.gameId);
+    this.scheduleFlag(result.gameId);
+  }
+
+  /**
+   * Pass the turn. Once every player has passed in a row the game is over.
+   */
+  handlePass(ws) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    const result = this.gameManager.pass(client.userId);
+    if (!result.success) {
+      this.sendError(ws, result.error);
+      return;
+    }
+
+    this.syncPassToAsync(result.gameId, client.userId);
+    this.announcePass(result);
+    this.scheduleBotTurn(result.gameId);
+    this.scheduleFlag(result.gameId);
+  }
+
+  /**
+   * Tell everyone about a pass and, when every player has passed, the end of the game
+   */
+  announcePass(result) {
+    this.broadcastToGame(result.gameId, {
+      type: 'turn_passed',
+      data: {
+        playerNum: result.playerNumber,
+        currentPlayer: result.currentPlayer,
+        gameOver: result.gameOver,
+        clock: result.clock
+      }
+    });
+
+    if (result.gameOver) {
+      const game = this.gameManager.getGame(result.gameId);
+      this.broadcastToGame(result.gameId, {
+        type: 'game_over',
+        data: {
+          winner: game.winner,
+          scores: game.scores,
+          players: game.players,
+          reason: game.endReason
+        }
+      });
+    }
+  }
+
+  /**
+   * Suggest moves to the player to move; only the asking player is told
+   */
+  async handleHint(ws) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    const result = await this.gameManager.requestHint(client.userId).catch(error => ({ success: false, error: error.message }));
+    if (!result.success) {
+      this.sendError(ws, result.error);
+      return;
+    }
+
+    this.syncHintToAsync(result.gameId, result.playerNumber);
+    this.send(ws, {
+      type: 'hint',
+      data: { hints: result.hints }
+    });
+  }
+
+  handleTakebackRequest(ws) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    const result = this.gameManager.requestTakeback(client.userId);
+    if (!result.success) {
+      this.sendError(ws, result.error);
+      return;
+    }
+
+    // Ask the opponents to accept or decline, the first answer counts; bots
+    // always decline. A teammate is not asked.
+    const game = this.gameManager.getGame(result.gameId);
+    const opponents = game.opponentsOf(result.playerNumber).map(num => game.players[num]).filter(Boolean);
+    const bot = opponents.find(opponent => opponent.isBot);
+    if (bot) {
+      this.gameManager.respondToTakeback(bot.id, false);
+      this.send(ws, { type: 'takeback_declined', data: {} });
+      return;
+    }
+    for (const opponent of opponents) {
+      const opponentWs = this.userSockets.get(opponent.id);
+      if (opponentWs) {
+        this.send(opponentWs, {
+          type: 'takeback_requested',
+          data: { from: client.user.name, playerNum: result.playerNumber }
+        });
+      }
+    }
+  }
+
+  handleTakebackResponse(ws, accept) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    const result = this.gameManager.respondToTakeback(client.userId, accept);
+    if (!result.success) {
+      this.sendError(ws, result.error);
+      return;
+    }
+
+    if (!result.accepted) {
+      const game = this.gameManager.getGame(result.gameId);
+      const requester = game.players[result.requestedBy];
+      const requesterWs = requester && this.userSockets.get(requester.id);
+      if (requesterWs) {
+        this.send(requesterWs, { type: 'takeback_declined', data: {} });
+      }
+      return;
+    }
+
+    this.syncTakebackToAsync(result.gameId);
+    this.broadcastToGame(result.gameId, {
+      type: 'takeback',
+      data: {
+        move: result.move,
+        playerNum: result.player,
+        currentPlayer: result.currentPlayer,
+        scores: result.scores,
+        clock: result.clock
+      }
+    });
+    this.scheduleFlag(result.gameId);
+  }
+
+  /**
+   * Let the bot to move play after a short pause, unless it is already about to
+   * or still thinking
+   */
+  scheduleBotTurn(gameId) {
+    if (!this.botManager?.isBotTurn(gameId) || this.botTimers.has(gameId)) return;
+
+    this.botTimers.set(gameId, setTimeout(async () => {
+      const played = await this.playBotTurn(gameId).catch((error) => {
+        console.error(`Bot could not play in game ${gameId}:`, error);
+        return false;
+      });
+      this.botTimers.delete(gameId);
+      // The next bot of a free-for-all game, or the same bot again when the
+      // game moved on while it was thinking
+      if (played) this.scheduleBotTurn(gameId);
+    }, BOT_MOVE_DELAY));
+  }
+
+  /**
+   * Play the bot's turn in the worker and tell everyone. Resolves false when
+   * even the bot's fallback pass was refused, which only an empty clock does:
+   * the game is then ended on time.
+   */
+  async playBotTurn(gameId) {
+    const turn = await this.botManager.playTurn(gameId);
+    if (!turn) return true;
+    if (!turn.result.success) {
+      console.error(`Bot ${turn.botId} could not play in game ${gameId}:`, turn.result.error);
+      this.handleFlag(gameId);
+      return false;
+    }
+
+    if (turn.passed) {
+      this.announcePass(turn.result);
+    } else {
+      this.announceMove(turn.result, turn.move, turn.botId);
+    }
+    this.scheduleFlag(gameId);
+    return true;
+  }
+
+  /**
+   * Check the player to move's clock when it is due to run out; replaces the
+   * check of the previous turn
+   */
+  scheduleFlag(gameId) {
+    clearTimeout(this.clockTimers.get(gameId));
+    this.clockTimers.delete(gameId);
+    const timeLeft = this.gameManager.getGame(gameId)?.timeUntilFlag() ?? null;
+    if (timeLeft === null) return;
+
+    this.clockTimers.set(gameId, setTimeout(() => {
+      this.clockTimers.delete(gameId);
+      this.handleFlag(gameId);
+    }, timeLeft));
+  }
+
+  /**
+   * End a game whose player to move ran out of time and tell everyone
+   */
+  handleFlag(gameId) {
+    if (!this.gameManager.checkFlag(gameId)) {
+      this.scheduleFlag(gameId);
+      return;
+    }
+    const game = this.gameManager.getGame(gameId);
+
+    // Also end the async game if it exists
+    const asyncGameId = this.gameToAsync.get(gameId);
+    const asyncGame = asyncGameId && this.asyncGameManager.games.get(asyncGameId);
+    if (asyncGame && asyncGame.status === 'active') {
+      asyncGame.scores = { ...game.scores };
+      asyncGame.winner = game.winner;
+      this.asyncGameManager.endGame(asyncGameId, 'timeout');
+      console.log(`Ended async game ${asyncGameId} on time with winner ${game.winner}`);
+    }
+
+    this.broadcastToGame(gameId, {
+      type: 'game_over',
+      data: {
+        winner: game.winner,
+        scores: game.scores,
+        players: game.players,
+        reason: game.endReason,
+        clock: game.clockState()
+      }
+    });
+  }
+
   handleDisconnect(ws) {
     const client = this.clients.get(ws);
     if (client) {
@@ -707,9 +1035,7 @@ export class WebSocketHandler {
           if (result && result.gameId) {
             const game = this.gameManager.getGame(result.gameId);
             if (game) {
-              const opponentNum = result.playerNumber === 1 ? 2 : 1;
-              const opponent = game.players[opponentNum];
-              if (opponent) {
+              for (const opponent of this.otherPlayers(game, client.userId)) {
                 const opponentWs = this.userSockets.get(opponent.id);
                 if (opponentWs) {
                   this.send(opponentWs, { type: 'opponent_disconnected' });
@@ -775,9 +1101,9 @@ export class WebSocketHandler {
     }
 
     console.log(`Broadcasting to realtime game ${gameId}`);
-    for (const num of [1, 2]) {
-      if (game.players[num]) {
-        const ws = this.userSockets.get(game.players[num].id);
+    for (const player of Object.values(game.players)) {
+      if (player) {
+        const ws = this.userSockets.get(player.id);
         if (ws) {
           this.send(ws, message);
         }
@@ -785,6 +1111,13 @@ export class WebSocketHandler {
     }
   }
 
+  /**
+   * Players of a realtime game other than the given user
+   */
+  otherPlayers(game, userId) {
+    return Object.values(game.players).filter(player => player && player.id !== userId);
+  }
+
   /**
    * Broadcast an async game move to the opponent if they're online
    */
@@ -819,6 +1152,68 @@ export class WebSocketHandler {
     }
   }
   
+  /**
+   * Tell the other player of an async game that sides were swapped, if they
+   * are online
+   */
+  broadcastAsyncSwap(gameId, swappingPlayerId) {
+    const asyncGame = this.asyncGameManager.games.get(gameId);
+    if (!asyncGame) return;
+
+    const opponentId = asyncGame.player1Id === swappingPlayerId ? asyncGame.player2Id : asyncGame.player1Id;
+    const playersInRoom = this.gameRooms.get(gameId);
+    const opponentWs = playersInRoom?.has(opponentId) && this.userSockets.get(opponentId);
+    if (opponentWs) {
+      this.send(opponentWs, {
+        type: 'sides_swapped',
+        data: {
+          players: {
+            1: { id: asyncGame.player1Id, name: asyncGame.player1Name, nickname: asyncGame.player1Nickname },
+            2: { id: asyncGame.player2Id, name: asyncGame.player2Name, nickname: asyncGame.player2Nickname }
+          },
+          currentPlayer: asyncGame.currentPlayer
+        }
+      });
+    }
+  }
+
+  /**
+   * Tell the other player of an async game about a pass, and about the end of
+   * the game when both players passed, if they are online
+   */
+  broadcastAsyncPass(gameId, passingPlayerId) {
+    const asyncGame = this.asyncGameManager.games.get(gameId);
+    if (!asyncGame) return;
+
+    const isPlayer1 = asyncGame.player1Id === passingPlayerId;
+    const opponentId = isPlayer1 ? asyncGame.player2Id : asyncGame.player1Id;
+    const playersInRoom = this.gameRooms.get(gameId);
+    const opponentWs = playersInRoom?.has(opponentId) && this.userSockets.get(opponentId);
+    if (!opponentWs) return;
+
+    const gameOver = asyncGame.status !== 'active';
+    this.send(opponentWs, {
+      type: 'turn_passed',
+      data: {
+        playerNum: isPlayer1 ? 1 : 2,
+        currentPlayer: asyncGame.currentPlayer,
+        gameOver
+      }
+    });
+
+    if (gameOver) {
+      const { scores } = asyncGame;
+      this.send(opponentWs, {
+        type: 'game_over',
+        data: {
+          winner: asyncGame.winner ?? (scores[1] > scores[2] ? 1 : scores[2] > scores[1] ? 2 : null),
+          scores,
+          reason: asyncGame.status
+        }
+      });
+    }
+  }
+
   /**
    * Save a realtime game to async storage for persistence
    */
@@ -832,22 +1227,26 @@ export class WebSocketHandler {
       const player1Nickname = game.players[1].nickname;
       const player2Nickname = game.players[2].nickname;
       
-      // Create async game with same grid size as realtime game
+      // Create async game with the same board shape and chosen turn-based time control
       const asyncGame = this.asyncGameManager.createGame(
         player1Id,
         player2Id,
-        game.gridSize || 10, // Use stored gridSize, default to 10
+        game.boardShape || 10,
         isRanked,
         player1Name,
         player2Name,
         player1Nickname,
-        player2Nickname
+        player2Nickname,
+        game.ruleSet,
+        game.ruleOptions,
+        game.handicap,
+        game.asyncTimeControl
       );
       
       // Map realtime gameId to async gameId
       this.gameToAsync.set(realtimeGameId, asyncGame.id);
       
-      console.log(`Saved realtime game ${realtimeGameId} (gridSize: ${game.gridSize}) as async game ${asyncGame.id}`);
+      console.log(`Saved realtime game ${realtimeGameId} (board: ${describeBoardShape(asyncGame.boardShape)}, rules: ${describeRules(asyncGame.ruleSet, asyncGame.ruleOptions)}) as async game ${asyncGame.id}`);
       
       return asyncGame; // Return so caller can use the async ID
     } catch (error) {
@@ -885,4 +1284,48 @@ export class WebSocketHandler {
       console.error('Failed to sync move to async storage:', error);
     }
   }
+
+  syncSwapToAsync(realtimeGameId, userId) {
+    const asyncGameId = this.gameToAsync.get(realtimeGameId);
+    if (!asyncGameId) return;
+
+    try {
+      this.asyncGameManager.swapSides(asyncGameId, userId);
+      console.log(`Synced swap to async storage: gameId=${asyncGameId}`);
+    } catch (error) {
+      console.error('Failed to sync swap to async storage:', error);
+    }
+  }
+
+  syncPassToAsync(realtimeGameId, userId) {
+    const asyncGameId = this.gameToAsync.get(realtimeGameId);
+    if (!asyncGameId) return;
+
+    try {
+      this.asyncGameManager.passTurn(asyncGameId, userId);
+      console.log(`Synced pass to async storage: gameId=${asyncGameId}`);
+    } catch (error) {
+      console.error('Failed to sync pass to async storage:', error);
+    }
+  }
+
+  syncHintToAsync(realtimeGameId, playerNum) {
+    const asyncGame = this.asyncGameManager.games.get(this.gameToAsync.get(realtimeGameId));
+    if (!asyncGame) return;
+
+    asyncGame.hints ??= { 1: 0, 2: 0 };
+    asyncGame.hints[playerNum]++;
+  }
+
+  syncTakebackToAsync(realtimeGameId) {
+    const asyncGameId = this.gameToAsync.get(realtimeGameId);
+    if (!asyncGameId) return;
+
+    try {
+      const move = this.asyncGameManager.undoLastMove(asyncGameId);
+      console.log(`Synced takeback to async storage: gameId=${asyncGameId}, move:`, move);
+    } catch (error) {
+      console.error('Failed to sync takeback to async storage:', error);
+    }
+  }
 }
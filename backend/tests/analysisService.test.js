@@ -0,0 +1,42 @@
+/**
+ * Analysis Service Tests
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { AnalysisService } from '../src/game/analysisService.js';
+
+function record(result) {
+  return `[Board "4x4"]\n[Result "${result}"]\n\n1. 1,1 2,2 2. 1,2 2,1\n`;
+}
+
+describe('AnalysisService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new AnalysisService();
+  });
+
+  it('should analyse a finished game in a worker', async () => {
+    const report = await service.analyze(record('1/2-1/2'));
+    assert.strictEqual(report.moves.length, 4);
+    assert.deepStrictEqual(report.moves.map(({ player }) => player), [1, 2, 1, 2]);
+    assert.deepStrictEqual(Object.keys(report.blunders), ['1', '2']);
+  });
+
+  it('should cache reports per game', async () => {
+    const first = service.analyze(record('1/2-1/2'), 'game-1');
+    const second = service.analyze(record('1/2-1/2'), 'game-1');
+    assert.strictEqual(await first, await second);
+    assert.strictEqual(await service.analyze(record('1/2-1/2'), 'game-1'), await first);
+  });
+
+  it('should refuse games in progress and moves that do not replay', async () => {
+    await assert.rejects(service.analyze(record('*'), 'game-2'), /still in progress/);
+    await assert.rejects(
+      service.analyze('[Board "4x4"]\n[Result "1-0"]\n\n1. 1,1 1,1\n', 'game-3'),
+      /move 2 at 1,1 is not legal/
+    );
+    assert.strictEqual(service.reports.has('game-3'), false);
+  });
+});
@@ -0,0 +1,482 @@
+/**
+ * Async Game Manager Tests
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { AsyncGameManager, VACATION_DAYS_PER_YEAR } from '../src/game/asyncGameManager.js';
+import { GameState } from '../src/game/gameState.js';
+import { EloService } from '../src/elo/eloService.js';
+import { parseGameRecord, replayGameRecord } from 'dots-js-shared';
+
+// Player 2 dot at (2,2) surrounded by player 1; player 2 fills in elsewhere
+const ENCLOSURE_MOVES = [
+  { x: 1, y: 2 }, // P1
+  { x: 2, y: 2 }, // P2 - will be captured
+  { x: 3, y: 2 }, // P1
+  { x: 0, y: 0 }, // P2
+  { x: 2, y: 1 }, // P1
+  { x: 4, y: 4 }, // P2
+  { x: 2, y: 3 }  // P1 - completes enclosure
+];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('AsyncGameManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new AsyncGameManager(new EloService());
+  });
+
+  afterEach(() => {
+    manager.stopTimeoutChecker();
+  });
+
+  function playMoves(game, moves) {
+    let result;
+    for (const move of moves) {
+      const userId = game.currentPlayer === 1 ? game.player1Id : game.player2Id;
+      result = manager.makeMove(game.id, userId, move.x, move.y);
+    }
+    return result;
+  }
+
+  describe('makeMove', () => {
+    it('should reject a move on an occupied dot', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      manager.makeMove(game.id, 'alice', 2, 2);
+      assert.throws(() => manager.makeMove(game.id, 'bob', 2, 2), /already occupied/);
+    });
+
+    it('should reject a position that is not whole numbers', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      assert.throws(() => manager.makeMove(game.id, 'alice', '2', '2'), /whole numbers/);
+      assert.throws(() => manager.makeMove(game.id, 'alice', 1.5, 2), /whole numbers/);
+      assert.strictEqual(game.moves.length, 0);
+    });
+
+    it('should reject a move outside the board', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      assert.throws(() => manager.makeMove(game.id, 'alice', 5, 0), /out of bounds/);
+    });
+
+    it('should capture an enclosed enemy dot', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      const result = playMoves(game, ENCLOSURE_MOVES);
+
+      assert.deepStrictEqual(result.capturedDots, [{ x: 2, y: 2 }]);
+
+      const dot = manager.getBoardLogic(game).getDot(2, 2);
+      assert.strictEqual(dot.owner, null);
+      assert.strictEqual(dot.captured, true);
+      assert.strictEqual(dot.capturedBy, 1);
+    });
+
+    it('should score like a realtime game given the same moves', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      playMoves(game, ENCLOSURE_MOVES);
+
+      const realtime = new GameState('realtime', 5);
+      realtime.addPlayer('alice', {});
+      realtime.addPlayer('bob', {});
+      for (const move of ENCLOSURE_MOVES) {
+        const playerId = realtime.currentPlayer === 1 ? 'alice' : 'bob';
+        realtime.makeMove(playerId, move.x, move.y);
+      }
+
+      assert.deepStrictEqual(game.scores, realtime.scores);
+      assert.deepStrictEqual(game.scores, { 1: 5, 2: 2 });
+    });
+
+    it('should store the serialized board on the game record', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      playMoves(game, ENCLOSURE_MOVES);
+
+      const dots = new Map(game.board.dots);
+      assert.strictEqual(dots.get('2,2').capturedBy, 1);
+      assert.strictEqual(dots.get('1,2').owner, 1);
+    });
+  });
+
+  describe('board shapes', () => {
+    it('should create a rectangular game with a mask', () => {
+      const game = manager.createGame('alice', 'bob', { width: 7, height: 5, mask: 'cross' });
+
+      assert.strictEqual(game.boardShape.width, 7);
+      assert.strictEqual(game.boardShape.height, 5);
+      assert.strictEqual(game.boardShape.mask[0], '##...##');
+      assert.throws(() => manager.makeMove(game.id, 'alice', 0, 0), /out of bounds/);
+      manager.makeMove(game.id, 'alice', 6, 2);
+      assert.strictEqual(game.moves.length, 1);
+    });
+
+    it('should start from a layout with blocked and pre-placed dots', () => {
+      const mask = ['x.....', '......', '......', '......', '......', '......'];
+      const game = manager.createGame('alice', 'bob', { width: 6, height: 6, mask, start: 'cross' });
+
+      assert.throws(() => manager.makeMove(game.id, 'alice', 0, 0), /is blocked/);
+      assert.throws(() => manager.makeMove(game.id, 'alice', 2, 2), /already occupied/);
+      manager.makeMove(game.id, 'alice', 1, 1);
+
+      manager.boards.delete(game.id);
+      const rebuilt = manager.getBoardLogic(game);
+      assert.strictEqual(rebuilt.getDot(3, 2).owner, 2);
+      assert.strictEqual(rebuilt.getDot(1, 1).owner, 1);
+      assert.strictEqual(rebuilt.getMoveHistory().length, 1);
+    });
+
+    it('should reject an invalid board shape', () => {
+      assert.throws(() => manager.createGame('alice', 'bob', { width: 5, height: 1 }), /between/);
+    });
+
+    it('should rebuild a shaped board from the move list', () => {
+      const game = manager.createGame('alice', 'bob', { width: 8, height: 5 });
+      manager.makeMove(game.id, 'alice', 7, 4);
+
+      manager.boards.delete(game.id);
+      const rebuilt = manager.getBoardLogic(game);
+
+      assert.deepStrictEqual(rebuilt.getShape(), game.boardShape);
+      assert.strictEqual(rebuilt.getDot(7, 4).owner, 1);
+    });
+  });
+
+  describe('rule sets', () => {
+    it('should default to territory rules', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      assert.strictEqual(game.ruleSet, 'territory');
+    });
+
+    it('should score classic games by captured enemy dots', () => {
+      const game = manager.createGame('alice', 'bob', 5, false, 'Alice', 'Bob', null, null, 'classic');
+      const result = playMoves(game, ENCLOSURE_MOVES);
+
+      assert.deepStrictEqual(result.capturedDots, [{ x: 2, y: 2 }]);
+      assert.deepStrictEqual(game.scores, { 1: 1, 2: 0 });
+      assert.strictEqual(manager.getGameInfo(game.id, 'alice').ruleSet, 'classic');
+    });
+
+    it('should score like a realtime classic game and keep the rules when serialized', () => {
+      const game = manager.createGame('alice', 'bob', 5, false, 'Alice', 'Bob', null, null, 'classic');
+      playMoves(game, ENCLOSURE_MOVES);
+
+      const realtime = new GameState('realtime', 5, 'classic');
+      realtime.addPlayer('alice', {});
+      realtime.addPlayer('bob', {});
+      for (const move of ENCLOSURE_MOVES) {
+        const playerId = realtime.currentPlayer === 1 ? 'alice' : 'bob';
+        realtime.makeMove(playerId, move.x, move.y);
+      }
+
+      assert.deepStrictEqual(realtime.scores, game.scores);
+      const restored = GameState.deserialize(JSON.parse(JSON.stringify(realtime.serialize())));
+      assert.strictEqual(restored.ruleSet, 'classic');
+      assert.strictEqual(restored.boardLogic.ruleSet, 'classic');
+    });
+
+    it('should replay a classic game with classic rules', () => {
+      const game = manager.createGame('alice', 'bob', 5, false, 'Alice', 'Bob', null, null, 'classic');
+      playMoves(game, ENCLOSURE_MOVES.slice(0, 6));
+
+      manager.boards.delete(game.id);
+      assert.strictEqual(manager.getBoardLogic(game).ruleSet, 'classic');
+    });
+
+    it('should reject an unknown rule set', () => {
+      assert.throws(() => manager.createGame('alice', 'bob', 5, false, 'Alice', 'Bob', null, null, 'go'), /Unknown rule set/);
+    });
+
+    it('should save rule options and replay with them', () => {
+      const game = manager.createGame('alice', 'bob', 5, false, 'Alice', 'Bob', null, null, 'territory', { enemyDotValue: 2 });
+      playMoves(game, ENCLOSURE_MOVES);
+
+      assert.strictEqual(game.ruleOptions.enemyDotValue, 2);
+      assert.deepStrictEqual(game.scores, { 1: 6, 2: 2 });
+      assert.deepStrictEqual(manager.getGameInfo(game.id, 'bob').ruleOptions, game.ruleOptions);
+
+      manager.boards.delete(game.id);
+      assert.strictEqual(manager.getBoardLogic(game).calculateScore(1), 6);
+    });
+
+    it('should reject invalid rule options', () => {
+      assert.throws(
+        () => manager.createGame('alice', 'bob', 5, false, 'Alice', 'Bob', null, null, 'territory', { enemyDotValue: 5 }),
+        /must be 1 or 2/
+      );
+    });
+  });
+
+  describe('handicap', () => {
+    it('should let the weaker player make the extra opening moves', () => {
+      const handicap = { player: 1, count: 2, type: 'moves' };
+      const game = manager.createGame('alice', 'bob', 5, false, 'Alice', 'Bob', null, null, 'territory', {}, handicap);
+
+      manager.makeMove(game.id, 'alice', 0, 0);
+      manager.makeMove(game.id, 'alice', 1, 0);
+      assert.throws(() => manager.makeMove(game.id, 'bob', 2, 0), /Not your turn/);
+      manager.makeMove(game.id, 'alice', 2, 0);
+      manager.makeMove(game.id, 'bob', 3, 0);
+
+      assert.strictEqual(game.currentPlayer, 1);
+      assert.deepStrictEqual(manager.getGameInfo(game.id, 'bob').handicap, handicap);
+      assert.deepStrictEqual(parseGameRecord(manager.getGameRecord(game.id)).moves.map(m => m.player), [1, 1, 1, 2]);
+    });
+  });
+
+  describe('swap rule', () => {
+    it('should swap the seats and keep the swap in the move history', () => {
+      const game = manager.createGame('alice', 'bob', 5, false, 'Alice', 'Bob', null, null, 'territory', { swapRule: true });
+      manager.makeMove(game.id, 'alice', 2, 2);
+      manager.swapSides(game.id, 'bob');
+
+      assert.strictEqual(game.player1Id, 'bob');
+      assert.strictEqual(game.player2Name, 'Alice');
+      assert.throws(() => manager.undoLastMove(game.id), /cannot be taken back/);
+      manager.makeMove(game.id, 'alice', 1, 1);
+      assert.strictEqual(game.currentPlayer, 1);
+
+      manager.boards.delete(game.id);
+      assert.strictEqual(manager.getBoardLogic(game).getMoveHistory().length, 2);
+      assert.strictEqual(parseGameRecord(manager.getGameRecord(game.id)).swapped, true);
+    });
+
+    it('should refuse a swap the rules do not allow', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      manager.makeMove(game.id, 'alice', 2, 2);
+
+      assert.throws(() => manager.swapSides(game.id, 'bob'), /not played with the swap rule/);
+      assert.throws(() => manager.swapSides(game.id, 'carol'), /Not a player/);
+    });
+  });
+
+  describe('undoLastMove', () => {
+    it('should restore the board and scores from before the last move', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      playMoves(game, ENCLOSURE_MOVES.slice(0, -1));
+      const scoresBefore = { ...game.scores };
+      playMoves(game, ENCLOSURE_MOVES.slice(-1));
+
+      const move = manager.undoLastMove(game.id);
+
+      assert.deepStrictEqual(move, { x: 2, y: 3, player: 1 });
+      assert.deepStrictEqual(game.scores, scoresBefore);
+      assert.strictEqual(game.currentPlayer, 1);
+      assert.strictEqual(manager.getBoardLogic(game).getDot(2, 2).owner, 2);
+      assert.strictEqual(new Map(game.board.dots).get('2,3').owner, null);
+    });
+
+    it('should undo a move of a game that was not loaded', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      playMoves(game, ENCLOSURE_MOVES);
+
+      manager.boards.delete(game.id);
+      manager.undoLastMove(game.id);
+
+      assert.strictEqual(manager.getBoardLogic(game).isDotClickable(2, 3), true);
+      assert.strictEqual(game.moves.length, ENCLOSURE_MOVES.length - 1);
+    });
+
+    it('should reject an undo without moves', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      assert.throws(() => manager.undoLastMove(game.id), /No moves to undo/);
+    });
+  });
+
+  describe('requestHint', () => {
+    it('should suggest moves in unranked games and count them in the record', async () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      playMoves(game, ENCLOSURE_MOVES.slice(0, 6));
+
+      const [best] = await manager.requestHint(game.id, 'alice');
+      assert.deepStrictEqual({ x: best.x, y: best.y, captures: best.captures }, { x: 2, y: 3, captures: 1 });
+      await assert.rejects(manager.requestHint(game.id, 'bob'), /Not your turn/);
+      assert.deepStrictEqual(parseGameRecord(manager.getGameRecord(game.id)).hints, { 1: 1, 2: 0 });
+    });
+
+    it('should work out one hint per player at a time', async () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      const first = manager.requestHint(game.id, 'alice');
+
+      await assert.rejects(manager.requestHint(game.id, 'alice'), /already being worked out/);
+      await first;
+      await manager.requestHint(game.id, 'alice');
+      assert.deepStrictEqual(game.hints, { 1: 2, 2: 0 });
+    });
+
+    it('should not give hints in ranked games', async () => {
+      const game = manager.createGame('alice', 'bob', 5, true);
+      await assert.rejects(manager.requestHint(game.id, 'alice'), /Hints are not allowed in ranked games/);
+    });
+  });
+
+  describe('getGameRecord', () => {
+    it('should export an unfinished game that replays to the same board', () => {
+      const game = manager.createGame('alice', 'bob', { width: 7, height: 5 }, false, 'Alice', 'Bob', null, null, 'territory', { enemyDotValue: 2 });
+      playMoves(game, ENCLOSURE_MOVES);
+
+      const { record, scores, boardLogic } = replayGameRecord(manager.getGameRecord(game.id));
+
+      assert.strictEqual(record.result, '*');
+      assert.deepStrictEqual(record.boardShape, game.boardShape);
+      assert.deepStrictEqual(record.ruleOptions, game.ruleOptions);
+      assert.deepStrictEqual(scores, game.scores);
+      assert.deepStrictEqual(boardLogic.serialize().dots, manager.getBoardLogic(game).serialize().dots);
+    });
+
+    it('should record the result of a timed out game separately from the score', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      playMoves(game, ENCLOSURE_MOVES);
+      game.turnDeadline = 0;
+      manager.checkTimeouts();
+
+      const record = parseGameRecord(manager.getGameRecord(game.id));
+
+      assert.strictEqual(record.result, '1-0');
+      assert.strictEqual(record.termination, 'timeout');
+      assert.deepStrictEqual(record.scores, { 1: 5, 2: 2 });
+    });
+  });
+
+  describe('resuming', () => {
+    it('should rebuild the board from the move list when it is not loaded', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      playMoves(game, ENCLOSURE_MOVES);
+
+      manager.boards.delete(game.id);
+      const rebuilt = manager.getBoardLogic(game);
+
+      assert.strictEqual(rebuilt.getDot(2, 2).capturedBy, 1);
+      assert.strictEqual(rebuilt.calculateScore(1), game.scores[1]);
+      assert.strictEqual(rebuilt.calculateScore(2), game.scores[2]);
+    });
+
+    it('should end the game when the board is full', () => {
+      const game = manager.createGame('alice', 'bob', 2);
+      playMoves(game, [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }]);
+
+      assert.strictEqual(game.status, 'completed');
+    });
+  });
+
+  describe('time controls', () => {
+    it('should default to a day per move for ranked and a week for unranked games', () => {
+      const ranked = manager.createGame('alice', 'bob', 5, true);
+      const unranked = manager.createGame('carol', 'dave', 5);
+
+      assert.deepStrictEqual(ranked.timeControl, { perMove: 24, reserve: 0 });
+      assert.strictEqual(ranked.turnDeadline - ranked.turnStartedAt, DAY);
+      assert.strictEqual(unranked.turnDeadline - unranked.turnStartedAt, 7 * DAY);
+    });
+
+    it('should charge time beyond the time per move to the reserve', () => {
+      const game = manager.createGame('alice', 'bob', 5, false, 'Player 1', 'Player 2', null, null, undefined, {}, null, { perMove: 24, reserve: 48 });
+      assert.strictEqual(game.turnDeadline - game.turnStartedAt, 3 * DAY);
+
+      // Alice takes 30 hours: 6 of them come out of her reserve
+      game.turnStartedAt -= 30 * HOUR;
+      manager.makeMove(game.id, 'alice', 0, 0);
+
+      assert.ok(Math.abs(game.reserve[1] - 42 * HOUR) < 1000);
+      assert.strictEqual(game.reserve[2], 48 * HOUR);
+      assert.strictEqual(game.turnDeadline - game.turnStartedAt, 3 * DAY);
+      assert.strictEqual(manager.getGameInfo(game.id, 'alice').myReserve, game.reserve[1]);
+    });
+
+    it('should reject an invalid time control', () => {
+      assert.throws(
+        () => manager.createGame('alice', 'bob', 5, false, 'Player 1', 'Player 2', null, null, undefined, {}, null, { perMove: 0 }),
+        /per move must be between/
+      );
+    });
+  });
+
+  describe('vacation', () => {
+    it('should pause the games of a player on vacation', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      const now = Date.now();
+      manager.startVacation('bob', 3, now);
+
+      assert.ok(manager.getGameInfo(game.id, 'alice').paused);
+      manager.checkTimeouts(game.turnDeadline + DAY);
+      assert.strictEqual(game.status, 'active');
+    });
+
+    it('should refuse moves, passes and swaps while a game is paused', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      manager.startVacation('bob', 3);
+
+      assert.throws(() => manager.makeMove(game.id, 'alice', 2, 2), /paused while a player is on vacation/);
+      assert.throws(() => manager.passTurn(game.id, 'alice'), /paused/);
+      assert.throws(() => manager.swapSides(game.id, 'bob'), /paused/);
+      assert.strictEqual(game.moves.length, 0);
+
+      manager.endVacation('bob');
+      manager.makeMove(game.id, 'alice', 2, 2);
+      assert.strictEqual(game.moves.length, 1);
+    });
+
+    it('should let players move once a vacation has run out', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      manager.startVacation('bob', 1, Date.now() - 2 * DAY);
+      assert.ok(game.pausedAt);
+
+      manager.makeMove(game.id, 'alice', 2, 2);
+      assert.strictEqual(game.pausedAt, null);
+      assert.strictEqual(game.moves.length, 1);
+    });
+
+    it('should move the deadline on by the time paused when the vacation ends', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      const now = game.turnStartedAt;
+      const deadline = game.turnDeadline;
+      manager.startVacation('alice', 3, now);
+
+      const vacation = manager.endVacation('alice', now + DAY);
+
+      assert.strictEqual(game.pausedAt, null);
+      assert.strictEqual(game.turnDeadline, deadline + DAY);
+      // The two whole days not taken are given back
+      assert.strictEqual(vacation.used, 1);
+      assert.strictEqual(vacation.until, null);
+    });
+
+    it('should stay paused while the opponent is still on vacation', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      const now = Date.now();
+      manager.startVacation('alice', 2, now);
+      manager.startVacation('bob', 5, now);
+
+      manager.endVacation('alice', now + HOUR);
+
+      assert.ok(game.pausedAt);
+    });
+
+    it('should resume games when a vacation runs out', () => {
+      const game = manager.createGame('alice', 'bob', 5);
+      const now = game.turnStartedAt;
+      const deadline = game.turnDeadline;
+      manager.startVacation('alice', 2, now);
+
+      manager.checkTimeouts(now + 3 * DAY);
+
+      assert.strictEqual(game.pausedAt, null);
+      assert.strictEqual(game.turnDeadline, deadline + 2 * DAY);
+      assert.strictEqual(game.status, 'active');
+      assert.strictEqual(manager.getVacation('alice', now + 3 * DAY).remaining, VACATION_DAYS_PER_YEAR - 2);
+    });
+
+    it('should enforce the yearly allowance', () => {
+      const now = Date.UTC(2026, 5, 1);
+      manager.startVacation('alice', VACATION_DAYS_PER_YEAR - 1, now);
+      assert.throws(() => manager.startVacation('alice', 1, now + DAY), /Already on vacation/);
+
+      const back = now + VACATION_DAYS_PER_YEAR * DAY;
+      assert.throws(() => manager.startVacation('alice', 2, back), /Only 1 vacation days left/);
+      assert.throws(() => manager.startVacation('alice', 0, back), /whole number of days/);
+      // The allowance starts over with the new year
+      assert.strictEqual(manager.getVacation('alice', Date.UTC(2027, 0, 1)).remaining, VACATION_DAYS_PER_YEAR);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Bot Manager Tests
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { BotManager } from '../src/game/botManager.js';
+import { GameManager } from '../src/game/gameManager.js';
+import { EloService } from '../src/elo/eloService.js';
+import { GameStatus } from '../src/game/gameState.js';
+
+const WAIT = 30000;
+
+describe('BotManager', () => {
+  let eloService;
+  let manager;
+  let bots;
+
+  beforeEach(() => {
+    eloService = new EloService();
+    manager = new GameManager(eloService);
+    bots = new BotManager(manager, { wait: WAIT });
+  });
+
+  function queue(playerId, ...options) {
+    manager.addToMatchmaking(playerId, { name: playerId }, false, ...options);
+    return manager.unrankedQueue.find(entry => entry.playerId === playerId);
+  }
+
+  describe('matchWaitingPlayers', () => {
+    it('should leave players alone until they have waited long enough', () => {
+      const entry = queue('alice', 5);
+      assert.deepStrictEqual(bots.matchWaitingPlayers(entry.joinedAt + WAIT - 1), []);
+      assert.strictEqual(manager.unrankedQueue.length, 1);
+    });
+
+    it('should seat a bot with a player who waited too long', () => {
+      const entry = queue('alice', 5, 'classic');
+      const [match] = bots.matchWaitingPlayers(entry.joinedAt + WAIT);
+
+      const game = manager.getGame(match.gameId);
+      assert.strictEqual(game.players[1].id, 'alice');
+      assert.strictEqual(game.players[2].isBot, true);
+      assert.match(game.players[2].name, /Bot/);
+      assert.strictEqual(game.ruleSet, 'classic');
+      assert.strictEqual(game.isRanked, false);
+      assert.strictEqual(game.status, GameStatus.PLAYING);
+      assert.strictEqual(manager.unrankedQueue.length, 0);
+    });
+
+    it('should fill every empty seat of a free-for-all game', () => {
+      const entry = queue('alice', 5, 'territory', {}, false, 3);
+      const [match] = bots.matchWaitingPlayers(entry.joinedAt + WAIT);
+
+      const game = manager.getGame(match.gameId);
+      assert.deepStrictEqual(game.seats().map(num => game.isBot(num)), [false, true, true]);
+    });
+
+    it('should not join ranked games or play when turned off', () => {
+      manager.addToMatchmaking('alice', {}, true, 5);
+      const entry = queue('bob', 5);
+      assert.deepStrictEqual(new BotManager(manager, { wait: 0 }).matchWaitingPlayers(entry.joinedAt + WAIT), []);
+
+      bots.matchWaitingPlayers(entry.joinedAt + WAIT);
+      assert.strictEqual(manager.rankedQueue.length, 1);
+      assert.strictEqual(manager.unrankedQueue.length, 0);
+    });
+  });
+
+  describe('playTurn', () => {
+    function startBotGame(...options) {
+      const entry = queue('alice', ...options);
+      const [match] = bots.matchWaitingPlayers(entry.joinedAt + WAIT);
+      return manager.getGame(match.gameId);
+    }
+
+    it('should only play on a bot\'s turn', async () => {
+      const game = startBotGame(5);
+      assert.strictEqual(await bots.playTurn(game.id), null);
+
+      manager.makeMove('alice', 2, 2);
+      const turn = await bots.playTurn(game.id);
+      assert.strictEqual(turn.result.success, true);
+      assert.strictEqual(turn.result.playerNum, 2);
+      assert.strictEqual(game.boardLogic.getDot(turn.move.x, turn.move.y).owner, 2);
+      assert.strictEqual(game.currentPlayer, 1);
+    });
+
+    it('should pass to finish a settled game after the player passes', async () => {
+      // On a 2x2 classic board nothing can be captured
+      const game = startBotGame(2, 'classic');
+      manager.makeMove('alice', 0, 0);
+      assert.ok((await bots.playTurn(game.id)).move);
+
+      manager.pass('alice');
+      assert.strictEqual((await bots.playTurn(game.id)).passed, true);
+      assert.strictEqual(game.endReason, 'settled');
+    });
+
+    it('should pass when its search fails', async () => {
+      bots = new BotManager(manager, { wait: WAIT, search: async () => { throw new Error('Worker stopped'); } });
+      const game = startBotGame(5);
+      manager.makeMove('alice', 2, 2);
+
+      const turn = await bots.playTurn(game.id);
+      assert.strictEqual(turn.passed, true);
+      assert.strictEqual(turn.result.success, true);
+      assert.strictEqual(game.currentPlayer, 1);
+    });
+
+    it('should pass when its move is refused', async () => {
+      bots = new BotManager(manager, { wait: WAIT, search: async () => ({ x: 2, y: 2 }) });
+      const game = startBotGame(5);
+      manager.makeMove('alice', 2, 2);
+
+      const turn = await bots.playTurn(game.id);
+      assert.strictEqual(turn.passed, true);
+      assert.strictEqual(game.moves.at(-1).pass, true);
+      assert.strictEqual(game.currentPlayer, 1);
+    });
+
+    it('should drop its move when the game ends while it thinks', async () => {
+      const game = startBotGame(5);
+      manager.makeMove('alice', 2, 2);
+
+      const turn = bots.playTurn(game.id);
+      manager.handleDisconnect('alice');
+
+      assert.strictEqual(await turn, null);
+      assert.strictEqual(game.moves.length, 1);
+    });
+  });
+
+  it('should keep bot games out of the ratings', async () => {
+    const { gameId } = manager.createGame('alice', { name: 'Alice' }, 5);
+    const bot = bots.createBot();
+    manager.joinGame(gameId, bot.id, bot.data);
+    const game = manager.getGame(gameId);
+    game.isRanked = true;
+    game.finishGame();
+    await manager.handleGameOver(gameId);
+
+    assert.strictEqual(eloService.getRating('alice').gamesPlayed, 0);
+    assert.strictEqual(eloService.ratings.has(bot.id), false);
+  });
+});
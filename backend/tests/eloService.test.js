@@ -95,6 +95,17 @@ describe('EloService', () => {
       assert.strictEqual(p2.losses, 1);
     });
 
+    it('should expect more of a player given a handicap', async () => {
+      eloService.ratings.set('strong', { rating: 1700, gamesPlayed: 20, wins: 0, losses: 0, draws: 0 });
+      eloService.ratings.set('weak', { rating: 1500, gamesPlayed: 20, wins: 0, losses: 0, draws: 0 });
+
+      // Two handicap dots make up for the 200 point gap: a win is worth half
+      const result = await eloService.updateRatings('strong', 'weak', 1, { player: 2, count: 2, type: 'dots' });
+
+      assert.strictEqual(result.player1.change, 16);
+      assert.strictEqual(result.player2.change, -16);
+    });
+
     it('should increment games played', async () => {
       await eloService.updateRatings('player1', 'player2', 1);
       
@@ -106,6 +117,53 @@ describe('EloService', () => {
     });
   });
 
+  describe('updateFreeForAllRatings', () => {
+    it('should rate each player against every other by place', async () => {
+      for (const id of ['a', 'b', 'c', 'd']) {
+        eloService.ratings.set(id, { rating: 1500, gamesPlayed: 20, wins: 0, losses: 0, draws: 0 });
+      }
+
+      const result = await eloService.updateFreeForAllRatings([
+        { userId: 'a', place: 1 },
+        { userId: 'b', place: 2 },
+        { userId: 'c', place: 3 },
+        { userId: 'd', place: 4 }
+      ]);
+
+      // Beating all three opponents is worth as much as one two-player win
+      assert.deepStrictEqual(['a', 'b', 'c', 'd'].map(id => result[id].change), [16, 5, -5, -16]);
+      assert.strictEqual(eloService.getRating('a').wins, 1);
+      assert.strictEqual(eloService.getRating('b').losses, 1);
+    });
+
+    it('should count a shared first place as a draw', async () => {
+      await eloService.updateFreeForAllRatings([
+        { userId: 'a', place: 1 },
+        { userId: 'b', place: 1 },
+        { userId: 'c', place: 3 }
+      ]);
+
+      assert.strictEqual(eloService.getRating('a').draws, 1);
+      assert.strictEqual(eloService.getRating('b').draws, 1);
+      assert.strictEqual(eloService.getRating('c').losses, 1);
+      assert.ok(eloService.getRating('a').rating > 1500);
+    });
+  });
+
+  describe('updateTeamRatings', () => {
+    it('should rate each team at the average of its players', async () => {
+      for (const [id, rating] of [['a', 1600], ['b', 1400], ['c', 1500], ['d', 1500]]) {
+        eloService.ratings.set(id, { rating, gamesPlayed: 20, wins: 0, losses: 0, draws: 0 });
+      }
+
+      const result = await eloService.updateTeamRatings(['a', 'b'], ['c', 'd'], 1);
+
+      assert.deepStrictEqual(['a', 'b', 'c', 'd'].map(id => result[id].change), [16, 16, -16, -16]);
+      assert.strictEqual(eloService.getRating('b').wins, 1);
+      assert.strictEqual(eloService.getRating('d').losses, 1);
+    });
+  });
+
   describe('recordMatch', () => {
     it('should store match record', async () => {
       const match = await eloService.recordMatch({
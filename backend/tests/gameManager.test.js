@@ -0,0 +1,678 @@
+/**
+ * Game Manager Tests
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { GameManager } from '../src/game/gameManager.js';
+import { EloService } from '../src/elo/eloService.js';
+import { parseGameRecord, replayGameRecord } from 'dots-js-shared';
+
+describe('GameManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new GameManager(new EloService());
+  });
+
+  describe('createGame', () => {
+    it('should default to a 10x10 board', () => {
+      const result = manager.createGame('alice', { name: 'Alice' });
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.boardShape, { width: 10, height: 10, mask: null, start: null });
+    });
+
+    it('should create a game with the requested board shape', () => {
+      const result = manager.createGame('alice', { name: 'Alice' }, { width: 12, height: 6 });
+      const game = manager.getGame(result.gameId);
+
+      assert.strictEqual(game.boardLogic.width, 12);
+      assert.strictEqual(game.boardLogic.height, 6);
+      assert.deepStrictEqual(manager.getGameInfo(result.gameId).boardShape, game.boardShape);
+    });
+
+    it('should store the rule set on the game', () => {
+      const result = manager.createGame('alice', { name: 'Alice' }, 10, 'classic');
+
+      assert.strictEqual(result.ruleSet, 'classic');
+      assert.strictEqual(manager.getGame(result.gameId).boardLogic.ruleSet, 'classic');
+      assert.strictEqual(manager.getGameInfo(result.gameId).ruleSet, 'classic');
+    });
+
+    it('should store rule options on the game', () => {
+      const result = manager.createGame('alice', { name: 'Alice' }, 10, 'classic', { borderCapture: true });
+      const game = manager.getGame(result.gameId);
+
+      assert.strictEqual(result.ruleOptions.borderCapture, true);
+      assert.strictEqual(game.boardLogic.ruleOptions.borderCapture, true);
+      assert.deepStrictEqual(manager.getGameInfo(result.gameId).ruleOptions, game.ruleOptions);
+    });
+
+    it('should reject an unknown rule set', () => {
+      const result = manager.createGame('alice', { name: 'Alice' }, 10, 'go');
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /Unknown rule set/);
+    });
+
+    it('should give extra opening moves set by hand', () => {
+      const { gameId, handicap } = manager.createGame('alice', { name: 'Alice' }, 5, 'territory', {}, { player: 2, count: 1, type: 'moves' });
+      manager.joinGame(gameId, 'bob', { name: 'Bob' });
+      const game = manager.getGame(gameId);
+
+      assert.deepStrictEqual(handicap, { player: 2, count: 1, type: 'moves' });
+      assert.strictEqual(manager.makeMove('alice', 0, 0).success, false);
+      assert.strictEqual(manager.makeMove('bob', 0, 0).success, true);
+      assert.strictEqual(manager.makeMove('bob', 1, 0).success, true);
+      assert.strictEqual(game.currentPlayer, 1);
+      assert.match(game.toRecord(), /\[Handicap "1 moves for player 2"\]/);
+    });
+
+    it('should reject an invalid handicap', () => {
+      const result = manager.createGame('alice', { name: 'Alice' }, 10, 'territory', {}, { player: 1, count: 12 });
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /between 0 and 9/);
+    });
+
+    it('should reject an invalid board shape', () => {
+      const result = manager.createGame('alice', { name: 'Alice' }, { width: 12, height: 6, mask: 'maze' });
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /Unknown board mask/);
+    });
+  });
+
+  describe('matchmaking', () => {
+    it('should only match players asking for the same board shape', () => {
+      assert.strictEqual(manager.addToMatchmaking('alice', {}, false, 10).waiting, true);
+      assert.strictEqual(manager.addToMatchmaking('bob', {}, false, { width: 9, height: 9, mask: 'cross' }).waiting, true);
+
+      const result = manager.addToMatchmaking('carol', {}, false, { width: 9, height: 9, mask: 'cross' });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.player1, 'bob');
+      assert.strictEqual(result.player2, 'carol');
+      assert.strictEqual(result.game.boardShape.mask[0], '###...###');
+      assert.deepStrictEqual(manager.unrankedQueue.map(entry => entry.playerId), ['alice']);
+    });
+
+    it('should only match players asking for the same rule set', () => {
+      manager.addToMatchmaking('alice', {}, false, 10, 'classic');
+      assert.strictEqual(manager.addToMatchmaking('bob', {}, false, 10).waiting, true);
+
+      const result = manager.addToMatchmaking('carol', {}, false, 10, 'classic');
+
+      assert.strictEqual(result.player1, 'alice');
+      assert.strictEqual(result.game.ruleSet, 'classic');
+    });
+
+    it('should only match players asking for the same rule options', () => {
+      manager.addToMatchmaking('alice', {}, false, 10, 'classic', { borderCapture: true });
+      assert.strictEqual(manager.addToMatchmaking('bob', {}, false, 10, 'classic').waiting, true);
+
+      const result = manager.addToMatchmaking('carol', {}, false, 10, 'classic', { captureEmptyAreas: false });
+
+      assert.strictEqual(result.player1, 'bob');
+      assert.strictEqual(result.game.ruleOptions.borderCapture, false);
+    });
+
+    it('should give the weaker player handicap dots when both opt in', () => {
+      manager.eloService.ratings.set('alice', { rating: 1720, gamesPlayed: 20, wins: 0, losses: 0, draws: 0 });
+      manager.addToMatchmaking('alice', {}, true, 9, 'territory', {}, true);
+      const result = manager.addToMatchmaking('bob', {}, true, 9, 'territory', {}, true);
+      const game = manager.getGame(result.gameId);
+
+      assert.deepStrictEqual(result.game.handicap, { player: 2, count: 2, type: 'dots' });
+      assert.strictEqual(game.boardLogic.getDot(6, 2).owner, 2);
+      assert.strictEqual(game.boardLogic.getDot(2, 6).owner, 2);
+      assert.strictEqual(game.currentPlayer, 1);
+    });
+
+    it('should start even unless both players opt in to a handicap', () => {
+      manager.eloService.ratings.set('alice', { rating: 1720, gamesPlayed: 20, wins: 0, losses: 0, draws: 0 });
+      manager.addToMatchmaking('alice', {}, true, 9, 'territory', {}, true);
+      const result = manager.addToMatchmaking('bob', {}, true, 9);
+
+      assert.strictEqual(result.game.handicap, null);
+      assert.strictEqual(result.game.boardShape.start, null);
+    });
+
+    it('should only match players asking for the same turn-based time control', () => {
+      manager.addToMatchmaking('alice', {}, false, 10, 'territory', {}, false, 2, false, null, 'weekly');
+      assert.strictEqual(manager.addToMatchmaking('bob', {}, false, 10).waiting, true);
+
+      const result = manager.addToMatchmaking('carol', {}, false, 10, 'territory', {}, false, 2, false, null, { perMove: 168 });
+
+      assert.strictEqual(result.player1, 'alice');
+      assert.deepStrictEqual(result.game.asyncTimeControl, { perMove: 168, reserve: 0 });
+    });
+
+    it('should treat a grid size and an equal shape as the same board', () => {
+      manager.addToMatchmaking('alice', {}, true, 10);
+      const result = manager.addToMatchmaking('bob', {}, true, { width: 10, height: 10 });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.isRanked, true);
+    });
+  });
+
+  describe('takebacks', () => {
+    // Player 2 dot at (2,2) surrounded by player 1, completed by the last move
+    const ENCLOSURE_MOVES = [[1, 2], [2, 2], [3, 2], [0, 0], [2, 1], [4, 4], [2, 3]];
+
+    function startGame() {
+      const { gameId } = manager.createGame('alice', { name: 'Alice' }, 5);
+      manager.joinGame(gameId, 'bob', { name: 'Bob' });
+      return manager.getGame(gameId);
+    }
+
+    function play(game, moves) {
+      for (const [x, y] of moves) {
+        manager.makeMove(game.currentPlayer === 1 ? 'alice' : 'bob', x, y);
+      }
+    }
+
+    it('should undo a capture and restore the scores once the opponent accepts', () => {
+      const game = startGame();
+      play(game, ENCLOSURE_MOVES.slice(0, -1));
+      const scoresBefore = { ...game.scores };
+      play(game, ENCLOSURE_MOVES.slice(-1));
+
+      assert.strictEqual(manager.requestTakeback('alice').success, true);
+      const result = manager.respondToTakeback('bob', true);
+
+      assert.strictEqual(result.accepted, true);
+      assert.deepStrictEqual(result.move, { x: 2, y: 3 });
+      assert.strictEqual(result.currentPlayer, 1);
+      assert.deepStrictEqual(game.scores, scoresBefore);
+      assert.strictEqual(game.boardLogic.getDot(2, 2).owner, 2);
+      assert.strictEqual(game.moves.length, ENCLOSURE_MOVES.length - 1);
+    });
+
+    it('should keep the move when the opponent declines', () => {
+      const game = startGame();
+      play(game, ENCLOSURE_MOVES.slice(0, 1));
+
+      manager.requestTakeback('alice');
+      const result = manager.respondToTakeback('bob', false);
+
+      assert.deepStrictEqual({ success: result.success, accepted: result.accepted }, { success: true, accepted: false });
+      assert.strictEqual(game.moves.length, 1);
+      assert.strictEqual(game.currentPlayer, 2);
+    });
+
+    it('should only let the player who made the last move ask', () => {
+      const game = startGame();
+      assert.match(manager.requestTakeback('alice').error, /No move of yours/);
+
+      play(game, ENCLOSURE_MOVES.slice(0, 1));
+      assert.match(manager.requestTakeback('bob').error, /No move of yours/);
+      assert.match(manager.respondToTakeback('bob', true).error, /No takeback request/);
+    });
+
+    it('should drop a takeback request when the opponent moves', () => {
+      const game = startGame();
+      play(game, ENCLOSURE_MOVES.slice(0, 1));
+
+      manager.requestTakeback('alice');
+      play(game, ENCLOSURE_MOVES.slice(1, 2));
+
+      assert.match(manager.respondToTakeback('bob', true).error, /No takeback request/);
+      assert.strictEqual(game.moves.length, 2);
+    });
+  });
+
+  describe('swap rule', () => {
+    function startSwapGame() {
+      const { gameId } = manager.createGame('alice', { name: 'Alice' }, 5, 'territory', { swapRule: true });
+      manager.joinGame(gameId, 'bob', { name: 'Bob' });
+      return manager.getGame(gameId);
+    }
+
+    it('should let player 2 take over the first move', () => {
+      const game = startSwapGame();
+      manager.makeMove('alice', 2, 2);
+
+      const result = manager.swapSides('bob');
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(game.players[1].id, 'bob');
+      assert.strictEqual(game.players[2].id, 'alice');
+      assert.strictEqual(game.currentPlayer, 2);
+      assert.strictEqual(manager.makeMove('bob', 1, 1).success, false);
+      assert.strictEqual(manager.makeMove('alice', 1, 1).success, true);
+      assert.strictEqual(game.boardLogic.getDot(2, 2).owner, 1);
+      assert.deepStrictEqual(game.moves.map(move => !!move.swap), [false, true, false]);
+    });
+
+    it('should only allow the swap right after the first move', () => {
+      const game = startSwapGame();
+      assert.match(manager.swapSides('bob').error, /right after the first move/);
+
+      manager.makeMove('alice', 2, 2);
+      assert.match(manager.swapSides('alice').error, /Only player 2/);
+      manager.makeMove('bob', 1, 1);
+      assert.match(manager.swapSides('bob').error, /right after the first move/);
+      assert.strictEqual(game.players[1].id, 'alice');
+    });
+
+    it('should refuse a swap without the swap rule', () => {
+      const { gameId } = manager.createGame('alice', { name: 'Alice' }, 5);
+      manager.joinGame(gameId, 'bob', { name: 'Bob' });
+      manager.makeMove('alice', 2, 2);
+
+      assert.match(manager.swapSides('bob').error, /not played with the swap rule/);
+    });
+
+    it('should not take back a swap and record it in the game record', () => {
+      const game = startSwapGame();
+      manager.makeMove('alice', 2, 2);
+      manager.swapSides('bob');
+
+      assert.match(manager.requestTakeback('bob').error, /cannot be taken back/);
+      const { record } = replayGameRecord(game.toRecord());
+      assert.strictEqual(record.swapped, true);
+      assert.strictEqual(record.players[1].name, 'Bob');
+    });
+  });
+
+  describe('passes', () => {
+    function startGame(boardShape = 5, ruleSet = 'territory') {
+      const { gameId } = manager.createGame('alice', { name: 'Alice' }, boardShape, ruleSet);
+      manager.joinGame(gameId, 'bob', { name: 'Bob' });
+      return manager.getGame(gameId);
+    }
+
+    it('should hand the turn over and end the game when both players pass', () => {
+      const game = startGame();
+      manager.makeMove('alice', 2, 2);
+
+      const result = manager.pass('bob');
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.currentPlayer, 1);
+      assert.strictEqual(result.gameOver, false);
+
+      assert.strictEqual(manager.pass('alice').gameOver, true);
+      assert.strictEqual(game.endReason, 'passes');
+      assert.strictEqual(game.winner, 1);
+    });
+
+    it('should only let the player to move pass', () => {
+      startGame();
+      assert.match(manager.pass('bob').error, /Not your turn/);
+      assert.match(manager.pass('carol').error, /Not in a game/);
+    });
+
+    it('should not take a pass back', () => {
+      startGame();
+      manager.makeMove('alice', 2, 2);
+      manager.pass('bob');
+      assert.match(manager.requestTakeback('bob').error, /A pass cannot be taken back/);
+    });
+
+    it('should flag a decided game and finish it as settled', () => {
+      // On a 2x2 classic board every dot is on the border: nothing can be captured
+      const game = startGame(2, 'classic');
+      assert.strictEqual(manager.makeMove('alice', 0, 0).settled, true);
+
+      manager.pass('bob');
+      manager.pass('alice');
+      assert.strictEqual(game.endReason, 'settled');
+      assert.strictEqual(game.winner, null);
+    });
+
+    it('should write passes to the game record', () => {
+      const game = startGame();
+      manager.makeMove('alice', 2, 2);
+      manager.pass('bob');
+      manager.makeMove('alice', 1, 1);
+
+      const { record } = replayGameRecord(manager.getGameRecord(game.id));
+      assert.strictEqual(record.passes, 1);
+      assert.deepStrictEqual(record.moves.map(({ x, y, player }) => [x, y, player]), [[2, 2, 1], [1, 1, 1]]);
+    });
+  });
+
+  describe('hints', () => {
+    function startGame(isRanked = false) {
+      const { gameId } = manager.createGame('alice', { name: 'Alice' }, 5);
+      manager.joinGame(gameId, 'bob', { name: 'Bob' });
+      const game = manager.getGame(gameId);
+      game.isRanked = isRanked;
+      return game;
+    }
+
+    it('should suggest moves to the player to move and record the hint', async () => {
+      const game = startGame();
+      manager.makeMove('alice', 0, 0);
+      manager.makeMove('bob', 1, 1);
+      const trackers = game.boardLogic.regionTrackers.size;
+      const result = await manager.requestHint('alice');
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.hints.length, 3);
+      assert.ok(result.hints.every(({ x, y, captures }) => game.boardLogic.isDotClickable(x, y) && captures === 0));
+      // The live board is left alone
+      assert.strictEqual(game.boardLogic.history.length, 2);
+      assert.strictEqual(game.boardLogic.regionTrackers.size, trackers);
+      assert.match((await manager.requestHint('bob')).error, /Not your turn/);
+      assert.deepStrictEqual(replayGameRecord(manager.getGameRecord(game.id)).record.hints, { 1: 1, 2: 0 });
+    });
+
+    it('should not count a hint for a position the game moved on from', async () => {
+      const game = startGame();
+      const result = manager.requestHint('alice');
+      manager.makeMove('alice', 0, 0);
+
+      assert.match((await result).error, /moved on/);
+      assert.strictEqual(game.hints[1], 0);
+    });
+
+    it('should work out one hint per player at a time', async () => {
+      const game = startGame();
+      const first = manager.requestHint('alice');
+
+      assert.match((await manager.requestHint('alice')).error, /already being worked out/);
+      assert.strictEqual((await first).success, true);
+      assert.strictEqual((await manager.requestHint('alice')).success, true);
+      assert.strictEqual(game.hints[1], 2);
+    });
+
+    it('should not give hints in ranked games', async () => {
+      startGame(true);
+      assert.match((await manager.requestHint('alice')).error, /Hints are not allowed in ranked games/);
+    });
+  });
+
+  describe('free-for-all', () => {
+    function startFreeForAll() {
+      const { gameId } = manager.createGame('alice', { name: 'Alice' }, 5, 'territory', {}, null, 3);
+      manager.joinGame(gameId, 'bob', { name: 'Bob' });
+      manager.joinGame(gameId, 'carol', { name: 'Carol' });
+      return manager.getGame(gameId);
+    }
+
+    it('should wait for every seat before starting', () => {
+      const { gameId, playerCount } = manager.createGame('alice', { name: 'Alice' }, 5, 'territory', {}, null, 3);
+      assert.strictEqual(playerCount, 3);
+      assert.strictEqual(manager.joinGame(gameId, 'bob', { name: 'Bob' }).game.status, 'waiting');
+
+      const result = manager.joinGame(gameId, 'carol', { name: 'Carol' });
+      assert.strictEqual(result.playerNumber, 3);
+      assert.strictEqual(result.game.status, 'playing');
+      assert.deepStrictEqual(result.game.scores, { 1: 0, 2: 0, 3: 0 });
+      assert.match(manager.joinGame(gameId, 'dave', {}).error, /already started/);
+    });
+
+    it('should pass the turn around all players', () => {
+      const game = startFreeForAll();
+      assert.strictEqual(manager.makeMove('bob', 0, 0).success, false);
+
+      assert.strictEqual(manager.makeMove('alice', 0, 0).currentPlayer, 2);
+      assert.strictEqual(manager.makeMove('bob', 1, 0).currentPlayer, 3);
+      assert.strictEqual(manager.makeMove('carol', 2, 0).currentPlayer, 1);
+      assert.deepStrictEqual(game.moves.map(move => move.player), [1, 2, 3]);
+    });
+
+    it('should reject two-player options', () => {
+      const handicap = { player: 2, count: 2, type: 'dots' };
+      assert.match(manager.createGame('alice', {}, 9, 'territory', {}, handicap, 3).error, /Handicap games are for two players/);
+      assert.match(manager.createGame('alice', {}, 9, 'territory', { swapRule: true }, null, 4).error, /swap rule/);
+      assert.match(manager.createGame('alice', {}, 9, 'territory', {}, null, 5).error, /between 2 and 4/);
+    });
+
+    it('should only match players asking for the same number of players', () => {
+      assert.strictEqual(manager.addToMatchmaking('alice', {}, true, 10, 'territory', {}, false, 3).waiting, true);
+      assert.strictEqual(manager.addToMatchmaking('bob', {}, true, 10).waiting, true);
+      assert.strictEqual(manager.addToMatchmaking('carol', {}, true, 10, 'territory', {}, false, 3).waiting, true);
+
+      const result = manager.addToMatchmaking('dave', {}, true, 10, 'territory', {}, false, 3);
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.players, ['alice', 'carol', 'dave']);
+      assert.strictEqual(result.game.playerCount, 3);
+      assert.strictEqual(result.game.players[3].id, 'dave');
+      assert.strictEqual(manager.rankedQueue.length, 1);
+    });
+
+    it('should rate a ranked game by the final standings', async () => {
+      const game = startFreeForAll();
+      game.isRanked = true;
+      game.scores = { 1: 2, 2: 7, 3: 4 };
+      game.finishGame();
+
+      await manager.handleGameOver(game.id);
+
+      assert.strictEqual(game.winner, 2);
+      assert.ok(manager.eloService.getRating('bob').rating > 1500);
+      assert.ok(manager.eloService.getRating('alice').rating < 1500);
+      const [match] = manager.eloService.getMatchHistory('carol');
+      assert.deepStrictEqual(
+        { result: match.result, place: match.place, opponentName: match.opponentName, opponentScore: match.opponentScore },
+        { result: 'loss', place: 2, opponentName: 'Bob, Alice', opponentScore: 7 }
+      );
+    });
+
+    it('should export a record with every player', () => {
+      const game = startFreeForAll();
+      manager.makeMove('alice', 0, 0);
+      manager.makeMove('bob', 1, 0);
+
+      const { record } = replayGameRecord(game.toRecord());
+      assert.strictEqual(record.playerCount, 3);
+      assert.strictEqual(record.players[3].name, 'Carol');
+      assert.deepStrictEqual(record.moves.map(move => move.player), [1, 2]);
+    });
+  });
+
+  describe('team games', () => {
+    function startTeamGame() {
+      const { gameId } = manager.createGame('alice', { name: 'Alice' }, 5, 'territory', {}, null, 4, true);
+      for (const id of ['bob', 'carol', 'dave']) {
+        manager.joinGame(gameId, id, { name: id[0].toUpperCase() + id.slice(1) });
+      }
+      return manager.getGame(gameId);
+    }
+
+    it('should only allow teams in four-player games', () => {
+      assert.match(manager.createGame('alice', {}, 9, 'territory', {}, null, 3, true).error, /Team games are for 4 players/);
+      assert.match(manager.addToMatchmaking('alice', {}, false, 10, 'territory', {}, false, 2, true).error, /Team games are for 4 players/);
+    });
+
+    it('should capture with the allied boundary and pool scores', () => {
+      const game = startTeamGame();
+      // Bob's dot at 1,1 is walled in by Alice and Carol
+      for (const [player, x, y] of [['alice', 1, 0], ['bob', 1, 1], ['carol', 0, 1], ['dave', 4, 4], ['alice', 2, 1], ['bob', 3, 3]]) {
+        assert.strictEqual(manager.makeMove(player, x, y).success, true);
+      }
+      const result = manager.makeMove('carol', 1, 2);
+
+      assert.deepStrictEqual(result.captures, [{ x: 1, y: 1 }]);
+      assert.deepStrictEqual(game.teamScores(), { 1: 5, 2: 2 });
+    });
+
+    it('should only let the other team answer a takeback request', () => {
+      const game = startTeamGame();
+      manager.makeMove('alice', 0, 0);
+      manager.makeMove('bob', 1, 1);
+      manager.makeMove('carol', 2, 2);
+      manager.requestTakeback('carol');
+
+      assert.deepStrictEqual(game.opponentsOf(3), [2, 4]);
+      assert.match(manager.respondToTakeback('alice', true).error, /Only an opponent/);
+      assert.strictEqual(manager.respondToTakeback('dave', true).accepted, true);
+      assert.strictEqual(game.currentPlayer, 3);
+    });
+
+    it('should match four team players into balanced teams', () => {
+      for (const [id, rating] of [['alice', 1800], ['bob', 1700], ['carol', 1500], ['dave', 1400]]) {
+        manager.eloService.ratings.set(id, { rating, gamesPlayed: 20, wins: 0, losses: 0, draws: 0 });
+      }
+      manager.addToMatchmaking('dave', {}, true, 10, 'territory', {}, false, 4, true);
+      manager.addToMatchmaking('carol', {}, true, 10, 'territory', {}, false, 4);
+      manager.addToMatchmaking('bob', {}, true, 10, 'territory', {}, false, 4, true);
+      manager.addToMatchmaking('alice', {}, true, 10, 'territory', {}, false, 4, true);
+      assert.strictEqual(manager.rankedQueue.length, 4);
+
+      const result = manager.addToMatchmaking('eve', {}, true, 10, 'territory', {}, false, 4, true);
+
+      // Eve is new at 1500: Alice (1800) and Dave (1400) against Bob (1700) and Eve
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.players, ['alice', 'bob', 'dave', 'eve']);
+      assert.strictEqual(result.game.teams, true);
+      assert.deepStrictEqual(manager.rankedQueue.map(entry => entry.playerId), ['carol']);
+    });
+
+    it('should rate both teams and record the match for each player', async () => {
+      const game = startTeamGame();
+      game.isRanked = true;
+      game.scores = { 1: 2, 2: 4, 3: 1, 4: 3 };
+      game.finishGame();
+
+      await manager.handleGameOver(game.id);
+
+      assert.strictEqual(game.winner, 2);
+      assert.ok(manager.eloService.getRating('dave').rating > 1500);
+      assert.ok(manager.eloService.getRating('carol').rating < 1500);
+      const [match] = manager.eloService.getMatchHistory('bob');
+      assert.deepStrictEqual(
+        { result: match.result, team: match.team, myScore: match.myScore, opponentScore: match.opponentScore, opponentName: match.opponentName, partnerName: match.partnerName },
+        { result: 'win', team: 2, myScore: 7, opponentScore: 3, opponentName: 'Alice & Carol', partnerName: 'Dave' }
+      );
+      assert.strictEqual(manager.eloService.getMatchHistory('alice')[0].result, 'loss');
+    });
+
+    it('should give the game to the other team when a player leaves', () => {
+      const game = startTeamGame();
+      manager.handleDisconnect('carol');
+      assert.strictEqual(game.winner, 2);
+      assert.match(game.toRecord(), /\[Result "0-1-0-1"\]/);
+    });
+  });
+
+  describe('clocks', () => {
+    let now;
+
+    beforeEach(() => {
+      now = 1000000;
+      manager = new GameManager(new EloService(), { now: () => now });
+    });
+
+    const startTimedGame = timeControl => {
+      const { gameId } = manager.createGame('alice', { name: 'Alice' }, 5, 'territory', {}, null, 2, false, timeControl);
+      manager.joinGame(gameId, 'bob', { name: 'Bob' });
+      return manager.getGame(gameId);
+    };
+
+    it('should charge each turn to the mover and add the increment', () => {
+      const game = startTimedGame({ type: 'fischer', base: 60, increment: 5 });
+      now += 10000;
+
+      const result = manager.makeMove('alice', 0, 0);
+
+      assert.strictEqual(result.clock.running, 2);
+      assert.strictEqual(result.clock.clocks[1].remaining, 55000);
+      assert.strictEqual(result.clock.clocks[2].remaining, 60000);
+      assert.strictEqual(manager.getGameInfo(game.id).clock.running, 2);
+    });
+
+    it('should take the increment back with the move', () => {
+      const game = startTimedGame({ type: 'fischer', base: 60, increment: 5 });
+      now += 10000;
+      manager.makeMove('alice', 0, 0);
+      now += 3000;
+      manager.requestTakeback('alice');
+
+      const result = manager.respondToTakeback('bob', true);
+
+      assert.strictEqual(result.clock.clocks[1].remaining, 50000);
+      assert.strictEqual(result.clock.clocks[2].remaining, 57000);
+      assert.strictEqual(result.clock.running, 1);
+      assert.strictEqual(game.currentPlayer, 1);
+    });
+
+    it('should not keep a byo-yomi period reset after a takeback', () => {
+      startTimedGame({ type: 'byoyomi', base: 10, periods: 2, period: 10 });
+      now += 14000;
+      manager.makeMove('alice', 0, 0);
+      manager.requestTakeback('alice');
+
+      const { clock } = manager.respondToTakeback('bob', true);
+
+      assert.deepStrictEqual(clock.clocks[1], { remaining: 6000, periods: 2, overtime: true });
+    });
+
+    it('should have no clock without a time control', () => {
+      const { gameId } = manager.createGame('alice', { name: 'Alice' }, 5);
+      manager.joinGame(gameId, 'bob', { name: 'Bob' });
+
+      assert.strictEqual(manager.getGame(gameId).timeUntilFlag(), null);
+      assert.strictEqual(manager.makeMove('alice', 0, 0).clock, null);
+    });
+
+    it('should end the game on time when the player to move runs out', () => {
+      const game = startTimedGame({ type: 'byoyomi', base: 30, periods: 2, period: 10 });
+      manager.makeMove('alice', 0, 0);
+      now += 49000;
+      assert.strictEqual(manager.checkFlag(game.id), false);
+
+      now += 1000;
+      assert.strictEqual(manager.makeMove('bob', 1, 1).error, 'Out of time');
+      assert.strictEqual(manager.checkFlag(game.id), true);
+      assert.strictEqual(game.endReason, 'timeout');
+      assert.strictEqual(game.winner, 1);
+      assert.strictEqual(game.clockState().running, null);
+      assert.strictEqual(parseGameRecord(game.toRecord()).termination, 'timeout');
+    });
+
+    it('should move the clocks with the players on a swap', () => {
+      const { gameId } = manager.createGame('alice', { name: 'Alice' }, 5, 'territory', { swapRule: true }, null, 2, false, { base: 60 });
+      manager.joinGame(gameId, 'bob', { name: 'Bob' });
+      const game = manager.getGame(gameId);
+      now += 20000;
+      manager.makeMove('alice', 2, 2);
+
+      const result = manager.swapSides('bob');
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.clock.clocks[2].remaining, 40000);
+      assert.strictEqual(result.clock.running, 2);
+    });
+
+    it('should only match players asking for the same time control', () => {
+      manager.addToMatchmaking('alice', {}, false, 10, 'territory', {}, false, 2, false, 'blitz');
+      assert.strictEqual(manager.addToMatchmaking('bob', {}, false, 10).waiting, true);
+
+      const result = manager.addToMatchmaking('carol', {}, false, 10, 'territory', {}, false, 2, false, { base: 180, increment: 2 });
+
+      assert.strictEqual(result.player1, 'alice');
+      assert.deepStrictEqual(result.game.timeControl, { type: 'fischer', base: 180, increment: 2 });
+    });
+  });
+
+  describe('game records', () => {
+    it('should export a finished game that replays to the same scores', () => {
+      const { gameId } = manager.createGame('alice', { name: 'Alice' }, 2, 'classic');
+      manager.joinGame(gameId, 'bob', { name: 'Bob' });
+      for (const [player, x, y] of [['alice', 0, 0], ['bob', 1, 0], ['alice', 0, 1], ['bob', 1, 1]]) {
+        manager.makeMove(player, x, y);
+      }
+
+      const game = manager.getGame(gameId);
+      const { record, scores, gameOver } = replayGameRecord(manager.getGameRecord(gameId));
+
+      assert.strictEqual(gameOver, true);
+      assert.deepStrictEqual(scores, game.scores);
+      assert.strictEqual(record.ruleSet, 'classic');
+      assert.strictEqual(record.result, '1/2-1/2');
+      assert.deepStrictEqual(record.players[1], { name: 'Alice', rating: 1500 });
+      assert.deepStrictEqual(record.moves.map(({ x, y }) => [x, y]), [[0, 0], [1, 0], [0, 1], [1, 1]]);
+    });
+
+    it('should return null for an unknown game', () => {
+      assert.strictEqual(manager.getGameRecord('missing'), null);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Puzzle Service Tests
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { PUZZLES } from 'dots-js-shared';
+import { PuzzleService } from '../src/puzzles/puzzleService.js';
+import { EloService } from '../src/elo/eloService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+// A day whose daily puzzle is the first one, 'first-capture'
+const FIRST_DAY = 3000 * PUZZLES.length * DAY;
+const SOLUTIONS = {
+  'first-capture': [{ x: 2, y: 3 }],
+  'closing-the-net': [{ x: 3, y: 3 }]
+};
+const SOLUTION = SOLUTIONS['first-capture'];
+const WRONG = [{ x: 0, y: 0 }];
+
+describe('PuzzleService', () => {
+  let puzzleService;
+
+  beforeEach(() => {
+    puzzleService = new PuzzleService(new EloService());
+  });
+
+  it('should serve the daily puzzle and the puzzle list', () => {
+    const daily = puzzleService.getDailyPuzzle(FIRST_DAY);
+    assert.strictEqual(daily.id, 'first-capture');
+    assert.strictEqual(daily.description, 'Capture at least 1 dot in 1 move');
+    assert.ok(daily.day);
+
+    puzzleService.attempt('user1', 'first-capture', SOLUTION, FIRST_DAY);
+    const list = puzzleService.listPuzzles('user1', FIRST_DAY);
+    assert.strictEqual(list.daily, 'first-capture');
+    assert.strictEqual(list.puzzles.length, PUZZLES.length);
+    assert.deepStrictEqual(list.puzzles.filter(p => p.solved).map(p => p.id), ['first-capture']);
+  });
+
+  it('should raise the rating for a solve and lower it for a miss', () => {
+    const solved = puzzleService.attempt('user1', 'first-capture', SOLUTION, FIRST_DAY);
+    assert.strictEqual(solved.solved, true);
+    assert.ok(solved.ratingChange > 0);
+
+    const missed = puzzleService.attempt('user2', 'first-capture', WRONG, FIRST_DAY);
+    assert.strictEqual(missed.solved, false);
+    assert.ok(missed.ratingChange < 0);
+  });
+
+  it('should only rate the first attempt at a puzzle', () => {
+    puzzleService.attempt('user1', 'first-capture', WRONG, FIRST_DAY);
+    const retry = puzzleService.attempt('user1', 'first-capture', SOLUTION, FIRST_DAY);
+
+    assert.strictEqual(retry.solved, true);
+    assert.strictEqual(retry.ratingChange, 0);
+    const stats = puzzleService.getPlayerStats('user1', FIRST_DAY);
+    assert.strictEqual(stats.attempted, 1);
+    assert.strictEqual(stats.solved, 1);
+  });
+
+  it('should count daily puzzles solved on consecutive days as a streak', () => {
+    // The daily puzzles of the first two days
+    const solveDaily = day => {
+      const now = FIRST_DAY + day * DAY;
+      const { id } = puzzleService.getDailyPuzzle(now);
+      return puzzleService.attempt('user1', id, SOLUTIONS[id], now).streak;
+    };
+
+    assert.strictEqual(solveDaily(0), 1);
+    assert.strictEqual(solveDaily(0), 1);
+    assert.strictEqual(solveDaily(1), 2);
+    assert.strictEqual(puzzleService.getPlayerStats('user1', FIRST_DAY + 2 * DAY).streak, 2);
+    assert.strictEqual(puzzleService.getPlayerStats('user1', FIRST_DAY + 3 * DAY).streak, 0);
+    assert.strictEqual(solveDaily(PUZZLES.length), 1);
+    assert.strictEqual(puzzleService.getPlayerStats('user1', FIRST_DAY + PUZZLES.length * DAY).bestStreak, 2);
+  });
+
+  it('should not count a solve of another puzzle towards the streak', () => {
+    const result = puzzleService.attempt('user1', 'first-capture', SOLUTION, FIRST_DAY + DAY);
+
+    assert.strictEqual(result.solved, true);
+    assert.strictEqual(result.streak, 0);
+  });
+
+  it('should reject unknown puzzles and unfinished attempts', () => {
+    assert.throws(() => puzzleService.attempt('user1', 'nope', SOLUTION), /not found/);
+    assert.throws(() => puzzleService.attempt('user1', 'double-threat', [{ x: 3, y: 2 }]), /not finished/);
+    assert.throws(() => puzzleService.attempt('user1', 'first-capture', [{ x: 2, y: 1 }]), /not legal/);
+  });
+});
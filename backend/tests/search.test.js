@@ -0,0 +1,32 @@
+/**
+ * Search Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BoardLogic } from 'dots-js-shared';
+import { runSearch, MAX_SEARCH_WORKERS } from '../src/game/search.js';
+
+describe('runSearch', () => {
+  const board = new BoardLogic(5).serialize();
+
+  it('should run more searches than there are workers', async () => {
+    const searches = Array.from({ length: MAX_SEARCH_WORKERS * 2 + 1 }, () => runSearch('hints', { board, playerNum: 1 }));
+
+    for (const hints of await Promise.all(searches)) {
+      assert.ok(hints.length > 0);
+    }
+  });
+
+  it('should fail a search without stopping the others', async () => {
+    const [failed, hints] = await Promise.allSettled([
+      runSearch('analyze', { record: '' }),
+      runSearch('hints', { board, playerNum: 1 })
+    ]);
+
+    assert.strictEqual(failed.status, 'rejected');
+    assert.match(failed.reason.message, /empty record/);
+    assert.ok(hints.value.length > 0);
+    await assert.rejects(runSearch('guess', {}), /Unknown search task/);
+  });
+});
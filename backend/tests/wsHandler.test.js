@@ -0,0 +1,91 @@
+/**
+ * WebSocket Handler Tests
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import { WebSocketHandler } from '../src/websocket/wsHandler.js';
+import { GameManager } from '../src/game/gameManager.js';
+import { AsyncGameManager } from '../src/game/asyncGameManager.js';
+import { EloService } from '../src/elo/eloService.js';
+
+describe('WebSocketHandler', () => {
+  let asyncGameManager;
+  let handler;
+
+  beforeEach(() => {
+    const eloService = new EloService();
+    asyncGameManager = new AsyncGameManager(eloService);
+    handler = new WebSocketHandler(new EventEmitter(), null, new GameManager(eloService), asyncGameManager);
+  });
+
+  afterEach(() => {
+    asyncGameManager.stopTimeoutChecker();
+  });
+
+  // A signed in client socket that keeps the messages sent to it
+  function connect(userId) {
+    const ws = {
+      readyState: 1,
+      messages: [],
+      send(data) {
+        this.messages.push(JSON.parse(data));
+      }
+    };
+    handler.clients.set(ws, { userId, user: { id: userId, name: userId } });
+    handler.userSockets.set(userId, ws);
+    return ws;
+  }
+
+  describe('turn-based time controls', () => {
+    it('should save a matched game with the time control both players asked for', async () => {
+      for (const userId of ['alice', 'bob']) {
+        await handler.handleMessage(connect(userId), { type: 'find_match', boardShape: 5, asyncTimeControl: 'relaxed' });
+      }
+
+      const [game] = asyncGameManager.getPlayerGames('alice');
+      assert.deepStrictEqual(game.timeControl, { perMove: 72, reserve: 168 });
+      assert.strictEqual(game.turnDeadline - game.lastMoveAt, (72 + 168) * 60 * 60 * 1000);
+    });
+
+    it('should save a created game with its time control', async () => {
+      const alice = connect('alice');
+      await handler.handleMessage(alice, { type: 'create_game', boardShape: 5, asyncTimeControl: { perMove: 6 } });
+      const { gameId, asyncTimeControl } = alice.messages.find(message => message.type === 'game_created').data;
+      await handler.handleMessage(connect('bob'), { type: 'join_game', gameId });
+
+      assert.deepStrictEqual(asyncTimeControl, { perMove: 6, reserve: 0 });
+      assert.deepStrictEqual(asyncGameManager.getPlayerGames('bob')[0].timeControl, { perMove: 6, reserve: 0 });
+    });
+
+    it('should refuse an invalid time control', async () => {
+      const alice = connect('alice');
+      await handler.handleMessage(alice, { type: 'find_match', boardShape: 5, asyncTimeControl: { perMove: 0 } });
+
+      assert.match(alice.messages.at(-1).error, /per move must be between/);
+    });
+  });
+
+  describe('async passes', () => {
+    it('should tell an online opponent about a pass and the end of the game', () => {
+      const bob = connect('bob');
+      const game = asyncGameManager.createGame('alice', 'bob', 5, false);
+      handler.gameRooms.set(game.id, new Set(['alice', 'bob']));
+
+      asyncGameManager.passTurn(game.id, 'alice');
+      handler.broadcastAsyncPass(game.id, 'alice');
+      assert.deepStrictEqual(bob.messages, [
+        { type: 'turn_passed', data: { playerNum: 1, currentPlayer: 2, gameOver: false } }
+      ]);
+
+      const alice = connect('alice');
+      asyncGameManager.passTurn(game.id, 'bob');
+      handler.broadcastAsyncPass(game.id, 'bob');
+      assert.deepStrictEqual(alice.messages, [
+        { type: 'turn_passed', data: { playerNum: 2, currentPlayer: 1, gameOver: true } },
+        { type: 'game_over', data: { winner: null, scores: { 1: 0, 2: 0 }, reason: 'completed' } }
+      ]);
+    });
+  });
+});
@@ -12,13 +12,17 @@ echo "Copying backend code..."
 rsync -av --delete \
   --exclude 'node_modules' \
   --exclude '.git' \
-  backend/ "${SERVER}:/tmp/dots-backend/"
+  backend/ "${SERVER}:/tmp/dots-js/backend/"
+rsync -av --delete \
+  --exclude 'node_modules' \
+  --exclude '.git' \
+  shared/ "${SERVER}:/tmp/dots-js/shared/"
 
 # Build and push image on server
 echo "Building Docker image on server..."
 ssh "${SERVER}" << EOF
-cd /tmp/dots-backend
-docker build -t ${REGISTRY}/backend:${IMAGE_TAG} -f Dockerfile .
+cd /tmp/dots-js
+docker build -t ${REGISTRY}/backend:${IMAGE_TAG} -f backend/Dockerfile .
 docker push ${REGISTRY}/backend:${IMAGE_TAG}
 docker tag ${REGISTRY}/backend:${IMAGE_TAG} ${REGISTRY}/backend:latest
 docker push ${REGISTRY}/backend:latest
@@ -29,7 +33,7 @@ echo "Updating Kubernetes deployment..."
 ssh "${SERVER}" << EOF
 export REGISTRY=${REGISTRY}
 export IMAGE_TAG=${IMAGE_TAG}
-envsubst < /tmp/dots-backend/../k8s/production/backend.yaml | kubectl apply -f -
+envsubst < /tmp/dots-js/../k8s/production/backend.yaml | kubectl apply -f -
 kubectl rollout restart deployment/dots-backend -n dots-production
 EOF
 
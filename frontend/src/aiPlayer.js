@@ -0,0 +1,87 @@
+/**
+ * AI Player
+ * Asks the computer opponent's worker (aiWorker.js) for moves. Only the answer
+ * to the latest request is delivered: a takeback or a new game cancels the
+ * move being thought about.
+ */
+
+import { normalizeAiLevel } from 'dots-js-shared';
+
+// Least time a move takes, so the computer does not answer instantly
+export const AI_MIN_THINK_TIME = 400; // ms
+
+export class AiPlayer {
+  /**
+   * @param {string} level - 'easy', 'medium', 'hard' or 'expert'
+   */
+  constructor(level) {
+    this.level = normalizeAiLevel(level);
+    this.worker = new Worker(new URL('./aiWorker.js', import.meta.url), { type: 'module' });
+    this.requestId = 0;
+    this.pending = null; // { id, resolve, reject } of the request being answered
+    this.worker.onmessage = ({ data }) => this.handleAnswer(data);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.fail(new Error(event.message || 'The computer opponent stopped working'));
+    };
+    this.worker.onmessageerror = () => this.fail(new Error('The computer opponent sent an unreadable move'));
+  }
+
+  /**
+   * Pick a move for playerNum on the board. Resolves with { x, y }, null when
+   * no dot is left, or never when the request is cancelled first. Rejects when
+   * the worker fails.
+   */
+  chooseMove(boardLogic, playerNum, playerCount = 2) {
+    this.cancel();
+    const id = ++this.requestId;
+    const startedAt = performance.now();
+    return new Promise((resolve, reject) => {
+      this.pending = {
+        id,
+        reject,
+        resolve: (move) => {
+          const wait = AI_MIN_THINK_TIME - (performance.now() - startedAt);
+          setTimeout(() => {
+            if (this.pending?.id === id) {
+              this.pending = null;
+              resolve(move);
+            }
+          }, Math.max(0, wait));
+        }
+      };
+      this.worker.postMessage({ id, board: boardLogic.serialize(), playerNum, level: this.level, playerCount });
+    });
+  }
+
+  handleAnswer({ id, move }) {
+    if (this.pending?.id === id) {
+      this.pending.resolve(move);
+    }
+  }
+
+  /**
+   * Reject the move being thought about
+   */
+  fail(error) {
+    const pending = this.pending;
+    this.pending = null;
+    pending?.reject(error);
+  }
+
+  /**
+   * Drop the move being thought about
+   */
+  cancel() {
+    this.pending = null;
+  }
+
+  isThinking() {
+    return this.pending !== null;
+  }
+
+  terminate() {
+    this.cancel();
+    this.worker.terminate();
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Computer Opponent Worker
+ * Picks the computer's moves, and scans the board for capture threats, off
+ * the main thread so the render loop keeps its frame rate. Messages:
+ * - in: { id, board, playerNum, level, playerCount } with board from BoardLogic.serialize
+ * - out: { id, move } with move null when no dot is left
+ * - in: { id, task: 'threats', board, players } for the threat overlay
+ * - out: { id, threats } as [{ x, y, captures, player }], the biggest threat
+ *   of any of the players at each dot
+ */
+
+import { BoardLogic, chooseAiMove } from 'dots-js-shared';
+
+function findThreats(boardLogic, players) {
+  const threats = new Map();
+  for (const player of players) {
+    for (const threat of boardLogic.captureThreats(player)) {
+      const key = `${threat.x},${threat.y}`;
+      if (!threats.has(key) || threats.get(key).captures < threat.captures) {
+        threats.set(key, { ...threat, player });
+      }
+    }
+  }
+  return [...threats.values()];
+}
+
+self.onmessage = ({ data }) => {
+  const { id, task, board, playerNum, level, playerCount, players } = data;
+  const boardLogic = new BoardLogic();
+  boardLogic.deserialize(board);
+  if (task === 'threats') {
+    self.postMessage({ id, threats: findThreats(boardLogic, players) });
+    return;
+  }
+  self.postMessage({ id, move: chooseAiMove(boardLogic, playerNum, { level, playerCount }) });
+};
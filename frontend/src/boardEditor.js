@@ -0,0 +1,152 @@
+/**
+ * Board Editor
+ * Menu panel for drawing board layouts: holes, blocked dots and dots placed
+ * for either player before the first move. Saved layouts can be picked in
+ * the grid size selector for every game mode.
+ */
+
+import { MIN_BOARD_DIMENSION, MAX_BOARD_DIMENSION, describeBoardShape } from 'dots-js-shared';
+import { LayoutDraft, layoutManager } from './layouts.js';
+import { notificationManager } from './notifications.js';
+
+export class BoardEditor {
+  /**
+   * @param {Function} onClose - Called when the editor is closed
+   */
+  constructor(onClose = () => {}) {
+    this.onClose = onClose;
+    this.draft = new LayoutDraft(10);
+    this.tool = 'blocked';
+    this.painting = false;
+    this.panel = document.getElementById('board-editor');
+    this.grid = document.getElementById('board-editor-grid');
+
+    this.setupControls();
+  }
+
+  setupControls() {
+    const widthInput = document.getElementById('editor-width');
+    const heightInput = document.getElementById('editor-height');
+    for (const input of [widthInput, heightInput]) {
+      input.min = MIN_BOARD_DIMENSION;
+      input.max = MAX_BOARD_DIMENSION;
+      input.addEventListener('change', () => {
+        const clamp = value => Math.max(MIN_BOARD_DIMENSION, Math.min(MAX_BOARD_DIMENSION, parseInt(value, 10) || MIN_BOARD_DIMENSION));
+        this.draft.resize(clamp(widthInput.value), clamp(heightInput.value));
+        this.render();
+      });
+    }
+
+    const toolBtns = this.panel.querySelectorAll('.editor-tool');
+    toolBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        toolBtns.forEach(b => b.classList.remove('selected'));
+        btn.classList.add('selected');
+        this.tool = btn.dataset.tool;
+      });
+    });
+
+    // Paint by clicking or dragging across cells
+    this.grid.addEventListener('pointerdown', (e) => {
+      this.painting = true;
+      this.paintCell(e.target);
+    });
+    this.grid.addEventListener('pointerover', (e) => {
+      if (this.painting) this.paintCell(e.target);
+    });
+    window.addEventListener('pointerup', () => {
+      this.painting = false;
+    });
+
+    document.getElementById('btn-editor-clear').addEventListener('click', () => {
+      this.draft.load({ width: this.draft.width, height: this.draft.height });
+      this.render();
+    });
+
+    document.getElementById('btn-editor-save').addEventListener('click', () => {
+      this.saveLayout();
+    });
+
+    document.getElementById('btn-editor-close').addEventListener('click', () => {
+      this.hide();
+      this.onClose();
+    });
+  }
+
+  show() {
+    this.panel.classList.remove('hidden');
+    this.render();
+  }
+
+  hide() {
+    this.panel.classList.add('hidden');
+  }
+
+  paintCell(cell) {
+    if (!cell?.dataset?.x) return;
+    const x = parseInt(cell.dataset.x, 10);
+    const y = parseInt(cell.dataset.y, 10);
+    this.draft.paint(x, y, this.tool);
+    cell.className = `editor-cell ${this.draft.getCell(x, y)}`;
+  }
+
+  render() {
+    document.getElementById('editor-width').value = this.draft.width;
+    document.getElementById('editor-height').value = this.draft.height;
+
+    this.grid.style.gridTemplateColumns = `repeat(${this.draft.width}, 1fr)`;
+    this.grid.innerHTML = '';
+    for (let y = 0; y < this.draft.height; y++) {
+      for (let x = 0; x < this.draft.width; x++) {
+        const cell = document.createElement('div');
+        cell.className = `editor-cell ${this.draft.getCell(x, y)}`;
+        cell.dataset.x = x;
+        cell.dataset.y = y;
+        this.grid.appendChild(cell);
+      }
+    }
+
+    this.renderSavedLayouts();
+  }
+
+  renderSavedLayouts() {
+    const list = document.getElementById('editor-saved-layouts');
+    list.innerHTML = '';
+    for (const layout of layoutManager.getAll()) {
+      const item = document.createElement('div');
+      item.className = 'editor-saved-layout';
+
+      const name = document.createElement('span');
+      name.textContent = `${layout.name} · ${describeBoardShape(layout.shape)}`;
+
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => {
+        this.draft.load(layout.shape);
+        document.getElementById('editor-layout-name').value = layout.name;
+        this.render();
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => {
+        layoutManager.remove(layout.id);
+        this.renderSavedLayouts();
+      });
+
+      item.append(name, editBtn, deleteBtn);
+      list.appendChild(item);
+    }
+  }
+
+  saveLayout() {
+    const name = document.getElementById('editor-layout-name').value;
+    try {
+      const layout = layoutManager.save(name, this.draft.toShape());
+      notificationManager.show(`Layout "${layout.name}" saved`, 'success');
+      this.renderSavedLayouts();
+    } catch (error) {
+      notificationManager.show(error.message, 'error');
+    }
+  }
+}
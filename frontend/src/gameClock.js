@@ -0,0 +1,113 @@
+/**
+ * Game Clock
+ * Counts down the clocks of a timed server game between updates. The server
+ * keeps the time: its messages carry every player's clock as it was when the
+ * message left, and the seat whose clock runs (see timeControl.js in
+ * dots-js-shared). The running clock is shown less the time since the update
+ * arrived and the one-way latency, estimated as half the round trip between
+ * sending a move and its result.
+ */
+
+import { spendTime, timeUntilFlag } from 'dots-js-shared';
+
+const TICK = 100; // ms
+// Weight of a new round trip in the latency estimate
+const LATENCY_SMOOTHING = 0.25;
+// Below this the clock shows tenths of a second
+const LOW_TIME = 10000; // ms
+
+export class GameClock {
+  /**
+   * @param {Function} onTick - Called with the clocks as of now, see current()
+   */
+  constructor(onTick) {
+    this.onTick = onTick;
+    this.state = null; // { timeControl, clocks, running } from the server
+    this.receivedAt = 0;
+    this.latency = null; // ms, estimated one way
+    this.sentAt = null; // when the move now waiting for its result was sent
+    this.timer = null;
+  }
+
+  /**
+   * A move was sent: its result closes the round trip
+   */
+  markSent(now = performance.now()) {
+    this.sentAt = now;
+  }
+
+  /**
+   * The result of the sent move arrived
+   */
+  measureRoundTrip(now = performance.now()) {
+    if (this.sentAt === null) return;
+    const oneWay = (now - this.sentAt) / 2;
+    this.latency = this.latency === null ? oneWay : this.latency + (oneWay - this.latency) * LATENCY_SMOOTHING;
+    this.sentAt = null;
+  }
+
+  /**
+   * Take the clocks from a server message; null for an untimed game
+   */
+  update(state, now = performance.now()) {
+    this.stop();
+    this.state = state ?? null;
+    this.receivedAt = now;
+    this.onTick(this.current(now));
+    if (this.state?.running) {
+      this.timer = setInterval(() => this.onTick(this.current()), TICK);
+    }
+  }
+
+  /**
+   * Clocks as of now, like the server's with the running clock counted down,
+   * or null for an untimed game
+   */
+  current(now = performance.now()) {
+    if (!this.state) return null;
+    const { timeControl, clocks, running } = this.state;
+    const elapsed = now - this.receivedAt + (this.latency ?? 0);
+    return {
+      timeControl,
+      running,
+      clocks: Object.fromEntries(Object.entries(clocks).map(([seat, clock]) => [
+        seat,
+        Number(seat) === running ? spendTime(clock, elapsed, timeControl) : clock
+      ]))
+    };
+  }
+
+  /**
+   * Stop counting down, leaving the clocks as shown
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * A clock as text: m:ss, h:mm:ss, or s.t under ten seconds, with the byo-yomi
+ * periods left
+ */
+export function formatClock(clock, timeControl) {
+  const ms = Math.max(0, clock.remaining);
+  let text;
+  if (ms < LOW_TIME) {
+    text = (Math.floor(ms / 100) / 10).toFixed(1);
+  } else {
+    const seconds = Math.floor(ms / 1000);
+    const pad = value => String(value).padStart(2, '0');
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+    text = hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}` : `${minutes}:${pad(seconds % 60)}`;
+  }
+  return timeControl.type === 'byoyomi' ? `${text} ×${clock.periods}` : text;
+}
+
+/**
+ * Whether a clock is about to run out
+ */
+export function isLowOnTime(clock, timeControl) {
+  return timeUntilFlag(clock, timeControl) < LOW_TIME;
+}
@@ -4,7 +4,36 @@
  */
 
 import { StateMachine, GameState, GameMode } from './stateMachine.js';
-import { BoardLogic } from './boardLogic.js';
+import {
+  BoardLogic,
+  applyHandicap,
+  boardShapeKey,
+  describeBoardShape,
+  describeHandicap,
+  playerForMove,
+  checkSwap,
+  checkPlayerCount,
+  playerNumbers,
+  rulesKey,
+  formatGameRecord,
+  parseGameRecord,
+  replayGameRecord,
+  resultFromWinner,
+  suggestMoves,
+  normalizePuzzle,
+  describePuzzleGoal,
+  puzzleReply,
+  checkPuzzleSolution,
+  PUZZLE_SOLVER,
+  RULE_SETS,
+  RULE_OPTIONS,
+  DEFAULT_RULE_SET,
+  MAX_HANDICAP,
+  MAX_PLAYERS,
+  TEAM_PLAYER_COUNT,
+  teamMembers,
+  teamOf
+} from 'dots-js-shared';
 import { GameRenderer } from './renderer.js';
 import { P2PNetwork } from './p2p.js';
 import { WebSocketClient } from './websocket.js';
@@ -13,29 +42,62 @@ import { skinManager } from './skins.js';
 import { notificationManager } from './notifications.js';
 import { LobbyUI } from './lobby.js';
 import { faviconStatus } from './faviconStatus.js';
+import { ReplayPlayer } from './replay.js';
+import { BoardEditor } from './boardEditor.js';
+import { layoutManager } from './layouts.js';
+import { AiPlayer } from './aiPlayer.js';
+import { ThreatScanner } from './threatScanner.js';
+import { scoresOverTime, drawScoreGraph } from './scoreGraph.js';
+import { GameClock, formatClock, isLowOnTime } from './gameClock.js';
+
+// Blunders listed under the score graph after an analysis
+const LISTED_BLUNDERS = 5;
+// Pause before a puzzle's scripted reply, so the solver sees it land
+const PUZZLE_REPLY_DELAY = 600; // ms
+// localStorage key of the threat overlay toggle
+const THREATS_STORAGE_KEY = 'dots_show_threats';
 
 export class GameController {
   constructor(config = {}) {
     this.config = {
-      gridSize: config.gridSize || 10, // Default to 10x10
+      boardShape: config.boardShape || config.gridSize || 10, // Default to 10x10
+      ruleSet: config.ruleSet || DEFAULT_RULE_SET,
+      ruleOptions: config.ruleOptions || {}, // Overrides for the rule set's options
       googleClientId: config.googleClientId || null,
       serverUrl: config.serverUrl || null
     };
 
     this.canvas = document.getElementById('game-canvas');
     this.stateMachine = new StateMachine();
-    this.boardLogic = new BoardLogic(this.config.gridSize);
+    this.boardLogic = new BoardLogic(this.config.boardShape, this.config.ruleSet, this.config.ruleOptions);
     this.renderer = null;
     this.p2p = null;
     this.wsClient = null;
     this.auth = new GoogleAuth(this.config.googleClientId);
     this.lobby = null;
-    this.selectedGridSize = 10; // Default grid size
+    this.selectedBoardShape = 10; // Default board shape
+    this.selectedRuleSet = DEFAULT_RULE_SET;
+    this.handicap = null; // { player, count, type } of the current game, its dots are on the board
+    this.swapped = false; // Player 2 swapped sides after the first move (swap rule)
+    this.passCount = 0; // Turns passed in an online game, they count towards the turn order
+    this.settledNoticeShown = false; // The server reported the outcome as settled
+    this.isRanked = false; // The current server game is ranked, which rules out hints
+    this.hintsUsed = {}; // Hints each player asked for in a local game, for its record
+    this.threatsVisible = localStorage.getItem(THREATS_STORAGE_KEY) === 'true'; // Threat overlay toggle
+    this.threatScanner = new ThreatScanner(); // Finds the threats in a worker while the overlay is on
+    this.gameClock = new GameClock(clocks => this.updateClocks(clocks)); // Clocks of a timed server game
+    this.aiPlayer = null; // Computer opponent of a game against the computer
+    this.puzzle = null; // Normalized capture puzzle being solved
+    this.puzzleMoves = []; // The solver's moves in the current puzzle attempt
     this.pendingGameMode = null; // Store the selected game mode before grid size selection
     this.gameStarted = false; // Flag to prevent multiple startGame() calls
     this.autoShowLobbyOnLoad = false; // Flag to show lobby after initial auth
     this.isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
     this.pendingMove = null; // Store pending move for touch confirm
+    this.gameTermination = null; // 'forfeit' or 'timeout' when the last game did not end on the board, for its record
+    this.replay = null; // ReplayPlayer while watching a replay
+    this.replayFromLobby = false; // Exit a replay back to the lobby instead of the game over screen
+    this.replayReturn = null; // Board and scores of the finished game while watching its replay
 
     this.init();
   }
@@ -107,6 +169,10 @@ export class GameController {
       this.showGridSizeSelector('local');
     });
 
+    document.getElementById('btn-ai-mode').addEventListener('click', () => {
+      this.showGridSizeSelector('ai');
+    });
+
     document.getElementById('btn-demo-mode').addEventListener('click', () => {
       this.showGridSizeSelector('demo');
     });
@@ -147,6 +213,60 @@ export class GameController {
       this.returnToLobbyFromGameOver();
     });
 
+    document.getElementById('btn-export-record').addEventListener('click', () => {
+      this.exportGameRecord();
+    });
+
+    document.getElementById('btn-watch-replay').addEventListener('click', () => {
+      this.startReplay(parseGameRecord(this.buildGameRecord()));
+    });
+
+    document.getElementById('btn-analyze').addEventListener('click', () => {
+      this.analyzeGame();
+    });
+
+    this.setupReplayControls();
+
+    // Import a game record from a file and continue it as a local game
+    const importFile = document.getElementById('import-record-file');
+    document.getElementById('btn-import-record').addEventListener('click', () => {
+      importFile.click();
+    });
+    importFile.addEventListener('change', async () => {
+      const file = importFile.files[0];
+      importFile.value = '';
+      if (file) {
+        this.importGameRecord(await file.text());
+      }
+    });
+
+    // Undo button (takeback request in online games)
+    document.getElementById('btn-undo').addEventListener('click', () => {
+      this.requestUndo();
+    });
+
+    // Swap button (swap rule)
+    document.getElementById('btn-swap').addEventListener('click', () => {
+      this.requestSwap();
+    });
+
+    // Pass button (online games)
+    document.getElementById('btn-pass').addEventListener('click', () => {
+      this.requestPass();
+    });
+
+    // Hint button (local and unranked games)
+    document.getElementById('btn-hint').addEventListener('click', () => {
+      this.requestHint();
+    });
+
+    // Threats button (overlay of the opponent's capture chances)
+    const threatsBtn = document.getElementById('btn-threats');
+    threatsBtn.classList.toggle('active', this.threatsVisible);
+    threatsBtn.addEventListener('click', () => {
+      this.toggleThreats();
+    });
+
     // Forfeit button
     document.getElementById('btn-forfeit').addEventListener('click', () => {
       this.forfeitGame();
@@ -162,6 +282,15 @@ export class GameController {
       this.showSkinSelector();
     });
 
+    // Board editor
+    this.boardEditor = new BoardEditor(() => {
+      document.getElementById('game-menu').classList.remove('hidden');
+    });
+    document.getElementById('btn-board-editor').addEventListener('click', () => {
+      document.getElementById('game-menu').classList.add('hidden');
+      this.boardEditor.show();
+    });
+
     // Confirm move button (for touch devices)
     const confirmBtn = document.getElementById('btn-confirm-move');
     if (confirmBtn) {
@@ -176,13 +305,28 @@ export class GameController {
     const gridSizeBtns = document.querySelectorAll('.grid-size-btn');
     gridSizeBtns.forEach(btn => {
       btn.addEventListener('click', () => {
-        // Update selection
-        gridSizeBtns.forEach(b => b.classList.remove('selected'));
+        this.selectBoardButton(btn, this.readBoardShape(btn.dataset));
+      });
+    });
+
+    // Rule set button selection
+    const ruleSetBtns = document.querySelectorAll('.rule-set-btn');
+    ruleSetBtns.forEach(btn => {
+      btn.title = RULE_SETS[btn.dataset.ruleSet].description;
+      btn.addEventListener('click', () => {
+        ruleSetBtns.forEach(b => b.classList.remove('selected'));
         btn.classList.add('selected');
-        this.selectedGridSize = parseInt(btn.dataset.size, 10);
+        this.selectedRuleSet = btn.dataset.ruleSet;
       });
     });
 
+    // Rule option toggles
+    document.querySelectorAll('.rule-option-toggle input').forEach(input => {
+      input.parentElement.title = RULE_OPTIONS[input.dataset.ruleOption].description;
+    });
+
+    document.getElementById('handicap-count').max = MAX_HANDICAP;
+
     // Start game button
     document.getElementById('btn-start-game').addEventListener('click', () => {
       this.confirmGridSizeAndStartGame();
@@ -194,6 +338,90 @@ export class GameController {
     });
   }
 
+  /**
+   * Collect the checked rule option toggles as overrides for the rule set
+   */
+  readRuleOptions() {
+    const ruleOptions = {};
+    document.querySelectorAll('.rule-option-toggle input:checked').forEach(input => {
+      ruleOptions[input.dataset.ruleOption] = JSON.parse(input.dataset.value);
+    });
+    return ruleOptions;
+  }
+
+  /**
+   * Handicap set by hand in the grid size selector, or null for an even game
+   */
+  readHandicap() {
+    const count = parseInt(document.getElementById('handicap-count').value, 10) || 0;
+    if (count <= 0) return null;
+    return {
+      player: parseInt(document.getElementById('handicap-player').value, 10),
+      count: Math.min(count, MAX_HANDICAP),
+      type: document.getElementById('handicap-type').value
+    };
+  }
+
+  /**
+   * Number of players picked in the grid size selector for a local game
+   */
+  readPlayerCount() {
+    if (this.readTeams()) return TEAM_PLAYER_COUNT;
+    return parseInt(document.getElementById('player-count').value, 10) || 2;
+  }
+
+  /**
+   * Difficulty picked in the grid size selector for a game against the computer
+   */
+  readAiLevel() {
+    return document.getElementById('ai-level').value;
+  }
+
+  /**
+   * Whether a two-versus-two team game is picked in the grid size selector
+   */
+  readTeams() {
+    return document.getElementById('player-count').value === 'teams';
+  }
+
+  /**
+   * Build a board shape from a grid size button's data attributes
+   */
+  readBoardShape(data) {
+    const size = parseInt(data.size, 10);
+    const width = parseInt(data.width, 10) || size;
+    const height = parseInt(data.height, 10) || size;
+    if (!data.mask && !data.start && width === height) return width;
+    return { width, height, mask: data.mask || null, start: data.start || null };
+  }
+
+  selectBoardButton(btn, boardShape) {
+    document.querySelectorAll('.grid-size-btn').forEach(b => b.classList.remove('selected'));
+    btn.classList.add('selected');
+    this.selectedBoardShape = boardShape;
+  }
+
+  /**
+   * List the layouts saved in the board editor as board choices
+   */
+  populateSavedLayouts() {
+    const layouts = layoutManager.getAll();
+    const options = document.getElementById('saved-layout-options');
+    options.innerHTML = '';
+    document.getElementById('saved-layout-section').classList.toggle('hidden', layouts.length === 0);
+
+    for (const layout of layouts) {
+      const btn = document.createElement('button');
+      btn.className = 'grid-size-btn';
+      btn.textContent = layout.name;
+      btn.title = describeBoardShape(layout.shape);
+      btn.addEventListener('click', () => {
+        this.selectBoardButton(btn, layout.shape);
+      });
+      options.appendChild(btn);
+    }
+  }
+
   setupSkinSelector() {
     // Close button
     document.getElementById('btn-close-skins').addEventListener('click', () => {
@@ -326,6 +554,12 @@ export class GameController {
 
   showGridSizeSelector(mode) {
     this.pendingGameMode = mode;
+    this.populateSavedLayouts();
+    // Server games get their handicap from the lobby's matchmaking
+    document.getElementById('handicap-options').classList.toggle('hidden', !['local', 'demo', 'ai'].includes(mode));
+    document.getElementById('ai-level-options').classList.toggle('hidden', mode !== 'ai');
+    // Free-for-all is played on one device; online games pick it in the lobby
+    document.getElementById('player-count-options').classList.toggle('hidden', mode !== 'local');
     document.getElementById('game-menu').classList.add('hidden');
     document.getElementById('grid-size-selector').classList.remove('hidden');
   }
@@ -337,11 +571,27 @@ export class GameController {
   }
 
   confirmGridSizeAndStartGame() {
-    // Update the grid size configuration
-    this.config.gridSize = this.selectedGridSize;
+    // Handicap dots become part of the board shape for local and P2P games
+    const manualHandicap = ['local', 'demo', 'ai'].includes(this.pendingGameMode);
+    const playerCount = this.pendingGameMode === 'local' ? this.readPlayerCount() : 2;
+    const teams = this.pendingGameMode === 'local' && this.readTeams();
+    let handicapped;
+    try {
+      handicapped = applyHandicap(this.selectedBoardShape, manualHandicap ? this.readHandicap() : null);
+      checkPlayerCount(playerCount, { handicap: handicapped.handicap, ruleOptions: this.readRuleOptions() });
+    } catch (error) {
+      notificationManager.show(error.message, 'error');
+      return;
+    }
+
+    // Update the board shape and rules configuration
+    this.config.boardShape = manualHandicap ? handicapped.boardShape : this.selectedBoardShape;
+    this.config.ruleSet = this.selectedRuleSet;
+    this.config.ruleOptions = this.readRuleOptions();
+    this.handicap = handicapped.handicap;
     
-    // Reinitialize board logic and renderer with new grid size
-    this.boardLogic = new BoardLogic(this.selectedGridSize);
+    // Reinitialize board logic and renderer with the new shape
+    this.boardLogic = new BoardLogic(this.config.boardShape, this.selectedRuleSet, this.config.ruleOptions, teams);
     this.reinitializeRenderer();
     
     // Hide the grid size selector
@@ -350,7 +600,10 @@ export class GameController {
     // Start the appropriate game mode
     switch (this.pendingGameMode) {
       case 'local':
-        this.startLocalGame();
+        this.startLocalGame(playerCount, teams);
+        break;
+      case 'ai':
+        this.startAiGame(this.readAiLevel());
         break;
       case 'demo':
         this.startDemoGame();
@@ -366,6 +619,22 @@ export class GameController {
     this.pendingGameMode = null;
   }
 
+  /**
+   * Switch to the board shape, rules and team mode chosen by the host or server,
+   * rebuilding the board and renderer only when they differ from the current ones
+   */
+  useBoard(boardShape, ruleSet = DEFAULT_RULE_SET, ruleOptions = {}, teams = false) {
+    if (!boardShape) return;
+    const sameShape = boardShapeKey(boardShape) === boardShapeKey(this.boardLogic.getShape());
+    const sameRules = rulesKey(ruleSet, ruleOptions) === rulesKey(this.boardLogic.ruleSet, this.boardLogic.ruleOptions);
+    if (sameShape && sameRules && teams === this.boardLogic.teams) return;
+    this.config.boardShape = boardShape;
+    this.config.ruleSet = ruleSet;
+    this.config.ruleOptions = ruleOptions;
+    this.boardLogic = new BoardLogic(boardShape, ruleSet, ruleOptions, teams);
+    this.reinitializeRenderer();
+  }
+
   reinitializeRenderer() {
     // Clear the old scene and create a new renderer
     if (this.renderer) {
@@ -401,10 +670,15 @@ export class GameController {
   setupStateMachineEvents() {
     this.stateMachine.on('stateChange', ({ newState }) => {
       this.updateUIForState(newState);
+      this.updateThreats();
     });
 
     this.stateMachine.on('turnChange', (playerNum) => {
+      this.renderer.clearHints();
+      this.updateThreats();
       this.updateTurnIndicator(playerNum);
+      this.playAiTurn();
+      this.playPuzzleReply();
     });
 
     this.stateMachine.on('scoreChange', ({ playerNum, score }) => {
@@ -431,30 +705,165 @@ export class GameController {
   }
 
   /**
-   * Start a local game for 2 players on the same device
+   * Start a local game for 2 to 4 players, or two teams of two, on the same device
    */
-  startLocalGame() {
+  startLocalGame(playerCount = 2, teams = false) {
     this.stateMachine.setMode(GameMode.LOCAL);
     this.stateMachine.isLocalMode = true;
+    this.stateMachine.setPlayerCount(playerCount, teams);
     
-    // Set up both players (no authentication needed for local play)
+    // Set up every player (no authentication needed for local play)
     this.stateMachine.localPlayerId = 1;
-    this.stateMachine.setPlayer(1, {
-      id: 'local-player-1',
-      name: 'Player 1'
-    });
-    this.stateMachine.setPlayer(2, {
-      id: 'local-player-2',
-      name: 'Player 2'
-    });
+    for (const playerNum of this.stateMachine.seats()) {
+      this.stateMachine.setPlayer(playerNum, {
+        id: `local-player-${playerNum}`,
+        name: `Player ${playerNum}`
+      });
+    }
     
     // Start the game immediately
     this.startGame();
   }
 
+  /**
+   * Start a game against the computer: the local player is player 1 and the
+   * computer player 2, its moves are picked in a Web Worker (see aiPlayer.js)
+   */
+  startAiGame(level) {
+    this.aiPlayer?.terminate();
+    this.aiPlayer = new AiPlayer(level);
+    this.stateMachine.setMode(GameMode.AI);
+    this.stateMachine.isLocalMode = false;
+    this.stateMachine.setPlayerCount(2);
+
+    this.stateMachine.localPlayerId = 1;
+    this.stateMachine.setPlayer(1, { id: 'local-player-1', name: 'You' });
+    this.stateMachine.setPlayer(2, { id: 'computer', name: `Computer (${this.aiPlayer.level})` });
+
+    // The computer starts thinking on its first turn (see playAiTurn)
+    this.startGame();
+  }
+
+  /**
+   * Let the computer move when it has the turn in a game against the computer
+   */
+  async playAiTurn() {
+    if (this.stateMachine.mode !== GameMode.AI || this.stateMachine.state !== GameState.PLAYING) return;
+    if (this.stateMachine.isLocalPlayerTurn() || this.aiPlayer.isThinking()) return;
+
+    let move;
+    try {
+      move = await this.aiPlayer.chooseMove(this.boardLogic, this.stateMachine.currentPlayer);
+    } catch (error) {
+      console.error('Computer opponent failed:', error);
+      if (this.stateMachine.mode !== GameMode.AI || this.stateMachine.state !== GameState.PLAYING) return;
+      // Hand the turn back rather than leave the game waiting on the computer
+      notificationManager.show('The computer could not find a move, your turn again', 'error');
+      this.stateMachine.switchTurn(this.stateMachine.localPlayerId);
+      this.updatePlayerCards();
+      return;
+    }
+    if (move && this.stateMachine.state === GameState.PLAYING) {
+      this.makeMove(move.x, move.y);
+    }
+  }
+
+  /**
+   * Start a capture puzzle from the lobby: the local player solves as player 1
+   * and the puzzle's scripted replies play player 2 (see playPuzzleReply)
+   */
+  startPuzzle(puzzle) {
+    this.puzzle = normalizePuzzle(puzzle);
+    this.puzzleMoves = [];
+    this.lobby?.hide();
+    document.getElementById('game-container').style.display = 'block';
+
+    this.handicap = null;
+    this.isRanked = false;
+    this.useBoard(this.puzzle.boardShape, this.puzzle.ruleSet);
+    this.stateMachine.setMode(GameMode.PUZZLE);
+    this.stateMachine.isLocalMode = false;
+    this.stateMachine.setPlayerCount(2);
+    this.stateMachine.gameId = null;
+
+    this.stateMachine.localPlayerId = PUZZLE_SOLVER;
+    this.stateMachine.setPlayer(1, { id: 'local-player-1', name: 'You' });
+    this.stateMachine.setPlayer(2, { id: 'puzzle', name: this.puzzle.title });
+
+    this.gameStarted = false;
+    this.startGame();
+    notificationManager.show(describePuzzleGoal(this.puzzle.goal), 'info', 8000);
+  }
+
+  /**
+   * Answer the solver's last move with the puzzle's scripted reply, or pass
+   * when the scripted dot is taken
+   */
+  playPuzzleReply() {
+    if (this.stateMachine.mode !== GameMode.PUZZLE || this.stateMachine.state !== GameState.PLAYING) return;
+    if (this.stateMachine.isLocalPlayerTurn()) return;
+
+    const reply = puzzleReply(this.puzzle, this.boardLogic, this.puzzleMoves);
+    setTimeout(() => {
+      // The puzzle may be over, or left, by now
+      if (this.stateMachine.mode !== GameMode.PUZZLE || this.stateMachine.state !== GameState.PLAYING) return;
+      if (reply) {
+        this.makeMove(reply.x, reply.y);
+      } else {
+        this.passCount++;
+        this.stateMachine.switchTurn(this.nextPlayer());
+        notificationManager.show(`${this.stateMachine.players[2].name} passes`, 'info');
+      }
+    }, PUZZLE_REPLY_DELAY);
+  }
+
+  /**
+   * After each of the solver's moves, end the puzzle once it is solved or the
+   * solver is out of moves
+   */
+  checkPuzzleProgress() {
+    const result = checkPuzzleSolution(this.puzzle, this.puzzleMoves);
+    if (result.finished || this.boardLogic.isGameOver()) {
+      this.finishPuzzle(result);
+    }
+  }
+
+  /**
+   * Show the puzzle's result and, when signed in, send the attempt to the
+   * server for the puzzle rating and daily streak
+   */
+  async finishPuzzle(result) {
+    this.endGame({ puzzle: result });
+
+    const userId = this.lobby?.authState.userId;
+    if (!userId || !result.finished) return;
+    const apiUrl = this.lobby.getApiUrl();
+
+    try {
+      const response = await fetch(`${apiUrl}/api/puzzles/${this.puzzle.id}/attempt`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ userId, moves: this.puzzleMoves })
+      });
+      const attempt = await response.json();
+      if (!response.ok) {
+        console.error('Failed to submit puzzle attempt:', attempt);
+        return;
+      }
+      const change = attempt.ratingChange > 0 ? `+${attempt.ratingChange}` : String(attempt.ratingChange);
+      document.getElementById('final-scores').textContent +=
+        ` · Puzzle rating: ${attempt.rating} (${change}) · Streak: ${attempt.streak}`;
+    } catch (error) {
+      console.error('Error submitting puzzle attempt:', error);
+    }
+  }
+
   async startDemoGame() {
     notificationManager.show('Initializing P2P game...', 'info');
     this.stateMachine.setMode(GameMode.DEMO);
+    this.stateMachine.setPlayerCount(2); // P2P games are for two players
     
     // Create guest user if not signed in
     if (!this.auth.isSignedIn()) {
@@ -517,6 +926,7 @@ export class GameController {
   async joinDemoGame(gameId) {
     notificationManager.show(`Joining game ${gameId}...`, 'info');
     this.stateMachine.setMode(GameMode.DEMO);
+    this.stateMachine.setPlayerCount(2);
     
     // Create guest user if not signed in
     if (!this.auth.isSignedIn()) {
@@ -612,7 +1022,12 @@ export class GameController {
           playerId: playerInfo.id,
           name: playerInfo.name,
           skin: playerInfo.skin || skinManager.currentSkin,
-          playerNum: playerNum
+          playerNum: playerNum,
+          // The host picks the board, the guest follows
+          boardShape: playerNum === 1 ? this.boardLogic.getShape() : undefined,
+          ruleSet: playerNum === 1 ? this.boardLogic.ruleSet : undefined,
+          ruleOptions: playerNum === 1 ? this.boardLogic.ruleOptions : undefined,
+          handicap: playerNum === 1 ? this.handicap : undefined
         });
         notificationManager.show('Player info sent', 'success');
       } else {
@@ -629,6 +1044,10 @@ export class GameController {
       notificationManager.show(`Received opponent info: ${data.name}`, 'success');
       const opponentId = this.stateMachine.localPlayerId === 1 ? 2 : 1;
       console.log('[P2P] Setting opponent ID:', opponentId);
+      if (opponentId === 1) {
+        this.useBoard(data.boardShape, data.ruleSet, data.ruleOptions);
+        this.handicap = data.handicap ?? null;
+      }
       this.stateMachine.setPlayer(opponentId, {
         id: data.playerId,
         name: data.name,
@@ -659,6 +1078,10 @@ export class GameController {
       this.handleRematchRequest();
     });
 
+    this.p2p.on('swap', () => {
+      this.swapSides();
+    });
+
     this.p2p.on('disconnected', () => {
       notificationManager.show('Opponent disconnected', 'error');
       this.returnToMenu();
@@ -705,8 +1128,14 @@ export class GameController {
         userId: userId,
         name: this.auth.user?.name || this.auth.getAnonymousAuthData()?.username,
         picture: this.auth.user?.picture || null
-      }, this.config.serverUrl, (gameId, gameState) => this.resumeSavedGame(gameId, gameState));
+      }, this.config.serverUrl,
+      (gameId, gameState) => this.resumeSavedGame(gameId, gameState),
+      (gameId) => this.replaySavedGame(gameId),
+      (puzzle) => this.startPuzzle(puzzle));
     }
+    this.lobby.boardShape = this.config.boardShape;
+    this.lobby.ruleSet = this.config.ruleSet;
+    this.lobby.ruleOptions = this.config.ruleOptions;
     
     // Hide menu and game container
     const menuElement = document.getElementById('game-menu');
@@ -755,14 +1184,24 @@ export class GameController {
       this.stateMachine.gameId = data.gameId;
       this.stateMachine.localPlayerId = data.playerNumber;
       
-      this.stateMachine.setPlayer(1, data.player1);
-      this.stateMachine.setPlayer(2, data.player2);
+      this.stateMachine.setPlayerCount(data.playerCount, Boolean(data.teams));
+      for (const playerNum of this.stateMachine.seats()) {
+        this.stateMachine.setPlayer(playerNum, data.players?.[playerNum] ?? data[`player${playerNum}`]);
+      }
       
+      this.useBoard(data.boardShape, data.ruleSet, data.ruleOptions, Boolean(data.teams));
+      this.handicap = data.handicap ?? null;
+      this.isRanked = data.isRanked === true;
       this.startGame();
+      this.gameClock.update(data.clock);
+      if (Object.values(data.players ?? {}).some(player => player?.isBot)) {
+        notificationManager.show('No one else was waiting, so you are playing a bot', 'info', 5000);
+      }
     });
 
     this.wsClient.on('moveResult', (data) => {
       console.log('Received moveResult:', data);
+      this.gameClock.measureRoundTrip();
       if (data.success) {
         const playerNum = data.playerNum;
         
@@ -773,26 +1212,19 @@ export class GameController {
           // Apply visual changes
           this.applyMove(data.move, playerNum, result.capturedDots);
           
-          // Handle scoring
-          if (result.lostByPlayers) {
-            for (const [lostPlayerNum, lostDotCount] of result.lostByPlayers) {
-              this.stateMachine.addScore(lostPlayerNum, -lostDotCount);
-            }
-          }
-          
-          // Award points to capturing player
-          const points = 1 + result.capturedDots.length;
-          this.stateMachine.addScore(playerNum, points);
+          this.updateScoresFromBoard();
           
           if (result.capturedDots.length > 0) {
             this.showCaptureNotification();
           }
           
           // Switch turns
-          this.stateMachine.switchTurn();
+          this.stateMachine.switchTurn(this.nextPlayer());
+          this.gameClock.update(data.clock);
           
           // Update UI
           this.updatePlayerCards();
+          this.showSettledNotice(data.settled);
           
           // Check game over
           if (data.gameOver || this.boardLogic.isGameOver()) {
@@ -808,21 +1240,58 @@ export class GameController {
     });
 
     this.wsClient.on('opponentMove', (data) => {
+      this.gameClock.update(data.clock);
       this.receiveMove(data);
     });
 
     this.wsClient.on('gameOver', (data) => {
+      if (data.clock) {
+        this.gameClock.update(data.clock);
+      }
       this.endGame(data);
     });
 
+    this.wsClient.on('takebackRequested', (data) => {
+      const accept = confirm(`${data.from} asks to take back their last move. Allow it?`);
+      this.wsClient.respondToTakeback(accept);
+    });
+
+    this.wsClient.on('takeback', (data) => {
+      this.gameClock.update(data.clock);
+      this.undoLastMove(data.currentPlayer);
+      notificationManager.show('Move taken back', 'info');
+    });
+
+    this.wsClient.on('takebackDeclined', () => {
+      notificationManager.show('Takeback declined', 'info');
+    });
+
+    this.wsClient.on('sidesSwapped', (data) => {
+      this.swapSides();
+      this.gameClock.update(data.clock);
+    });
+
+    this.wsClient.on('hint', (data) => {
+      this.showHints(data.hints);
+    });
+
+    this.wsClient.on('turnPassed', (data) => {
+      this.passCount++;
+      this.stateMachine.switchTurn(data.currentPlayer);
+      this.gameClock.update(data.clock);
+      this.updatePlayerCards();
+      notificationManager.show(`${this.stateMachine.players[data.playerNum].name} passed`, 'info');
+    });
+
     this.wsClient.on('eloUpdate', (data) => {
       console.log('ELO updated:', data);
     });
 
     this.wsClient.on('presenceUpdate', (data) => {
       console.log('Presence update received:', data);
-      this.updatePlayerPresence(1, data.player1Online);
-      this.updatePlayerPresence(2, data.player2Online);
+      for (const playerNum of this.stateMachine.seats()) {
+        this.updatePlayerPresence(playerNum, data[`player${playerNum}Online`]);
+      }
       
       // If both players are online and we're in ASYNC mode, switch to ONLINE
       if (data.player1Online && data.player2Online && 
@@ -888,7 +1357,6 @@ export class GameController {
     console.log('currentPlayer BEFORE:', this.stateMachine.currentPlayer);
     
     this.stateMachine.setState(GameState.PLAYING);
-    this.stateMachine.setCurrentPlayer(1);
     
     console.log('Hiding menu...');
     // Hide menu
@@ -901,7 +1369,8 @@ export class GameController {
     
     // Show back to lobby button for online/async games (they auto-save)
     const backToLobbyBtn = document.getElementById('btn-back-to-lobby');
-    if (this.stateMachine.mode === GameMode.ONLINE || this.stateMachine.mode === GameMode.ASYNC) {
+    if (this.stateMachine.mode === GameMode.ONLINE || this.stateMachine.mode === GameMode.ASYNC ||
+        (this.stateMachine.mode === GameMode.PUZZLE && this.lobby)) {
       backToLobbyBtn.classList.remove('hidden');
     } else {
       backToLobbyBtn.classList.add('hidden');
@@ -912,6 +1381,11 @@ export class GameController {
     this.boardLogic.reset();
     this.renderer.reset();
     this.stateMachine.reset();
+    this.passCount = 0;
+    this.settledNoticeShown = false;
+    this.hintsUsed = {};
+    this.stateMachine.switchTurn(this.nextPlayer());
+    this.swapped = false;
     
     // Update renderer colors to match current skin selections
     this.renderer.updateSkinColors();
@@ -927,6 +1401,9 @@ export class GameController {
     this.updatePlayerCards();
     
     notificationManager.show('Game started!', 'success');
+    if (this.handicap) {
+      notificationManager.show(`Handicap: ${describeHandicap(this.handicap)}`, 'info', 5000);
+    }
     console.log('startGame() completed');
     console.log('Final localPlayerId:', this.stateMachine.localPlayerId);
     console.log('Final currentPlayer:', this.stateMachine.currentPlayer);
@@ -964,6 +1441,7 @@ export class GameController {
     // Start in ASYNC mode by default - will switch to ONLINE if both players are present
     this.stateMachine.mode = GameMode.ASYNC;
     this.stateMachine.gameId = gameId;
+    this.isRanked = gameState.isRanked === true;
     
     // Always reconnect WebSocket for resumed games to enable presence tracking
     if (!this.wsClient) {
@@ -1018,7 +1496,8 @@ export class GameController {
     console.log('LocalPlayerId:', this.stateMachine.localPlayerId);
     console.log('Current Player:', gameState.currentPlayer);
     
-    // Set player info
+    // Set player info (async games are for two players)
+    this.stateMachine.setPlayerCount(2);
     this.stateMachine.setPlayer(1, { 
       id: gameState.player1Id, 
       name: gameState.player1Name || 'Player 1',
@@ -1033,6 +1512,8 @@ export class GameController {
     });
     
     // Restore board state
+    this.useBoard(gameState.boardShape || 10, gameState.ruleSet, gameState.ruleOptions);
+    this.handicap = gameState.handicap ?? null;
     this.boardLogic.reset();
     this.renderer.reset();
     
@@ -1046,13 +1527,13 @@ export class GameController {
       });
     });
     
-    let player1Score = 0;
-    let player2Score = 0;
-    
     // Replay all moves to restore the board
     console.log('Replaying', gameState.moves.length, 'moves');
     console.log('Moves array:', JSON.stringify(gameState.moves));
+    this.swapped = gameState.moves.some(move => move.swap);
+    this.passCount = gameState.moves.filter(move => move.pass).length;
     for (const move of gameState.moves) {
+      if (move.swap || move.pass) continue; // Seats were swapped or a turn passed, the board did not change
       console.log('Replaying move:', move);
       const result = this.boardLogic.occupyDot(move.x, move.y, move.player);
       console.log('occupyDot result:', result);
@@ -1063,9 +1544,6 @@ export class GameController {
         // Handle captured territories
         if (result.capturedDots && result.capturedDots.length > 0) {
           this.renderer.setCapturedDots(result.capturedDots, move.player);
-          // Update score based on captured dots
-          if (move.player === 1) player1Score += result.capturedDots.length;
-          else player2Score += result.capturedDots.length;
         }
       } else {
         console.error('Failed to replay move:', move, result);
@@ -1073,8 +1551,7 @@ export class GameController {
     }
     
     // Update scores
-    this.stateMachine.players[1].score = player1Score;
-    this.stateMachine.players[2].score = player2Score;
+    this.updateScoresFromBoard();
     
     // Set current player
     this.stateMachine.setCurrentPlayer(gameState.currentPlayer);
@@ -1092,8 +1569,10 @@ export class GameController {
 
   returnToLobby() {
     // Return to lobby without forfeiting the game
-    // Works for online and async games (both are saved to async storage)
-    if (this.stateMachine.mode !== GameMode.ASYNC && this.stateMachine.mode !== GameMode.ONLINE) {
+    // Works for online and async games (both are saved to async storage),
+    // and leaves puzzles unfinished
+    const isPuzzle = this.stateMachine.mode === GameMode.PUZZLE;
+    if (this.stateMachine.mode !== GameMode.ASYNC && this.stateMachine.mode !== GameMode.ONLINE && !isPuzzle) {
       console.log('Can only return to lobby from online/async games');
       notificationManager.show('Cannot return to lobby from this game mode', 'error');
       return;
@@ -1102,7 +1581,7 @@ export class GameController {
     console.log('Returning to lobby, game will be preserved');
     
     // Notify backend we're leaving the game room before disconnecting
-    if (this.wsClient && this.stateMachine.gameId) {
+    if (this.wsClient && this.stateMachine.gameId && !isPuzzle) {
       this.wsClient.send({ type: 'leave_game', gameId: this.stateMachine.gameId });
       // Give it a moment to send before disconnecting
       setTimeout(() => {
@@ -1115,6 +1594,7 @@ export class GameController {
     
     // Reset game started flag
     this.gameStarted = false;
+    this.gameClock.update(null);
     
     // Hide game UI
     document.getElementById('game-container').style.display = 'none';
@@ -1126,12 +1606,16 @@ export class GameController {
       this.lobby.show();
     }
     
+    if (isPuzzle) {
+      this.stateMachine.setState(GameState.MENU);
+      return;
+    }
     notificationManager.show('Game saved - you can continue later from Current Games', 'success');
   }
 
   returnToLobbyFromGameOver() {
-    // Disconnect from game
-    if (this.wsClient) {
+    // Disconnect from game; puzzles are played offline and keep the lobby's connection
+    if (this.wsClient && this.stateMachine.mode !== GameMode.PUZZLE) {
       this.wsClient.disconnect();
       this.wsClient = null;
     }
@@ -1142,6 +1626,7 @@ export class GameController {
     
     // Reset game started flag
     this.gameStarted = false;
+    this.gameClock.update(null);
     
     // Hide game UI
     document.getElementById('game-container').style.display = 'none';
@@ -1167,16 +1652,24 @@ export class GameController {
     if (this.stateMachine.state !== GameState.PLAYING) return;
     
     // Confirm forfeit
-    if (!confirm('Are you sure you want to forfeit? Your opponent will win.')) {
+    const confirmText = this.stateMachine.teams
+      ? 'Are you sure you want to forfeit? The other team will win.'
+      : this.stateMachine.playerCount > 2
+        ? 'Are you sure you want to forfeit? The leader of the other players will win.'
+        : 'Are you sure you want to forfeit? Your opponent will win.';
+    if (!confirm(confirmText)) {
       return;
     }
     
-    // Determine winner (the other player)
+    // Determine winner (the other player, the leader of the others in
+    // free-for-all, or the other team)
     const currentPlayerId = this.stateMachine.localPlayerId;
-    const winnerId = currentPlayerId === 1 ? 2 : 1;
+    const winnerId = this.stateMachine.getWinner(currentPlayerId);
     
-    // Set the winner based on forfeit
-    this.stateMachine.players[winnerId].score = 999; // Ensure they win
+    // Set the winner based on forfeit (a team's first seat has the team's number)
+    if (winnerId !== null) {
+      this.stateMachine.players[winnerId].score = 999; // Ensure they win
+    }
     
     // Notify server/opponent if in online/p2p mode
     if (this.stateMachine.mode === GameMode.DEMO && this.p2p) {
@@ -1191,6 +1684,230 @@ export class GameController {
     this.endGame({ forfeit: true, forfeiter: currentPlayerId });
   }
 
+  /**
+   * Undo button: hot-seat games undo right away, online games ask the opponent
+   */
+  requestUndo() {
+    if (this.stateMachine.state !== GameState.PLAYING || !this.boardLogic.canUndo()) return;
+
+    // A swap is the last thing that happened while only the first move is on the board
+    const swapIsLast = this.swapped && this.boardLogic.getMoveHistory().length === 1;
+    if (this.stateMachine.mode === GameMode.LOCAL) {
+      if (swapIsLast) {
+        this.swapSides();
+      } else {
+        this.undoLastMove();
+      }
+    } else if (this.stateMachine.mode === GameMode.AI) {
+      // Take back the computer's answer along with the player's own move
+      do {
+        this.undoLastMove();
+      } while (this.boardLogic.canUndo() && !this.stateMachine.isLocalPlayerTurn());
+      // Drop what the computer started on while the moves were taken back
+      this.aiPlayer.cancel();
+      this.playAiTurn();
+    } else if (this.stateMachine.mode === GameMode.ONLINE && this.wsClient) {
+      if (swapIsLast) {
+        notificationManager.show('A swap cannot be taken back', 'info');
+        return;
+      }
+      if (this.boardLogic.getMoveHistory().at(-1).player !== this.stateMachine.localPlayerId) {
+        notificationManager.show('You can only take back your own last move', 'info');
+        return;
+      }
+      this.wsClient.requestTakeback();
+      notificationManager.show('Takeback requested', 'info');
+    }
+  }
+
+  /**
+   * Swap button: local games swap right away, P2P games tell the peer, server
+   * games swap once the server has accepted it
+   */
+  async requestSwap() {
+    if (!this.canSwap()) return;
+
+    const isResumedAsyncGame = this.stateMachine.gameId && this.stateMachine.gameId.startsWith('async_');
+    if (this.stateMachine.mode === GameMode.ONLINE && this.wsClient && !isResumedAsyncGame) {
+      this.wsClient.swapSides(); // Applied when the server answers with sidesSwapped
+      return;
+    }
+    if (this.stateMachine.mode === GameMode.ASYNC || isResumedAsyncGame) {
+      if (!await this.submitAsyncSwap()) return;
+    } else if (this.stateMachine.mode === GameMode.DEMO && this.p2p) {
+      this.p2p.sendSwap();
+    }
+    this.swapSides();
+  }
+
+  /**
+   * Pass button: only server games pass, the server ends the game once both
+   * players passed in a row
+   */
+  requestPass() {
+    if (!this.canPass()) return;
+    this.wsClient.pass(); // Applied when the server answers with turnPassed
+  }
+
+  /**
+   * Hint button: highlight the best few moves for the player to move. Local
+   * games work them out here and count them for the game record; server games
+   * ask the server, which keeps the count and refuses in ranked games.
+   */
+  async requestHint() {
+    if (!this.canHint()) return;
+
+    const isResumedAsyncGame = this.stateMachine.gameId && this.stateMachine.gameId.startsWith('async_');
+    if (this.stateMachine.mode === GameMode.ONLINE && this.wsClient && !isResumedAsyncGame) {
+      this.wsClient.requestHint(); // Shown when the server answers with hint
+      return;
+    }
+    if (this.stateMachine.mode === GameMode.ASYNC || isResumedAsyncGame) {
+      const hints = await this.fetchAsyncHint();
+      if (hints) this.showHints(hints);
+      return;
+    }
+
+    const playerNum = this.stateMachine.currentPlayer;
+    this.hintsUsed[playerNum] = (this.hintsUsed[playerNum] ?? 0) + 1;
+    this.showHints(suggestMoves(this.boardLogic, playerNum, { playerCount: this.stateMachine.playerCount }));
+  }
+
+  /**
+   * Whether the local player may ask for a hint now: in local games and in
+   * unranked server games
+   */
+  canHint() {
+    const { mode, state } = this.stateMachine;
+    if (state !== GameState.PLAYING || !this.stateMachine.isLocalPlayerTurn()) {
+      return false;
+    }
+    return mode === GameMode.LOCAL || mode === GameMode.AI ||
+      ((mode === GameMode.ONLINE || mode === GameMode.ASYNC) && !this.isRanked);
+  }
+
+  showHints(hints) {
+    if (hints.length === 0) {
+      notificationManager.show('No move to suggest', 'info');
+      return;
+    }
+    this.renderer.showHints(hints, this.stateMachine.currentPlayer);
+  }
+
+  async fetchAsyncHint() {
+    const apiUrl = this.config.serverUrl || window.location.origin;
+    const userId = this.auth.user?.sub || this.auth.user?.id;
+
+    try {
+      const response = await fetch(`${apiUrl}/api/async/games/${this.stateMachine.gameId}/hint`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ userId })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        notificationManager.show(`No hint: ${result.error}`, 'error');
+        return null;
+      }
+      return result.hints;
+    } catch (error) {
+      console.error('Error requesting hint:', error);
+      notificationManager.show('Error requesting hint', 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Whether the local player may pass now
+   */
+  canPass() {
+    return this.stateMachine.mode === GameMode.ONLINE &&
+      this.stateMachine.state === GameState.PLAYING &&
+      this.stateMachine.isLocalPlayerTurn();
+  }
+
+  /**
+   * Whether the local player may swap sides now
+   */
+  canSwap() {
+    if (this.stateMachine.state !== GameState.PLAYING || !this.stateMachine.isLocalPlayerTurn()) {
+      return false;
+    }
+    return checkSwap({
+      ruleOptions: this.boardLogic.ruleOptions,
+      handicap: this.handicap,
+      moveCount: this.boardLogic.getMoveHistory().length,
+      swapped: this.swapped
+    }, this.stateMachine.currentPlayer) === null;
+  }
+
+  /**
+   * Trade seats: players, skins and scores move across while the board stays.
+   * Calling it again swaps back, which is how a local undo takes a swap back.
+   */
+  swapSides() {
+    const { players } = this.stateMachine;
+    this.stateMachine.players = { 1: players[2], 2: players[1] };
+    const skins = { 1: skinManager.getPlayerSkin(1), 2: skinManager.getPlayerSkin(2) };
+    skinManager.setPlayerSkin(1, skins[2]);
+    skinManager.setPlayerSkin(2, skins[1]);
+    if (!this.stateMachine.isLocalMode) {
+      this.stateMachine.localPlayerId = this.stateMachine.localPlayerId === 1 ? 2 : 1;
+    }
+    this.swapped = !this.swapped;
+
+    this.updateScoresFromBoard();
+    this.renderer.updateSkinColors();
+    this.updatePlayerCards();
+    if (this.swapped) {
+      notificationManager.show(`${this.stateMachine.players[1].name} swapped sides and takes the first move`, 'info');
+    }
+  }
+
+  async submitAsyncSwap() {
+    const apiUrl = this.config.serverUrl || window.location.origin;
+    const userId = this.auth.user?.sub || this.auth.user?.id;
+
+    try {
+      const response = await fetch(`${apiUrl}/api/async/games/${this.stateMachine.gameId}/swap`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ userId })
+      });
+      if (!response.ok) {
+        const error = await response.json();
+        notificationManager.show(`Failed to swap: ${error.error}`, 'error');
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Error submitting swap:', error);
+      notificationManager.show('Error submitting swap', 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Take back the last move on the board and give the turn to whoever made it
+   */
+  undoLastMove(currentPlayer = null) {
+    const result = this.boardLogic.undo();
+    if (!result.success) return;
+
+    this.renderer.clearPreviews();
+    this.rebuildVisuals();
+    this.updateScoresFromBoard();
+    this.stateMachine.setCurrentPlayer(currentPlayer ?? result.move.player);
+    if (this.stateMachine.isLocalMode) {
+      this.stateMachine.localPlayerId = this.stateMachine.currentPlayer;
+    }
+    this.updatePlayerCards();
+  }
+
   cancelSelection() {
     // Cancel any pending move selection
     if (this.pendingMove) {
@@ -1371,6 +2088,7 @@ export class GameController {
       
       // Send move to server - it will respond with moveResult
       console.log('Sending move to server:', x, y);
+      this.gameClock.markSent();
       this.wsClient.submitMove(x, y);
       return; // Wait for server response in moveResult handler
     }
@@ -1397,32 +2115,44 @@ export class GameController {
       await this.submitAsyncMove(x, y);
     }
     
-    // Handle scoring
-    // First deduct points from players who lost territory
-    if (result.lostByPlayers) {
-      for (const [lostPlayerNum, lostDotCount] of result.lostByPlayers) {
-        this.stateMachine.addScore(lostPlayerNum, -lostDotCount);
-      }
-    }
-    
-    // Then award points to capturing player
-    // Score = 1 for the occupied dot + number of captured dots
-    const points = 1 + result.capturedDots.length;
-    this.stateMachine.addScore(playerNum, points);
+    this.updateScoresFromBoard();
     
     if (result.capturedDots.length > 0) {
       this.showCaptureNotification();
     }
     
     // Switch turns (in this version, capturing doesn't give extra turn)
-    this.stateMachine.switchTurn();
+    const isPuzzleMove = this.stateMachine.mode === GameMode.PUZZLE && playerNum === PUZZLE_SOLVER;
+    if (isPuzzleMove) {
+      this.puzzleMoves.push({ x, y });
+    }
+    this.stateMachine.switchTurn(this.nextPlayer());
     
     // Check game over
-    if (this.boardLogic.isGameOver()) {
+    if (isPuzzleMove) {
+      this.checkPuzzleProgress();
+    } else if (this.boardLogic.isGameOver()) {
       this.endGame();
     }
   }
 
+  /**
+   * Player to move next on the board, following the game's handicap
+   */
+  nextPlayer() {
+    const turns = this.boardLogic.getMoveHistory().length + this.passCount;
+    return playerForMove(turns, this.handicap, this.stateMachine.playerCount);
+  }
+
+  /**
+   * Set every player's score from the board, as the game's rule set counts them
+   */
+  updateScoresFromBoard() {
+    for (const playerNum of this.stateMachine.seats()) {
+      this.stateMachine.setScore(playerNum, this.boardLogic.calculateScore(playerNum));
+    }
+  }
+
   applyMove(move, playerNum, capturedDots = []) {
     // Mark the dot as owned
     this.renderer.setDotOwner(move.x, move.y, playerNum);
@@ -1431,6 +2161,44 @@ export class GameController {
     if (capturedDots.length > 0) {
       this.renderer.setCapturedDots(capturedDots, playerNum);
     }
+
+    this.updateThreats();
+  }
+
+  toggleThreats() {
+    this.threatsVisible = !this.threatsVisible;
+    localStorage.setItem(THREATS_STORAGE_KEY, String(this.threatsVisible));
+    document.getElementById('btn-threats').classList.toggle('active', this.threatsVisible);
+    this.updateThreats();
+  }
+
+  /**
+   * Redraw the threat overlay: every dot where an opponent could capture on
+   * their next turn, shaded by the dots at stake. Opponents are those of the
+   * local player, or in hot-seat games of the player to move. The board is
+   * only scanned while the overlay is on, in a worker (see threatScanner.js).
+   */
+  async updateThreats() {
+    if (!this.threatsVisible || this.stateMachine.state !== GameState.PLAYING) {
+      this.threatScanner.cancel();
+      this.renderer.clearThreats();
+      return;
+    }
+
+    const defender = this.stateMachine.isLocalMode ? this.stateMachine.currentPlayer : this.stateMachine.localPlayerId;
+    const isOpponent = playerNum => this.stateMachine.teams
+      ? teamOf(playerNum) !== teamOf(defender)
+      : playerNum !== defender;
+
+    // Where several opponents could capture, the worker keeps the biggest threat
+    try {
+      const threats = await this.threatScanner.scan(this.boardLogic, this.stateMachine.seats().filter(isOpponent));
+      this.renderer.showThreats(threats);
+    } catch (error) {
+      console.error('Threat scan failed:', error);
+      this.renderer.clearThreats();
+      notificationManager.show('Could not show threats', 'error');
+    }
   }
   
   async submitAsyncMove(x, y) {
@@ -1473,23 +2241,14 @@ export class GameController {
       // Apply visual changes
       this.applyMove({ x, y }, playerNum, result.capturedDots);
       
-      // Handle scoring
-      // First deduct points from players who lost territory
-      if (result.lostByPlayers) {
-        for (const [lostPlayerNum, lostDotCount] of result.lostByPlayers) {
-          this.stateMachine.addScore(lostPlayerNum, -lostDotCount);
-        }
-      }
-      
-      // Then award points to capturing player
-      const points = 1 + result.capturedDots.length;
-      this.stateMachine.addScore(playerNum, points);
+      this.updateScoresFromBoard();
       
       // Switch turns
-      this.stateMachine.switchTurn();
+      this.stateMachine.switchTurn(this.nextPlayer());
       
       // Update UI
       this.updatePlayerCards();
+      this.showSettledNotice(data.settled);
       
       // Check game over
       if (this.boardLogic.isGameOver()) {
@@ -1500,9 +2259,27 @@ export class GameController {
     }
   }
 
+  /**
+   * Tell the players once that the server considers the game decided, so
+   * they can pass to finish it
+   */
+  showSettledNotice(settled) {
+    if (settled && !this.settledNoticeShown && !this.boardLogic.isGameOver()) {
+      notificationManager.show('The outcome is settled: pass to finish the game', 'info');
+    }
+    this.settledNoticeShown = !!settled;
+  }
+
   syncState(data) {
     // Full state sync from opponent
+    const previousShape = boardShapeKey(this.boardLogic.getShape());
     this.boardLogic.deserialize(data.board);
+    this.config.ruleSet = this.boardLogic.ruleSet;
+    this.config.ruleOptions = this.boardLogic.ruleOptions;
+    if (boardShapeKey(this.boardLogic.getShape()) !== previousShape) {
+      this.config.boardShape = this.boardLogic.getShape();
+      this.reinitializeRenderer();
+    }
     this.stateMachine.players = data.players;
     this.stateMachine.currentPlayer = data.currentPlayer;
     
@@ -1511,7 +2288,8 @@ export class GameController {
   }
 
   rebuildVisuals() {
-    this.renderer.reset();
+    // Keep the camera where it is and skip capture particles, nothing new happened
+    this.renderer.reset(false);
     
     // Rebuild dot states
     for (const [, dot] of this.boardLogic.dots) {
@@ -1519,9 +2297,10 @@ export class GameController {
         this.renderer.setDotOwner(dot.x, dot.y, dot.owner);
       }
       if (dot.captured) {
-        this.renderer.setCapturedDots([{ x: dot.x, y: dot.y }], dot.capturedBy);
+        this.renderer.setCapturedDots([{ x: dot.x, y: dot.y }], dot.capturedBy, false);
       }
     }
+    this.updateThreats();
   }
 
   showCaptureNotification() {
@@ -1533,32 +2312,65 @@ export class GameController {
     }, 1000);
   }
 
+  /**
+   * Name of a winner for the game over screen: a player, or a team and its
+   * players in a team game
+   */
+  winnerName(winner) {
+    if (!this.stateMachine.teams) {
+      return this.stateMachine.players[winner].name;
+    }
+    const names = teamMembers(winner).map(playerNum => this.stateMachine.players[playerNum].name);
+    return `Team ${winner} (${names.join(' & ')})`;
+  }
+
   endGame(data = null) {
     this.stateMachine.setState(GameState.GAME_OVER);
+    this.gameTermination = data && (data.forfeit || data.resigned) ? 'forfeit' : null;
+    if (data?.reason === 'timeout') {
+      this.gameTermination = 'timeout';
+    }
+    this.gameClock.stop();
     
     // Hide forfeit button
     document.getElementById('btn-forfeit').classList.add('hidden');
     
     const winner = this.stateMachine.getWinner();
-    const p1Score = this.stateMachine.players[1].score;
-    const p2Score = this.stateMachine.players[2].score;
     
     let winnerText;
-    if (data && data.forfeit) {
+    if (this.stateMachine.mode === GameMode.PUZZLE) {
+      const captured = data?.puzzle?.captured ?? 0;
+      winnerText = data?.puzzle?.solved
+        ? 'Puzzle solved!'
+        : `Not solved: ${captured} of ${this.puzzle.goal.captures} dots captured`;
+    } else if (data && data.forfeit) {
       const forfeiterName = this.stateMachine.players[data.forfeiter].name;
-      const winnerId = data.forfeiter === 1 ? 2 : 1;
-      const winnerName = this.stateMachine.players[winnerId].name;
-      winnerText = `${winnerName} wins! (${forfeiterName} forfeited)`;
+      const winnerId = this.stateMachine.getWinner(data.forfeiter);
+      winnerText = winnerId === null
+        ? `${forfeiterName} forfeited`
+        : `${this.winnerName(winnerId)} wins! (${forfeiterName} forfeited)`;
     } else if (winner === null) {
       winnerText = "It's a draw!";
     } else {
-      const winnerName = this.stateMachine.players[winner].name;
-      winnerText = `${winnerName} wins!`;
+      winnerText = `${this.winnerName(winner)} wins!`;
+    }
+    if (data && data.reason === 'settled') {
+      winnerText += ' (decided early)';
+    } else if (data && data.reason === 'passes') {
+      winnerText += ' (both players passed)';
+    } else if (data && data.reason === 'timeout') {
+      winnerText += ' (on time)';
     }
     
     document.getElementById('winner-text').textContent = winnerText;
-    document.getElementById('final-scores').textContent = 
-      `${this.stateMachine.players[1].name}: ${p1Score} | ${this.stateMachine.players[2].name}: ${p2Score}`;
+    let finalScores = this.stateMachine.seats()
+      .map(playerNum => `${this.stateMachine.players[playerNum].name}: ${this.stateMachine.players[playerNum].score}`)
+      .join(' | ');
+    if (this.stateMachine.teams) {
+      const teamScores = this.stateMachine.getTeamScores();
+      finalScores = `Team 1: ${teamScores[1]} | Team 2: ${teamScores[2]} (${finalScores})`;
+    }
+    document.getElementById('final-scores').textContent = finalScores;
     
     // Show/hide buttons based on game mode
     const rematchBtn = document.getElementById('btn-rematch');
@@ -1568,19 +2380,369 @@ export class GameController {
       // Online/async games: hide rematch, show return to lobby
       rematchBtn.classList.add('hidden');
       returnLobbyBtn.classList.remove('hidden');
+    } else if (this.stateMachine.mode === GameMode.PUZZLE) {
+      // Puzzles: try again, or go back to the puzzle browser
+      rematchBtn.classList.remove('hidden');
+      returnLobbyBtn.classList.toggle('hidden', !this.lobby);
     } else {
       // Local/P2P games: show rematch, hide return to lobby
       rematchBtn.classList.remove('hidden');
       returnLobbyBtn.classList.add('hidden');
     }
+    rematchBtn.textContent = this.stateMachine.mode === GameMode.PUZZLE ? 'Try Again' : 'Rematch';
+
+    const analyzeBtn = document.getElementById('btn-analyze');
+    analyzeBtn.disabled = false;
+    analyzeBtn.textContent = 'Analyze';
+    document.getElementById('analysis-summary').replaceChildren();
+    drawScoreGraph(this.scoreGraphCanvas(), scoresOverTime(parseGameRecord(this.buildGameRecord())), this.playerColorStyles());
     
     document.getElementById('game-over').classList.remove('hidden');
   }
 
+  scoreGraphCanvas() {
+    return document.getElementById('score-graph');
+  }
+
+  /**
+   * CSS colors of the players' dots, for drawing outside the 3D scene
+   */
+  playerColorStyles() {
+    const colors = {};
+    for (const playerNum of this.stateMachine.seats()) {
+      colors[playerNum] = `#${this.renderer.playerColors[playerNum].getHexString()}`;
+    }
+    return colors;
+  }
+
+  /**
+   * Analyse the finished game on the server, then mark its blunders on the
+   * score graph and list them. Server games are analysed from the server's
+   * record and cached there; other games send their record along.
+   */
+  async analyzeGame() {
+    const analyzeBtn = document.getElementById('btn-analyze');
+    analyzeBtn.disabled = true;
+    analyzeBtn.textContent = 'Analyzing...';
+
+    const gameId = this.stateMachine.gameId;
+    const apiUrl = this.config.serverUrl || window.location.origin;
+    let request;
+    if (gameId && (this.stateMachine.mode === GameMode.ONLINE || this.stateMachine.mode === GameMode.ASYNC)) {
+      const path = gameId.startsWith('async_') ? `/api/async/games/${gameId}/analysis` : `/api/games/${gameId}/analysis`;
+      request = fetch(`${apiUrl}${path}`);
+    } else {
+      request = fetch(`${apiUrl}/api/records/analysis`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ record: this.buildGameRecord() })
+      });
+    }
+
+    try {
+      const response = await request;
+      const result = await response.json();
+      if (!response.ok) {
+        notificationManager.show(`Analysis failed: ${result.error}`, 'error');
+        analyzeBtn.disabled = false;
+        analyzeBtn.textContent = 'Analyze';
+        return;
+      }
+      this.showAnalysis(result);
+      analyzeBtn.textContent = 'Analyzed';
+    } catch (error) {
+      console.error('Error analysing game:', error);
+      notificationManager.show('Error analysing game', 'error');
+      analyzeBtn.disabled = false;
+      analyzeBtn.textContent = 'Analyze';
+    }
+  }
+
+  showAnalysis(report) {
+    const blunders = report.moves
+      .map((move, i) => ({ ...move, move: i + 1 }))
+      .filter(move => move.blunder);
+    const scores = [report.scores, ...report.moves.map(move => move.scores)];
+    drawScoreGraph(this.scoreGraphCanvas(), scores, this.playerColorStyles(), blunders);
+
+    const nameOf = playerNum => this.stateMachine.players[playerNum].name;
+    const lines = [
+      this.stateMachine.seats()
+        .map(playerNum => `${nameOf(playerNum)}: ${report.blunders[playerNum]} blunder${report.blunders[playerNum] === 1 ? '' : 's'}`)
+        .join(' | '),
+      ...blunders.slice(0, LISTED_BLUNDERS).map(({ move, player, x, y, loss, best }) =>
+        `Move ${move}: ${nameOf(player)} played ${x},${y} and lost ${loss} (best ${best.x},${best.y})`)
+    ];
+    document.getElementById('analysis-summary').replaceChildren(...lines.map(line => {
+      const div = document.createElement('div');
+      div.textContent = line;
+      return div;
+    }));
+  }
+
+  /**
+   * Download the game as a record file. Server games are fetched from the API
+   * so the record carries the players' ratings; other games are written here.
+   */
+  async exportGameRecord() {
+    const gameId = this.stateMachine.gameId;
+    let record = null;
+
+    if (gameId && (this.stateMachine.mode === GameMode.ONLINE || this.stateMachine.mode === GameMode.ASYNC)) {
+      const apiUrl = this.config.serverUrl || window.location.origin;
+      const path = gameId.startsWith('async_') ? `/api/async/games/${gameId}/record` : `/api/games/${gameId}/record`;
+      try {
+        const response = await fetch(`${apiUrl}${path}`);
+        if (response.ok) {
+          record = await response.text();
+        }
+      } catch (error) {
+        console.error('Failed to fetch game record:', error);
+      }
+    }
+
+    record ??= this.buildGameRecord();
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([record], { type: 'text/plain' }));
+    link.download = `dots-${gameId || Date.now()}.txt`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Write the current game as record text from the local board
+   */
+  buildGameRecord() {
+    const { playerCount, teams } = this.stateMachine;
+    const players = {};
+    const scores = {};
+    for (const playerNum of this.stateMachine.seats()) {
+      players[playerNum] = { name: this.stateMachine.players[playerNum].name };
+      scores[playerNum] = this.boardLogic.calculateScore(playerNum);
+    }
+    return formatGameRecord({
+      players,
+      playerCount,
+      teams,
+      boardShape: this.boardLogic.getShape(),
+      ruleSet: this.boardLogic.ruleSet,
+      ruleOptions: this.boardLogic.ruleOptions,
+      handicap: this.handicap,
+      moves: this.boardLogic.getMoveHistory(),
+      swapped: this.swapped,
+      result: resultFromWinner(this.stateMachine.getWinner(), this.stateMachine.state === GameState.GAME_OVER, playerCount, teams),
+      termination: this.gameTermination,
+      scores,
+      hints: this.hintsUsed,
+      date: Date.now()
+    });
+  }
+
+  /**
+   * Validate a game record by replaying it, then continue it as a local game
+   */
+  importGameRecord(text) {
+    let replay;
+    try {
+      replay = replayGameRecord(text);
+    } catch (error) {
+      notificationManager.show(error.message, 'error');
+      return;
+    }
+
+    const { record } = replay;
+    this.config.boardShape = record.boardShape;
+    this.config.ruleSet = record.ruleSet;
+    this.config.ruleOptions = record.ruleOptions;
+    this.handicap = record.handicap;
+    this.boardLogic = new BoardLogic(record.boardShape, record.ruleSet, record.ruleOptions, record.teams);
+    this.reinitializeRenderer();
+    this.startLocalGame(record.playerCount, record.teams);
+
+    for (const playerNum of this.stateMachine.seats()) {
+      this.stateMachine.setPlayer(playerNum, { name: record.players[playerNum].name });
+    }
+    for (const { x, y, player } of record.moves) {
+      this.boardLogic.occupyDot(x, y, player);
+    }
+    this.swapped = record.swapped;
+    this.passCount = record.passes;
+    this.rebuildVisuals();
+    this.updateScoresFromBoard();
+    this.stateMachine.switchTurn(this.nextPlayer());
+    this.updatePlayerCards();
+
+    const names = this.stateMachine.seats().map(playerNum => record.players[playerNum].name);
+    notificationManager.show(`Imported ${names.join(' vs ')} (${record.moves.length} moves)`, 'success');
+    if (replay.gameOver) {
+      this.endGame();
+    }
+  }
+
+  setupReplayControls() {
+    const controls = {
+      'btn-replay-start': () => this.replay.goTo(0),
+      'btn-replay-back': () => this.replay.stepBack(),
+      'btn-replay-forward': () => this.replay.stepForward(),
+      'btn-replay-end': () => this.replay.goTo(this.replay.length),
+      'btn-replay-play': () => {
+        if (this.replay.isPlaying()) {
+          this.replay.pause();
+        } else {
+          this.replay.play();
+        }
+      }
+    };
+    for (const [id, action] of Object.entries(controls)) {
+      document.getElementById(id).addEventListener('click', () => {
+        if (!this.replay) return;
+        action();
+        this.updateReplayControls();
+      });
+    }
+
+    document.getElementById('replay-slider').addEventListener('input', (e) => {
+      if (!this.replay) return;
+      this.replay.pause();
+      this.replay.goTo(Number(e.target.value));
+    });
+
+    document.getElementById('replay-speed').addEventListener('change', (e) => {
+      this.replay?.setSpeed(Number(e.target.value));
+    });
+
+    document.getElementById('btn-replay-exit').addEventListener('click', () => {
+      this.exitReplay();
+    });
+  }
+
+  /**
+   * Load a finished game's record from the server and watch it
+   */
+  async replaySavedGame(gameId) {
+    const apiUrl = this.lobby?.getApiUrl() || this.config.serverUrl || window.location.origin;
+    const path = gameId.startsWith('async_') ? `/api/async/games/${gameId}/record` : `/api/games/${gameId}/record`;
+
+    try {
+      const response = await fetch(`${apiUrl}${path}`);
+      if (!response.ok) {
+        notificationManager.show('Replay is no longer available for this game', 'error');
+        return;
+      }
+      this.startReplay(parseGameRecord(await response.text()), true);
+    } catch (error) {
+      console.error('Failed to load replay:', error);
+      notificationManager.show('Failed to load replay', 'error');
+    }
+  }
+
+  /**
+   * Watch a game move by move from a parsed game record
+   */
+  startReplay(record, fromLobby = false) {
+    this.replay?.destroy();
+    this.replay = new ReplayPlayer(record, (change) => this.showReplayChange(change));
+    this.replayFromLobby = fromLobby;
+
+    if (fromLobby) {
+      this.lobby?.hide();
+      document.getElementById('game-container').style.display = 'block';
+      this.stateMachine.setPlayerCount(record.playerCount, record.teams);
+      for (const playerNum of this.stateMachine.seats()) {
+        this.stateMachine.setPlayer(playerNum, { name: record.players[playerNum].name });
+      }
+    } else {
+      // Keep the finished game to go back to its game over screen
+      const scores = {};
+      for (const playerNum of this.stateMachine.seats()) {
+        scores[playerNum] = this.stateMachine.players[playerNum].score;
+      }
+      this.replayReturn = { boardLogic: this.boardLogic, scores };
+    }
+
+    this.boardLogic = this.replay.boardLogic;
+    this.reinitializeRenderer();
+    this.renderer.updateSkinColors();
+    this.renderer.handleResize();
+
+    this.stateMachine.reset();
+    this.stateMachine.setState(GameState.REPLAY);
+    this.stateMachine.setCurrentPlayer(this.replay.getNextPlayer());
+    this.updatePlayerCards();
+
+    document.getElementById('replay-slider').max = this.replay.length;
+    document.getElementById('replay-speed').value = String(this.replay.speed);
+    this.updateReplayControls();
+  }
+
+  /**
+   * Draw a replay step: a single move forward animates its captures with
+   * particles, any other change redraws the board
+   */
+  showReplayChange({ type, move, capturedDots }) {
+    if (type === 'step') {
+      this.applyMove(move, move.player, capturedDots);
+      if (capturedDots.length > 0) {
+        this.showCaptureNotification();
+      }
+    } else {
+      this.rebuildVisuals();
+    }
+    this.updateScoresFromBoard();
+    this.stateMachine.setCurrentPlayer(this.replay.getNextPlayer());
+    this.updateReplayControls();
+  }
+
+  updateReplayControls() {
+    if (!this.replay) return;
+    document.getElementById('replay-slider').value = this.replay.position;
+    document.getElementById('replay-move-label').textContent = `${this.replay.position} / ${this.replay.length}`;
+    document.getElementById('btn-replay-play').innerHTML = this.replay.isPlaying() ? '&#x23F8;' : '&#x25B6;';
+  }
+
+  /**
+   * Leave the replay for the lobby or the game over screen it was opened from
+   */
+  exitReplay() {
+    if (!this.replay) return;
+    this.replay.destroy();
+    this.replay = null;
+
+    if (this.replayFromLobby) {
+      this.boardLogic.reset();
+      this.renderer.reset();
+      this.stateMachine.setState(GameState.MENU);
+      document.getElementById('game-menu').classList.add('hidden');
+      document.getElementById('game-container').style.display = 'none';
+      this.lobby?.show();
+      return;
+    }
+
+    this.boardLogic = this.replayReturn.boardLogic;
+    this.reinitializeRenderer();
+    this.rebuildVisuals();
+    for (const playerNum of this.stateMachine.seats()) {
+      this.stateMachine.setScore(playerNum, this.replayReturn.scores[playerNum]);
+    }
+    this.replayReturn = null;
+    this.updatePlayerCards();
+    this.stateMachine.setState(GameState.GAME_OVER);
+  }
+
   requestRematch() {
     if (this.stateMachine.mode === GameMode.LOCAL) {
       // Local mode can rematch immediately
       this.resetGame();
+    } else if (this.stateMachine.mode === GameMode.AI) {
+      this.aiPlayer.cancel();
+      this.resetGame();
+      this.playAiTurn(); // A handicap may give the computer the first move
+    } else if (this.stateMachine.mode === GameMode.PUZZLE) {
+      this.puzzleMoves = [];
+      this.resetGame();
     } else if (this.stateMachine.mode === GameMode.DEMO && this.p2p) {
       this.p2p.sendRematch();
       this.resetGame();
@@ -1603,7 +2765,11 @@ export class GameController {
     this.boardLogic.reset();
     this.renderer.reset();
     this.stateMachine.reset();
-    this.stateMachine.setCurrentPlayer(1);
+    this.passCount = 0;
+    this.settledNoticeShown = false;
+    this.hintsUsed = {};
+    this.stateMachine.switchTurn(this.nextPlayer());
+    this.swapped = false;
     this.stateMachine.setState(GameState.PLAYING);
     
     this.updatePlayerCards();
@@ -1619,6 +2785,10 @@ export class GameController {
       this.wsClient.disconnect();
       this.wsClient = null;
     }
+    if (this.aiPlayer) {
+      this.aiPlayer.terminate();
+      this.aiPlayer = null;
+    }
     
     // Reset state
     this.boardLogic.reset();
@@ -1638,6 +2808,10 @@ export class GameController {
   updateUIForState(state) {
     const confirmBtn = document.getElementById('btn-confirm-move');
     const forfeitBtn = document.getElementById('btn-forfeit');
+    const undoBtn = document.getElementById('btn-undo');
+    this.updateSwapButton();
+    document.getElementById('replay-controls').classList.toggle('hidden', state !== GameState.REPLAY);
+    document.getElementById('btn-threats').classList.toggle('hidden', state !== GameState.PLAYING);
     
     switch (state) {
       case GameState.MENU:
@@ -1645,6 +2819,7 @@ export class GameController {
         document.getElementById('game-over').classList.add('hidden');
         if (confirmBtn) confirmBtn.classList.add('hidden');
         if (forfeitBtn) forfeitBtn.classList.add('hidden');
+        if (undoBtn) undoBtn.classList.add('hidden');
         break;
       case GameState.WAITING:
         // Show waiting indicator
@@ -1653,6 +2828,15 @@ export class GameController {
       case GameState.PLAYING:
         document.getElementById('game-menu').classList.add('hidden');
         if (forfeitBtn) forfeitBtn.classList.remove('hidden');
+        // Hot-seat games undo, online games request a takeback
+        if (undoBtn) {
+          // Resumed async games have no realtime game on the server to take back from
+          const isResumedAsyncGame = this.stateMachine.gameId && this.stateMachine.gameId.startsWith('async_');
+          const canUndo = this.stateMachine.mode === GameMode.LOCAL || this.stateMachine.mode === GameMode.AI ||
+            (this.stateMachine.mode === GameMode.ONLINE && !isResumedAsyncGame);
+          undoBtn.classList.toggle('hidden', !canUndo);
+          undoBtn.textContent = this.stateMachine.mode === GameMode.ONLINE ? 'Takeback' : 'Undo';
+        }
         // Show confirm button only on touch devices
         if (confirmBtn && this.isTouchDevice) {
           confirmBtn.classList.remove('hidden');
@@ -1663,59 +2847,60 @@ export class GameController {
         document.getElementById('game-over').classList.remove('hidden');
         if (confirmBtn) confirmBtn.classList.add('hidden');
         if (forfeitBtn) forfeitBtn.classList.add('hidden');
+        if (undoBtn) undoBtn.classList.add('hidden');
+        break;
+      case GameState.REPLAY:
+        document.getElementById('game-menu').classList.add('hidden');
+        document.getElementById('game-over').classList.add('hidden');
+        document.getElementById('btn-back-to-lobby').classList.add('hidden');
+        if (confirmBtn) confirmBtn.classList.add('hidden');
+        if (forfeitBtn) forfeitBtn.classList.add('hidden');
+        if (undoBtn) undoBtn.classList.add('hidden');
         break;
     }
   }
 
   updatePlayerCards() {
-    const p1Card = document.getElementById('player1-card');
-    const p2Card = document.getElementById('player2-card');
-    
-    p1Card.classList.add('player1');
-    p2Card.classList.add('player2');
-    
-    // Debug: Log player data to see if nickname exists
-    console.log('Player 1 data:', this.stateMachine.players[1]);
-    console.log('Player 2 data:', this.stateMachine.players[2]);
-    
-    // Use nickname if available, otherwise use name
-    p1Card.querySelector('.player-name').textContent = this.stateMachine.players[1].nickname || this.stateMachine.players[1].name;
-    p2Card.querySelector('.player-name').textContent = this.stateMachine.players[2].nickname || this.stateMachine.players[2].name;
-    
-    // Update player card colors based on their skins
-    const p1SkinInfo = skinManager.getPlayerSkinInfo(1);
-    const p2SkinInfo = skinManager.getPlayerSkinInfo(2);
-    
-    p1Card.style.setProperty('--player-color', `#${p1SkinInfo.color.toString(16).padStart(6, '0')}`);
-    p2Card.style.setProperty('--player-color', `#${p2SkinInfo.color.toString(16).padStart(6, '0')}`);
-    
-    // Also update score displays to ensure they reflect current state
-    this.updateScoreDisplay(1, this.stateMachine.players[1].score);
-    this.updateScoreDisplay(2, this.stateMachine.players[2].score);
-    
-    // Initialize presence indicators (set to offline by default)
-    this.updatePlayerPresence(1, false);
-    this.updatePlayerPresence(2, false);
+    // Cards for seats 3 and 4 only show in free-for-all games
+    for (const playerNum of playerNumbers(MAX_PLAYERS)) {
+      document.getElementById(`player${playerNum}-card`).classList.toggle('hidden', playerNum > this.stateMachine.playerCount);
+    }
+
+    for (const playerNum of this.stateMachine.seats()) {
+      const card = document.getElementById(`player${playerNum}-card`);
+      const player = this.stateMachine.players[playerNum];
+      card.classList.add(`player${playerNum}`);
+      
+      // Use nickname if available, otherwise use name
+      const name = player.nickname || player.name;
+      card.querySelector('.player-name').textContent = this.stateMachine.teams ? `${name} · Team ${teamOf(playerNum)}` : name;
+      
+      // Update player card colors based on their skins
+      const skinInfo = skinManager.getPlayerSkinInfo(playerNum);
+      card.style.setProperty('--player-color', `#${skinInfo.color.toString(16).padStart(6, '0')}`);
+      
+      // Also update score displays to ensure they reflect current state
+      this.updateScoreDisplay(playerNum, player.score);
+      
+      // Initialize presence indicators (set to offline by default)
+      this.updatePlayerPresence(playerNum, false);
+    }
     
     this.updateTurnIndicator(this.stateMachine.currentPlayer);
   }
 
   updateTurnIndicator(playerNum) {
-    const p1Card = document.getElementById('player1-card');
-    const p2Card = document.getElementById('player2-card');
     const indicator = document.getElementById('turn-indicator');
     const confirmBtn = document.getElementById('btn-confirm-move');
     
-    if (playerNum === 1) {
-      p1Card.classList.add('active');
-      p2Card.classList.remove('active');
-    } else {
-      p2Card.classList.add('active');
-      p1Card.classList.remove('active');
+    for (const seat of this.stateMachine.seats()) {
+      document.getElementById(`player${seat}-card`).classList.toggle('active', seat === playerNum);
     }
     
     const isLocal = this.stateMachine.isLocalPlayerTurn();
-    indicator.textContent = isLocal ? 'Your Turn' : 'Opponent\'s Turn';
+    const isPartner = this.stateMachine.teams && !this.stateMachine.isLocalMode &&
+      teamOf(playerNum) === teamOf(this.stateMachine.localPlayerId);
+    indicator.textContent = isLocal ? 'Your Turn' : isPartner ? 'Partner\'s Turn' : 'Opponent\'s Turn';
     
     // Clear pending move when turn changes
     if (!isLocal && this.pendingMove) {
@@ -1730,6 +2915,26 @@ export class GameController {
         confirmBtn.disabled = true;
       }
     }
+
+    this.updateSwapButton();
+  }
+
+  /**
+   * Offer the swap, the pass and hints only to the player who may take them
+   */
+  updateSwapButton() {
+    const swapBtn = document.getElementById('btn-swap');
+    if (swapBtn) {
+      swapBtn.classList.toggle('hidden', !this.canSwap());
+    }
+    const passBtn = document.getElementById('btn-pass');
+    if (passBtn) {
+      passBtn.classList.toggle('hidden', !this.canPass());
+    }
+    const hintBtn = document.getElementById('btn-hint');
+    if (hintBtn) {
+      hintBtn.classList.toggle('hidden', !this.canHint());
+    }
   }
 
   updateScoreDisplay(playerNum, score) {
@@ -1737,6 +2942,22 @@ export class GameController {
     card.querySelector('.player-score').textContent = score;
   }
 
+  /**
+   * Show each player's time left on their card; hides the clocks of an
+   * untimed game (clocks null)
+   */
+  updateClocks(clocks) {
+    for (const playerNum of playerNumbers(MAX_PLAYERS)) {
+      const clockEl = document.getElementById(`player${playerNum}-clock`);
+      const clock = clocks?.clocks[playerNum];
+      clockEl.classList.toggle('hidden', !clock);
+      if (!clock) continue;
+      clockEl.textContent = formatClock(clock, clocks.timeControl);
+      clockEl.classList.toggle('running', clocks.running === playerNum);
+      clockEl.classList.toggle('low', isLowOnTime(clock, clocks.timeControl));
+    }
+  }
+
   updatePlayerPresence(playerNum, isOnline) {
     const presenceEl = document.getElementById(`player${playerNum}-presence`);
     if (!presenceEl) return;
@@ -0,0 +1,183 @@
+/**
+ * Board Layouts
+ * Board shapes with blocked dots and starting positions, edited in the board
+ * editor and saved in localStorage so they can be picked for any game mode
+ */
+
+import { normalizeBoardShape } from 'dots-js-shared';
+
+const STORAGE_KEY = 'dots_layouts';
+
+// Editor tools and the mask character each one paints
+export const LAYOUT_TOOLS = {
+  dot: '.',
+  hole: '#',
+  blocked: 'x',
+  player1: '.',
+  player2: '.'
+};
+
+/**
+ * Layout Draft
+ * Editable grid of cells behind the board editor
+ */
+export class LayoutDraft {
+  constructor(shape = 10) {
+    this.load(shape);
+  }
+
+  /**
+   * Start editing from an existing board shape
+   */
+  load(shape) {
+    const { width, height, mask, start } = normalizeBoardShape(shape);
+    this.width = width;
+    this.height = height;
+    this.cells = [];
+    for (let y = 0; y < height; y++) {
+      this.cells.push(mask ? [...mask[y]] : new Array(width).fill(LAYOUT_TOOLS.dot));
+    }
+    this.start = new Map(); // "x,y" -> player
+    for (const { x, y, player } of start ?? []) {
+      this.start.set(`${x},${y}`, player);
+    }
+  }
+
+  /**
+   * Change the grid size, keeping the cells that still fit
+   */
+  resize(width, height) {
+    const cells = [];
+    for (let y = 0; y < height; y++) {
+      const row = [];
+      for (let x = 0; x < width; x++) {
+        row.push(this.cells[y]?.[x] ?? LAYOUT_TOOLS.dot);
+      }
+      cells.push(row);
+    }
+    for (const key of this.start.keys()) {
+      const [x, y] = key.split(',').map(Number);
+      if (x >= width || y >= height) this.start.delete(key);
+    }
+    this.width = width;
+    this.height = height;
+    this.cells = cells;
+  }
+
+  /**
+   * Name of the tool that would paint a cell as it is now
+   */
+  getCell(x, y) {
+    const player = this.start.get(`${x},${y}`);
+    if (player) return `player${player}`;
+    const cell = this.cells[y][x];
+    return cell === LAYOUT_TOOLS.hole ? 'hole' : cell === LAYOUT_TOOLS.blocked ? 'blocked' : 'dot';
+  }
+
+  /**
+   * Paint a cell with one of LAYOUT_TOOLS
+   */
+  paint(x, y, tool) {
+    if (!(tool in LAYOUT_TOOLS)) {
+      throw new Error(`Unknown layout tool: ${tool}`);
+    }
+    const key = `${x},${y}`;
+    this.cells[y][x] = LAYOUT_TOOLS[tool];
+    if (tool === 'player1' || tool === 'player2') {
+      this.start.set(key, tool === 'player1' ? 1 : 2);
+    } else {
+      this.start.delete(key);
+    }
+  }
+
+  /**
+   * Validated board shape of the draft. Throws when it is not a playable board.
+   */
+  toShape() {
+    const start = [...this.start].map(([key, player]) => {
+      const [x, y] = key.split(',').map(Number);
+      return { x, y, player };
+    });
+    return normalizeBoardShape({
+      width: this.width,
+      height: this.height,
+      mask: this.cells.map(row => row.join('')),
+      start
+    });
+  }
+}
+
+/**
+ * Layout Manager
+ * Saved layouts: [{ id, name, shape }]
+ */
+export class LayoutManager {
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.storage = storage; // No storage outside the browser: layouts last until reload
+    this.layouts = [];
+
+    this.loadFromStorage();
+  }
+
+  /**
+   * Load saved layouts from localStorage
+   */
+  loadFromStorage() {
+    if (!this.storage) return;
+    try {
+      const saved = this.storage.getItem(STORAGE_KEY);
+      if (saved) {
+        this.layouts = JSON.parse(saved);
+      }
+    } catch (error) {
+      console.warn('Failed to load board layouts:', error);
+    }
+  }
+
+  /**
+   * Save layouts to localStorage
+   */
+  saveToStorage() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.layouts));
+    } catch (error) {
+      console.warn('Failed to save board layouts:', error);
+    }
+  }
+
+  getAll() {
+    return this.layouts;
+  }
+
+  get(id) {
+    return this.layouts.find(layout => layout.id === id) || null;
+  }
+
+  /**
+   * Save a layout under a name, replacing a saved layout of the same name
+   */
+  save(name, shape) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) {
+      throw new Error('Layout needs a name');
+    }
+
+    const layout = {
+      id: this.layouts.find(l => l.name === trimmed)?.id ?? `layout_${Date.now()}`,
+      name: trimmed,
+      shape: normalizeBoardShape(shape)
+    };
+    this.layouts = [...this.layouts.filter(l => l.id !== layout.id), layout];
+    this.saveToStorage();
+    return layout;
+  }
+
+  remove(id) {
+    this.layouts = this.layouts.filter(layout => layout.id !== id);
+    this.saveToStorage();
+  }
+}
+
+// Export a singleton instance
+export const layoutManager = new LayoutManager();
@@ -0,0 +1,105 @@
+/**
+ * Tests for board layouts
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { BoardLogic } from 'dots-js-shared';
+import { LayoutDraft, LayoutManager } from './layouts.js';
+
+// In-memory stand-in for localStorage
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.get(key) ?? null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, value);
+  }
+}
+
+describe('LayoutDraft', () => {
+  it('should paint holes, blocked dots and starting dots into a shape', () => {
+    const draft = new LayoutDraft(4);
+    draft.paint(0, 0, 'hole');
+    draft.paint(1, 1, 'blocked');
+    draft.paint(2, 2, 'player1');
+    draft.paint(3, 2, 'player2');
+
+    const shape = draft.toShape();
+    expect(shape.mask).toEqual(['#...', '.x..', '....', '....']);
+    expect(shape.start).toEqual([{ x: 2, y: 2, player: 1 }, { x: 3, y: 2, player: 2 }]);
+
+    const board = new BoardLogic(shape);
+    expect(board.isDotClickable(1, 1)).toBe(false);
+    expect(board.getDot(3, 2).owner).toBe(2);
+  });
+
+  it('should clear a starting dot when painted over', () => {
+    const draft = new LayoutDraft(4);
+    draft.paint(2, 2, 'player1');
+    draft.paint(2, 2, 'blocked');
+
+    expect(draft.getCell(2, 2)).toBe('blocked');
+    expect(draft.toShape().start).toBe(null);
+  });
+
+  it('should keep the cells that fit when resized', () => {
+    const draft = new LayoutDraft({ width: 5, height: 5, start: 'cross' });
+    draft.paint(0, 0, 'hole');
+    draft.resize(3, 6);
+
+    expect(draft.getCell(0, 0)).toBe('hole');
+    expect(draft.getCell(2, 5)).toBe('dot');
+    expect(draft.toShape().start).toEqual([{ x: 2, y: 2, player: 1 }, { x: 2, y: 3, player: 2 }]);
+  });
+
+  it('should reject a board without enough playable dots', () => {
+    const draft = new LayoutDraft(2);
+    draft.paint(0, 0, 'blocked');
+    draft.paint(1, 0, 'hole');
+    draft.paint(0, 1, 'hole');
+
+    expect(() => draft.toShape()).toThrow(/at least two playable/);
+  });
+});
+
+describe('LayoutManager', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+  });
+
+  it('should save layouts and load them back', () => {
+    const manager = new LayoutManager(storage);
+    const layout = manager.save(' Cross opening ', { width: 8, height: 8, start: 'cross' });
+
+    const reloaded = new LayoutManager(storage);
+    expect(reloaded.get(layout.id)).toEqual(layout);
+    expect(layout.name).toBe('Cross opening');
+    expect(layout.shape.start.length).toBe(4);
+  });
+
+  it('should replace a layout saved under the same name', () => {
+    const manager = new LayoutManager(storage);
+    const first = manager.save('Mine', 6);
+    const second = manager.save('Mine', 8);
+
+    expect(second.id).toBe(first.id);
+    expect(manager.getAll().map(l => l.shape.width)).toEqual([8]);
+  });
+
+  it('should reject unnamed or invalid layouts and remove saved ones', () => {
+    const manager = new LayoutManager(storage);
+    expect(() => manager.save('  ', 6)).toThrow(/needs a name/);
+    expect(() => manager.save('Tiny', 1)).toThrow(/between/);
+
+    const layout = manager.save('Mine', 6);
+    manager.remove(layout.id);
+    expect(new LayoutManager(storage).getAll()).toEqual([]);
+  });
+});
@@ -1,19 +1,29 @@
 /**
  * Lobby UI
- * Displays player profile, ELO, match history, and queue controls
+ * Displays player profile, ELO, match history, puzzles, and queue controls
  */
 
+import { describeAsyncTimeControl, describeBoardShape, describeHandicap, describeRules, describeTimeControl, ASYNC_TIME_CONTROL_PRESETS, DEFAULT_RULE_SET, TEAM_PLAYER_COUNT, TIME_CONTROL_PRESETS } from 'dots-js-shared';
+
 export class LobbyUI {
-  constructor(websocket, authState, serverUrl, onResumeGame) {
+  constructor(websocket, authState, serverUrl, onResumeGame, onReplayGame, onStartPuzzle) {
     this.websocket = websocket;
     this.authState = authState;
     this.serverUrl = serverUrl;
     this.onResumeGame = onResumeGame; // Callback to resume a game
+    this.onReplayGame = onReplayGame; // Callback to watch a finished game
+    this.onStartPuzzle = onStartPuzzle; // Callback to play a capture puzzle
     this.profileData = null;
     this.queueStats = null;
     this.currentGames = []; // Active async games
+    this.vacation = null; // { allowance, used, remaining, until } of the player's vacation days
+    this.puzzleData = null; // { daily, puzzles } from the server
+    this.puzzleStats = null; // Puzzle rating and daily streak
     this.inQueue = false;
     this.currentQueueType = null;
+    this.boardShape = null; // Board to request when queueing, set by the game controller
+    this.ruleSet = null; // Rule set to request when queueing, set by the game controller
+    this.ruleOptions = null; // Overrides for the rule set's options
   }
   
   getApiUrl() {
@@ -55,6 +65,9 @@ export class LobbyUI {
     // Load current games
     await this.loadCurrentGames();
     
+    // Load puzzles and puzzle stats
+    await this.loadPuzzles();
+    
     // Render lobby UI
     this.render();
     
@@ -191,7 +204,11 @@ export class LobbyUI {
     const apiUrl = this.getApiUrl();
     
     try {
-      const response = await fetch(`${apiUrl}/api/async/games/player/${userId}`);
+      const [response, vacationResponse] = await Promise.all([
+        fetch(`${apiUrl}/api/async/games/player/${userId}`),
+        fetch(`${apiUrl}/api/async/vacation/${userId}`)
+      ]);
+      this.vacation = vacationResponse.ok ? await vacationResponse.json() : null;
       if (response.ok) {
         this.currentGames = await response.json();
         this.updateCurrentGamesDisplay();
@@ -204,6 +221,24 @@ export class LobbyUI {
     }
   }
 
+  async loadPuzzles() {
+    const userId = this.authState.userId;
+    const apiUrl = this.getApiUrl();
+    
+    try {
+      const [listResponse, statsResponse] = await Promise.all([
+        fetch(`${apiUrl}/api/puzzles${userId ? `?userId=${userId}` : ''}`),
+        userId ? fetch(`${apiUrl}/api/puzzles/stats/${userId}`) : null
+      ]);
+      this.puzzleData = listResponse.ok ? await listResponse.json() : null;
+      this.puzzleStats = statsResponse?.ok ? await statsResponse.json() : null;
+    } catch (error) {
+      console.error('Failed to load puzzles:', error);
+      this.puzzleData = null;
+      this.puzzleStats = null;
+    }
+  }
+
   requestQueueStats() {
     // Stats will be broadcasted by server, but we can also poll
     const apiUrl = this.getApiUrl();
@@ -298,6 +333,36 @@ export class LobbyUI {
             <div id="queue-controls">
               <button id="join-ranked-btn" class="btn btn-primary">Join Ranked Queue</button>
               <button id="join-unranked-btn" class="btn btn-primary">Join Unranked Queue</button>
+              <label class="handicap-toggle" title="The weaker player gets handicap dots from the rating gap, if the opponent opts in too">
+                <input type="checkbox" id="queue-handicap"> Handicap by rating
+              </label>
+              <label class="player-count-toggle" title="Three or four players play free-for-all, without handicaps or the swap rule">
+                Players
+                <select id="queue-player-count">
+                  <option value="2" selected>2</option>
+                  <option value="3">3 (free-for-all)</option>
+                  <option value="4">4 (free-for-all)</option>
+                  <option value="teams">2 vs 2 (teams)</option>
+                </select>
+              </label>
+              <label class="time-control-toggle" title="Every player gets the same clock; a player who runs out of time loses">
+                Clock
+                <select id="queue-time-control">
+                  <option value="none" selected>No clock</option>
+                  ${Object.entries(TIME_CONTROL_PRESETS).map(([name, timeControl]) => `
+                    <option value="${name}">${describeTimeControl(timeControl)}</option>
+                  `).join('')}
+                </select>
+              </label>
+              <label class="time-control-toggle" title="Time to move once the game continues turn-based; time beyond it comes out of the reserve">
+                Turn-based
+                <select id="queue-async-time-control">
+                  <option value="default" selected>Default (1 day ranked, 7 days unranked)</option>
+                  ${Object.entries(ASYNC_TIME_CONTROL_PRESETS).map(([name, timeControl]) => `
+                    <option value="${name}">${describeAsyncTimeControl(timeControl)}</option>
+                  `).join('')}
+                </select>
+              </label>
             </div>
             <div id="queue-status" class="queue-status hidden">
               <div class="spinner"></div>
@@ -325,6 +390,12 @@ export class LobbyUI {
             </div>
           </div>
           
+          <!-- Puzzles Section -->
+          <div class="puzzles-section">
+            <h3>Puzzles</h3>
+            ${this.renderPuzzles()}
+          </div>
+          
           <!-- Match History Section -->
           <div class="match-history-section">
             <h3>Recent Matches</h3>
@@ -354,10 +425,13 @@ export class LobbyUI {
       const resultText = match.result.toUpperCase();
       const date = new Date(match.completedAt).toLocaleDateString();
       const rankedBadge = match.isRanked ? '<span class="ranked-badge">Ranked</span>' : '';
+      // Free-for-all matches show the place next to the result, team matches the partner
+      const placeText = match.teams ? ` <span class="match-place">with ${match.partnerName}</span>`
+        : match.playerCount > 2 ? ` <span class="match-place">#${match.place}/${match.playerCount}</span>` : '';
       
       return `
-        <div class="match-item ${resultClass}">
-          <div class="match-result">${resultText}</div>
+        <div class="match-item ${resultClass}" data-game-id="${match.gameId}" title="Watch replay">
+          <div class="match-result">${resultText}${placeText}</div>
           <div class="match-details">
             <div class="match-opponent">vs ${match.opponentName}</div>
             <div class="match-score">${match.myScore} - ${match.opponentScore}</div>
@@ -371,17 +445,57 @@ export class LobbyUI {
     }).join('');
   }
 
+  renderPuzzles() {
+    if (!this.puzzleData) {
+      return '<p class="no-matches">Puzzles are not available</p>';
+    }
+    
+    const daily = this.puzzleData.puzzles.find(puzzle => puzzle.id === this.puzzleData.daily);
+    const stats = this.puzzleStats;
+    const statsText = stats
+      ? `Puzzle rating: <strong>${stats.rating}</strong> · Streak: <strong>${stats.streak}</strong> (best ${stats.bestStreak}) · Solved: ${stats.solved}`
+      : '';
+    
+    const items = this.puzzleData.puzzles.map(puzzle => `
+      <div class="puzzle-item ${puzzle.solved ? 'puzzle-solved' : ''}" data-puzzle-id="${puzzle.id}" title="${puzzle.description}">
+        <span class="puzzle-title">${puzzle.solved ? '✓ ' : ''}${puzzle.title}</span>
+        <span class="puzzle-rating">${puzzle.rating}</span>
+      </div>
+    `).join('');
+    
+    return `
+      <div class="puzzle-stats">${statsText}</div>
+      ${daily ? `
+        <div class="daily-puzzle">
+          <div>
+            <div class="daily-puzzle-label">Daily puzzle${stats?.dailySolved ? ' · solved today' : ''}</div>
+            <div class="daily-puzzle-title">${daily.title}</div>
+            <div class="daily-puzzle-goal">${daily.description}</div>
+          </div>
+          <button class="btn btn-primary puzzle-item" data-puzzle-id="${daily.id}">Solve</button>
+        </div>
+      ` : ''}
+      <div class="puzzle-list">${items}</div>
+    `;
+  }
+
   renderCurrentGames() {
     if (!this.currentGames || this.currentGames.length === 0) {
-      return '<div class="no-games">No active games. Start a new turn-based match!</div>';
+      return `${this.renderVacation()}<div class="no-games">No active games. Start a new turn-based match!</div>`;
     }
     
-    return this.currentGames.map(game => {
+    return this.renderVacation() + this.currentGames.map(game => {
       const turnClass = game.isMyTurn ? 'your-turn' : 'opponent-turn';
       const turnText = game.isMyTurn ? 'Your Turn' : "Opponent's Turn";
-      const timeRemaining = this.formatTimeRemaining(game.timeRemaining);
+      // A paused game's deadline moves on when the vacation ends
+      const timeRemaining = game.paused ? 'Paused' : this.formatTimeRemaining(game.timeRemaining);
+      const deadline = game.paused ? 'Player on vacation' : `Due ${new Date(game.turnDeadline).toLocaleString()}`;
+      const reserveInfo = game.timeControl?.reserve > 0 ? ` · Reserve ${this.formatTimeRemaining(game.myReserve)}` : '';
+      const timeControlInfo = game.timeControl ? describeAsyncTimeControl(game.timeControl) : '';
       const rankedBadge = game.isRanked ? '<span class="ranked-badge">Ranked</span>' : '';
-      const gridInfo = `${game.gridSize}×${game.gridSize}`;
+      const gridInfo = describeBoardShape(game.boardShape || 10);
+      const rulesInfo = describeRules(game.ruleSet, game.ruleOptions);
+      const handicapInfo = game.handicap ? ` · ${describeHandicap(game.handicap)}` : '';
       
       return `
         <div class="current-game-item ${turnClass}" data-game-id="${game.id}">
@@ -399,9 +513,13 @@ export class LobbyUI {
             <span>Opp: ${game.opponentScore}</span>
           </div>
           <div class="game-meta">
-            <span class="grid-info">${gridInfo}</span>
+            <span class="grid-info">${gridInfo} · ${rulesInfo}${handicapInfo}</span>
             <span class="time-remaining">${timeRemaining}</span>
           </div>
+          <div class="game-deadline">
+            <span>${deadline}</span>
+            <span>${timeControlInfo}${reserveInfo}</span>
+          </div>
           <button class="btn-continue-game" data-game-id="${game.id}">
             ${game.isMyTurn ? 'Play Now' : 'View Game'}
           </button>
@@ -410,6 +528,58 @@ export class LobbyUI {
     }).join('');
   }
 
+  /**
+   * Vacation days left this year, or until when the player is away, with a
+   * button to take or end a vacation
+   */
+  renderVacation() {
+    if (!this.vacation) return '';
+    const { remaining, allowance, until } = this.vacation;
+    const status = until
+      ? `On vacation until ${new Date(until).toLocaleDateString()} · your games are paused`
+      : `${remaining} of ${allowance} vacation days left this year`;
+    const canTake = until || remaining > 0;
+    return `
+      <div class="vacation-bar">
+        <span>${status}</span>
+        ${canTake ? `<button id="vacation-btn" class="btn btn-secondary">${until ? 'End Vacation' : 'Take Vacation'}</button>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Go on vacation for a number of days, or come back early
+   */
+  async toggleVacation() {
+    const userId = this.authState.userId;
+    let url = `${this.getApiUrl()}/api/async/vacation`;
+    let body = { userId };
+    if (this.vacation?.until) {
+      url += '/end';
+    } else {
+      const days = Number(prompt(`Vacation days (${this.vacation?.remaining ?? 0} left this year):`, '1'));
+      if (!days) return;
+      body = { userId, days };
+    }
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (!response.ok) {
+        const error = await response.json();
+        alert(error.error || 'Failed to update vacation');
+        return;
+      }
+      await this.loadCurrentGames();
+    } catch (error) {
+      console.error('Failed to update vacation:', error);
+      alert('Failed to update vacation');
+    }
+  }
+
   formatTimeRemaining(ms) {
     if (ms <= 0) return 'Time expired!';
     
@@ -446,6 +616,9 @@ export class LobbyUI {
         this.continueGame(gameId);
       });
     });
+    document.getElementById('vacation-btn')?.addEventListener('click', () => {
+      this.toggleVacation();
+    });
   }
 
   async continueGame(gameId) {
@@ -507,6 +680,36 @@ export class LobbyUI {
     
     // Attach current game continue listeners
     this.attachGameContinueListeners();
+    
+    // Open finished matches in the replay viewer
+    this.attachMatchReplayListeners();
+    
+    // Start puzzles from the puzzle browser
+    document.querySelectorAll('.puzzle-item[data-puzzle-id]').forEach(item => {
+      item.addEventListener('click', () => {
+        const puzzle = this.puzzleData.puzzles.find(candidate => candidate.id === item.dataset.puzzleId);
+        this.onStartPuzzle?.(puzzle);
+      });
+    });
+  }
+
+  attachMatchReplayListeners() {
+    document.querySelectorAll('.match-item[data-game-id]').forEach(item => {
+      item.addEventListener('click', () => {
+        this.onReplayGame?.(item.dataset.gameId);
+      });
+    });
+  }
+
+  /**
+   * Player count and team mode picked for matchmaking: { playerCount, teams }
+   */
+  readQueuePlayers() {
+    const value = document.getElementById('queue-player-count')?.value ?? '2';
+    if (value === 'teams') {
+      return { playerCount: TEAM_PLAYER_COUNT, teams: true };
+    }
+    return { playerCount: parseInt(value, 10) || 2, teams: false };
   }
 
   joinQueue(isRanked) {
@@ -524,12 +727,19 @@ export class LobbyUI {
     document.getElementById('queue-controls').classList.add('hidden');
     document.getElementById('queue-status').classList.remove('hidden');
     document.getElementById('queue-status-text').textContent = 
-      `Searching for ${isRanked ? 'ranked' : 'unranked'} match...`;
+      `Searching for ${isRanked ? 'ranked' : 'unranked'} match (${describeRules(this.ruleSet, this.ruleOptions)})...`;
     
     // Send find match message
     this.websocket.send({
       type: 'find_match',
-      isRanked
+      isRanked,
+      boardShape: this.boardShape || 10,
+      ruleSet: this.ruleSet || DEFAULT_RULE_SET,
+      ruleOptions: this.ruleOptions || {},
+      handicap: document.getElementById('queue-handicap')?.checked ?? false,
+      ...this.readQueuePlayers(),
+      timeControl: document.getElementById('queue-time-control')?.value ?? 'none',
+      asyncTimeControl: document.getElementById('queue-async-time-control')?.value ?? 'default'
     });
   }
 
@@ -602,7 +812,7 @@ export class LobbyUI {
         gap: 20px;
       }
       
-      .profile-section, .queue-section, .match-history-section, .current-games-section {
+      .profile-section, .queue-section, .match-history-section, .current-games-section, .puzzles-section {
         background: rgba(0, 0, 0, 0.3);
         border: 2px solid rgba(255, 255, 255, 0.2);
         border-radius: 10px;
@@ -615,7 +825,7 @@ export class LobbyUI {
         max-height: 600px; /* Constrain the entire section */
       }
       
-      .match-history-section {
+      .match-history-section, .puzzles-section {
         grid-column: 1 / -1;
       }
       
@@ -679,6 +889,14 @@ export class LobbyUI {
         margin-bottom: 20px;
       }
       
+      .handicap-toggle,
+      .player-count-toggle,
+      .time-control-toggle {
+        color: #ccc;
+        cursor: pointer;
+        text-align: center;
+      }
+      
       .queue-status {
         text-align: center;
         padding: 20px;
@@ -773,6 +991,11 @@ export class LobbyUI {
         padding: 15px;
         border-radius: 5px;
         background: rgba(255, 255, 255, 0.05);
+        cursor: pointer;
+      }
+      
+      .match-item:hover {
+        background: rgba(255, 255, 255, 0.12);
       }
       
       .match-win {
@@ -843,6 +1066,70 @@ export class LobbyUI {
         padding: 40px;
       }
       
+      /* Puzzles Section */
+      .puzzles-section h3 {
+        margin-top: 0;
+      }
+      
+      .puzzle-stats {
+        color: rgba(255, 255, 255, 0.8);
+        margin-bottom: 15px;
+      }
+      
+      .daily-puzzle {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 15px;
+        margin-bottom: 15px;
+        border-radius: 5px;
+        border-left: 4px solid #ffd700;
+        background: rgba(255, 215, 0, 0.08);
+      }
+      
+      .daily-puzzle-label {
+        color: #ffd700;
+        font-size: 0.85em;
+        text-transform: uppercase;
+      }
+      
+      .daily-puzzle-title {
+        font-size: 1.2em;
+        font-weight: bold;
+      }
+      
+      .daily-puzzle-goal {
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 0.9em;
+      }
+      
+      .puzzle-list {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+        gap: 10px;
+      }
+      
+      .puzzle-list .puzzle-item {
+        display: flex;
+        justify-content: space-between;
+        padding: 10px 15px;
+        border-radius: 5px;
+        background: rgba(255, 255, 255, 0.05);
+        cursor: pointer;
+      }
+      
+      .puzzle-list .puzzle-item:hover {
+        background: rgba(255, 255, 255, 0.12);
+      }
+      
+      .puzzle-solved .puzzle-title {
+        color: #4CAF50;
+      }
+      
+      .puzzle-rating {
+        color: rgba(255, 255, 255, 0.5);
+      }
+      
       /* Current Games Section */
       .current-games-section h3 {
         display: flex;
@@ -975,6 +1262,28 @@ export class LobbyUI {
         color: #4CAF50;
       }
       
+      .game-deadline {
+        display: flex;
+        justify-content: space-between;
+        gap: 10px;
+        margin: -8px 0 15px;
+        color: rgba(255, 255, 255, 0.5);
+        font-size: 0.8em;
+      }
+      
+      .vacation-bar {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 10px;
+        margin-bottom: 15px;
+        padding: 10px 15px;
+        background: rgba(255, 255, 255, 0.05);
+        border-radius: 8px;
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 0.9em;
+      }
+      
       .btn-continue-game {
         width: 100%;
         padding: 12px;
@@ -7,7 +7,7 @@ import { GameController } from './gameController.js';
 
 // Configuration - can be overridden by window.GAME_CONFIG from config.js
 const config = {
-  gridSize: 10, // Default grid size (can be changed via UI)
+  boardShape: 10, // Default board shape (can be changed via UI)
   googleClientId: window.GAME_CONFIG?.googleClientId || import.meta.env.VITE_GOOGLE_CLIENT_ID || null,
   serverUrl: window.GAME_CONFIG?.serverUrl || import.meta.env.VITE_SERVER_URL || null
 };
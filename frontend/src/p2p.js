@@ -254,6 +254,9 @@ export class P2PNetwork {
       case 'rematch':
         this.emit('rematch', message.data);
         break;
+      case 'swap':
+        this.emit('swap', message.data);
+        break;
       case 'player':
         this.emit('player', message.data);
         break;
@@ -290,6 +293,13 @@ export class P2PNetwork {
     this.send({ type: 'rematch', data: {} });
   }
 
+  /**
+   * Swap sides under the swap rule
+   */
+  sendSwap() {
+    this.send({ type: 'swap', data: {} });
+  }
+
   /**
    * Generic send function
    */
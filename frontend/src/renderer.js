@@ -9,6 +9,46 @@ import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { skinManager } from './skins.js';
 
+/**
+ * Shift a world coordinate by whole board periods into the period around
+ * the origin, for boards that wrap around
+ */
+function wrapCoordinate(value, period) {
+  return value - Math.round(value / period) * period;
+}
+
+/**
+ * Render pass that draws the scene once for every copy of the board the
+ * camera sees (see GameRenderer.getTileOffsets). Only the first copy clears
+ * the frame and draws the background.
+ */
+class TiledRenderPass extends RenderPass {
+  constructor(scene, camera, getTileOffsets) {
+    super(scene, camera);
+    this.getTileOffsets = getTileOffsets;
+  }
+
+  render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+    const { camera, scene } = this;
+    const { x, y } = camera.position;
+    const background = scene.background;
+
+    this.getTileOffsets().forEach((tile, i) => {
+      // Moving the camera against a tile draws the board shifted onto it
+      camera.position.x = x - tile.x;
+      camera.position.y = y - tile.y;
+      this.clear = i === 0;
+      scene.background = i === 0 ? background : null;
+      super.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+    });
+
+    camera.position.x = x;
+    camera.position.y = y;
+    scene.background = background;
+    this.clear = true;
+  }
+}
+
 export class GameRenderer {
   // Board layout constants
   static DOT_SPACING = 1.5;
@@ -17,6 +57,7 @@ export class GameRenderer {
   static LARGE_BOARD_THRESHOLD = 5; // Boards larger than this use minimum zoom
   static ZOOM_SPEED = 0.1;
   static NEIGHBOR_ADJACENCY_DISTANCE = 2; // Maximum distance to consider neighbors adjacent
+  static THREAT_FULL_SHADE = 6; // Dots at stake for the strongest threat shading
   
   constructor(canvas, boardLogic) {
     this.canvas = canvas;
@@ -24,6 +65,8 @@ export class GameRenderer {
     this.dotMeshes = new Map(); // key: "x,y", value: mesh
     this.capturedAreaMeshes = [];
     this.previewMeshes = [];
+    this.hintMeshes = [];
+    this.threatMeshes = [];
     this.hoverDot = null;
     this.particles = [];
     
@@ -133,7 +176,7 @@ export class GameRenderer {
 
     // Post-processing for bloom effect
     this.composer = new EffectComposer(this.renderer);
-    const renderPass = new RenderPass(this.scene, this.camera);
+    const renderPass = new TiledRenderPass(this.scene, this.camera, () => this.getTileOffsets());
     this.composer.addPass(renderPass);
 
     const bloomPass = new UnrealBloomPass(
@@ -369,27 +412,85 @@ export class GameRenderer {
   }
   
   /**
-   * Update camera position for panning
+   * Update camera position for panning. On a torus the pan wraps around, so
+   * the camera always stays over the board and its copies fill the view.
    */
   updateCameraPosition() {
+    if (this.isTorus()) {
+      const period = this.getBoardPeriod();
+      this.panOffset.set(wrapCoordinate(this.panOffset.x, period.x), wrapCoordinate(this.panOffset.y, period.y));
+    }
     this.camera.position.x = -this.panOffset.x;
     this.camera.position.y = -this.panOffset.y;
     this.camera.updateProjectionMatrix();
   }
   
+  /**
+   * Offset that centers the board on the origin, per axis
+   */
+  getBoardOffset() {
+    const spacing = GameRenderer.DOT_SPACING;
+    return {
+      x: (this.boardLogic.width - 1) * spacing / 2,
+      y: (this.boardLogic.height - 1) * spacing / 2
+    };
+  }
+
+  /**
+   * Check whether the board wraps around its edges (the torus rule option)
+   */
+  isTorus() {
+    return Boolean(this.boardLogic.ruleOptions.torus);
+  }
+
+  /**
+   * Distance in world units after which a torus board repeats, per axis
+   */
+  getBoardPeriod() {
+    const spacing = GameRenderer.DOT_SPACING;
+    return { x: this.boardLogic.width * spacing, y: this.boardLogic.height * spacing };
+  }
+
+  /**
+   * World offsets of the copies of the board to draw. A flat board is drawn
+   * once; a torus is tiled with as many copies as it takes to fill the view.
+   */
+  getTileOffsets() {
+    if (!this.isTorus()) return [{ x: 0, y: 0 }];
+
+    const period = this.getBoardPeriod();
+    // Captured areas and particles can reach a little over the edge of a copy
+    const margin = GameRenderer.DOT_SPACING;
+    const tiles = (center, halfView, size) => {
+      const first = Math.round((center - halfView - margin) / size);
+      const last = Math.round((center + halfView + margin) / size);
+      return Array.from({ length: last - first + 1 }, (_, i) => (first + i) * size);
+    };
+    const columns = tiles(this.camera.position.x, (this.camera.right - this.camera.left) / 2, period.x);
+    const rows = tiles(this.camera.position.y, (this.camera.top - this.camera.bottom) / 2, period.y);
+    return rows.flatMap(y => columns.map(x => ({ x, y })));
+  }
+
+  /**
+   * Check whether the board is large enough to start zoomed out
+   */
+  isLargeBoard() {
+    return Math.max(this.boardLogic.width, this.boardLogic.height) > GameRenderer.LARGE_BOARD_THRESHOLD;
+  }
+
   /**
    * Calculate minimum zoom level to fit all dots in view
    */
   calculateMinZoom() {
-    const gridSize = this.boardLogic.gridSize;
-    const boardSize = (gridSize - 1) * GameRenderer.DOT_SPACING;
+    const boardWidth = (this.boardLogic.width - 1) * GameRenderer.DOT_SPACING;
+    const boardHeight = (this.boardLogic.height - 1) * GameRenderer.DOT_SPACING;
     
     const aspect = this.canvas.clientWidth / this.canvas.clientHeight;
     
     // Calculate the zoom level needed to fit the entire board
     // We need the board + some padding to fit in the frustum
-    const requiredWidth = boardSize + GameRenderer.BOARD_PADDING * 2;
-    const requiredHeight = boardSize + GameRenderer.BOARD_PADDING * 2;
+    const requiredWidth = boardWidth + GameRenderer.BOARD_PADDING * 2;
+    const requiredHeight = boardHeight + GameRenderer.BOARD_PADDING * 2;
     
     // Calculate zoom needed for both dimensions
     const zoomForWidth = (GameRenderer.BASE_FRUSTUM_SIZE * aspect) / requiredWidth;
@@ -404,8 +505,7 @@ export class GameRenderer {
    */
   resetZoomPan() {
     // For large boards, reset to minimum zoom to show entire board
-    const gridSize = this.boardLogic.gridSize;
-    if (gridSize > GameRenderer.LARGE_BOARD_THRESHOLD) {
+    if (this.isLargeBoard()) {
       this.zoomLevel = this.minZoom;
     } else {
       this.zoomLevel = 1.0;
@@ -416,15 +516,15 @@ export class GameRenderer {
   }
 
   createBoard() {
-    const gridSize = this.boardLogic.gridSize;
+    const { width, height } = this.boardLogic;
     const spacing = GameRenderer.DOT_SPACING;
-    const offset = (gridSize - 1) * spacing / 2;
+    const offset = this.getBoardOffset();
 
-    // Calculate and set minimum zoom level based on grid size
+    // Calculate and set minimum zoom level based on board size
     this.minZoom = this.calculateMinZoom();
     
     // For large boards, start at minimum zoom to show entire board
-    if (gridSize > GameRenderer.LARGE_BOARD_THRESHOLD) {
+    if (this.isLargeBoard()) {
       this.zoomLevel = this.minZoom;
       this.updateCameraZoom();
     }
@@ -434,15 +534,21 @@ export class GameRenderer {
     this.updateCameraPosition();
 
     // Create grid background
-    this.createGridBackground(gridSize, spacing, offset);
+    this.createGridBackground(spacing, offset);
 
-    // Create dots
+    // Create dots (holes in a board mask get none, blocked dots get a
+    // marker that is never hovered or clicked)
     this.dotMeshes.clear();
-    for (let y = 0; y < gridSize; y++) {
-      for (let x = 0; x < gridSize; x++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!this.boardLogic.isWithinBounds(x, y)) continue;
+        if (this.boardLogic.getDot(x, y).blocked) {
+          this.scene.add(this.createBlockedMarker(x * spacing - offset.x, y * spacing - offset.y));
+          continue;
+        }
         const dot = this.createDot(
-          x * spacing - offset,
-          y * spacing - offset,
+          x * spacing - offset.x,
+          y * spacing - offset.y,
           x,
           y
         );
@@ -459,9 +565,20 @@ export class GameRenderer {
         });
       }
     }
+
+    this.showStartingDots();
   }
 
-  createGridBackground(gridSize, spacing, offset) {
+  /**
+   * Show the dots the board layout places before the first move
+   */
+  showStartingDots() {
+    for (const { x, y, player } of this.boardLogic.start ?? []) {
+      this.setDotOwner(x, y, player);
+    }
+  }
+
+  createGridBackground(spacing, offset) {
     // Subtle grid lines
     const gridMaterial = new THREE.LineBasicMaterial({
       color: 0x1a1a2e,
@@ -469,15 +586,35 @@ export class GameRenderer {
       opacity: 0.5
     });
 
+    const { width, height, mask } = this.boardLogic;
     const points = [];
-    for (let i = 0; i < gridSize; i++) {
-      const pos = i * spacing - offset;
-      // Vertical lines
-      points.push(new THREE.Vector3(pos, -offset - spacing, 0));
-      points.push(new THREE.Vector3(pos, offset + spacing, 0));
-      // Horizontal lines
-      points.push(new THREE.Vector3(-offset - spacing, pos, 0));
-      points.push(new THREE.Vector3(offset + spacing, pos, 0));
+    if (mask) {
+      // Shaped board: only draw lines between neighboring dots
+      for (const [, dot] of this.boardLogic.dots) {
+        const from = new THREE.Vector3(dot.x * spacing - offset.x, dot.y * spacing - offset.y, 0);
+        for (const [dx, dy] of [[1, 0], [0, 1]]) {
+          // On a torus a line off the edge meets the next copy of the board
+          const next = this.boardLogic.wrapPosition(dot.x + dx, dot.y + dy);
+          if (this.boardLogic.isWithinBounds(next.x, next.y)) {
+            points.push(from, new THREE.Vector3(from.x + dx * spacing, from.y + dy * spacing, 0));
+          }
+        }
+      }
+    } else {
+      // On a torus lines end halfway to the next copy of the board, so the copies join without overlap
+      const overhang = this.isTorus() ? spacing / 2 : spacing;
+      for (let i = 0; i < width; i++) {
+        // Vertical lines
+        const pos = i * spacing - offset.x;
+        points.push(new THREE.Vector3(pos, -offset.y - overhang, 0));
+        points.push(new THREE.Vector3(pos, offset.y + overhang, 0));
+      }
+      for (let i = 0; i < height; i++) {
+        // Horizontal lines
+        const pos = i * spacing - offset.y;
+        points.push(new THREE.Vector3(-offset.x - overhang, pos, 0));
+        points.push(new THREE.Vector3(offset.x + overhang, pos, 0));
+      }
     }
 
     const gridGeometry = new THREE.BufferGeometry().setFromPoints(points);
@@ -485,6 +622,27 @@ export class GameRenderer {
     this.scene.add(grid);
   }
 
+  /**
+   * Cross marking a blocked dot of the board layout
+   */
+  createBlockedMarker(x, y) {
+    const material = new THREE.MeshBasicMaterial({
+      color: 0x4a4a6a,
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide
+    });
+    const marker = new THREE.Group();
+    for (const angle of [Math.PI / 4, -Math.PI / 4]) {
+      const bar = new THREE.Mesh(new THREE.PlaneGeometry(0.3, 0.05), material);
+      bar.rotation.z = angle;
+      marker.add(bar);
+    }
+    marker.position.set(x, y, 0);
+    marker.userData = { type: 'blocked' };
+    return marker;
+  }
+
   createDot(x, y, gridX, gridY) {
     const geometry = new THREE.SphereGeometry(0.12, 32, 32);
     const material = new THREE.MeshStandardMaterial({
@@ -560,20 +718,11 @@ export class GameRenderer {
    * Check if a dot position is adjacent to captured territory for a player
    */
   isDotAdjacentToCapturedTerritory(x, y, playerNum) {
-    const gridSize = this.boardLogic.gridSize;
-    
-    // Check all 8 neighbors
-    for (let dy = -1; dy <= 1; dy++) {
-      for (let dx = -1; dx <= 1; dx++) {
-        if (dx === 0 && dy === 0) continue;
-        const nx = x + dx;
-        const ny = y + dy;
-        if (nx >= 0 && nx < gridSize && ny >= 0 && ny < gridSize) {
-          const dot = this.boardLogic.getDot(nx, ny);
-          if (dot && dot.captured && dot.capturedBy === playerNum) {
-            return true;
-          }
-        }
+    // Check all 8 neighbors (wrapped on a torus)
+    for (const { x: nx, y: ny } of this.boardLogic.getAdjacentPositions(x, y)) {
+      const dot = this.boardLogic.getDot(nx, ny);
+      if (dot && dot.captured && dot.capturedBy === playerNum) {
+        return true;
       }
     }
     return false;
@@ -613,8 +762,9 @@ export class GameRenderer {
 
   /**
    * Mark dots as captured (enclosed) by a player
+   * Particles are skipped when redrawing captures that already happened
    */
-  setCapturedDots(capturedDots, playerNum) {
+  setCapturedDots(capturedDots, playerNum, showParticles = true) {
     const color = this.playerColors[playerNum];
     
     for (const { x, y } of capturedDots) {
@@ -641,8 +791,43 @@ export class GameRenderer {
     // Create capture area visualization
     if (capturedDots.length > 0) {
       this.createCapturedAreaMesh(capturedDots, playerNum);
-      this.createCaptureParticlesForDots(capturedDots, playerNum);
+      if (showParticles) {
+        this.createCaptureParticlesForDots(capturedDots, playerNum);
+      }
+    }
+  }
+
+  /**
+   * Lay out dots on a torus so that each connected group is in one piece:
+   * where a group runs over the edge of the board its dots on the other side
+   * are moved off the edge, next to the rest. Dots on a flat board stay as
+   * they are.
+   */
+  unwrapDots(dots) {
+    if (!this.isTorus()) return dots;
+
+    const keyOf = (x, y) => {
+      const wrapped = this.boardLogic.wrapPosition(x, y);
+      return `${wrapped.x},${wrapped.y}`;
+    };
+    const remaining = new Set(dots.map(({ x, y }) => keyOf(x, y)));
+    const unwrapped = [];
+    for (const { x, y } of dots) {
+      if (!remaining.delete(keyOf(x, y))) continue;
+      const group = [{ x, y }];
+      for (let head = 0; head < group.length; head++) {
+        const dot = group[head];
+        unwrapped.push(dot);
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (remaining.delete(keyOf(dot.x + dx, dot.y + dy))) {
+              group.push({ x: dot.x + dx, y: dot.y + dy });
+            }
+          }
+        }
+      }
     }
+    return unwrapped;
   }
 
   /**
@@ -651,16 +836,19 @@ export class GameRenderer {
    * Supports pattern textures based on the current skin
    */
   createCapturedAreaMesh(capturedDots, playerNum) {
-    const gridSize = this.boardLogic.gridSize;
     const spacing = GameRenderer.DOT_SPACING;
-    const offset = (gridSize - 1) * spacing / 2;
+    const offset = this.getBoardOffset();
     const color = this.playerColors[playerNum];
     
     if (capturedDots.length === 0) return;
+
+    // On a torus an area may run over the edge; drawn in one piece, the copies
+    // of the board show it whole on either side
+    capturedDots = this.unwrapDots(capturedDots);
     
     // Convert grid coords to world coords
-    const worldX = (gx) => gx * spacing - offset;
-    const worldY = (gy) => gy * spacing - offset;
+    const worldX = (gx) => gx * spacing - offset.x;
+    const worldY = (gy) => gy * spacing - offset.y;
     
     // Create a set for quick lookup of captured dots
     const capturedSet = new Set(capturedDots.map(d => `${d.x},${d.y}`));
@@ -673,8 +861,9 @@ export class GameRenderer {
           if (dx === 0 && dy === 0) continue;
           const nx = x + dx;
           const ny = y + dy;
-          if (nx >= 0 && nx < gridSize && ny >= 0 && ny < gridSize) {
-            const dot = this.boardLogic.getDot(nx, ny);
+          const wrapped = this.boardLogic.wrapPosition(nx, ny);
+          if (this.boardLogic.isWithinBounds(wrapped.x, wrapped.y)) {
+            const dot = this.boardLogic.getDot(wrapped.x, wrapped.y);
             if (dot && dot.owner === playerNum) {
               boundaryDots.add(`${nx},${ny}`);
             }
@@ -713,7 +902,7 @@ export class GameRenderer {
     };
     
     // Find bounding box and process complete rectangular cells first
-    let minX = gridSize, maxX = -1, minY = gridSize, maxY = -1;
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
     for (const key of allPoints) {
       const [xStr, yStr] = key.split(',');
       const x = parseInt(xStr);
@@ -874,14 +1063,13 @@ export class GameRenderer {
    * Create particles for captured dots
    */
   createCaptureParticlesForDots(capturedDots, playerNum) {
-    const gridSize = this.boardLogic.gridSize;
     const spacing = GameRenderer.DOT_SPACING;
-    const offset = (gridSize - 1) * spacing / 2;
+    const offset = this.getBoardOffset();
     const color = this.playerColors[playerNum];
 
     for (const { x, y } of capturedDots) {
-      const worldX = x * spacing - offset;
-      const worldY = y * spacing - offset;
+      const worldX = x * spacing - offset.x;
+      const worldY = y * spacing - offset.y;
       
       // Create fewer particles per dot
       const particleCount = 10;
@@ -919,9 +1107,8 @@ export class GameRenderer {
   showCapturePreview(previewDots, playerNum) {
     this.clearPreviews();
     
-    const gridSize = this.boardLogic.gridSize;
     const spacing = GameRenderer.DOT_SPACING;
-    const offset = (gridSize - 1) * spacing / 2;
+    const offset = this.getBoardOffset();
     const color = this.playerColors[playerNum];
     
     for (const { x, y } of previewDots) {
@@ -935,13 +1122,114 @@ export class GameRenderer {
       });
       
       const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-      ring.position.set(x * spacing - offset, y * spacing - offset, 0.02);
+      ring.position.set(x * spacing - offset.x, y * spacing - offset.y, 0.02);
       
       this.scene.add(ring);
       this.previewMeshes.push(ring);
     }
   }
 
+  /**
+   * Highlight suggested moves, best first: a ring around each dot, brightest
+   * for the best, with the number of dots it would capture next to it
+   */
+  showHints(hints, playerNum) {
+    this.clearHints();
+
+    const spacing = GameRenderer.DOT_SPACING;
+    const offset = this.getBoardOffset();
+    const color = this.playerColors[playerNum];
+
+    hints.forEach(({ x, y, captures }, rank) => {
+      const position = new THREE.Vector3(x * spacing - offset.x, y * spacing - offset.y, 0.03);
+      const ring = new THREE.Mesh(
+        new THREE.RingGeometry(0.22, 0.3, 32),
+        new THREE.MeshBasicMaterial({
+          color,
+          transparent: true,
+          opacity: 0.9 - rank * 0.25,
+          side: THREE.DoubleSide
+        })
+      );
+      ring.position.copy(position);
+      this.scene.add(ring);
+      this.hintMeshes.push(ring);
+
+      const label = this.createHintLabel(`+${captures}`, color);
+      label.position.set(position.x + 0.3, position.y + 0.3, 0.05);
+      this.scene.add(label);
+      this.hintMeshes.push(label);
+    });
+  }
+
+  /**
+   * Small text sprite drawn on a canvas
+   */
+  createHintLabel(text, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 36px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = `#${color.getHexString()}`;
+    context.fillText(text, 32, 32);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true }));
+    sprite.scale.set(0.3, 0.3, 1);
+    return sprite;
+  }
+
+  clearHints() {
+    this.hintMeshes.forEach(mesh => {
+      this.scene.remove(mesh);
+      // Sprites share one geometry
+      if (!mesh.isSprite) mesh.geometry.dispose();
+      mesh.material.map?.dispose();
+      mesh.material.dispose();
+    });
+    this.hintMeshes = [];
+  }
+
+  /**
+   * Shade every dot where an opponent could capture on their next turn, in
+   * that opponent's color and stronger the more dots are at stake
+   * @param {Array<Object>} threats - { x, y, captures, player }
+   */
+  showThreats(threats) {
+    this.clearThreats();
+
+    const spacing = GameRenderer.DOT_SPACING;
+    const offset = this.getBoardOffset();
+
+    for (const { x, y, captures, player } of threats) {
+      const shade = Math.min(captures, GameRenderer.THREAT_FULL_SHADE) / GameRenderer.THREAT_FULL_SHADE;
+      const disc = new THREE.Mesh(
+        new THREE.CircleGeometry(0.45, 32),
+        new THREE.MeshBasicMaterial({
+          color: this.playerColors[player],
+          transparent: true,
+          opacity: 0.15 + shade * 0.5,
+          depthWrite: false,
+          side: THREE.DoubleSide
+        })
+      );
+      disc.position.set(x * spacing - offset.x, y * spacing - offset.y, 0.01);
+      this.scene.add(disc);
+      this.threatMeshes.push(disc);
+    }
+  }
+
+  clearThreats() {
+    this.threatMeshes.forEach(mesh => {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this.threatMeshes = [];
+  }
+
   clearPreviews() {
     this.previewMeshes.forEach(mesh => {
       this.scene.remove(mesh);
@@ -1089,6 +1377,13 @@ export class GameRenderer {
     this.raycaster.ray.intersectPlane(plane, intersectPoint);
     
     if (!intersectPoint) return null;
+
+    // On a torus any copy of a dot picks the dot itself
+    if (this.isTorus()) {
+      const period = this.getBoardPeriod();
+      intersectPoint.x = wrapCoordinate(intersectPoint.x, period.x);
+      intersectPoint.y = wrapCoordinate(intersectPoint.y, period.y);
+    }
     
     // Find the nearest dot within tolerance
     let nearestDot = null;
@@ -1137,7 +1432,11 @@ export class GameRenderer {
     this.composer.render();
   }
 
-  reset() {
+  /**
+   * Clear the board back to unowned dots. The camera is only reset when
+   * resetView is true, so a redraw mid-game keeps the player's zoom and pan.
+   */
+  reset(resetView = true) {
     // Remove captured area meshes
     this.capturedAreaMeshes.forEach(mesh => {
       this.scene.remove(mesh);
@@ -1146,8 +1445,10 @@ export class GameRenderer {
     });
     this.capturedAreaMeshes = [];
 
-    // Clear previews
+    // Clear previews, hints and threats
     this.clearPreviews();
+    this.clearHints();
+    this.clearThreats();
 
     // Clear particles
     this.particles.forEach(p => this.scene.remove(p));
@@ -1180,8 +1481,11 @@ export class GameRenderer {
     }
     
     this.hoverDot = null;
+    this.showStartingDots();
     
     // Reset zoom and pan
-    this.resetZoomPan();
+    if (resetView) {
+      this.resetZoomPan();
+    }
   }
 }
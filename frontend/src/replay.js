@@ -0,0 +1,141 @@
+/**
+ * Replay Player
+ * Steps through a finished game's moves on its own board, forward and back,
+ * with autoplay. Drawing is left to the onChange callback:
+ * - { type: 'step', move, capturedDots } after a single move forward
+ * - { type: 'jump' } after stepping back or seeking, the board must be redrawn
+ */
+
+import { BoardLogic, playerForMove } from 'dots-js-shared';
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+export const REPLAY_MOVE_INTERVAL = 1000; // ms per move at 1x speed
+
+export class ReplayPlayer {
+  /**
+   * @param {Object} record - Parsed game record (see parseGameRecord)
+   * @param {Function} onChange - Called after every change of position
+   */
+  constructor(record, onChange = () => {}) {
+    this.record = record;
+    this.moves = record.moves;
+    this.boardLogic = new BoardLogic(record.boardShape, record.ruleSet, record.ruleOptions, record.teams);
+    this.position = 0; // Number of moves applied to the board
+    this.speed = 1;
+    this.timer = null;
+    this.onChange = onChange;
+  }
+
+  get length() {
+    return this.moves.length;
+  }
+
+  isPlaying() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Player to move after the current position
+   */
+  getNextPlayer() {
+    return this.moves[this.position]?.player ?? playerForMove(this.position, this.record.handicap, this.record.playerCount);
+  }
+
+  /**
+   * Apply the next move. Returns false at the end of the game.
+   */
+  stepForward() {
+    if (this.position >= this.length) {
+      this.pause();
+      return false;
+    }
+    const move = this.moves[this.position];
+    const result = this.boardLogic.occupyDot(move.x, move.y, move.player);
+    this.position++;
+    this.onChange({ type: 'step', move, capturedDots: result.capturedDots });
+    return true;
+  }
+
+  /**
+   * Take back the last applied move. Returns false at the start of the game.
+   */
+  stepBack() {
+    if (this.position === 0) return false;
+    this.boardLogic.undo();
+    this.position--;
+    this.onChange({ type: 'jump' });
+    return true;
+  }
+
+  /**
+   * Jump to the board after the given number of moves
+   */
+  goTo(position) {
+    const target = Math.max(0, Math.min(this.length, Math.round(position)));
+    if (target === this.position) return;
+    if (target === this.position + 1) {
+      this.stepForward();
+      return;
+    }
+
+    if (target < this.position) {
+      this.boardLogic.undoTo(target);
+    } else {
+      for (const move of this.moves.slice(this.position, target)) {
+        this.boardLogic.occupyDot(move.x, move.y, move.player);
+      }
+    }
+    this.position = target;
+    this.onChange({ type: 'jump' });
+  }
+
+  /**
+   * Start autoplay, from the beginning if the replay is at its end
+   */
+  play() {
+    if (this.isPlaying()) return;
+    if (this.position >= this.length) {
+      this.goTo(0);
+    }
+    this.scheduleNextMove();
+  }
+
+  pause() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Change the autoplay speed; a playing replay keeps going at the new speed
+   */
+  setSpeed(speed) {
+    if (!REPLAY_SPEEDS.includes(speed)) {
+      throw new Error(`Replay speed must be one of ${REPLAY_SPEEDS.join(', ')}`);
+    }
+    this.speed = speed;
+    if (this.isPlaying()) {
+      this.pause();
+      this.scheduleNextMove();
+    }
+  }
+
+  scheduleNextMove() {
+    this.timer = setTimeout(() => {
+      // Still playing while the move is drawn, unless it is the last one
+      if (this.position + 1 >= this.length) {
+        this.timer = null;
+      }
+      this.stepForward();
+      if (this.timer !== null) {
+        this.scheduleNextMove();
+      }
+    }, REPLAY_MOVE_INTERVAL / this.speed);
+  }
+
+  destroy() {
+    this.pause();
+    this.onChange = () => {};
+  }
+}
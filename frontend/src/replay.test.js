@@ -0,0 +1,97 @@
+/**
+ * Tests for ReplayPlayer
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseGameRecord } from 'dots-js-shared';
+import { ReplayPlayer, REPLAY_MOVE_INTERVAL } from './replay.js';
+
+// Player 2 dot at (2,2) captured by the last move
+const RECORD = parseGameRecord('[Board "5x5"]\n\n1. 1,2 2,2 2. 3,2 0,0 3. 2,1 4,4 4. 2,3\n');
+
+describe('ReplayPlayer', () => {
+  let replay;
+  let changes;
+
+  beforeEach(() => {
+    changes = [];
+    replay = new ReplayPlayer(RECORD, change => changes.push(change));
+  });
+
+  afterEach(() => {
+    replay.destroy();
+    vi.useRealTimers();
+  });
+
+  it('should step forward and report captures', () => {
+    replay.goTo(6);
+    changes = [];
+
+    expect(replay.stepForward()).toBe(true);
+    expect(changes).toEqual([{ type: 'step', move: { x: 2, y: 3, player: 1 }, capturedDots: [{ x: 2, y: 2 }] }]);
+    expect(replay.boardLogic.getDot(2, 2).capturedBy).toBe(1);
+    expect(replay.stepForward()).toBe(false);
+  });
+
+  it('should step back to the board before a move', () => {
+    replay.goTo(7);
+    expect(replay.stepBack()).toBe(true);
+
+    expect(replay.position).toBe(6);
+    expect(replay.boardLogic.getDot(2, 2).owner).toBe(2);
+    expect(replay.boardLogic.isDotClickable(2, 3)).toBe(true);
+    expect(changes.at(-1)).toEqual({ type: 'jump' });
+  });
+
+  it('should seek in both directions', () => {
+    replay.goTo(7);
+    replay.goTo(2);
+    expect(replay.boardLogic.getMoveHistory().length).toBe(2);
+    expect(replay.getNextPlayer()).toBe(1);
+
+    replay.goTo(100);
+    expect(replay.position).toBe(7);
+    expect(replay.boardLogic.calculateScore(1)).toBe(5);
+  });
+
+  it('should autoplay at the chosen speed and stop at the end', () => {
+    vi.useFakeTimers();
+    replay.setSpeed(2);
+    replay.play();
+
+    vi.advanceTimersByTime(REPLAY_MOVE_INTERVAL / 2);
+    expect(replay.position).toBe(1);
+
+    replay.setSpeed(4);
+    vi.advanceTimersByTime(REPLAY_MOVE_INTERVAL);
+    expect(replay.position).toBe(5);
+
+    vi.advanceTimersByTime(REPLAY_MOVE_INTERVAL * 10);
+    expect(replay.position).toBe(7);
+    expect(replay.isPlaying()).toBe(false);
+  });
+
+  it('should report playing while drawing each move but the last', () => {
+    vi.useFakeTimers();
+    const playing = [];
+    replay.goTo(5);
+    replay.onChange = () => playing.push(replay.isPlaying());
+    replay.play();
+
+    vi.advanceTimersByTime(REPLAY_MOVE_INTERVAL * 2);
+    expect(playing).toEqual([true, false]);
+  });
+
+  it('should restart from the beginning when played at the end', () => {
+    vi.useFakeTimers();
+    replay.goTo(7);
+    replay.play();
+
+    expect(replay.position).toBe(0);
+    expect(replay.isPlaying()).toBe(true);
+  });
+
+  it('should reject unknown speeds', () => {
+    expect(() => replay.setSpeed(3)).toThrow(/Replay speed/);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Score Graph
+ * Draws every player's score over the moves of a game on a canvas, for the
+ * game-over panel. Blunders found by the post-game analysis are marked on
+ * the line of the player who made them.
+ */
+
+import { BoardLogic, playerNumbers } from 'dots-js-shared';
+
+const PADDING = 24;
+const GRID_COLOR = 'rgba(255, 255, 255, 0.15)';
+const LABEL_COLOR = '#aaaaaa';
+const BLUNDER_COLOR = '#ff3333';
+const BLUNDER_RADIUS = 4;
+
+/**
+ * Scores before the first move and after each move of a parsed game record,
+ * as [{ playerNum: score }]
+ */
+export function scoresOverTime(record) {
+  const boardLogic = new BoardLogic(record.boardShape, record.ruleSet, record.ruleOptions, record.teams);
+  const seats = playerNumbers(record.playerCount);
+  const scoresNow = () => Object.fromEntries(seats.map(num => [num, boardLogic.calculateScore(num)]));
+
+  const scores = [scoresNow()];
+  for (const { x, y, player } of record.moves) {
+    boardLogic.occupyDot(x, y, player);
+    scores.push(scoresNow());
+  }
+  return scores;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array<Object>} scores - Scores over time, see scoresOverTime
+ * @param {Object} colors - CSS color of each player's line, by player number
+ * @param {Array<Object>} blunders - { move, player } with move counted from 1
+ */
+export function drawScoreGraph(canvas, scores, colors, blunders = []) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const seats = Object.keys(scores[0]).map(Number);
+  const moveCount = Math.max(1, scores.length - 1);
+  const maxScore = Math.max(1, ...scores.flatMap(point => seats.map(num => point[num])));
+  const toX = move => PADDING + (move / moveCount) * (width - 2 * PADDING);
+  const toY = score => height - PADDING - (score / maxScore) * (height - 2 * PADDING);
+
+  ctx.clearRect(0, 0, width, height);
+
+  // Axes and labels
+  ctx.strokeStyle = GRID_COLOR;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(toX(0), toY(maxScore));
+  ctx.lineTo(toX(0), toY(0));
+  ctx.lineTo(toX(moveCount), toY(0));
+  ctx.stroke();
+  ctx.fillStyle = LABEL_COLOR;
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillText(String(maxScore), toX(0) - 4, toY(maxScore) + 4);
+  ctx.fillText(`${moveCount} moves`, toX(moveCount), height - 6);
+
+  // One line per player
+  ctx.lineWidth = 2;
+  for (const num of seats) {
+    ctx.strokeStyle = colors[num];
+    ctx.beginPath();
+    scores.forEach((point, move) => {
+      if (move === 0) {
+        ctx.moveTo(toX(move), toY(point[num]));
+      } else {
+        ctx.lineTo(toX(move), toY(point[num]));
+      }
+    });
+    ctx.stroke();
+  }
+
+  // Blunders on the line of the player who made them
+  ctx.strokeStyle = BLUNDER_COLOR;
+  for (const { move, player } of blunders) {
+    if (!scores[move]) continue;
+    ctx.fillStyle = colors[player];
+    ctx.beginPath();
+    ctx.arc(toX(move), toY(scores[move][player]), BLUNDER_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+}
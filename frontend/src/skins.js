@@ -7,7 +7,8 @@ import * as THREE from 'three';
 
 /**
  * Skin definitions
- * Each skin defines colors and patterns for players
+ * Each skin defines colors and patterns for players 1 to 4 (players 3 and 4
+ * only take part in free-for-all games)
  */
 export const SKINS = {
   // Default plain colors skin
@@ -25,6 +26,16 @@ export const SKINS = {
       dotColor: 0xff00ff,      // Magenta
       captureColor: 0xff00ff,
       pattern: null
+    },
+    player3: {
+      dotColor: 0xffcc00,      // Yellow
+      captureColor: 0xffcc00,
+      pattern: null
+    },
+    player4: {
+      dotColor: 0x66ff33,      // Green
+      captureColor: 0x66ff33,
+      pattern: null
     }
   },
   
@@ -43,6 +54,16 @@ export const SKINS = {
       dotColor: 0x3366ff,      // Blue
       captureColor: 0x3366ff,
       pattern: 'bricks'
+    },
+    player3: {
+      dotColor: 0x33cc66,      // Green
+      captureColor: 0x33cc66,
+      pattern: 'bricks'
+    },
+    player4: {
+      dotColor: 0x9933ff,      // Purple
+      captureColor: 0x9933ff,
+      pattern: 'bricks'
     }
   }
 };
@@ -139,7 +160,7 @@ export class SkinManager {
     this.currentSkin = 'default'; // Local player's skin
     this.ownedSkins = ['default']; // Default skin is always owned
     this.patternTextures = new Map();
-    this.playerSkins = { 1: 'default', 2: 'default' }; // Per-player skins
+    this.playerSkins = { 1: 'default', 2: 'default', 3: 'default', 4: 'default' }; // Per-player skins
     
     this.loadFromStorage();
   }
@@ -241,24 +262,33 @@ export class SkinManager {
    * Get player colors for the current skin
    */
   getPlayerColors() {
-    const skin1 = this.getSkin(this.playerSkins[1]) || SKINS.default;
-    const skin2 = this.getSkin(this.playerSkins[2]) || SKINS.default;
-    return {
-      1: new THREE.Color(skin1.player1.dotColor),
-      2: new THREE.Color(skin2.player2.dotColor)
-    };
+    return this.colorsBy(config => config.dotColor);
   }
   
   /**
    * Get capture colors for the current skin
    */
   getCaptureColors() {
-    const skin1 = this.getSkin(this.playerSkins[1]) || SKINS.default;
-    const skin2 = this.getSkin(this.playerSkins[2]) || SKINS.default;
-    return {
-      1: new THREE.Color(skin1.player1.captureColor),
-      2: new THREE.Color(skin2.player2.captureColor)
-    };
+    return this.colorsBy(config => config.captureColor);
+  }
+
+  /**
+   * Colors of every player, { playerNum: THREE.Color }, picked from their skin config
+   */
+  colorsBy(colorOf) {
+    const colors = {};
+    for (const playerNum of Object.keys(this.playerSkins)) {
+      colors[playerNum] = new THREE.Color(colorOf(this.getPlayerConfig(playerNum)));
+    }
+    return colors;
+  }
+
+  /**
+   * A player's config ({ dotColor, captureColor, pattern }) in their skin
+   */
+  getPlayerConfig(playerNum) {
+    const skin = this.getSkin(this.playerSkins[playerNum]) || SKINS.default;
+    return skin[`player${playerNum}`];
   }
   
   /**
@@ -266,8 +296,7 @@ export class SkinManager {
    */
   getPatternTexture(playerNum) {
     const skinId = this.playerSkins[playerNum] || 'default';
-    const skin = this.getSkin(skinId) || SKINS.default;
-    const playerConfig = playerNum === 1 ? skin.player1 : skin.player2;
+    const playerConfig = this.getPlayerConfig(playerNum);
     
     if (!playerConfig.pattern) {
       return null;
@@ -310,7 +339,7 @@ export class SkinManager {
   getPlayerSkinInfo(playerNum) {
     const skinId = this.playerSkins[playerNum] || 'default';
     const skin = this.getSkin(skinId) || SKINS.default;
-    const playerConfig = playerNum === 1 ? skin.player1 : skin.player2;
+    const playerConfig = skin[`player${playerNum}`];
     return {
       skinId,
       skinName: skin.name,
@@ -3,18 +3,23 @@
  * Manages the overall game state and transitions
  */
 
+import { checkTeams, normalizePlayerCount, playerNumbers, teamOf, teamScores, winnerFromScores } from 'dots-js-shared';
+
 export const GameState = {
   MENU: 'menu',
   WAITING: 'waiting',
   PLAYING: 'playing',
-  GAME_OVER: 'gameOver'
+  GAME_OVER: 'gameOver',
+  REPLAY: 'replay'
 };
 
 export const GameMode = {
   DEMO: 'demo',
   ONLINE: 'online',
   LOCAL: 'local',
-  ASYNC: 'async'
+  ASYNC: 'async',
+  AI: 'ai', // Against the computer, see aiPlayer.js
+  PUZZLE: 'puzzle' // Capture puzzle against scripted replies, see puzzles.js in dots-js-shared
 };
 
 export class StateMachine {
@@ -26,6 +31,8 @@ export class StateMachine {
       1: { id: null, name: 'Player 1', score: 0, color: 0x00ffff },
       2: { id: null, name: 'Player 2', score: 0, color: 0xff00ff }
     };
+    this.playerCount = 2;
+    this.teams = false; // Two-versus-two: seats 1 and 3 against seats 2 and 4
     this.currentPlayer = 1;
     this.localPlayerId = null;
     this.gameId = null;
@@ -63,6 +70,29 @@ export class StateMachine {
     this.emit('playerUpdate', { playerNum, player: this.players[playerNum] });
   }
 
+  /**
+   * Seat 2 to 4 players: new seats start as "Player N", extra seats are removed.
+   * With teams, four players play two against two.
+   */
+  setPlayerCount(playerCount, teams = false) {
+    this.playerCount = normalizePlayerCount(playerCount);
+    checkTeams(teams, this.playerCount);
+    this.teams = teams;
+    for (const playerNum of this.seats()) {
+      this.players[playerNum] ??= { id: null, name: `Player ${playerNum}`, score: 0 };
+    }
+    for (const playerNum of Object.keys(this.players)) {
+      if (playerNum > this.playerCount) delete this.players[playerNum];
+    }
+  }
+
+  /**
+   * Seat numbers of the current game, [1, 2] up to [1, 2, 3, 4]
+   */
+  seats() {
+    return playerNumbers(this.playerCount);
+  }
+
   getPlayer(playerNum) {
     return this.players[playerNum];
   }
@@ -77,6 +107,11 @@ export class StateMachine {
     this.emit('scoreChange', { playerNum, score: this.players[playerNum].score });
   }
 
+  setScore(playerNum, score) {
+    this.players[playerNum].score = score;
+    this.emit('scoreChange', { playerNum, score });
+  }
+
   isLocalPlayerTurn() {
     // In local mode, always allow the current player to make moves
     if (this.isLocalMode) {
@@ -85,8 +120,12 @@ export class StateMachine {
     return this.localPlayerId === this.currentPlayer;
   }
 
-  switchTurn() {
-    this.setCurrentPlayer(this.currentPlayer === 1 ? 2 : 1);
+  /**
+   * Pass the turn to the next seat, or to nextPlayer when a handicap
+   * gives someone extra moves
+   */
+  switchTurn(nextPlayer = (this.currentPlayer % this.playerCount) + 1) {
+    this.setCurrentPlayer(nextPlayer);
     // In local mode, update localPlayerId to current player
     if (this.isLocalMode) {
       this.localPlayerId = this.currentPlayer;
@@ -94,15 +133,38 @@ export class StateMachine {
   }
 
   reset() {
-    this.players[1].score = 0;
-    this.players[2].score = 0;
+    for (const playerNum of this.seats()) {
+      this.players[playerNum].score = 0;
+    }
     this.currentPlayer = 1;
     this.emit('reset');
   }
 
-  getWinner() {
-    if (this.players[1].score > this.players[2].score) return 1;
-    if (this.players[2].score > this.players[1].score) return 2;
-    return null; // Draw
+  /**
+   * Player with the highest score, or null for a draw. An excluded player
+   * (one who forfeited) cannot win. In a team game the winner is the team
+   * with the higher pooled score, and a forfeit loses for the whole team.
+   */
+  getWinner(excluding = null) {
+    if (this.teams) {
+      if (excluding !== null) return teamOf(excluding) === 1 ? 2 : 1;
+      return winnerFromScores(this.getTeamScores());
+    }
+    const scores = {};
+    for (const playerNum of this.seats()) {
+      if (playerNum !== excluding) scores[playerNum] = this.players[playerNum].score;
+    }
+    return winnerFromScores(scores);
+  }
+
+  /**
+   * Pooled scores of a team game: { 1, 2 }
+   */
+  getTeamScores() {
+    const scores = {};
+    for (const playerNum of this.seats()) {
+      scores[playerNum] = this.players[playerNum].score;
+    }
+    return teamScores(scores);
   }
 }
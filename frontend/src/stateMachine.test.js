@@ -38,6 +38,14 @@ describe('StateMachine', () => {
     expect(stateMachine.currentPlayer).toBe(1);
   });
 
+  it('should keep the turn with a player given extra moves', () => {
+    stateMachine.isLocalMode = true;
+    stateMachine.setCurrentPlayer(2);
+    stateMachine.switchTurn(2);
+    expect(stateMachine.currentPlayer).toBe(2);
+    expect(stateMachine.localPlayerId).toBe(2);
+  });
+
   it('should detect local player turn', () => {
     stateMachine.localPlayerId = 1;
     stateMachine.setCurrentPlayer(1);
@@ -54,6 +62,15 @@ describe('StateMachine', () => {
     expect(stateMachine.players[2].score).toBe(3);
   });
 
+  it('should set scores', () => {
+    const changes = [];
+    stateMachine.on('scoreChange', change => changes.push(change));
+    stateMachine.addScore(1, 5);
+    stateMachine.setScore(1, 2);
+    expect(stateMachine.players[1].score).toBe(2);
+    expect(changes[1]).toEqual({ playerNum: 1, score: 2 });
+  });
+
   it('should determine winner', () => {
     stateMachine.addScore(1, 10);
     stateMachine.addScore(2, 5);
@@ -76,4 +93,39 @@ describe('StateMachine', () => {
     expect(stateMachine.players[2].score).toBe(0);
     expect(stateMachine.currentPlayer).toBe(1);
   });
+
+  it('should pass the turn around every seat in free-for-all', () => {
+    stateMachine.setPlayerCount(3);
+    expect(stateMachine.players[3].name).toBe('Player 3');
+    stateMachine.switchTurn();
+    stateMachine.switchTurn();
+    expect(stateMachine.currentPlayer).toBe(3);
+    stateMachine.switchTurn();
+    expect(stateMachine.currentPlayer).toBe(1);
+
+    stateMachine.setPlayerCount(2);
+    expect(stateMachine.players[3]).toBeUndefined();
+  });
+
+  it('should find the free-for-all winner, leaving out a forfeiting player', () => {
+    stateMachine.setPlayerCount(4);
+    stateMachine.addScore(1, 9);
+    stateMachine.addScore(2, 4);
+    stateMachine.addScore(3, 4);
+    expect(stateMachine.getWinner()).toBe(1);
+    expect(stateMachine.getWinner(1)).toBe(null); // 4-4 between players 2 and 3
+    stateMachine.addScore(4, 6);
+    expect(stateMachine.getWinner(1)).toBe(4);
+  });
+
+  it('should pool team scores and lose a forfeit for the whole team', () => {
+    stateMachine.setPlayerCount(4, true);
+    stateMachine.addScore(1, 2);
+    stateMachine.addScore(2, 4);
+    stateMachine.addScore(3, 3);
+    expect(stateMachine.getTeamScores()).toEqual({ 1: 5, 2: 4 });
+    expect(stateMachine.getWinner()).toBe(1);
+    expect(stateMachine.getWinner(3)).toBe(2);
+    expect(() => stateMachine.setPlayerCount(3, true)).toThrow(/Team games/);
+  });
 });
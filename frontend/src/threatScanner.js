@@ -0,0 +1,65 @@
+/**
+ * Threat Scanner
+ * Finds the opponents' capture threats for the threat overlay in a worker
+ * (aiWorker.js), as checking every empty dot is too slow for the main thread
+ * on big boards. The worker starts with the first scan, and only the answer
+ * to the latest scan is delivered.
+ */
+
+export class ThreatScanner {
+  constructor() {
+    this.worker = null;
+    this.requestId = 0;
+    this.pending = null; // { id, resolve, reject } of the scan being answered
+  }
+
+  /**
+   * Every dot where one of players could capture on their next move.
+   * Resolves with [{ x, y, captures, player }], or never when another scan or
+   * cancel() comes first. Rejects when the worker fails; the next scan starts
+   * a new one.
+   */
+  scan(boardLogic, players) {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./aiWorker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = ({ data }) => {
+        if (this.pending?.id === data.id) {
+          this.pending.resolve(data.threats);
+          this.pending = null;
+        }
+      };
+      this.worker.onerror = (event) => {
+        event.preventDefault();
+        this.fail(new Error(event.message || 'The threat scan stopped working'));
+      };
+      this.worker.onmessageerror = () => this.fail(new Error('The threat scan sent an unreadable answer'));
+    }
+    const id = ++this.requestId;
+    return new Promise((resolve, reject) => {
+      this.pending = { id, resolve, reject };
+      this.worker.postMessage({ id, task: 'threats', board: boardLogic.serialize(), players });
+    });
+  }
+
+  /**
+   * Reject the scan in progress and drop the worker
+   */
+  fail(error) {
+    const pending = this.pending;
+    this.terminate();
+    pending?.reject(error);
+  }
+
+  /**
+   * Drop the scan in progress
+   */
+  cancel() {
+    this.pending = null;
+  }
+
+  terminate() {
+    this.cancel();
+    this.worker?.terminate();
+    this.worker = null;
+  }
+}
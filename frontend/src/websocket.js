@@ -3,6 +3,8 @@
  * Handles server communication for authenticated games
  */
 
+import { DEFAULT_RULE_SET } from 'dots-js-shared';
+
 export class WebSocketClient {
   constructor(serverUrl) {
     this.serverUrl = serverUrl || this.getDefaultServerUrl();
@@ -193,6 +195,24 @@ export class WebSocketClient {
       case 'game_over':
         this.emit('gameOver', message.data);
         break;
+      case 'takeback_requested':
+        this.emit('takebackRequested', message.data);
+        break;
+      case 'takeback':
+        this.emit('takeback', message.data);
+        break;
+      case 'takeback_declined':
+        this.emit('takebackDeclined', message.data);
+        break;
+      case 'sides_swapped':
+        this.emit('sidesSwapped', message.data);
+        break;
+      case 'turn_passed':
+        this.emit('turnPassed', message.data);
+        break;
+      case 'hint':
+        this.emit('hint', message.data);
+        break;
       case 'opponent_disconnected':
         this.emit('opponentDisconnected');
         break;
@@ -291,11 +311,24 @@ export class WebSocketClient {
   }
 
   /**
-   * Create a new game
+   * Create a new game, with an optional handicap { player, count, type }.
+   * A playerCount of 3 or 4 creates a free-for-all game, with teams a
+   * two-versus-two team game. timeControl is a time control or preset name
+   * (see timeControl.js), null for no clock; asyncTimeControl the
+   * { perMove, reserve } or preset name the game keeps once it continues
+   * turn-based, null for the default.
    */
-  createGame() {
+  createGame(boardShape = 10, ruleSet = DEFAULT_RULE_SET, ruleOptions = {}, handicap = null, playerCount = 2, teams = false, timeControl = null, asyncTimeControl = null) {
     this.send({
-      type: 'create_game'
+      type: 'create_game',
+      boardShape,
+      ruleSet,
+      ruleOptions,
+      handicap,
+      playerCount,
+      teams,
+      timeControl,
+      asyncTimeControl
     });
   }
 
@@ -310,12 +343,24 @@ export class WebSocketClient {
   }
 
   /**
-   * Find a random opponent (matchmaking)
+   * Find a random opponent (matchmaking). With handicap set, the weaker
+   * player gets a handicap from the rating gap if the opponent opts in too.
+   * A playerCount of 3 or 4 waits for that many players with the same settings;
+   * with teams, four players are split into two balanced teams. Players are
+   * only matched with others asking for the same time controls.
    */
-  findMatch(isRanked = false) {
+  findMatch(isRanked = false, boardShape = 10, ruleSet = DEFAULT_RULE_SET, ruleOptions = {}, handicap = false, playerCount = 2, teams = false, timeControl = null, asyncTimeControl = null) {
     this.send({
       type: 'find_match',
-      isRanked
+      isRanked,
+      boardShape,
+      ruleSet,
+      ruleOptions,
+      handicap,
+      playerCount,
+      teams,
+      timeControl,
+      asyncTimeControl
     });
   }
 
@@ -349,6 +394,57 @@ export class WebSocketClient {
     });
   }
 
+  /**
+   * Swap sides under the swap rule, answering the opponent's first move
+   */
+  swapSides() {
+    this.send({
+      type: 'swap',
+      gameId: this.gameId
+    });
+  }
+
+  /**
+   * Pass the turn; the game ends when both players pass in a row
+   */
+  pass() {
+    this.send({
+      type: 'pass',
+      gameId: this.gameId
+    });
+  }
+
+  /**
+   * Ask for the best few moves; not allowed in ranked games
+   */
+  requestHint() {
+    this.send({
+      type: 'hint',
+      gameId: this.gameId
+    });
+  }
+
+  /**
+   * Ask the opponent to take back our last move
+   */
+  requestTakeback() {
+    this.send({
+      type: 'takeback_request',
+      gameId: this.gameId
+    });
+  }
+
+  /**
+   * Accept or decline the opponent's takeback request
+   */
+  respondToTakeback(accept) {
+    this.send({
+      type: 'takeback_response',
+      gameId: this.gameId,
+      accept
+    });
+  }
+
   /**
    * Resign from the current game
    */
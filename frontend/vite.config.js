@@ -9,6 +9,10 @@ export default defineConfig({
   },
   server: {
     port: 3000,
-    cors: true
+    cors: true,
+    fs: {
+      // Allow serving the shared rules engine linked from ../shared
+      allow: ['.', '../shared']
+    }
   }
 });
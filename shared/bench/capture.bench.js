@@ -0,0 +1,97 @@
+/**
+ * Capture Benchmark
+ * Plays the same random games with the incremental engine (BoardLogic) and
+ * the original full-board flood fill (ReferenceBoardLogic) and compares
+ * the time spent in occupyDot.
+ *
+ * Usage: npm run bench [-- <gridSize> ...]
+ */
+
+import { performance } from 'node:perf_hooks';
+import assert from 'node:assert';
+import { BoardLogic } from '../src/index.js';
+import { ReferenceBoardLogic } from './referenceBoardLogic.js';
+
+// Shape fields differ between the engines, only dot state is compared.
+// The reference engine does not record capturedFrom.
+function assertSameBoard(board, reference) {
+  const { capturedAreas } = board.serialize();
+  const dots = board.serialize().dots.map(([key, { capturedFrom, ...dot }]) => [key, dot]);
+  assert.deepStrictEqual({ dots, capturedAreas }, {
+    dots: reference.serialize().dots,
+    capturedAreas: reference.serialize().capturedAreas
+  });
+}
+
+const GAMES_PER_SIZE = 3;
+const sizes = process.argv.slice(2).map(Number).filter(Boolean);
+
+// Small deterministic PRNG so both engines see the same games
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a full random two-player game as a list of moves
+ */
+function generateGame(gridSize, seed) {
+  const random = createRandom(seed);
+  const board = new BoardLogic(gridSize);
+  const moves = [];
+  let player = 1;
+
+  while (!board.isGameOver()) {
+    const clickable = board.getClickableDots();
+    const { x, y } = clickable[Math.floor(random() * clickable.length)];
+    board.occupyDot(x, y, player);
+    moves.push({ x, y, player });
+    player = 3 - player;
+  }
+
+  return moves;
+}
+
+/**
+ * Replay a game and return the time spent in occupyDot
+ */
+function timeGame(Engine, gridSize, moves) {
+  const board = new Engine(gridSize);
+  let elapsed = 0;
+  for (const { x, y, player } of moves) {
+    const start = performance.now();
+    board.occupyDot(x, y, player);
+    elapsed += performance.now() - start;
+  }
+  return { board, elapsed };
+}
+
+for (const gridSize of sizes.length > 0 ? sizes : [30, 50]) {
+  let referenceTime = 0;
+  let incrementalTime = 0;
+  let moveCount = 0;
+
+  for (let game = 1; game <= GAMES_PER_SIZE; game++) {
+    const moves = generateGame(gridSize, gridSize * 1000 + game);
+    const reference = timeGame(ReferenceBoardLogic, gridSize, moves);
+    const incremental = timeGame(BoardLogic, gridSize, moves);
+    assertSameBoard(incremental.board, reference.board);
+
+    referenceTime += reference.elapsed;
+    incrementalTime += incremental.elapsed;
+    moveCount += moves.length;
+  }
+
+  console.log(
+    `${gridSize}x${gridSize}: ${moveCount} moves in ${GAMES_PER_SIZE} games | ` +
+    `flood fill ${referenceTime.toFixed(1)} ms (${(referenceTime / moveCount * 1000).toFixed(1)} µs/move) | ` +
+    `incremental ${incrementalTime.toFixed(1)} ms (${(incrementalTime / moveCount * 1000).toFixed(1)} µs/move) | ` +
+    `${(referenceTime / incrementalTime).toFixed(1)}x faster`
+  );
+}
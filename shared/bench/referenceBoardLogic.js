@@ -1,6 +1,8 @@
 /**
- * Board Logic
- * Handles the game board state, dot occupation, and territory capture
+ * Reference Board Logic
+ * The original full-board flood-fill implementation of BoardLogic, kept
+ * unchanged so the incremental engine can be checked and benchmarked
+ * against it
  * 
  * Game Rules:
  * - Players take turns occupying unowned dots
@@ -9,8 +11,8 @@
  * - Uses greedy algorithm to calculate captured territories
  */
 
-export class BoardLogic {
-  constructor(gridSize = 5) {
+export class ReferenceBoardLogic {
+  constructor(gridSize = 10) {
     this.gridSize = gridSize;
     this.dots = new Map(); // key: "x,y", value: { x, y, owner: null | playerNum, captured: boolean }
     this.capturedAreas = []; // Array of { player, dots: [{x, y}] }
@@ -167,7 +169,7 @@ export class BoardLogic {
             d.captured = true;
             d.capturedBy = playerNum;
             allCapturedDots.push(capturedDot);
-            
+
             // Track which enemy player lost this dot
             capturedEnemyDots.set(originalOwner, (capturedEnemyDots.get(originalOwner) || 0) + 1);
           }
@@ -183,7 +185,7 @@ export class BoardLogic {
       }
     }
 
-    return { 
+    return {
       capturedDots: allCapturedDots,
       lostByPlayers: capturedEnemyDots // Map of playerNum -> count of dots lost
     };
@@ -0,0 +1,199 @@
+/**
+ * Computer Opponent
+ * Picks moves for a computer player using nothing but the rules engine:
+ * capture previews (BoardLogic.previewCapture) and trial moves that are
+ * taken back again. Four levels:
+ * - easy: plays anywhere, but takes a capture it sees half of the time
+ * - medium: greedy, takes the biggest capture on offer, otherwise blocks the
+ *   biggest capture an opponent could make there and plays close to the
+ *   dots already on the board
+ * - hard: tries medium's best candidates on the board and weighs the score
+ *   each one wins against the best capture it leaves an opponent next turn
+ * - expert: Monte Carlo tree search (see mcts.js) within a time budget
+ * Hints for a player (suggestMoves) are the hard level's best candidates.
+ * Runs headless, in the browser's AI worker as well as in Node.
+ */
+
+import { playerNumbers, MIN_PLAYERS } from './players.js';
+import { MctsEngine } from './mcts.js';
+
+export const AI_LEVELS = ['easy', 'medium', 'hard', 'expert'];
+export const DEFAULT_AI_LEVEL = 'medium';
+// Moves a hint suggests
+export const HINT_COUNT = 3;
+
+// Chance that the easy level takes a capture it sees
+const EASY_CAPTURE_CHANCE = 0.5;
+// Candidates the hard level tries on the board
+const HARD_CANDIDATES = 8;
+// Weights of the move heuristics
+const CAPTURE_WEIGHT = 10;
+const BLOCK_WEIGHT = 8;
+const REPLY_WEIGHT = 9;
+const THREAT_WEIGHT = 3;
+const CENTER_WEIGHT = 0.1;
+// Search budget of the expert level
+const EXPERT_TIME_LIMIT = 2000; // ms
+const EXPERT_PLAYOUTS = 20000;
+
+/**
+ * Validate an AI level, defaulting to medium. Throws on an unknown level.
+ */
+export function normalizeAiLevel(level) {
+  if (level === undefined || level === null) {
+    return DEFAULT_AI_LEVEL;
+  }
+  if (!AI_LEVELS.includes(level)) {
+    throw new Error(`AI level must be one of ${AI_LEVELS.join(', ')}`);
+  }
+  return level;
+}
+
+/**
+ * Pick a move for playerNum, or null when no dot is left to play. Trial
+ * moves are taken back, so the board is left as it was.
+ * @param {BoardLogic} boardLogic - Board of the game
+ * @param {number} playerNum - Seat the computer plays
+ * @param {Object} options - { level, playerCount, random, timeLimit } where
+ *   random returns numbers in [0, 1) like Math.random and timeLimit caps the
+ *   expert level's search in milliseconds
+ * @returns {{x: number, y: number}|null}
+ */
+export function chooseAiMove(boardLogic, playerNum, { level, playerCount = MIN_PLAYERS, random = Math.random, timeLimit = EXPERT_TIME_LIMIT } = {}) {
+  const clickable = boardLogic.getClickableDots().map(({ x, y }) => ({ x, y }));
+  if (clickable.length === 0) {
+    return null;
+  }
+
+  const opponents = playerNumbers(playerCount)
+    .filter(num => boardLogic.sideOf(num) !== boardLogic.sideOf(playerNum));
+
+  switch (normalizeAiLevel(level)) {
+    case 'easy':
+      return chooseEasyMove(boardLogic, playerNum, clickable, random);
+    case 'medium':
+      return pickBest(rateMoves(boardLogic, playerNum, opponents, clickable), random);
+    case 'hard':
+      return chooseHardMove(boardLogic, playerNum, opponents, clickable, random);
+    default:
+      return new MctsEngine({ playouts: EXPERT_PLAYOUTS, timeLimit, random })
+        .search(boardLogic, playerNum, { playerCount }).move;
+  }
+}
+
+function chooseEasyMove(boardLogic, playerNum, clickable, random) {
+  if (random() < EASY_CAPTURE_CHANCE) {
+    const captures = clickable
+      .map(move => ({ ...move, value: boardLogic.previewCapture(move.x, move.y, playerNum).length }))
+      .filter(({ value }) => value > 0);
+    if (captures.length > 0) {
+      return pickBest(captures, random);
+    }
+  }
+  const { x, y } = clickable[Math.floor(random() * clickable.length)];
+  return { x, y };
+}
+
+/**
+ * Medium's rating of every move: what it captures, what it keeps the
+ * opponents from capturing, and how close it is to the game
+ */
+function rateMoves(boardLogic, playerNum, opponents, clickable) {
+  return clickable.map(({ x, y }) => {
+    const gain = boardLogic.previewCapture(x, y, playerNum).length;
+    const block = Math.max(0, ...opponents.map(num => boardLogic.previewCapture(x, y, num).length));
+    return { x, y, value: gain * CAPTURE_WEIGHT + block * BLOCK_WEIGHT + closeness(boardLogic, x, y) };
+  });
+}
+
+/**
+ * Occupied dots around a position, with a slight pull towards the middle
+ * of the board so the first moves are not made in a corner
+ */
+function closeness(boardLogic, x, y) {
+  const neighbors = boardLogic.getAdjacentPositions(x, y)
+    .filter(({ x: nx, y: ny }) => boardLogic.getDot(nx, ny)?.owner)
+    .length;
+  const { width, height } = boardLogic.getShape();
+  const offCenter = Math.abs(x - (width - 1) / 2) + Math.abs(y - (height - 1) / 2);
+  return neighbors - offCenter * CENTER_WEIGHT;
+}
+
+/**
+ * Suggest the best few moves for playerNum, best first, as
+ * [{ x, y, captures, value }] where captures is the number of dots the move
+ * captures right now and value the hard level's rating after its lookahead.
+ * The board is left as it was.
+ * @param {BoardLogic} boardLogic - Board of the game
+ * @param {number} playerNum - Seat to suggest moves for
+ * @param {Object} options - { playerCount, count } with count the number of moves
+ * @returns {Array<{x: number, y: number, captures: number, value: number}>}
+ */
+export function suggestMoves(boardLogic, playerNum, { playerCount = MIN_PLAYERS, count = HINT_COUNT } = {}) {
+  const clickable = boardLogic.getClickableDots().map(({ x, y }) => ({ x, y }));
+  const opponents = playerNumbers(playerCount)
+    .filter(num => boardLogic.sideOf(num) !== boardLogic.sideOf(playerNum));
+
+  return lookahead(boardLogic, playerNum, opponents, clickable)
+    .sort((a, b) => b.value - a.value)
+    .slice(0, count)
+    .map(({ x, y, value }) => ({ x, y, captures: boardLogic.previewCapture(x, y, playerNum).length, value }));
+}
+
+function chooseHardMove(boardLogic, playerNum, opponents, clickable, random) {
+  return pickBest(lookahead(boardLogic, playerNum, opponents, clickable), random);
+}
+
+/**
+ * Hard's rating of medium's best candidates: each one is tried on the board
+ * and weighed by the score it wins against the best capture it leaves an
+ * opponent next turn
+ */
+function lookahead(boardLogic, playerNum, opponents, clickable) {
+  const candidates = rateMoves(boardLogic, playerNum, opponents, clickable)
+    .sort((a, b) => b.value - a.value)
+    .slice(0, HARD_CANDIDATES);
+
+  return candidates.map(({ x, y, value }) => {
+    const before = margin(boardLogic, playerNum, opponents);
+    boardLogic.occupyDot(x, y, playerNum);
+    const won = margin(boardLogic, playerNum, opponents) - before;
+    const reply = Math.max(0, ...opponents.map(num => bestCapture(boardLogic, num)));
+    const threat = bestCapture(boardLogic, playerNum);
+    boardLogic.undo();
+    return {
+      x,
+      y,
+      value: won * CAPTURE_WEIGHT - reply * REPLY_WEIGHT + threat * THREAT_WEIGHT + value / CAPTURE_WEIGHT
+    };
+  });
+}
+
+/**
+ * Own score ahead of the best opponent
+ */
+function margin(boardLogic, playerNum, opponents) {
+  return boardLogic.calculateScore(playerNum) -
+    Math.max(...opponents.map(num => boardLogic.calculateScore(num)));
+}
+
+/**
+ * Size of the biggest capture a player could make with one move
+ */
+function bestCapture(boardLogic, playerNum) {
+  let best = 0;
+  for (const { x, y } of boardLogic.getClickableDots()) {
+    best = Math.max(best, boardLogic.previewCapture(x, y, playerNum).length);
+  }
+  return best;
+}
+
+/**
+ * One of the best rated moves, ties broken at random
+ */
+function pickBest(moves, random) {
+  const top = Math.max(...moves.map(({ value }) => value));
+  const best = moves.filter(({ value }) => value === top);
+  const { x, y } = best[Math.floor(random() * best.length)];
+  return { x, y };
+}
@@ -0,0 +1,83 @@
+/**
+ * Game Analysis
+ * Reviews a game move by move with the search engine (see mcts.js). Before
+ * each move the engine searches the best move for the player to move, then
+ * both the best move and the move that was played are evaluated with the
+ * same number of playouts, as the final score margin the mover's side can
+ * expect, in points. The evaluation before the move is the better of the
+ * two and the evaluation after it the played move's. The difference is what the
+ * move lost, and a move that lost at least BLUNDER_LOSS points is a blunder.
+ *
+ * Passes and swaps are not reviewed, as the engine does not play them, and
+ * the engine expects players to move in seat order, so the moves of a
+ * handicap with extra moves are reviewed as if they were not.
+ */
+
+import { BoardLogic } from './boardLogic.js';
+import { parseGameRecord } from './gameRecord.js';
+import { MctsEngine } from './mcts.js';
+import { playerNumbers } from './players.js';
+
+// Search budget per move
+export const ANALYSIS_PLAYOUTS = 400;
+export const ANALYSIS_TIME_LIMIT = 100; // ms
+// Playouts evaluating each of the best and the played move
+const EVALUATION_PLAYOUTS = 200;
+// Points a move must lose to count as a blunder
+export const BLUNDER_LOSS = 3;
+
+/**
+ * Analyse a game record, as text or parsed (see parseGameRecord).
+ * Returns { scores, moves, blunders } where scores are each player's scores
+ * before the first move, blunders counts each player's blunders and moves
+ * holds one entry per move:
+ * { x, y, player, before, after, best: { x, y }, loss, blunder, scores }
+ * with scores after the move. Throws when a move is not legal.
+ * @param {Object} options
+ * @param {number} options.playouts - Playouts per move
+ * @param {number|null} options.timeLimit - Milliseconds per move, null for none
+ * @param {Function} options.random - Returns numbers in [0, 1) like Math.random
+ */
+export function analyzeGame(record, { playouts = ANALYSIS_PLAYOUTS, timeLimit = ANALYSIS_TIME_LIMIT, random = Math.random } = {}) {
+  const game = typeof record === 'string' ? parseGameRecord(record) : record;
+  const { playerCount } = game;
+  const boardLogic = new BoardLogic(game.boardShape, game.ruleSet, game.ruleOptions, game.teams);
+  const engine = new MctsEngine({ playouts, timeLimit, random });
+  const seats = playerNumbers(playerCount);
+  const scoresNow = () => Object.fromEntries(seats.map(num => [num, boardLogic.calculateScore(num)]));
+
+  const scores = scoresNow();
+  const blunders = Object.fromEntries(seats.map(num => [num, 0]));
+  const evaluate = (player, move) => engine.evaluate(boardLogic, player, move, { playerCount, playouts: EVALUATION_PLAYOUTS });
+  const moves = game.moves.map(({ x, y, player }, i) => {
+    if (!boardLogic.isDotClickable(x, y)) {
+      throw new Error(`Invalid game record: move ${i + 1} at ${x},${y} is not legal`);
+    }
+    const best = engine.search(boardLogic, player, { playerCount }).move;
+    const after = evaluate(player, { x, y });
+    // The played move may turn out better than the search's pick
+    const before = best.x === x && best.y === y ? after : Math.max(after, evaluate(player, best));
+    boardLogic.occupyDot(x, y, player);
+
+    const loss = Math.max(0, before - after);
+    const blunder = loss >= BLUNDER_LOSS;
+    if (blunder) blunders[player]++;
+    return {
+      x,
+      y,
+      player,
+      before: roundPoints(before),
+      after: roundPoints(after),
+      best: { x: best.x, y: best.y },
+      loss: roundPoints(loss),
+      blunder,
+      scores: scoresNow()
+    };
+  });
+
+  return { scores, moves, blunders };
+}
+
+function roundPoints(points) {
+  return Math.round(points * 10) / 10;
+}
@@ -0,0 +1,666 @@
+/**
+ * Board Logic
+ * Rules engine shared by the frontend and the backend: handles the board
+ * state, dot occupation and territory capture
+ * 
+ * Game Rules:
+ * - Players take turns occupying unowned dots
+ * - When a dot is occupied, check if any areas are enclosed
+ * - Enclosed areas are captured and dots within become non-clickable
+ * - The rule set and its options decide which enclosures count and how
+ *   score is kept (see ruleSets.js)
+ * - Captures are found incrementally: each player's open regions are kept
+ *   between moves (see RegionTracker), so a move only re-checks the regions
+ *   next to the placed dot and regions changed by other players' captures
+ * - On a torus (the torus rule option) neighbors wrap around the edges of
+ *   the board, so there is no border and any area can be enclosed except
+ *   the open board itself
+ * - In a team game allies share their regions: their dots make one boundary,
+ *   so an area walled in by both allies is captured (see teams.js)
+ */
+
+import { RegionTracker } from './regionTracker.js';
+import { normalizeBoardShape, shapeHasDot, shapeIsBlocked } from './boardShape.js';
+import { normalizeRuleSet, resolveRuleOptions, DEFAULT_RULE_SET } from './ruleSets.js';
+import { teamOf } from './teams.js';
+
+export class BoardLogic {
+  /**
+   * @param {number|Object} shape - Grid size of a square board, or { width, height, mask, start }
+   * @param {string} ruleSet - Name of the rule set, 'territory' or 'classic'
+   * @param {Object} ruleOptions - Overrides for the rule set's options, e.g. { borderCapture: true }
+   * @param {boolean} teams - Two-versus-two team game: seats 1 and 3 against seats 2 and 4
+   */
+  constructor(shape = 10, ruleSet = DEFAULT_RULE_SET, ruleOptions = {}, teams = false) {
+    this.setShape(shape);
+    this.setRules(ruleSet, ruleOptions);
+    this.teams = teams;
+    // key: "x,y", value: { x, y, owner: null | playerNum, captured: boolean }
+    // Captured dots also carry capturedBy, and capturedFrom when they were owned;
+    // blocked dots carry blocked: true
+    this.dots = new Map();
+    this.capturedAreas = []; // Array of { player, dots: [{x, y}] }
+    this.regionTrackers = new Map(); // side -> RegionTracker, created on first use (see sideOf)
+    // One entry per move: { move: { x, y, player }, dots: [[key, dotBefore]], capturedAreaCount }
+    // Only the dots the move changed are kept, enough to restore the board exactly
+    this.history = [];
+    this.initDots();
+  }
+
+  /**
+   * Set the board dimensions, mask and starting dots (see boardShape.js)
+   */
+  setShape(shape) {
+    const { width, height, mask, start } = normalizeBoardShape(shape);
+    this.width = width;
+    this.height = height;
+    this.mask = mask;
+    this.start = start;
+  }
+
+  /**
+   * Set the rule set and resolve its options (see ruleSets.js)
+   */
+  setRules(ruleSet, ruleOptions) {
+    this.ruleSet = normalizeRuleSet(ruleSet);
+    this.ruleOptions = resolveRuleOptions(this.ruleSet, ruleOptions);
+  }
+
+  /**
+   * Get the board shape: { width, height, mask, start }
+   */
+  getShape() {
+    return { width: this.width, height: this.height, mask: this.mask, start: this.start };
+  }
+
+  /**
+   * Build the empty board, then place the starting dots. Starting dots are
+   * not moves: they are not in the history and cannot be undone.
+   */
+  initDots() {
+    this.dots.clear();
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        if (!shapeHasDot(this, x, y)) continue;
+        const key = `${x},${y}`;
+        const dot = { x, y, owner: null, captured: false };
+        if (shapeIsBlocked(this, x, y)) dot.blocked = true;
+        this.dots.set(key, dot);
+      }
+    }
+    for (const { x, y, player } of this.start ?? []) {
+      this.getDot(x, y).owner = player;
+    }
+    this.buildTopology();
+  }
+
+  /**
+   * Index the dots and precompute neighbors and border cells for capture detection.
+   * Must run whenever the dots map or the rules are replaced.
+   * On a torus only dots next to a hole are border cells.
+   */
+  buildTopology() {
+    const size = this.width * this.height;
+    const neighbors = new Array(size);
+    const isBorder = new Uint8Array(size);
+    this.dotList = new Array(size);
+
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const index = this.indexOf(x, y);
+        this.dotList[index] = this.getDot(x, y);
+        if (!this.dotList[index]) {
+          // Holes have no neighbors and never join a region
+          neighbors[index] = [];
+          continue;
+        }
+        neighbors[index] = this.getOrthogonalNeighbors(x, y).map(n => this.indexOf(n.x, n.y));
+        isBorder[index] = this.isBorderPosition(x, y) ? 1 : 0;
+      }
+    }
+
+    this.topology = { size, neighbors, isBorder, wraps: this.ruleOptions.torus };
+    this.regionTrackers.clear();
+  }
+
+  /**
+   * Get the cell index of a position
+   */
+  indexOf(x, y) {
+    return y * this.width + x;
+  }
+
+  /**
+   * Side a player captures for: their team in a team game, else the player.
+   * Null for no player.
+   */
+  sideOf(playerNum) {
+    if (playerNum === null || playerNum === undefined) return null;
+    return this.teams ? teamOf(playerNum) : playerNum;
+  }
+
+  /**
+   * Get the region tracker of a player's side, building it from the current board
+   */
+  getRegionTracker(playerNum) {
+    const side = this.sideOf(playerNum);
+    let tracker = this.regionTrackers.get(side);
+    if (!tracker) {
+      tracker = new RegionTracker(this.topology, index => {
+        const dot = this.dotList[index];
+        return dot !== undefined && (dot.owner === null || this.sideOf(dot.owner) !== side);
+      });
+      this.regionTrackers.set(side, tracker);
+    }
+    return tracker;
+  }
+
+  /**
+   * Tell the other sides' trackers that a dot changed.
+   * A side that lost the dot gets its regions joined around it.
+   */
+  notifyDotChanged(index, changedBy, previousOwner = null) {
+    const changedSide = this.sideOf(changedBy);
+    const previousSide = this.sideOf(previousOwner);
+    for (const [side, tracker] of this.regionTrackers) {
+      if (side === changedSide) continue;
+      if (side === previousSide) {
+        tracker.merge(index);
+      } else {
+        tracker.pending.add(index);
+      }
+    }
+  }
+
+  /**
+   * Get dot at position
+   */
+  getDot(x, y) {
+    return this.dots.get(`${x},${y}`);
+  }
+
+  /**
+   * Check if a dot can be clicked/occupied
+   */
+  isDotClickable(x, y) {
+    const dot = this.getDot(x, y);
+    if (!dot) return false;
+    // Dot is clickable if it's not blocked, owned or captured
+    return !dot.blocked && dot.owner === null && !dot.captured;
+  }
+
+  /**
+   * Position on the board that a grid position stands for: on a torus,
+   * positions off the edge wrap around to the other side
+   */
+  wrapPosition(x, y) {
+    if (!this.ruleOptions.torus) return { x, y };
+    return {
+      x: ((x % this.width) + this.width) % this.width,
+      y: ((y % this.height) + this.height) % this.height
+    };
+  }
+
+  /**
+   * Check if a position is on the board (inside the grid and not a hole).
+   * Blocked dots are on the board.
+   */
+  isWithinBounds(x, y) {
+    return shapeHasDot(this, x, y);
+  }
+
+  /**
+   * Check if position is on the border of the board
+   * A dot is on the border when it is missing an orthogonal neighbor, either
+   * at the edge of the grid or next to a hole in the mask
+   */
+  isBorderPosition(x, y) {
+    return this.getOrthogonalNeighbors(x, y).length < 4;
+  }
+
+  /**
+   * Occupy a dot and calculate captured territories
+   */
+  occupyDot(x, y, playerNum) {
+    if (!this.isDotClickable(x, y)) {
+      return { success: false, capturedDots: [], lostByPlayers: new Map() };
+    }
+
+    const dot = this.getDot(x, y);
+    const index = this.indexOf(x, y);
+    const tracker = this.getRegionTracker(playerNum);
+    const split = tracker.analyzeSplit(index);
+
+    const entry = {
+      move: { x, y, player: playerNum },
+      dots: [[`${x},${y}`, { ...dot }]],
+      capturedAreaCount: this.capturedAreas.length
+    };
+
+    dot.owner = playerNum;
+    const enclosures = this.findEnclosures(tracker, index, split, playerNum);
+    tracker.applySplit(index, split);
+    tracker.pending.clear();
+    this.notifyDotChanged(index, playerNum);
+
+    for (const { enclosedDots, enemyDots } of enclosures) {
+      for (const { x: cx, y: cy } of [...enclosedDots, ...enemyDots]) {
+        entry.dots.push([`${cx},${cy}`, { ...this.getDot(cx, cy) }]);
+      }
+    }
+    this.history.push(entry);
+
+    const { capturedDots, lostByPlayers } = this.captureEnclosures(enclosures, playerNum);
+
+    return {
+      success: true,
+      capturedDots,
+      lostByPlayers,
+      occupiedDot: { x, y }
+    };
+  }
+
+  /**
+   * Check if there is a move to undo
+   */
+  canUndo() {
+    return this.history.length > 0;
+  }
+
+  /**
+   * Take back the last move, restoring every dot it changed and the
+   * captured areas from before it. Region trackers are rebuilt on next use.
+   */
+  undo() {
+    const entry = this.history.pop();
+    if (!entry) {
+      return { success: false };
+    }
+
+    for (const [key, before] of entry.dots) {
+      // Restore in place: dotList holds references to the dot objects
+      const dot = this.dots.get(key);
+      for (const field of Object.keys(dot)) {
+        if (!(field in before)) delete dot[field];
+      }
+      Object.assign(dot, before);
+    }
+    this.capturedAreas.length = entry.capturedAreaCount;
+    this.regionTrackers.clear();
+
+    return { success: true, move: { ...entry.move } };
+  }
+
+  /**
+   * Undo moves until only the first moveCount moves remain
+   */
+  undoTo(moveCount) {
+    const undone = [];
+    while (this.history.length > Math.max(0, moveCount)) {
+      undone.push(this.undo().move);
+    }
+    return undone;
+  }
+
+  /**
+   * Get the moves played so far, oldest first: [{ x, y, player }]
+   */
+  getMoveHistory() {
+    return this.history.map(entry => ({ ...entry.move }));
+  }
+
+  /**
+   * Get all adjacent positions (orthogonal and diagonal), wrapped on a torus
+   */
+  getAdjacentPositions(x, y) {
+    const positions = [];
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        const { x: nx, y: ny } = this.wrapPosition(x + dx, y + dy);
+        if (this.isWithinBounds(nx, ny)) {
+          positions.push({ x: nx, y: ny });
+        }
+      }
+    }
+    return positions;
+  }
+
+  /**
+   * Get orthogonal neighbors only (up, down, left, right), wrapped on a torus
+   */
+  getOrthogonalNeighbors(x, y) {
+    const positions = [];
+    const directions = [
+      { dx: 0, dy: -1 }, // up
+      { dx: 0, dy: 1 },  // down
+      { dx: -1, dy: 0 }, // left
+      { dx: 1, dy: 0 }   // right
+    ];
+    for (const { dx, dy } of directions) {
+      const { x: nx, y: ny } = this.wrapPosition(x + dx, y + dy);
+      if (this.isWithinBounds(nx, ny)) {
+        positions.push({ x: nx, y: ny });
+      }
+    }
+    return positions;
+  }
+
+  /**
+   * Find the areas enclosed by a player once they occupy a cell.
+   * An area is enclosed when it does not touch the border of the grid (or,
+   * with border capture, when it is cut off from the open board); on a torus
+   * the open board is never enclosed. Areas
+   * already fully captured by the player's side are skipped, and so are areas
+   * without an enemy dot unless empty areas can be captured.
+   * Returns: [{ enclosedDots: [], enemyDots: [] }] in board order
+   */
+  findEnclosures(tracker, index, split, playerNum) {
+    const isSettled = cell => {
+      const dot = this.dotList[cell];
+      return dot.captured && this.sideOf(dot.capturedBy) === this.sideOf(playerNum);
+    };
+
+    const { borderCapture, captureEmptyAreas } = this.ruleOptions;
+    return tracker.findEnclosures(index, split, isSettled, borderCapture).map(cells => {
+      const enclosedDots = [];
+      const enemyDots = [];
+      for (const cell of cells) {
+        const { x, y, owner } = this.dotList[cell];
+        if (owner !== null) {
+          enemyDots.push({ x, y });
+        } else {
+          // Unowned dot (may be uncaptured or captured by another player)
+          enclosedDots.push({ x, y });
+        }
+      }
+      return { enclosedDots, enemyDots };
+    }).filter(({ enemyDots }) => captureEmptyAreas || enemyDots.length > 0);
+  }
+
+  /**
+   * Capture enclosed areas for a player
+   * Also handles recapturing dots that were previously captured by another player;
+   * dots already captured by the player's side keep their capturer
+   * Enemy dots inside an enclosure are also captured (their ownership is taken)
+   */
+  captureEnclosures(enclosures, playerNum) {
+    const allCapturedDots = [];
+    const capturedEnemyDots = new Map(); // Map of enemyPlayerNum -> count
+
+    for (const { enclosedDots, enemyDots } of enclosures) {
+      // Mark all neutral dots as captured
+      for (const capturedDot of enclosedDots) {
+        const d = this.getDot(capturedDot.x, capturedDot.y);
+        // Only capture and add to result if not already captured by this side
+        if (!d.captured || this.sideOf(d.capturedBy) !== this.sideOf(playerNum)) {
+          d.captured = true;
+          d.capturedBy = playerNum;
+          allCapturedDots.push(capturedDot);
+          this.notifyDotChanged(this.indexOf(d.x, d.y), playerNum);
+        }
+      }
+
+      // Mark enemy dots as captured (they lose their ownership)
+      for (const capturedDot of enemyDots) {
+        const d = this.getDot(capturedDot.x, capturedDot.y);
+        const originalOwner = d.owner;
+        d.owner = null; // Remove enemy ownership
+        d.captured = true;
+        d.capturedBy = playerNum;
+        d.capturedFrom = originalOwner;
+        allCapturedDots.push(capturedDot);
+        this.notifyDotChanged(this.indexOf(d.x, d.y), playerNum, originalOwner);
+
+        // Track which enemy player lost this dot
+        capturedEnemyDots.set(originalOwner, (capturedEnemyDots.get(originalOwner) || 0) + 1);
+      }
+
+      this.capturedAreas.push({
+        player: playerNum,
+        dots: [...enclosedDots, ...enemyDots]
+      });
+    }
+
+    return {
+      capturedDots: allCapturedDots,
+      lostByPlayers: capturedEnemyDots // Map of playerNum -> count of dots lost
+    };
+  }
+
+  /**
+   * Preview what dots would be captured if player occupies a dot
+   */
+  previewCapture(x, y, playerNum) {
+    if (!this.isDotClickable(x, y)) {
+      return [];
+    }
+
+    // The occupied cell is treated as blocked, nothing on the board changes
+    const index = this.indexOf(x, y);
+    const tracker = this.getRegionTracker(playerNum);
+    const split = tracker.analyzeSplit(index);
+
+    const previewCaptured = [];
+    for (const { enclosedDots, enemyDots } of this.findEnclosures(tracker, index, split, playerNum)) {
+      previewCaptured.push(...enclosedDots);
+      previewCaptured.push(...enemyDots);
+    }
+    return previewCaptured;
+  }
+
+  /**
+   * Every dot where a player would capture if they moved there next, as
+   * [{ x, y, captures }] with the number of dots at stake (see previewCapture)
+   */
+  captureThreats(playerNum) {
+    const threats = [];
+    for (const [, dot] of this.dots) {
+      const captures = this.previewCapture(dot.x, dot.y, playerNum).length;
+      if (captures > 0) {
+        threats.push({ x: dot.x, y: dot.y, captures });
+      }
+    }
+    return threats;
+  }
+
+  /**
+   * Get all dots owned by a player
+   */
+  getPlayerDots(playerNum) {
+    const playerDots = [];
+    for (const [, dot] of this.dots) {
+      if (dot.owner === playerNum) {
+        playerDots.push(dot);
+      }
+    }
+    return playerDots;
+  }
+
+  /**
+   * Get all captured dots for a player
+   */
+  getCapturedDotsForPlayer(playerNum) {
+    const captured = [];
+    for (const [, dot] of this.dots) {
+      if (dot.captured && dot.capturedBy === playerNum) {
+        captured.push(dot);
+      }
+    }
+    return captured;
+  }
+
+  /**
+   * Calculate score for a player as the rule options count it:
+   * owned dots, captured enemy dots and other captured dots
+   * (territory rules: owned dots + captured dots). A team's score is the sum
+   * of its players' scores (see teamScores).
+   */
+  calculateScore(playerNum) {
+    const { scoreOwnedDots, scoreEmptyCaptures, enemyDotValue } = this.ruleOptions;
+    let score = 0;
+    for (const [, dot] of this.dots) {
+      if (dot.owner === playerNum && scoreOwnedDots) {
+        score += 1;
+      }
+      if (dot.captured && dot.capturedBy === playerNum) {
+        const wasEnemyDot = dot.capturedFrom && this.sideOf(dot.capturedFrom) !== this.sideOf(playerNum);
+        if (wasEnemyDot) {
+          score += enemyDotValue;
+        } else if (scoreEmptyCaptures) {
+          score += 1;
+        }
+      }
+    }
+    return score;
+  }
+
+  /**
+   * Check if the game is over (no more clickable dots)
+   */
+  isGameOver() {
+    for (const [, dot] of this.dots) {
+      if (!dot.blocked && dot.owner === null && !dot.captured) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Check whether a player's side could still capture anything, however the
+   * free dots are played. An area can only be walled in together with the
+   * dots next to it that nobody can play any more (other sides' dots, captured
+   * and blocked dots), while free dots can become walls. So the side can
+   * capture while such an area off the border holds something to take: an
+   * enemy dot, a free dot an enemy may still play, and with empty areas
+   * captured any dot not already captured by the side. With border capture or
+   * on a torus any area might still be cut off from the open board, so there
+   * the side can capture as long as anything is left to take.
+   */
+  canCapture(playerNum) {
+    const side = this.sideOf(playerNum);
+    const { borderCapture, torus, captureEmptyAreas } = this.ruleOptions;
+    const { size, neighbors, isBorder } = this.topology;
+    const isFree = dot => !dot.blocked && dot.owner === null && !dot.captured;
+    const isFixed = dot => dot !== undefined && !isFree(dot) && (dot.owner === null || this.sideOf(dot.owner) !== side);
+    const isTarget = dot => isFree(dot) || dot.owner !== null ||
+      (captureEmptyAreas && (!dot.captured || this.sideOf(dot.capturedBy) !== side));
+
+    if (borderCapture || torus) {
+      return this.dotList.some(dot => dot !== undefined && (isFree(dot) || isFixed(dot)) && isTarget(dot));
+    }
+
+    // Group the fixed dots, keeping each group's border cells and whether it holds a target
+    const groups = new Int32Array(size).fill(-1);
+    const groupBorder = [];
+    const groupTarget = [];
+    for (let start = 0; start < size; start++) {
+      if (groups[start] !== -1 || !isFixed(this.dotList[start])) continue;
+      const id = groupBorder.length;
+      groupBorder.push(0);
+      groupTarget.push(false);
+      groups[start] = id;
+      for (let queue = [start], head = 0; head < queue.length; head++) {
+        const cell = queue[head];
+        groupBorder[id] += isBorder[cell];
+        groupTarget[id] = groupTarget[id] || isTarget(this.dotList[cell]);
+        for (const neighbor of neighbors[cell]) {
+          if (groups[neighbor] === -1 && isFixed(this.dotList[neighbor])) {
+            groups[neighbor] = id;
+            queue.push(neighbor);
+          }
+        }
+      }
+    }
+    if (groupBorder.some((border, id) => border === 0 && groupTarget[id])) {
+      return true;
+    }
+
+    // A free dot walled in takes the fixed groups next to it along
+    return this.dotList.some((dot, cell) => {
+      if (dot === undefined || !isFree(dot)) return false;
+      const adjacent = new Set(neighbors[cell].map(neighbor => groups[neighbor]).filter(id => id !== -1));
+      let border = isBorder[cell];
+      for (const id of adjacent) border += groupBorder[id];
+      return border === 0;
+    });
+  }
+
+  /**
+   * Check whether the rest of the game can no longer change its outcome: no
+   * side can capture anything any more (see canCapture) and the dots still
+   * free cannot lift another side to or past the leading side's score.
+   * Every dot played counts as settled too.
+   * @param {number[]} playerNums - Seats of the game, e.g. [1, 2]
+   */
+  isOutcomeSettled(playerNums) {
+    if (this.isGameOver()) return true;
+    if (playerNums.some(num => this.canCapture(num))) return false;
+
+    const sideScores = new Map();
+    for (const num of playerNums) {
+      const side = this.sideOf(num);
+      sideScores.set(side, (sideScores.get(side) ?? 0) + this.calculateScore(num));
+    }
+    // Without captures only owned dots still score, one point per free dot at most
+    const remaining = this.ruleOptions.scoreOwnedDots ? this.getClickableDots().length : 0;
+    if (remaining === 0) return true;
+    const [first, second = 0] = [...sideScores.values()].sort((a, b) => b - a);
+    return first > second + remaining;
+  }
+
+  /**
+   * Get all clickable dots
+   */
+  getClickableDots() {
+    const clickable = [];
+    for (const [, dot] of this.dots) {
+      if (!dot.blocked && dot.owner === null && !dot.captured) {
+        clickable.push(dot);
+      }
+    }
+    return clickable;
+  }
+
+  /**
+   * Serialize the board state
+   */
+  serialize() {
+    return {
+      width: this.width,
+      height: this.height,
+      mask: this.mask,
+      start: this.start,
+      ruleSet: this.ruleSet,
+      ruleOptions: this.ruleOptions,
+      teams: this.teams,
+      dots: Array.from(this.dots.entries()),
+      capturedAreas: this.capturedAreas,
+      history: this.history
+    };
+  }
+
+  /**
+   * Deserialize board state
+   */
+  deserialize(data) {
+    // Older records only carry a square gridSize
+    this.setShape(data);
+    this.setRules(data.ruleSet, data.ruleOptions);
+    this.teams = data.teams ?? false;
+    this.dots = new Map(data.dots);
+    this.capturedAreas = data.capturedAreas || [];
+    this.history = data.history || [];
+    this.buildTopology();
+  }
+
+  /**
+   * Reset the board
+   */
+  reset() {
+    this.capturedAreas = [];
+    this.history = [];
+    this.initDots();
+  }
+}
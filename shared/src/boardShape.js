@@ -0,0 +1,216 @@
+/**
+ * Board Shape
+ * Describes the size, outline and starting position of a board:
+ * { width, height, mask, start }
+ *
+ * The mask is optional. When present it is an array of `height` strings of
+ * `width` characters each: '.' is a dot, '#' is a hole with no dot and 'x'
+ * is a blocked dot. Holes act like the edge of the board, so regions
+ * touching them cannot be captured. Blocked dots can never be played but
+ * are still part of the board: they can be enclosed like any empty dot.
+ *
+ * The start is optional too: dots placed for each player before the first
+ * move, as [{ x, y, player }] or the name of a preset.
+ */
+
+export const MIN_BOARD_DIMENSION = 2;
+export const MAX_BOARD_DIMENSION = 100;
+
+const DOT = '.';
+const HOLE = '#';
+const BLOCKED = 'x';
+const START_PLAYERS = [1, 2];
+
+/**
+ * Masks that can be requested by name instead of spelling out every row
+ */
+export const BOARD_MASK_PRESETS = {
+  // Plus-shaped board: the corners (a third of each side) are cut away
+  cross(width, height) {
+    const cutX = Math.floor(width / 3);
+    const cutY = Math.floor(height / 3);
+    return buildMask(width, height, (x, y) => {
+      const inCornerX = x < cutX || x >= width - cutX;
+      const inCornerY = y < cutY || y >= height - cutY;
+      return !(inCornerX && inCornerY);
+    });
+  },
+
+  // Board with a 2x2 hole in the middle of each quadrant
+  holes(width, height) {
+    const holeXs = [Math.floor(width / 4) - 1, Math.ceil(width * 3 / 4) - 1];
+    const holeYs = [Math.floor(height / 4) - 1, Math.ceil(height * 3 / 4) - 1];
+    const inHole = (value, starts) => starts.some(start => value >= start && value <= start + 1);
+    return buildMask(width, height, (x, y) => !(inHole(x, holeXs) && inHole(y, holeYs)));
+  }
+};
+
+/**
+ * Starting positions that can be requested by name
+ */
+export const BOARD_START_PRESETS = {
+  // Classic opening: a 2x2 square in the middle with each player on a diagonal
+  cross(width, height) {
+    const x = Math.floor((width - 1) / 2);
+    const y = Math.floor((height - 1) / 2);
+    return [
+      { x, y, player: 1 },
+      { x: x + 1, y: y + 1, player: 1 },
+      { x: x + 1, y, player: 2 },
+      { x, y: y + 1, player: 2 }
+    ];
+  }
+};
+
+function buildMask(width, height, hasDot) {
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    let row = '';
+    for (let x = 0; x < width; x++) {
+      row += hasDot(x, y) ? DOT : HOLE;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+function validateDimension(value, name) {
+  if (!Number.isInteger(value) || value < MIN_BOARD_DIMENSION || value > MAX_BOARD_DIMENSION) {
+    throw new Error(`Board ${name} must be an integer between ${MIN_BOARD_DIMENSION} and ${MAX_BOARD_DIMENSION}`);
+  }
+}
+
+/**
+ * Turn a grid size, a shape object or a legacy { gridSize } record into a
+ * validated { width, height, mask } shape. Throws on invalid input.
+ * A mask with no holes is dropped so equal boards compare equal.
+ */
+export function normalizeBoardShape(shape = 10) {
+  if (typeof shape === 'number') {
+    shape = { width: shape, height: shape };
+  }
+  if (!shape || typeof shape !== 'object') {
+    throw new Error('Invalid board shape');
+  }
+
+  let mask = shape.mask ?? null;
+  const maskRows = Array.isArray(mask) ? mask : null;
+  const width = shape.width ?? shape.gridSize ?? maskRows?.[0]?.length;
+  const height = shape.height ?? shape.gridSize ?? maskRows?.length ?? width;
+
+  validateDimension(width, 'width');
+  validateDimension(height, 'height');
+
+  if (typeof mask === 'string') {
+    const preset = BOARD_MASK_PRESETS[mask];
+    if (!preset) {
+      throw new Error(`Unknown board mask: ${mask}`);
+    }
+    mask = preset(width, height);
+  }
+
+  if (mask !== null) {
+    if (!Array.isArray(mask) || mask.length !== height) {
+      throw new Error(`Board mask must have ${height} rows`);
+    }
+    let dotCount = 0;
+    for (const row of mask) {
+      if (typeof row !== 'string' || row.length !== width) {
+        throw new Error(`Board mask rows must be ${width} characters long`);
+      }
+      for (const cell of row) {
+        if (cell === DOT) {
+          dotCount++;
+        } else if (cell !== HOLE && cell !== BLOCKED) {
+          throw new Error(`Board mask may only contain '${DOT}', '${HOLE}' and '${BLOCKED}'`);
+        }
+      }
+    }
+    if (dotCount < 2) {
+      throw new Error('Board mask must leave at least two playable dots');
+    }
+    if (dotCount === width * height) {
+      mask = null;
+    }
+  }
+
+  const normalized = { width, height, mask: mask ? [...mask] : null };
+  normalized.start = normalizeStart(normalized, shape.start ?? null);
+  return normalized;
+}
+
+/**
+ * Expand and validate the starting dots of a shape: [{ x, y, player }] or null
+ */
+function normalizeStart(shape, start) {
+  if (typeof start === 'string') {
+    const preset = BOARD_START_PRESETS[start];
+    if (!preset) {
+      throw new Error(`Unknown board start: ${start}`);
+    }
+    start = preset(shape.width, shape.height);
+  }
+  if (start === null) return null;
+  if (!Array.isArray(start)) {
+    throw new Error('Board start must be a list of { x, y, player } dots');
+  }
+
+  const seen = new Set();
+  const dots = start.map(({ x, y, player }) => {
+    if (!START_PLAYERS.includes(player)) {
+      throw new Error(`Board start dots must belong to player ${START_PLAYERS.join(' or ')}`);
+    }
+    if (!Number.isInteger(x) || !Number.isInteger(y)) {
+      throw new Error(`Board start dot ${x},${y} must be at whole number coordinates`);
+    }
+    if (!shapeHasDot(shape, x, y) || shapeIsBlocked(shape, x, y)) {
+      throw new Error(`Board start dot ${x},${y} is not a playable dot`);
+    }
+    if (seen.has(`${x},${y}`)) {
+      throw new Error(`Board start has more than one dot at ${x},${y}`);
+    }
+    seen.add(`${x},${y}`);
+    return { x, y, player };
+  });
+  return dots.length > 0 ? dots : null;
+}
+
+/**
+ * Check whether a shape has a dot at a position (blocked or not)
+ */
+export function shapeHasDot(shape, x, y) {
+  if (!Number.isInteger(x) || !Number.isInteger(y)) return false;
+  if (x < 0 || x >= shape.width || y < 0 || y >= shape.height) return false;
+  return !shape.mask || shape.mask[y][x] !== HOLE;
+}
+
+/**
+ * Check whether the dot at a position is blocked
+ */
+export function shapeIsBlocked(shape, x, y) {
+  return shapeHasDot(shape, x, y) && Boolean(shape.mask) && shape.mask[y][x] === BLOCKED;
+}
+
+/**
+ * Stable string identifying a shape, for comparisons and map keys
+ */
+export function boardShapeKey(shape) {
+  const { width, height, mask, start } = normalizeBoardShape(shape);
+  let key = mask ? `${width}x${height}:${mask.join('/')}` : `${width}x${height}`;
+  if (start) {
+    key += `+${start.map(({ x, y, player }) => `${player}:${x},${y}`).join(' ')}`;
+  }
+  return key;
+}
+
+/**
+ * Short human readable description, e.g. "10×10", "11×11 (shaped)" or
+ * "10×10 (4 starting dots)"
+ */
+export function describeBoardShape(shape) {
+  const { width, height, mask, start } = normalizeBoardShape(shape);
+  const notes = [];
+  if (mask) notes.push('shaped');
+  if (start) notes.push(`${start.length} starting dot${start.length === 1 ? '' : 's'}`);
+  return notes.length > 0 ? `${width}×${height} (${notes.join(', ')})` : `${width}×${height}`;
+}
@@ -0,0 +1,333 @@
+/**
+ * Fast Board
+ * Compact copy of a BoardLogic position for search playouts: dot state in
+ * typed arrays indexed like BoardLogic cells (y * width + x), cheap to clone
+ * and with no move history to keep.
+ *
+ * Captures follow BoardLogic, with one shortcut: instead of tracking each
+ * player's regions between moves, a move flood-fills the regions next to the
+ * placed dot. Without border capture a region is enclosed when it touches no
+ * border cell. With border capture or on a torus, the largest region left
+ * by a cut is taken as the open board and the others as enclosed. Under
+ * classic rules a dot played inside another side's empty enclosure is
+ * captured straight away rather than on that side's next move; there the
+ * region holding most of the side's open ground is the open board.
+ */
+
+import { teamOf } from './teams.js';
+
+const NO_PLAYER = 0;
+const NO_NEIGHBOR = -1;
+const MAX_NEIGHBORS = 4;
+
+export class FastBoard {
+  /**
+   * Copy a BoardLogic position
+   * @param {BoardLogic} boardLogic
+   */
+  static fromBoardLogic(boardLogic) {
+    const { size, neighbors, isBorder, wraps } = boardLogic.topology;
+    const board = new FastBoard(boardLogic.width, boardLogic.height, size);
+    board.wraps = wraps;
+    board.teams = boardLogic.teams;
+    board.ruleOptions = { ...boardLogic.ruleOptions };
+    board.isBorder.set(isBorder);
+
+    for (let index = 0; index < size; index++) {
+      neighbors[index].forEach((neighbor, i) => {
+        board.neighbors[index * MAX_NEIGHBORS + i] = neighbor;
+      });
+      const dot = boardLogic.dotList[index];
+      if (!dot) continue;
+      board.exists[index] = 1;
+      board.blocked[index] = dot.blocked ? 1 : 0;
+      board.owner[index] = dot.owner ?? NO_PLAYER;
+      board.capturedBy[index] = dot.captured ? dot.capturedBy : NO_PLAYER;
+      board.capturedFrom[index] = dot.capturedFrom ?? NO_PLAYER;
+      if (board.isFree(index)) board.addFree(index);
+    }
+    return board;
+  }
+
+  constructor(width, height, size) {
+    this.width = width;
+    this.height = height;
+    this.size = size;
+    this.wraps = false;
+    this.teams = false;
+    this.ruleOptions = {};
+    this.neighbors = new Int32Array(size * MAX_NEIGHBORS).fill(NO_NEIGHBOR);
+    this.isBorder = new Uint8Array(size);
+    this.exists = new Uint8Array(size); // 0 for a hole in the board's mask
+    this.blocked = new Uint8Array(size);
+    this.owner = new Uint8Array(size);
+    this.capturedBy = new Uint8Array(size);
+    this.capturedFrom = new Uint8Array(size);
+    // Free cells in no particular order, and each free cell's place in it
+    this.free = new Int32Array(size);
+    this.freeCount = 0;
+    this.freeSlot = new Int32Array(size).fill(-1);
+    this.marks = new Uint32Array(size);
+    this.epoch = 0;
+  }
+
+  /**
+   * Independent copy of the position; the topology is shared
+   */
+  clone() {
+    const copy = Object.create(FastBoard.prototype);
+    Object.assign(copy, this);
+    for (const field of ['owner', 'capturedBy', 'capturedFrom', 'free', 'freeSlot', 'marks']) {
+      copy[field] = this[field].slice();
+    }
+    return copy;
+  }
+
+  sideOf(playerNum) {
+    return this.teams ? teamOf(playerNum) : playerNum;
+  }
+
+  isFree(index) {
+    return this.exists[index] === 1 && !this.blocked[index] &&
+      this.owner[index] === NO_PLAYER && this.capturedBy[index] === NO_PLAYER;
+  }
+
+  addFree(index) {
+    this.freeSlot[index] = this.freeCount;
+    this.free[this.freeCount++] = index;
+  }
+
+  removeFree(index) {
+    const slot = this.freeSlot[index];
+    if (slot === -1) return;
+    const last = this.free[--this.freeCount];
+    this.free[slot] = last;
+    this.freeSlot[last] = slot;
+    this.freeSlot[index] = -1;
+  }
+
+  /**
+   * Whether a cell is open ground for a side: on the board and not its own dot
+   */
+  isOpenFor(index, side) {
+    return this.exists[index] === 1 && (this.owner[index] === NO_PLAYER || this.sideOf(this.owner[index]) !== side);
+  }
+
+  /**
+   * Place a dot and make the captures it closes. Returns the number of cells captured.
+   */
+  play(index, playerNum) {
+    const side = this.sideOf(playerNum);
+    this.owner[index] = playerNum;
+    this.removeFree(index);
+
+    let captured = 0;
+    for (const region of this.enclosedRegions(index, side)) {
+      captured += this.capture(region, playerNum);
+    }
+
+    // Classic rules leave empty enclosures open: a dot played inside one is
+    // taken by the side around it
+    if (!this.ruleOptions.captureEmptyAreas) {
+      const sides = new Set();
+      for (let i = 0; i < MAX_NEIGHBORS; i++) {
+        const neighbor = this.neighbors[index * MAX_NEIGHBORS + i];
+        if (neighbor !== NO_NEIGHBOR && this.owner[neighbor] !== NO_PLAYER) {
+          sides.add(this.sideOf(this.owner[neighbor]));
+        }
+      }
+      for (const other of sides) {
+        if (other === side || this.owner[index] !== playerNum) continue;
+        const region = this.fill(index, other, !this.ruleOptions.borderCapture && !this.wraps);
+        // Most of the side's open ground makes the open board
+        if (this.isEnclosed(region, region.cells.length * 2 > this.countOpen(other))) {
+          // A side captures for its first seat, which has the side's number
+          this.capture(region.cells, other);
+        }
+      }
+    }
+    return captured;
+  }
+
+  /**
+   * Regions of the side's open ground next to a newly placed dot that it encloses
+   */
+  enclosedRegions(index, side) {
+    const { borderCapture } = this.ruleOptions;
+    const fullFill = borderCapture || this.wraps;
+    const firstEpoch = this.epoch + 1;
+    const pieces = [];
+    for (let i = 0; i < MAX_NEIGHBORS; i++) {
+      const neighbor = this.neighbors[index * MAX_NEIGHBORS + i];
+      if (neighbor === NO_NEIGHBOR || this.marks[neighbor] >= firstEpoch || !this.isOpenFor(neighbor, side)) continue;
+      // Without border capture a piece is open as soon as it reaches the border
+      pieces.push(this.fill(neighbor, side, !fullFill, firstEpoch));
+    }
+    if (!fullFill) {
+      return pieces.filter(piece => piece.border === 0).map(piece => piece.cells);
+    }
+
+    // The largest piece stands for the open board
+    let outside = null;
+    for (const piece of pieces) {
+      if (!outside || piece.cells.length > outside.cells.length) outside = piece;
+    }
+    return pieces
+      .filter(piece => this.isEnclosed(piece, piece === outside))
+      .map(piece => piece.cells);
+  }
+
+  /**
+   * Number of cells that are open ground for a side
+   */
+  countOpen(side) {
+    let open = 0;
+    for (let index = 0; index < this.size; index++) {
+      if (this.isOpenFor(index, side)) open++;
+    }
+    return open;
+  }
+
+  /**
+   * Whether a region is enclosed, as RegionTracker decides it: isOutside
+   * when the region is taken as the open board
+   */
+  isEnclosed({ border }, isOutside) {
+    return !(this.wraps && isOutside) && (border === 0 || (this.ruleOptions.borderCapture && !isOutside));
+  }
+
+  /**
+   * Flood-fill the side's open ground from a cell: { cells, border } with the
+   * number of border cells reached. stopAtBorder ends the fill at the first
+   * border cell. Cells marked since joinEpoch belong to fills of this move
+   * that stopped at the border, so running into one counts as the border too.
+   */
+  fill(start, side, stopAtBorder, joinEpoch = Infinity) {
+    const epoch = ++this.epoch;
+    const cells = [start];
+    let border = this.isBorder[start];
+    this.marks[start] = epoch;
+    for (let head = 0; head < cells.length && !(stopAtBorder && border > 0); head++) {
+      const base = cells[head] * MAX_NEIGHBORS;
+      for (let i = 0; i < MAX_NEIGHBORS; i++) {
+        const neighbor = this.neighbors[base + i];
+        if (neighbor === NO_NEIGHBOR || this.marks[neighbor] === epoch || !this.isOpenFor(neighbor, side)) continue;
+        if (this.marks[neighbor] >= joinEpoch) {
+          border++;
+          continue;
+        }
+        this.marks[neighbor] = epoch;
+        border += this.isBorder[neighbor];
+        cells.push(neighbor);
+      }
+    }
+    return { cells, border };
+  }
+
+  /**
+   * Capture an enclosed region for a player, as BoardLogic.captureEnclosures:
+   * enemy dots lose their owner, cells already captured by the side stay as
+   * they are. Under classic rules a region without an enemy dot is left open.
+   */
+  capture(cells, playerNum) {
+    const side = this.sideOf(playerNum);
+    if (!this.ruleOptions.captureEmptyAreas && !cells.some(cell => this.owner[cell] !== NO_PLAYER)) {
+      return 0;
+    }
+
+    let captured = 0;
+    for (const cell of cells) {
+      if (this.owner[cell] !== NO_PLAYER) {
+        this.capturedFrom[cell] = this.owner[cell];
+        this.owner[cell] = NO_PLAYER;
+      } else if (this.capturedBy[cell] !== NO_PLAYER && this.sideOf(this.capturedBy[cell]) === side) {
+        continue;
+      }
+      this.removeFree(cell);
+      this.capturedBy[cell] = playerNum;
+      captured++;
+    }
+    return captured;
+  }
+
+  /**
+   * Score of a player, counted as BoardLogic.calculateScore counts it
+   */
+  score(playerNum) {
+    const { scoreOwnedDots, scoreEmptyCaptures, enemyDotValue } = this.ruleOptions;
+    const side = this.sideOf(playerNum);
+    let score = 0;
+    for (let index = 0; index < this.size; index++) {
+      if (this.owner[index] === playerNum && scoreOwnedDots) {
+        score += 1;
+      }
+      if (this.capturedBy[index] === playerNum) {
+        const from = this.capturedFrom[index];
+        if (from !== NO_PLAYER && this.sideOf(from) !== side) {
+          score += enemyDotValue;
+        } else if (scoreEmptyCaptures) {
+          score += 1;
+        }
+      }
+    }
+    return score;
+  }
+
+  /**
+   * Free cells within two steps of an occupied dot, where play usually
+   * matters; every free cell when there are none
+   */
+  candidateCells() {
+    const near = [];
+    for (let slot = 0; slot < this.freeCount; slot++) {
+      const index = this.free[slot];
+      if (this.hasDotNear(index, 2)) near.push(index);
+    }
+    return near.length > 0 ? near : Array.from(this.free.subarray(0, this.freeCount));
+  }
+
+  /**
+   * Whether an owned dot lies within a distance of a cell, diagonals counting one step
+   */
+  hasDotNear(index, distance) {
+    const x = index % this.width;
+    const y = (index - x) / this.width;
+    for (let dy = -distance; dy <= distance; dy++) {
+      for (let dx = -distance; dx <= distance; dx++) {
+        const cell = this.cellAt(x + dx, y + dy);
+        if (cell !== NO_NEIGHBOR && this.owner[cell] !== NO_PLAYER) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * A free cell next to a cell, diagonals included, picked with random; -1 when there is none
+   */
+  randomFreeNeighbor(index, random) {
+    const x = index % this.width;
+    const y = (index - x) / this.width;
+    const start = Math.floor(random() * 8);
+    for (let i = 0; i < 8; i++) {
+      const direction = (start + i) % 8;
+      const step = direction < 4 ? direction : direction + 1; // skip the cell itself
+      const cell = this.cellAt(x + (step % 3) - 1, y + Math.floor(step / 3) - 1);
+      if (cell !== NO_NEIGHBOR && this.isFree(cell)) return cell;
+    }
+    return NO_NEIGHBOR;
+  }
+
+  /**
+   * Cell index of a grid position, wrapped on a torus; -1 off the board
+   */
+  cellAt(x, y) {
+    if (this.wraps) {
+      x = ((x % this.width) + this.width) % this.width;
+      y = ((y % this.height) + this.height) % this.height;
+    } else if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
+      return NO_NEIGHBOR;
+    }
+    const index = y * this.width + x;
+    return this.exists[index] ? index : NO_NEIGHBOR;
+  }
+}
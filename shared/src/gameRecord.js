@@ -0,0 +1,416 @@
+/**
+ * Game Record
+ * Portable text format for archiving and sharing games, modelled on chess PGN:
+ * a block of [Name "value"] header lines, a blank line, then the moves.
+ *
+ *   [Game "Dots"]
+ *   [Date "2026.10.18"]
+ *   [Player1 "Alice"]
+ *   [Player2 "Bob"]
+ *   [Player1Rating "1216"]
+ *   [Player2Rating "1184"]
+ *   [Board "10x10"]
+ *   [Rules "classic"]
+ *   [RuleOptions "borderCapture=true"]
+ *   [Result "1-0"]
+ *   [Score "3-1"]
+ *
+ *   1. 4,5 5,5 2. 5,4 6,6 3. 6,5 2,2 4. 5,6
+ *
+ * Moves are zero-based x,y coordinates. Players move in turn starting with
+ * player 1; each numbered round holds one move per player. A free-for-all
+ * game has a [Players "3"] or [Players "4"] header and Player3/Player4 headers
+ * (see players.js); a two-versus-two team game adds [Teams "1+3 vs 2+4"]
+ * (see teams.js). Mask rows are
+ * joined with '/' in an optional [Mask] header (see boardShape.js), dots
+ * placed before the first move are listed as player:x,y in an optional
+ * [Start] header, and [RuleOptions] only lists options that differ from
+ * the rule set. A handicap game says so in a [Handicap] header such as
+ * "3 dots for player 2"; its handicap dots are in [Start] and it changes who
+ * makes each move (see handicap.js). Under the swap rule a "swap" after the
+ * first move records that player 2 swapped sides; the Player headers name the
+ * players in their seats after the swap (see swapRule.js). A "pass" is a turn
+ * a player passed without placing a dot; it counts as that player's move in
+ * the round.
+ * Result is "1-0", "0-1", "1/2-1/2" or "*" for a game still in progress, with
+ * one field per player in free-for-all games: "0-1-0" when player 2 won,
+ * "1/2-1/2-1/2" when no single player has the top score. In a team game both
+ * players of the winning team get a 1: "1-0-1-0" when team 1 won. Score is "P1-P2",
+ * or one field per player, counted from the moves; a game won by forfeit or timeout says so in
+ * an optional [Termination] header, and its Result need not follow the Score.
+ * A game where players asked for move hints counts them per player in an
+ * optional [Hints] header, in the same form as Score: "2-0".
+ */
+
+import { BoardLogic } from './boardLogic.js';
+import { normalizeBoardShape } from './boardShape.js';
+import { normalizeRuleSet, resolveRuleOptions, RULE_OPTIONS, RULE_SETS } from './ruleSets.js';
+import { normalizeHandicap, playerForMove } from './handicap.js';
+import { checkSwap, SWAP_PLAYER } from './swapRule.js';
+import { checkPlayerCount, normalizePlayerCount, playerNumbers, MIN_PLAYERS } from './players.js';
+import { checkTeams, teamOf, TEAM_COUNT } from './teams.js';
+
+const MOVE_LINE_LENGTH = 80;
+const HEADER_PATTERN = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/;
+const MOVE_PATTERN = /^(\d+),(\d+)$/;
+const ROUND_PATTERN = /^\d+\.$/;
+const START_PATTERN = /^(\d+):(\d+),(\d+)$/;
+const HANDICAP_PATTERN = /^(\d+) (dots|moves) for player (\d+)$/;
+const SWAP_TOKEN = 'swap';
+const PASS_TOKEN = 'pass';
+const DRAW_FIELD = '1/2';
+const TEAMS_HEADER = '1+3 vs 2+4';
+
+/**
+ * Result header for a winner: a player number (a team number in a team
+ * game), or null for a draw
+ */
+export function resultFromWinner(winner, finished = true, playerCount = MIN_PLAYERS, teams = false) {
+  if (!finished) return '*';
+  const won = num => (teams ? teamOf(num) : num) === winner;
+  return playerNumbers(playerCount)
+    .map(num => (winner === null || winner === undefined ? DRAW_FIELD : won(num) ? '1' : '0'))
+    .join('-');
+}
+
+/**
+ * Winner for a result header: a player number (the team number in a team
+ * game, as a team is numbered by its first seat), null for a draw, undefined
+ * while in progress
+ */
+export function winnerFromResult(result) {
+  if (typeof result !== 'string' || result === '*') return undefined;
+  const fields = result.split('-');
+  if (fields.every(field => field === DRAW_FIELD)) return null;
+  const winner = fields.indexOf('1');
+  return winner === -1 ? undefined : winner + 1;
+}
+
+/**
+ * Every valid Result header for a player count
+ */
+function recordResults(playerCount, teams = false) {
+  const winners = teams ? playerNumbers(TEAM_COUNT) : playerNumbers(playerCount);
+  return [
+    ...winners.map(num => resultFromWinner(num, true, playerCount, teams)),
+    resultFromWinner(null, true, playerCount, teams),
+    '*'
+  ];
+}
+
+export const GAME_RECORD_RESULTS = recordResults(MIN_PLAYERS);
+
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function unquote(value) {
+  return value.replace(/\\(.)/g, '$1');
+}
+
+function formatDate(date) {
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}.${pad(d.getUTCMonth() + 1)}.${pad(d.getUTCDate())}`;
+}
+
+function formatRuleOptions(ruleSet, ruleOptions) {
+  const options = resolveRuleOptions(ruleSet, ruleOptions);
+  return Object.keys(RULE_OPTIONS)
+    .filter(name => options[name] !== RULE_SETS[ruleSet].options[name])
+    .map(name => `${name}=${options[name]}`)
+    .join(',');
+}
+
+function parseRuleOptions(text) {
+  const overrides = {};
+  for (const pair of text.split(',').filter(Boolean)) {
+    const [name, raw] = pair.split('=');
+    if (raw === undefined) {
+      throw new Error(`Invalid game record: rule option "${pair}" must be name=value`);
+    }
+    const option = RULE_OPTIONS[name.trim()];
+    const value = raw.trim();
+    overrides[name.trim()] = option?.type === 'number' ? Number(value)
+      : value === 'true' ? true : value === 'false' ? false : value;
+  }
+  return overrides;
+}
+
+function parseStart(text) {
+  return text.split(/\s+/).filter(Boolean).map(token => {
+    const dot = token.match(START_PATTERN);
+    if (!dot) {
+      throw new Error(`Start dot "${token}" must look like 1:4,5`);
+    }
+    return { x: Number(dot[2]), y: Number(dot[3]), player: Number(dot[1]) };
+  });
+}
+
+function parseHandicap(text) {
+  const handicap = text.match(HANDICAP_PATTERN);
+  if (!handicap) {
+    throw new Error(`Handicap must look like "3 dots for player 2", got "${text}"`);
+  }
+  return normalizeHandicap({ count: Number(handicap[1]), type: handicap[2], player: Number(handicap[3]) });
+}
+
+/**
+ * Read a header with a count per player, such as Score "12-8", into
+ * { 1: 12, 2: 8 }; null when the header is missing
+ */
+function parseCounts(headers, name, seats) {
+  if (headers[name] === undefined) return null;
+  const fields = headers[name].split('-');
+  if (fields.length !== seats.length || !fields.every(field => /^\d+$/.test(field))) {
+    const example = ['12', '8', '5', '3'].slice(0, seats.length).join('-');
+    throw new Error(`Invalid game record: ${name} must look like ${example}, got "${headers[name]}"`);
+  }
+  return Object.fromEntries(seats.map(num => [num, Number(fields[num - 1])]));
+}
+
+/**
+ * Write a game as record text.
+ * game: { players: { 1: { name, rating }, 2: ... }, playerCount, teams, boardShape,
+ *         ruleSet, ruleOptions, handicap, moves: [{ x, y } or { pass: true }],
+ *         swapped, result, termination, scores, hints, date }
+ * where hints counts the hints each player asked for: { 1: 2, 2: 0 }
+ */
+export function formatGameRecord(game) {
+  const shape = normalizeBoardShape(game.boardShape);
+  const ruleSet = normalizeRuleSet(game.ruleSet);
+  const playerCount = normalizePlayerCount(game.playerCount);
+  checkTeams(game.teams, playerCount);
+  const seats = playerNumbers(playerCount);
+  const headers = [
+    ['Game', 'Dots'],
+    ['Date', formatDate(game.date ?? Date.now())]
+  ];
+
+  if (playerCount !== MIN_PLAYERS) {
+    headers.push(['Players', playerCount]);
+  }
+  if (game.teams) {
+    headers.push(['Teams', TEAMS_HEADER]);
+  }
+  for (const num of seats) {
+    headers.push([`Player${num}`, game.players?.[num]?.name || `Player ${num}`]);
+  }
+  for (const num of seats) {
+    const rating = game.players?.[num]?.rating;
+    if (rating !== undefined && rating !== null) {
+      headers.push([`Player${num}Rating`, Math.round(rating)]);
+    }
+  }
+
+  headers.push(['Board', `${shape.width}x${shape.height}`]);
+  if (shape.mask) {
+    headers.push(['Mask', shape.mask.join('/')]);
+  }
+  if (shape.start) {
+    headers.push(['Start', shape.start.map(({ x, y, player }) => `${player}:${x},${y}`).join(' ')]);
+  }
+  headers.push(['Rules', ruleSet]);
+  if (game.handicap) {
+    const { player, count, type } = game.handicap;
+    headers.push(['Handicap', `${count} ${type} for player ${player}`]);
+  }
+  const ruleOptions = formatRuleOptions(ruleSet, game.ruleOptions);
+  if (ruleOptions) {
+    headers.push(['RuleOptions', ruleOptions]);
+  }
+  headers.push(['Result', game.result ?? '*']);
+  if (game.termination) {
+    headers.push(['Termination', game.termination]);
+  }
+  if (game.scores) {
+    headers.push(['Score', seats.map(num => game.scores[num] ?? 0).join('-')]);
+  }
+  if (game.hints && seats.some(num => game.hints[num] > 0)) {
+    headers.push(['Hints', seats.map(num => game.hints[num] ?? 0).join('-')]);
+  }
+
+  // Number each round of moves and wrap long lines
+  const lines = [];
+  let line = '';
+  const tokens = game.moves.map(({ x, y, pass }, i) => {
+    const move = pass ? PASS_TOKEN : `${x},${y}`;
+    return i % playerCount === 0 ? `${i / playerCount + 1}. ${move}` : move;
+  });
+  if (game.swapped) {
+    tokens.splice(1, 0, SWAP_TOKEN);
+  }
+  tokens.forEach(token => {
+    if (line && line.length + token.length + 1 > MOVE_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  });
+  if (line) lines.push(line);
+
+  return [
+    ...headers.map(([name, value]) => `[${name} ${quote(value)}]`),
+    '',
+    ...lines
+  ].join('\n') + '\n';
+}
+
+/**
+ * Read record text into { headers, players, playerCount, teams, boardShape, ruleSet,
+ * ruleOptions, handicap, swapped, result, termination, scores, hints, date,
+ * moves: [{ x, y, player }], passes }; hints is null without a Hints header. Passed turns are not in moves, only
+ * counted in passes; each move's player takes them into account.
+ * Checks the syntax and header values, not whether the moves are legal
+ * (see replayGameRecord). Throws on malformed records.
+ */
+export function parseGameRecord(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Invalid game record: empty record');
+  }
+
+  const headers = {};
+  const moveText = [];
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let inHeaders = true;
+
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (line === '') return;
+    if (inHeaders && line.startsWith('[')) {
+      const match = line.match(HEADER_PATTERN);
+      if (!match) {
+        throw new Error(`Invalid game record: malformed header on line ${i + 1}`);
+      }
+      headers[match[1]] = unquote(match[2]);
+      return;
+    }
+    inHeaders = false;
+    moveText.push(line);
+  });
+
+  if (!headers.Board) {
+    throw new Error('Invalid game record: missing Board header');
+  }
+  const size = headers.Board.match(/^(\d+)x(\d+)$/);
+  if (!size) {
+    throw new Error(`Invalid game record: Board must look like 10x10, got "${headers.Board}"`);
+  }
+
+  let boardShape;
+  let ruleSet;
+  let ruleOptions;
+  let handicap = null;
+  let playerCount;
+  const teams = headers.Teams !== undefined;
+  try {
+    boardShape = normalizeBoardShape({
+      width: Number(size[1]),
+      height: Number(size[2]),
+      mask: headers.Mask ? headers.Mask.split('/') : null,
+      start: headers.Start ? parseStart(headers.Start) : null
+    });
+    ruleSet = normalizeRuleSet(headers.Rules);
+    ruleOptions = resolveRuleOptions(ruleSet, parseRuleOptions(headers.RuleOptions ?? ''));
+    if (headers.Handicap) {
+      handicap = parseHandicap(headers.Handicap);
+    }
+    playerCount = normalizePlayerCount(headers.Players === undefined ? undefined : Number(headers.Players));
+    checkPlayerCount(playerCount, { handicap, ruleOptions });
+    if (teams && headers.Teams !== TEAMS_HEADER) {
+      throw new Error(`Teams must be "${TEAMS_HEADER}", got "${headers.Teams}"`);
+    }
+    checkTeams(teams, playerCount);
+  } catch (error) {
+    throw new Error(`Invalid game record: ${error.message}`);
+  }
+
+  const seats = playerNumbers(playerCount);
+  const results = recordResults(playerCount, teams);
+  const result = headers.Result ?? '*';
+  if (!results.includes(result)) {
+    throw new Error(`Invalid game record: Result must be one of ${results.join(', ')}`);
+  }
+
+  const scores = parseCounts(headers, 'Score', seats);
+  const hints = parseCounts(headers, 'Hints', seats);
+
+  const moves = [];
+  let swapped = false;
+  let passes = 0;
+  for (const token of moveText.join(' ').split(/\s+/).filter(Boolean)) {
+    if (ROUND_PATTERN.test(token)) continue;
+    if (token === PASS_TOKEN) {
+      passes++;
+      continue;
+    }
+    if (token === SWAP_TOKEN) {
+      const error = checkSwap({ ruleOptions, handicap, moveCount: moves.length, swapped }, SWAP_PLAYER);
+      if (error) {
+        throw new Error(`Invalid game record: ${error}`);
+      }
+      swapped = true;
+      continue;
+    }
+    const move = token.match(MOVE_PATTERN);
+    if (!move) {
+      throw new Error(`Invalid game record: unexpected "${token}" in moves`);
+    }
+    const turn = moves.length + passes;
+    moves.push({ x: Number(move[1]), y: Number(move[2]), player: playerForMove(turn, handicap, playerCount) });
+  }
+
+  const players = {};
+  for (const num of seats) {
+    const rating = headers[`Player${num}Rating`];
+    players[num] = {
+      name: headers[`Player${num}`] || `Player ${num}`,
+      rating: rating !== undefined && /^\d+$/.test(rating) ? Number(rating) : null
+    };
+  }
+
+  return {
+    headers,
+    players,
+    playerCount,
+    teams,
+    boardShape,
+    ruleSet,
+    ruleOptions,
+    handicap,
+    swapped,
+    result,
+    termination: headers.Termination ?? null,
+    scores,
+    hints,
+    date: headers.Date ?? null,
+    moves,
+    passes
+  };
+}
+
+/**
+ * Parse a record and replay its moves through BoardLogic.
+ * Returns { record, boardLogic, scores, gameOver }. Throws when a move is not
+ * legal or the Score header does not match the replayed board.
+ */
+export function replayGameRecord(text) {
+  const record = typeof text === 'string' ? parseGameRecord(text) : text;
+  const boardLogic = new BoardLogic(record.boardShape, record.ruleSet, record.ruleOptions, record.teams);
+
+  record.moves.forEach(({ x, y, player }, i) => {
+    if (!boardLogic.occupyDot(x, y, player).success) {
+      throw new Error(`Invalid game record: move ${i + 1} at ${x},${y} is not legal`);
+    }
+  });
+
+  const seats = playerNumbers(record.playerCount);
+  const scores = Object.fromEntries(seats.map(num => [num, boardLogic.calculateScore(num)]));
+  if (record.scores && seats.some(num => record.scores[num] !== scores[num])) {
+    const format = s => seats.map(num => s[num]).join('-');
+    throw new Error(`Invalid game record: Score ${format(record.scores)} does not match the moves (${format(scores)})`);
+  }
+
+  return { record, boardLogic, scores, gameOver: boardLogic.isGameOver() };
+}
@@ -0,0 +1,136 @@
+/**
+ * Handicap
+ * Evens out a game between players of different strength: the weaker player
+ * gets dots placed before the first move, or extra moves at the start.
+ *
+ *   { player, count, type }
+ *
+ * `player` is the weaker player (1 or 2) and `count` the number of handicap
+ * dots or extra moves. With type 'dots' the dots are added to the starting
+ * dots of the board shape (see boardShape.js) and the stronger player moves
+ * first. With type 'moves' the weaker player makes the first count + 1 moves,
+ * then the players alternate.
+ */
+
+import { normalizeBoardShape, shapeHasDot, shapeIsBlocked } from './boardShape.js';
+
+export const HANDICAP_TYPES = ['dots', 'moves'];
+export const MAX_HANDICAP = 9;
+// Rating points one handicap dot or extra move makes up for
+export const HANDICAP_RATING_STEP = 100;
+
+/**
+ * Validate a handicap. Returns null for no handicap; throws on invalid input.
+ */
+export function normalizeHandicap(handicap) {
+  if (handicap === null || handicap === undefined || handicap.count === 0) {
+    return null;
+  }
+  const { player, count, type = 'dots' } = handicap;
+  if (player !== 1 && player !== 2) {
+    throw new Error('Handicap player must be 1 or 2');
+  }
+  if (!Number.isInteger(count) || count < 0 || count > MAX_HANDICAP) {
+    throw new Error(`Handicap must be between 0 and ${MAX_HANDICAP}`);
+  }
+  if (!HANDICAP_TYPES.includes(type)) {
+    throw new Error(`Handicap type must be one of ${HANDICAP_TYPES.join(', ')}`);
+  }
+  return { player, count, type };
+}
+
+/**
+ * Handicap for the weaker of two players: one dot or move per
+ * HANDICAP_RATING_STEP rating points between them, or null when they are close
+ */
+export function handicapFromRatings(rating1, rating2, type = 'dots') {
+  const count = Math.min(MAX_HANDICAP, Math.floor(Math.abs(rating1 - rating2) / HANDICAP_RATING_STEP));
+  if (count === 0) return null;
+  return { player: rating1 < rating2 ? 1 : 2, count, type };
+}
+
+/**
+ * Handicap points of a board, most important first: the four corner points a
+ * quarter of the way in, the center, then the sides (like go's star points)
+ */
+function handicapPoints(width, height) {
+  const line = size => {
+    const edge = Math.max(1, Math.round((size - 1) / 4));
+    return { low: edge, mid: Math.floor((size - 1) / 2), high: size - 1 - edge };
+  };
+  const x = line(width);
+  const y = line(height);
+  const points = [
+    [x.high, y.low], [x.low, y.high], [x.high, y.high], [x.low, y.low],
+    [x.mid, y.mid],
+    [x.low, y.mid], [x.high, y.mid], [x.mid, y.low], [x.mid, y.high]
+  ];
+  const seen = new Set();
+  return points.filter(([px, py]) => {
+    const key = `${px},${py}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Apply a handicap to a board shape. Handicap dots are added to the shape's
+ * starting dots on the free handicap points; on a board with fewer free points
+ * the count is lowered to what fits.
+ * Returns { boardShape, handicap } with the normalized shape and handicap.
+ */
+export function applyHandicap(boardShape, handicap) {
+  const shape = normalizeBoardShape(boardShape);
+  const normalized = normalizeHandicap(handicap);
+  if (!normalized || normalized.type !== 'dots') {
+    return { boardShape: shape, handicap: normalized };
+  }
+
+  const taken = new Set((shape.start ?? []).map(({ x, y }) => `${x},${y}`));
+  const dots = handicapPoints(shape.width, shape.height)
+    .filter(([x, y]) => shapeHasDot(shape, x, y) && !shapeIsBlocked(shape, x, y) && !taken.has(`${x},${y}`))
+    .slice(0, normalized.count)
+    .map(([x, y]) => ({ x, y, player: normalized.player }));
+  if (dots.length === 0) {
+    return { boardShape: shape, handicap: null };
+  }
+
+  return {
+    boardShape: normalizeBoardShape({ ...shape, start: [...(shape.start ?? []), ...dots] }),
+    handicap: { ...normalized, count: dots.length }
+  };
+}
+
+/**
+ * Player who makes a move, by its zero-based index in the game. Without a
+ * handicap the playerCount players take turns (see players.js).
+ */
+export function playerForMove(moveIndex, handicap = null, playerCount = 2) {
+  if (!handicap) return (moveIndex % playerCount) + 1;
+  const weaker = handicap.player;
+  const stronger = weaker === 1 ? 2 : 1;
+  if (handicap.type === 'moves') {
+    if (moveIndex <= handicap.count) return weaker;
+    return (moveIndex - handicap.count) % 2 === 1 ? stronger : weaker;
+  }
+  return moveIndex % 2 === 0 ? stronger : weaker;
+}
+
+/**
+ * Rating points added to the weaker player's rating when working out the
+ * expected result of a handicap game
+ */
+export function handicapRatingBonus(handicap) {
+  return handicap ? handicap.count * HANDICAP_RATING_STEP : 0;
+}
+
+/**
+ * Short human readable description, e.g. "3 handicap dots for Player 2"
+ */
+export function describeHandicap(handicap) {
+  if (!handicap) return 'No handicap';
+  const { player, count, type } = handicap;
+  const what = type === 'moves' ? `extra move${count === 1 ? '' : 's'}` : `handicap dot${count === 1 ? '' : 's'}`;
+  return `${count} ${what} for Player ${player}`;
+}
@@ -0,0 +1,103 @@
+/**
+ * Shared rules engine
+ * Imported by both the Vite frontend and the Node backend
+ */
+
+export { BoardLogic } from './boardLogic.js';
+export {
+  normalizeBoardShape,
+  shapeHasDot,
+  shapeIsBlocked,
+  boardShapeKey,
+  describeBoardShape,
+  BOARD_MASK_PRESETS,
+  BOARD_START_PRESETS,
+  MIN_BOARD_DIMENSION,
+  MAX_BOARD_DIMENSION
+} from './boardShape.js';
+export {
+  RULE_SETS,
+  RULE_OPTIONS,
+  DEFAULT_RULE_SET,
+  normalizeRuleSet,
+  resolveRuleOptions,
+  rulesKey,
+  describeRules
+} from './ruleSets.js';
+export {
+  formatGameRecord,
+  parseGameRecord,
+  replayGameRecord,
+  resultFromWinner,
+  winnerFromResult,
+  GAME_RECORD_RESULTS
+} from './gameRecord.js';
+export {
+  normalizeHandicap,
+  handicapFromRatings,
+  applyHandicap,
+  playerForMove,
+  handicapRatingBonus,
+  describeHandicap,
+  HANDICAP_TYPES,
+  MAX_HANDICAP,
+  HANDICAP_RATING_STEP
+} from './handicap.js';
+export { checkSwap, SWAP_PLAYER, SWAP_AFTER_MOVES } from './swapRule.js';
+export {
+  normalizePlayerCount,
+  playerNumbers,
+  checkPlayerCount,
+  rankPlayers,
+  winnerFromScores,
+  MIN_PLAYERS,
+  MAX_PLAYERS
+} from './players.js';
+export {
+  teamOf,
+  teamMembers,
+  checkTeams,
+  teamScores,
+  TEAM_COUNT,
+  TEAM_PLAYER_COUNT
+} from './teams.js';
+export {
+  chooseAiMove,
+  suggestMoves,
+  normalizeAiLevel,
+  AI_LEVELS,
+  DEFAULT_AI_LEVEL,
+  HINT_COUNT
+} from './ai.js';
+export { MctsEngine, DEFAULT_PLAYOUTS } from './mcts.js';
+export { analyzeGame, ANALYSIS_PLAYOUTS, ANALYSIS_TIME_LIMIT, BLUNDER_LOSS } from './analysis.js';
+export {
+  PUZZLES,
+  PUZZLE_SOLVER,
+  PUZZLE_OPPONENT,
+  normalizePuzzle,
+  getPuzzle,
+  describePuzzleGoal,
+  createPuzzleBoard,
+  puzzleReply,
+  checkPuzzleSolution,
+  puzzleDay,
+  dailyPuzzle
+} from './puzzles.js';
+export {
+  normalizeTimeControl,
+  describeTimeControl,
+  timeControlKey,
+  startingClock,
+  spendTime,
+  completeTurn,
+  timeUntilFlag,
+  isOutOfTime,
+  normalizeAsyncTimeControl,
+  describeAsyncTimeControl,
+  asyncTimeControlKey,
+  TIME_CONTROL_TYPES,
+  TIME_CONTROL_PRESETS,
+  ASYNC_TIME_CONTROL_PRESETS
+} from './timeControl.js';
+export { FastBoard } from './fastBoard.js';
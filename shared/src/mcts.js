@@ -0,0 +1,210 @@
+/**
+ * Monte Carlo Tree Search
+ * Search engine for strong play and analysis. Each iteration walks the game
+ * tree from the position to search, picking moves by UCT (upper confidence
+ * bound), adds one new move and plays the game out to the end on a FastBoard
+ * copy. Playouts mostly answer near the previous move, like real games do.
+ * A finished playout counts 1 for the winning side and 0 for the others; a
+ * shared top score is split between the sides that share it. A small part
+ * of the result goes by the score margin, so the search still prefers
+ * winning by more once every move wins, and losing by less.
+ *
+ * The search stops at a playout budget or a time limit, whichever comes
+ * first. Only dots within two steps of the dots on the board are searched
+ * (see FastBoard.candidateCells). Players move in seat order; handicap extra
+ * moves and passes are not part of the search.
+ */
+
+import { FastBoard } from './fastBoard.js';
+import { MIN_PLAYERS } from './players.js';
+
+export const DEFAULT_PLAYOUTS = 2000;
+// Chance that a playout move answers next to the previous move
+const LOCAL_REPLY_CHANCE = 0.75;
+// Part of a playout result that goes by the score margin
+const MARGIN_WEIGHT = 0.1;
+// UCT exploration constant, tuned lower than the textbook square root of 2
+// so the budget goes to the promising moves
+const DEFAULT_EXPLORATION = 0.7;
+
+class SearchNode {
+  constructor(parent, cell, player, untried) {
+    this.parent = parent;
+    this.cell = cell; // Move leading here, -1 at the root
+    this.player = player; // Player who made that move
+    this.untried = untried; // Moves not expanded yet
+    this.children = [];
+    this.visits = 0;
+    this.wins = 0; // Won playouts for this.player, ties shared out
+    this.value = 0; // Playout results for this.player, wins with the margin
+  }
+}
+
+export class MctsEngine {
+  /**
+   * @param {Object} options
+   * @param {number} options.playouts - Playouts per search
+   * @param {number|null} options.timeLimit - Milliseconds per search, none by default
+   * @param {number} options.exploration - UCT exploration constant
+   * @param {Function} options.random - Returns numbers in [0, 1) like Math.random
+   */
+  constructor({ playouts = DEFAULT_PLAYOUTS, timeLimit = null, exploration = DEFAULT_EXPLORATION, random = Math.random } = {}) {
+    this.playouts = playouts;
+    this.timeLimit = timeLimit;
+    this.exploration = exploration;
+    this.random = random;
+  }
+
+  /**
+   * Search the best move for playerNum. The board is not changed.
+   * Returns { move, playouts, moves } where move is { x, y } or null when no
+   * dot is left, and moves lists the searched moves, most visited first:
+   * [{ x, y, visits, winRate }] with winRate the share of playouts playerNum won.
+   */
+  search(boardLogic, playerNum, { playerCount = MIN_PLAYERS } = {}) {
+    const board = FastBoard.fromBoardLogic(boardLogic);
+    const root = new SearchNode(null, -1, previousPlayer(playerNum, playerCount), board.candidateCells());
+    const deadline = this.timeLimit === null ? Infinity : performance.now() + this.timeLimit;
+
+    let playouts = 0;
+    while (playouts < this.playouts && (playouts === 0 || performance.now() < deadline)) {
+      if (root.untried.length === 0 && root.children.length === 0) break;
+      this.iterate(root, board, playerCount);
+      playouts++;
+    }
+
+    const moves = root.children
+      .sort((a, b) => b.visits - a.visits || b.value / b.visits - a.value / a.visits)
+      .map(child => ({
+        x: child.cell % board.width,
+        y: Math.floor(child.cell / board.width),
+        visits: child.visits,
+        winRate: child.wins / child.visits
+      }));
+    const move = moves.length > 0 ? { x: moves[0].x, y: moves[0].y } : null;
+    return { move, playouts, moves };
+  }
+
+  /**
+   * Average final score of playerNum's side less the best other side's, in
+   * points, after playerNum plays move, over playouts like the search's.
+   * The board is not changed.
+   */
+  evaluate(boardLogic, playerNum, move, { playerCount = MIN_PLAYERS, playouts = this.playouts } = {}) {
+    const board = FastBoard.fromBoardLogic(boardLogic);
+    const cell = board.cellAt(move.x, move.y);
+    board.play(cell, playerNum);
+
+    let total = 0;
+    for (let i = 0; i < playouts; i++) {
+      total += this.playout(board.clone(), cell, playerNum, playerCount).margins[playerNum];
+    }
+    return total / playouts;
+  }
+
+  /**
+   * One round of selection, expansion, playout and backpropagation
+   */
+  iterate(root, rootBoard, playerCount) {
+    const board = rootBoard.clone();
+    let node = root;
+
+    // Selection
+    while (node.untried.length === 0 && node.children.length > 0) {
+      node = this.selectChild(node);
+      board.play(node.cell, node.player);
+    }
+
+    // Expansion
+    if (node.untried.length > 0) {
+      const slot = Math.floor(this.random() * node.untried.length);
+      const cell = node.untried[slot];
+      node.untried[slot] = node.untried[node.untried.length - 1];
+      node.untried.pop();
+
+      const player = nextPlayer(node.player, playerCount);
+      board.play(cell, player);
+      const child = new SearchNode(node, cell, player, board.candidateCells());
+      node.children.push(child);
+      node = child;
+    }
+
+    // Playout and backpropagation
+    const { wins, values } = this.playout(board, node.cell, node.player, playerCount);
+    for (; node; node = node.parent) {
+      node.visits++;
+      node.wins += wins[node.player];
+      node.value += values[node.player];
+    }
+  }
+
+  selectChild(node) {
+    const logVisits = Math.log(node.visits);
+    let best = null;
+    let bestValue = -Infinity;
+    for (const child of node.children) {
+      const value = child.value / child.visits + this.exploration * Math.sqrt(logVisits / child.visits);
+      if (value > bestValue) {
+        best = child;
+        bestValue = value;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Play random moves until no dot is left; returns each player's results
+   */
+  playout(board, lastCell, lastPlayer, playerCount) {
+    let player = lastPlayer;
+    while (board.freeCount > 0) {
+      player = nextPlayer(player, playerCount);
+      let cell = lastCell >= 0 && this.random() < LOCAL_REPLY_CHANCE
+        ? board.randomFreeNeighbor(lastCell, this.random)
+        : -1;
+      if (cell === -1) {
+        cell = board.free[Math.floor(this.random() * board.freeCount)];
+      }
+      board.play(cell, player);
+      lastCell = cell;
+    }
+    return playoutResults(board, playerCount);
+  }
+}
+
+function nextPlayer(playerNum, playerCount) {
+  return (playerNum % playerCount) + 1;
+}
+
+function previousPlayer(playerNum, playerCount) {
+  return ((playerNum + playerCount - 2) % playerCount) + 1;
+}
+
+/**
+ * Results per player, indexed by seat: wins is 1 for a win, shared out on a
+ * tie for the top score; margins are the points ahead of the best other side;
+ * values in [0, 1] are mostly the win and partly that margin
+ */
+function playoutResults(board, playerCount) {
+  const sideScores = new Map();
+  for (let playerNum = 1; playerNum <= playerCount; playerNum++) {
+    const side = board.sideOf(playerNum);
+    sideScores.set(side, (sideScores.get(side) ?? 0) + board.score(playerNum));
+  }
+  const top = Math.max(...sideScores.values());
+  const winners = [...sideScores.values()].filter(score => score === top).length;
+
+  const wins = new Array(playerCount + 1).fill(0);
+  const values = new Array(playerCount + 1).fill(0);
+  const margins = new Array(playerCount + 1).fill(0);
+  for (let playerNum = 1; playerNum <= playerCount; playerNum++) {
+    const side = board.sideOf(playerNum);
+    const score = sideScores.get(side);
+    const bestOther = Math.max(...[...sideScores].filter(([other]) => other !== side).map(([, value]) => value));
+    margins[playerNum] = score - bestOther;
+    const margin = Math.max(-1, Math.min(1, margins[playerNum] / board.size));
+    wins[playerNum] = score === top ? 1 / winners : 0;
+    values[playerNum] = (1 - MARGIN_WEIGHT) * wins[playerNum] + MARGIN_WEIGHT * (margin + 1) / 2;
+  }
+  return { wins, values, margins };
+}
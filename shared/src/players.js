@@ -0,0 +1,69 @@
+/**
+ * Players
+ * A game is played by two players, or free-for-all by three or four. Seats
+ * are numbered 1 to playerCount and move in that order. Any player whose dots
+ * enclose an area captures it, whoever owns the dots inside (see boardLogic.js).
+ * Handicaps and the swap rule even out a game between two players, so
+ * free-for-all games have neither.
+ */
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 4;
+
+/**
+ * Validate a player count, defaulting to two players. Throws on invalid input.
+ */
+export function normalizePlayerCount(playerCount) {
+  if (playerCount === undefined || playerCount === null) {
+    return MIN_PLAYERS;
+  }
+  if (!Number.isInteger(playerCount) || playerCount < MIN_PLAYERS || playerCount > MAX_PLAYERS) {
+    throw new Error(`Player count must be between ${MIN_PLAYERS} and ${MAX_PLAYERS}`);
+  }
+  return playerCount;
+}
+
+/**
+ * Seat numbers of a game: [1, 2] for two players, up to [1, 2, 3, 4]
+ */
+export function playerNumbers(playerCount = MIN_PLAYERS) {
+  return Array.from({ length: playerCount }, (_, i) => i + 1);
+}
+
+/**
+ * Check that a game's handicap and rule options suit its player count.
+ * Throws when a free-for-all game asks for a two-player feature.
+ */
+export function checkPlayerCount(playerCount, { handicap = null, ruleOptions = {} } = {}) {
+  if (playerCount === MIN_PLAYERS) return;
+  if (handicap) {
+    throw new Error('Handicap games are for two players');
+  }
+  if (ruleOptions.swapRule) {
+    throw new Error('The swap rule is for two-player games');
+  }
+}
+
+/**
+ * Standings from scores ({ playerNum: score }), best first:
+ * [{ player, score, place }]. Tied players share a place.
+ */
+export function rankPlayers(scores) {
+  const standings = Object.entries(scores)
+    .map(([player, score]) => ({ player: Number(player), score: score ?? 0 }))
+    .sort((a, b) => b.score - a.score || a.player - b.player);
+  return standings.map(entry => ({
+    ...entry,
+    place: standings.findIndex(other => other.score === entry.score) + 1
+  }));
+}
+
+/**
+ * Winner from scores: the player with the highest score, or null when the
+ * top score is shared (a draw)
+ */
+export function winnerFromScores(scores) {
+  const [first, second] = rankPlayers(scores);
+  if (!first || (second && second.place === first.place)) return null;
+  return first.player;
+}
@@ -0,0 +1,248 @@
+/**
+ * Capture Puzzles
+ * A puzzle is a starting position and a goal: capture at least a number of
+ * enemy dots within a number of moves. The solver is always player 1 and
+ * moves first. After each of the solver's moves but the last the opponent
+ * answers from a script, one per move: it maps the solver's move as "x,y" to
+ * the answer, with "default" for any other move. When the scripted dot is
+ * already taken the opponent passes.
+ *
+ * Positions are drawn as rows like board masks (see boardShape.js), with '1'
+ * and '2' for each player's dots. Any sequence of moves that reaches the
+ * goal solves the puzzle; solutions are checked by playing them out on
+ * BoardLogic. One puzzle a day is the daily puzzle, in turn by UTC date.
+ */
+
+import { BoardLogic } from './boardLogic.js';
+import { normalizeBoardShape } from './boardShape.js';
+import { normalizeRuleSet } from './ruleSets.js';
+
+export const PUZZLE_SOLVER = 1;
+export const PUZZLE_OPPONENT = 2;
+const DEFAULT_PUZZLE_RULE_SET = 'classic';
+const DAY = 24 * 60 * 60 * 1000; // ms
+const MOVE_PATTERN = /^(\d+),(\d+)$/;
+
+export const PUZZLES = [
+  {
+    id: 'first-capture',
+    title: 'First Capture',
+    rating: 800,
+    position: [
+      '.....',
+      '..1..',
+      '.121.',
+      '.....',
+      '.....'
+    ],
+    goal: { captures: 1, moves: 1 }
+  },
+  {
+    id: 'closing-the-net',
+    title: 'Closing the Net',
+    rating: 1000,
+    position: [
+      '.......',
+      '..111..',
+      '.12221.',
+      '..1.1..',
+      '.......'
+    ],
+    goal: { captures: 3, moves: 1 }
+  },
+  {
+    id: 'two-for-one',
+    title: 'Two for One',
+    rating: 1100,
+    position: [
+      '.......',
+      '..1.1..',
+      '.12.21.',
+      '..1.1..',
+      '.......'
+    ],
+    goal: { captures: 2, moves: 1 }
+  },
+  {
+    id: 'double-threat',
+    title: 'Double Threat',
+    rating: 1300,
+    position: [
+      '.......',
+      '..1.1..',
+      '.12.21.',
+      '.......',
+      '.......'
+    ],
+    goal: { captures: 1, moves: 2 },
+    replies: [{ '3,2': '2,3', default: '3,2' }]
+  },
+  {
+    id: 'twin-pairs',
+    title: 'Twin Pairs',
+    rating: 1450,
+    position: [
+      '........',
+      '..1.1...',
+      '.12.21..',
+      '.12121..',
+      '........',
+      '........'
+    ],
+    goal: { captures: 2, moves: 2 },
+    replies: [{ '3,2': '2,4', default: '3,2' }]
+  },
+  {
+    id: 'crowded-corner',
+    title: 'Crowded Corner',
+    rating: 1650,
+    position: [
+      '1......',
+      '2222...',
+      '.2112..',
+      '112121.',
+      '.22112.',
+      '1.2112.',
+      '..1....'
+    ],
+    goal: { captures: 4, moves: 2 },
+    replies: [{ '0,4': '0,2', default: '0,4' }]
+  }
+];
+
+function parseMove(text, shape) {
+  const match = typeof text === 'string' ? text.match(MOVE_PATTERN) : null;
+  const move = match && { x: Number(match[1]), y: Number(match[2]) };
+  if (!move || move.x >= shape.width || move.y >= shape.height) {
+    throw new Error(`Puzzle reply "${text}" is not a dot on the board`);
+  }
+  return move;
+}
+
+/**
+ * Validate a puzzle and expand it to { id, title, rating, ruleSet,
+ * boardShape, goal, replies } with the position as a board shape and the
+ * replies as [{ "x,y" or default: { x, y } }]. Throws on invalid puzzles.
+ */
+export function normalizePuzzle(puzzle) {
+  if (!puzzle || typeof puzzle.id !== 'string' || !Array.isArray(puzzle.position)) {
+    throw new Error('Puzzle needs an id and a position');
+  }
+  const { captures, moves } = puzzle.goal ?? {};
+  if (!Number.isInteger(captures) || captures < 1 || !Number.isInteger(moves) || moves < 1) {
+    throw new Error('Puzzle goal needs at least one capture and one move');
+  }
+
+  const start = [];
+  const mask = puzzle.position.map((row, y) => [...row].map((cell, x) => {
+    if (cell === String(PUZZLE_SOLVER) || cell === String(PUZZLE_OPPONENT)) {
+      start.push({ x, y, player: Number(cell) });
+      return '.';
+    }
+    return cell;
+  }).join(''));
+  const boardShape = normalizeBoardShape({ mask, start });
+
+  const scripts = puzzle.replies ?? [];
+  if (!Array.isArray(scripts) || scripts.length > moves - 1) {
+    throw new Error('Puzzle has more replies than the solver has moves to answer');
+  }
+  const replies = scripts.map(script => Object.fromEntries(
+    Object.entries(script).map(([key, reply]) => {
+      if (key !== 'default') parseMove(key, boardShape);
+      return [key, parseMove(reply, boardShape)];
+    })
+  ));
+
+  return {
+    id: puzzle.id,
+    title: puzzle.title ?? puzzle.id,
+    rating: puzzle.rating ?? null,
+    ruleSet: normalizeRuleSet(puzzle.ruleSet ?? DEFAULT_PUZZLE_RULE_SET),
+    boardShape,
+    goal: { captures, moves },
+    replies
+  };
+}
+
+/**
+ * A built-in puzzle by id, normalized, or null
+ */
+export function getPuzzle(id) {
+  const puzzle = PUZZLES.find(candidate => candidate.id === id);
+  return puzzle ? normalizePuzzle(puzzle) : null;
+}
+
+export function describePuzzleGoal({ captures, moves }) {
+  return `Capture at least ${captures} dot${captures === 1 ? '' : 's'} in ${moves} move${moves === 1 ? '' : 's'}`;
+}
+
+/**
+ * A board at the puzzle's starting position
+ */
+export function createPuzzleBoard(puzzle) {
+  return new BoardLogic(puzzle.boardShape, puzzle.ruleSet);
+}
+
+/**
+ * The opponent's scripted answer to the solver's last move, as { x, y }, or
+ * null when it passes
+ * @param {Object} puzzle - Normalized puzzle
+ * @param {BoardLogic} boardLogic - Board after the solver's last move
+ * @param {Array<Object>} solverMoves - The solver's moves so far
+ */
+export function puzzleReply(puzzle, boardLogic, solverMoves) {
+  const script = puzzle.replies[solverMoves.length - 1];
+  if (!script) return null;
+  const { x, y } = solverMoves[solverMoves.length - 1];
+  const reply = script[`${x},${y}`] ?? script.default ?? null;
+  return reply && boardLogic.isDotClickable(reply.x, reply.y) ? reply : null;
+}
+
+/**
+ * Play the solver's moves, with the scripted replies, from the puzzle's
+ * start. Returns { solved, finished, captured } where captured counts the
+ * enemy dots the solver took and finished says whether the puzzle is over:
+ * solved, or out of moves. Also accepts the moves of an attempt still going.
+ * Throws on an illegal move or on moves after the puzzle is over.
+ */
+export function checkPuzzleSolution(puzzle, moves) {
+  const boardLogic = createPuzzleBoard(puzzle);
+  const played = [];
+  let captured = 0;
+
+  for (const { x, y } of moves) {
+    if (captured >= puzzle.goal.captures || played.length >= puzzle.goal.moves) {
+      throw new Error('The puzzle is already over');
+    }
+    const result = boardLogic.occupyDot(x, y, PUZZLE_SOLVER);
+    if (!result.success) {
+      throw new Error(`Move ${played.length + 1} at ${x},${y} is not legal`);
+    }
+    captured += result.lostByPlayers.get(PUZZLE_OPPONENT) ?? 0;
+    played.push({ x, y });
+
+    const reply = captured < puzzle.goal.captures ? puzzleReply(puzzle, boardLogic, played) : null;
+    if (reply) {
+      boardLogic.occupyDot(reply.x, reply.y, PUZZLE_OPPONENT);
+    }
+  }
+
+  const solved = captured >= puzzle.goal.captures;
+  return { solved, finished: solved || played.length >= puzzle.goal.moves, captured };
+}
+
+/**
+ * UTC date of a time as YYYY-MM-DD, the key of the daily puzzle
+ */
+export function puzzleDay(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * The daily puzzle for a time, normalized: the built-in puzzles in turn, one per UTC day
+ */
+export function dailyPuzzle(time = Date.now()) {
+  const day = Math.floor(time / DAY);
+  return normalizePuzzle(PUZZLES[day % PUZZLES.length]);
+}
@@ -0,0 +1,334 @@
+/**
+ * Region Tracker
+ * Keeps the connected regions of cells that are not owned by one player, so
+ * capture detection only has to look at the regions next to a newly placed
+ * dot instead of flood-filling the whole board after every move
+ *
+ * Cells are addressed by index (y * width + x). The board shape comes from a
+ * topology: { size, neighbors: number[][], isBorder: Uint8Array, wraps: boolean }.
+ * A region touching a border cell can never be enclosed, unless border
+ * capture is on: then every region cut off from the open board (the region
+ * flagged `outside`) is enclosed as well. On a board that wraps around (a
+ * torus) few cells or none are border cells, so the open board itself is
+ * never enclosed.
+ */
+
+export class RegionTracker {
+  /**
+   * @param {Object} topology - Board cells, their orthogonal neighbors, border flags and wrapping
+   * @param {Function} isOpen - (index) => true if the cell is not owned by the player
+   */
+  constructor(topology, isOpen) {
+    this.topology = topology;
+    this.labels = new Int32Array(topology.size).fill(-1); // region id per cell, -1 = owned by the player
+    // id -> { cells: Set<index>, border: number of border cells, outside: part of the open board }
+    this.regions = new Map();
+    this.nextRegionId = 0;
+    // Cells whose state changed since the player's last move; their regions
+    // have to be re-checked on the next move
+    this.pending = new Set();
+    this.visitMarks = new Uint32Array(topology.size);
+    this.visitGroups = new Uint8Array(topology.size);
+    this.visitEpoch = 0;
+
+    for (let index = 0; index < topology.size; index++) {
+      if (this.labels[index] !== -1 || !isOpen(index)) continue;
+      this.createRegion(this.floodFill(index, isOpen));
+      // A new tracker knows nothing about earlier moves: check every region once
+      this.pending.add(index);
+    }
+
+    // Without move history, the largest region is taken as the open board
+    let largest = null;
+    for (const region of this.regions.values()) {
+      if (!largest || region.cells.size > largest.cells.size) largest = region;
+    }
+    if (largest) largest.outside = true;
+  }
+
+  /**
+   * Collect the open cells connected to a start cell before any labels exist
+   */
+  floodFill(start, isOpen) {
+    const cells = [start];
+    const epoch = this.nextEpoch();
+    this.visitMarks[start] = epoch;
+    for (let head = 0; head < cells.length; head++) {
+      for (const neighbor of this.topology.neighbors[cells[head]]) {
+        if (this.visitMarks[neighbor] === epoch || !isOpen(neighbor)) continue;
+        this.visitMarks[neighbor] = epoch;
+        cells.push(neighbor);
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Start a new visit pass over the mark arrays
+   */
+  nextEpoch() {
+    this.visitEpoch++;
+    if (this.visitEpoch === 0xffffffff) {
+      this.visitMarks.fill(0);
+      this.visitEpoch = 1;
+    }
+    return this.visitEpoch;
+  }
+
+  /**
+   * Create a region from a list of cells and label them
+   */
+  createRegion(cells, outside = false) {
+    const id = this.nextRegionId++;
+    const region = { cells: new Set(), border: 0, outside };
+    for (const cell of cells) {
+      region.cells.add(cell);
+      region.border += this.topology.isBorder[cell];
+      this.labels[cell] = id;
+    }
+    this.regions.set(id, region);
+    return id;
+  }
+
+  /**
+   * Work out how the region containing a cell falls apart once the player
+   * occupies that cell. Does not modify the tracker.
+   *
+   * One breadth-first search runs from each neighbor of the cell, one step at
+   * a time in turn. Searches that meet are joined; a search that runs out of
+   * cells has found a complete piece. The work stops as soon as at most one
+   * search is still running, so only the smaller pieces are ever walked.
+   *
+   * Returns: { regionId, pieces: [{ start, cells, border }] }
+   * where `cells` is null for the one piece that was not fully explored
+   */
+  analyzeSplit(index) {
+    const regionId = this.labels[index];
+    const region = this.regions.get(regionId);
+    const { neighbors, isBorder } = this.topology;
+
+    const starts = [];
+    for (const neighbor of neighbors[index]) {
+      if (this.labels[neighbor] === regionId && !starts.includes(neighbor)) {
+        starts.push(neighbor);
+      }
+    }
+
+    if (starts.length <= 1) {
+      const pieces = starts.map(start => ({
+        start,
+        cells: null,
+        border: region.border - isBorder[index]
+      }));
+      return { regionId, pieces };
+    }
+
+    const epoch = this.nextEpoch();
+    const searches = starts.map((start, i) => {
+      this.visitMarks[start] = epoch;
+      this.visitGroups[start] = i;
+      return { start, parent: i, queue: [start], head: 0, cells: [start], border: isBorder[start], done: false };
+    });
+    const findRoot = (i) => {
+      while (searches[i].parent !== i) i = searches[i].parent;
+      return i;
+    };
+
+    let running = searches.length;
+    while (running > 1) {
+      for (let i = 0; i < searches.length && running > 1; i++) {
+        const search = searches[i];
+        if (search.parent !== i || search.done) continue;
+
+        if (search.head === search.queue.length) {
+          search.done = true;
+          running--;
+          continue;
+        }
+
+        const cell = search.queue[search.head++];
+        for (const neighbor of neighbors[cell]) {
+          if (neighbor === index || this.labels[neighbor] !== regionId) continue;
+
+          if (this.visitMarks[neighbor] !== epoch) {
+            this.visitMarks[neighbor] = epoch;
+            this.visitGroups[neighbor] = i;
+            search.queue.push(neighbor);
+            search.cells.push(neighbor);
+            search.border += isBorder[neighbor];
+            continue;
+          }
+
+          const other = findRoot(this.visitGroups[neighbor]);
+          if (other === i) continue;
+
+          // Both searches reached the same area, so they are the same piece
+          const joined = searches[other];
+          joined.parent = i;
+          for (let q = joined.head; q < joined.queue.length; q++) search.queue.push(joined.queue[q]);
+          for (const joinedCell of joined.cells) search.cells.push(joinedCell);
+          search.border += joined.border;
+          running--;
+        }
+      }
+    }
+
+    const pieces = [];
+    let exploredBorder = 0;
+    let unexplored = null;
+    searches.forEach((search, i) => {
+      if (search.parent !== i) return;
+      if (search.done) {
+        pieces.push({ start: search.start, cells: search.cells, border: search.border });
+        exploredBorder += search.border;
+      } else {
+        unexplored = { start: search.start, cells: null, border: 0 };
+        pieces.push(unexplored);
+      }
+    });
+    if (unexplored) {
+      unexplored.border = region.border - isBorder[index] - exploredBorder;
+    }
+
+    return { regionId, pieces };
+  }
+
+  /**
+   * Find the regions that become enclosed once the player occupies a cell.
+   * Only the pieces of the split region and regions with pending changes are
+   * checked. Regions made up only of settled cells (already captured by the
+   * player) are skipped.
+   *
+   * A region is enclosed when it does not touch the border. With border
+   * capture, pieces cut off by this move and regions that are not part of
+   * the open board are enclosed too. On a wrapping board the open board
+   * never is.
+   *
+   * Returns enclosed regions as arrays of cells in breadth-first order from
+   * their first unsettled cell, ordered by that cell's index
+   */
+  findEnclosures(index, split, isSettled, borderCapture = false) {
+    const { wraps } = this.topology;
+    const isEnclosed = (border, outside) => !(wraps && outside) && (border === 0 || (borderCapture && !outside));
+    // Explored pieces are the smaller sides of a cut; the unexplored piece
+    // stays part of the open board if the region was
+    const splitOutside = this.regions.get(split.regionId).outside;
+    const starts = split.pieces
+      .filter(piece => isEnclosed(piece.border, piece.cells === null && splitOutside))
+      .map(piece => piece.start);
+
+    const checkedRegions = new Set([split.regionId]);
+    for (const cell of this.pending) {
+      const regionId = this.labels[cell];
+      if (regionId === -1 || checkedRegions.has(regionId)) continue;
+      checkedRegions.add(regionId);
+      const region = this.regions.get(regionId);
+      if (isEnclosed(region.border, region.outside)) {
+        starts.push(cell);
+      }
+    }
+
+    const seeds = [];
+    for (const start of starts) {
+      let seed = -1;
+      for (const cell of this.collectRegion(start, index)) {
+        if (!isSettled(cell) && (seed === -1 || cell < seed)) seed = cell;
+      }
+      if (seed !== -1) seeds.push(seed);
+    }
+
+    return seeds
+      .sort((a, b) => a - b)
+      .map(seed => this.collectRegion(seed, index));
+  }
+
+  /**
+   * Collect the cells of the region containing a start cell in breadth-first
+   * order, treating an optional blocked cell as owned by the player
+   */
+  collectRegion(start, blocked = -1) {
+    const regionId = this.labels[start];
+    const epoch = this.nextEpoch();
+    const cells = [start];
+    this.visitMarks[start] = epoch;
+    for (let head = 0; head < cells.length; head++) {
+      for (const neighbor of this.topology.neighbors[cells[head]]) {
+        if (neighbor === blocked || this.labels[neighbor] !== regionId) continue;
+        if (this.visitMarks[neighbor] === epoch) continue;
+        this.visitMarks[neighbor] = epoch;
+        cells.push(neighbor);
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Record that the player now owns a cell, relabelling the pieces found by
+   * analyzeSplit. The largest or unexplored piece keeps the old region id;
+   * the other pieces are cut off from the open board.
+   */
+  applySplit(index, split) {
+    const region = this.regions.get(split.regionId);
+    region.cells.delete(index);
+    region.border -= this.topology.isBorder[index];
+    this.labels[index] = -1;
+    this.pending.delete(index);
+
+    if (split.pieces.length === 0) {
+      this.regions.delete(split.regionId);
+      return;
+    }
+
+    let kept = split.pieces.find(piece => piece.cells === null);
+    if (!kept) {
+      kept = split.pieces.reduce((largest, piece) => (piece.cells.length > largest.cells.length ? piece : largest));
+    }
+
+    for (const piece of split.pieces) {
+      if (piece === kept) continue;
+      for (const cell of piece.cells) region.cells.delete(cell);
+      this.createRegion(piece.cells);
+    }
+    region.border = kept.border;
+  }
+
+  /**
+   * Record that the player no longer owns a cell (its dot was captured),
+   * joining the regions around it
+   */
+  merge(index) {
+    const regionIds = [];
+    for (const neighbor of this.topology.neighbors[index]) {
+      const regionId = this.labels[neighbor];
+      if (regionId !== -1 && !regionIds.includes(regionId)) regionIds.push(regionId);
+    }
+
+    if (regionIds.length === 0) {
+      this.createRegion([index]);
+    } else {
+      let targetId = regionIds[0];
+      for (const regionId of regionIds) {
+        if (this.regions.get(regionId).cells.size > this.regions.get(targetId).cells.size) {
+          targetId = regionId;
+        }
+      }
+      const target = this.regions.get(targetId);
+      for (const regionId of regionIds) {
+        if (regionId === targetId) continue;
+        const region = this.regions.get(regionId);
+        for (const cell of region.cells) {
+          target.cells.add(cell);
+          this.labels[cell] = targetId;
+        }
+        target.border += region.border;
+        target.outside = target.outside || region.outside;
+        this.regions.delete(regionId);
+      }
+      target.cells.add(index);
+      target.border += this.topology.isBorder[index];
+      this.labels[index] = targetId;
+    }
+
+    this.pending.add(index);
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Rule Sets
+ * Named enclosure and scoring rules a game can be played with
+ *
+ * - territory: any area closed off from the border is captured, empty or
+ *   not. Score is owned dots + captured dots.
+ * - classic: traditional Points (Kropki). An area closed off by a chain of
+ *   the player's dots (joined orthogonally or diagonally) is only captured
+ *   when it holds at least one enemy dot. Empty enclosures stay open to play
+ *   and score nothing; an enemy dot placed inside one later is captured on
+ *   the enclosing player's next move. Score is the number of enemy dots
+ *   captured.
+ *
+ * A rule set is a preset of rule options. A game can override single
+ * options on top of its rule set, e.g. classic rules with border capture or
+ * on a torus.
+ */
+
+/**
+ * Switches that change the board's topology, how enclosures are found and
+ * scored, and how the game opens (see swapRule.js)
+ */
+export const RULE_OPTIONS = {
+  borderCapture: {
+    type: 'boolean',
+    description: 'Areas cut off against the edge of the board can be captured; the largest open area never is',
+    describe: value => (value ? 'border capture' : 'no border capture')
+  },
+  torus: {
+    type: 'boolean',
+    description: 'The board wraps around its edges: there is no border, so every area can be enclosed',
+    describe: value => (value ? 'torus' : 'flat board')
+  },
+  captureEmptyAreas: {
+    type: 'boolean',
+    description: 'Enclosures without an enemy dot are captured',
+    describe: value => (value ? 'empty areas captured' : 'empty areas not captured')
+  },
+  scoreOwnedDots: {
+    type: 'boolean',
+    description: 'Each dot a player owns scores a point; when off only captures score',
+    describe: value => (value ? 'owned dots score' : 'territory-only scoring')
+  },
+  scoreEmptyCaptures: {
+    type: 'boolean',
+    description: 'Captured dots that were not an enemy dot score a point',
+    describe: value => (value ? 'empty captures score' : 'empty captures do not score')
+  },
+  enemyDotValue: {
+    type: 'number',
+    values: [1, 2],
+    description: 'Points for each captured enemy dot',
+    describe: value => `enemy dots ×${value}`
+  },
+  swapRule: {
+    type: 'boolean',
+    description: 'After the first move the second player may swap sides instead of moving (pie rule)',
+    describe: value => (value ? 'swap rule' : 'no swap rule')
+  }
+};
+
+export const RULE_SETS = {
+  territory: {
+    name: 'Territory',
+    description: 'Capture any enclosed area; score owned and captured dots',
+    options: {
+      borderCapture: false,
+      torus: false,
+      captureEmptyAreas: true,
+      scoreOwnedDots: true,
+      scoreEmptyCaptures: true,
+      enemyDotValue: 1,
+      swapRule: false
+    }
+  },
+  classic: {
+    name: 'Classic Points',
+    description: 'Captures need an enemy dot inside; score captured enemy dots',
+    options: {
+      borderCapture: false,
+      torus: false,
+      captureEmptyAreas: false,
+      scoreOwnedDots: false,
+      scoreEmptyCaptures: false,
+      enemyDotValue: 1,
+      swapRule: false
+    }
+  }
+};
+
+export const DEFAULT_RULE_SET = 'territory';
+
+/**
+ * Validate a rule set name, falling back to the default when none is given.
+ * Throws on unknown names.
+ */
+export function normalizeRuleSet(ruleSet) {
+  if (ruleSet === undefined || ruleSet === null) {
+    return DEFAULT_RULE_SET;
+  }
+  if (!Object.hasOwn(RULE_SETS, ruleSet)) {
+    throw new Error(`Unknown rule set: ${ruleSet}`);
+  }
+  return ruleSet;
+}
+
+/**
+ * Combine a rule set's options with per-game overrides into a complete,
+ * validated options object. Throws on unknown options or invalid values.
+ */
+export function resolveRuleOptions(ruleSet, overrides = {}) {
+  const options = { ...RULE_SETS[normalizeRuleSet(ruleSet)].options };
+  if (overrides === null || overrides === undefined) {
+    return options;
+  }
+  if (typeof overrides !== 'object') {
+    throw new Error('Invalid rule options');
+  }
+
+  for (const [name, value] of Object.entries(overrides)) {
+    if (!Object.hasOwn(RULE_OPTIONS, name)) {
+      throw new Error(`Unknown rule option: ${name}`);
+    }
+    const option = RULE_OPTIONS[name];
+    if (typeof value !== option.type || (option.values && !option.values.includes(value))) {
+      const expected = option.values ? option.values.join(' or ') : `a ${option.type}`;
+      throw new Error(`Rule option ${name} must be ${expected}`);
+    }
+    options[name] = value;
+  }
+  return options;
+}
+
+/**
+ * Stable string identifying a rule set with its options, for comparisons
+ */
+export function rulesKey(ruleSet, overrides) {
+  const options = resolveRuleOptions(ruleSet, overrides);
+  const values = Object.keys(RULE_OPTIONS).map(name => `${name}=${options[name]}`);
+  return `${normalizeRuleSet(ruleSet)}:${values.join(',')}`;
+}
+
+/**
+ * Short human readable description listing the options that differ from the
+ * rule set, e.g. "Classic Points (border capture, enemy dots ×2)"
+ */
+export function describeRules(ruleSet, overrides) {
+  const name = normalizeRuleSet(ruleSet);
+  const options = resolveRuleOptions(name, overrides);
+  const changes = Object.keys(RULE_OPTIONS)
+    .filter(option => options[option] !== RULE_SETS[name].options[option])
+    .map(option => RULE_OPTIONS[option].describe(options[option]));
+  return changes.length > 0 ? `${RULE_SETS[name].name} (${changes.join(', ')})` : RULE_SETS[name].name;
+}
@@ -0,0 +1,36 @@
+/**
+ * Swap Rule
+ * Pie rule against the first-move advantage: with the swapRule option on,
+ * player 2 may answer the first move by swapping sides instead of moving.
+ * The players trade seats (names, ratings, skins); the board stays as it is,
+ * so the first dot and its score now belong to whoever swapped. Player 2,
+ * now the player who made the first move, moves next.
+ *
+ * The swap is kept in a game's move history as { player: 2, swap: true } and
+ * written as "swap" after the first move of a game record.
+ */
+
+// Seat that may swap, and the number of moves after which it may
+export const SWAP_PLAYER = 2;
+export const SWAP_AFTER_MOVES = 1;
+
+/**
+ * Why a player may not swap sides now, or null when they may.
+ * game: { ruleOptions, handicap, moveCount, swapped }, moveCount counting
+ * board moves only
+ */
+export function checkSwap({ ruleOptions, handicap = null, moveCount, swapped = false }, player) {
+  if (!ruleOptions?.swapRule) {
+    return 'This game is not played with the swap rule';
+  }
+  if (handicap) {
+    return 'Handicap games have no swap';
+  }
+  if (swapped || moveCount !== SWAP_AFTER_MOVES) {
+    return 'Sides can only be swapped right after the first move';
+  }
+  if (player !== SWAP_PLAYER) {
+    return `Only player ${SWAP_PLAYER} can swap sides`;
+  }
+  return null;
+}
@@ -0,0 +1,48 @@
+/**
+ * Teams
+ * A two-versus-two team game seats four players in two teams: seats 1 and 3
+ * against seats 2 and 4. Seats move in order, so the teams alternate and the
+ * two allies of a team take turns. Allies' dots make one shared boundary when
+ * captures are found (see boardLogic.js), and a team scores the pooled scores
+ * of its players. Teams are numbered by their first seat, so in a team game
+ * the winner is a team number: 1 or 2.
+ */
+
+import { MAX_PLAYERS } from './players.js';
+
+export const TEAM_COUNT = 2;
+export const TEAM_PLAYER_COUNT = MAX_PLAYERS;
+
+/**
+ * Team of a seat: 1 for seats 1 and 3, 2 for seats 2 and 4
+ */
+export function teamOf(playerNum) {
+  return ((playerNum - 1) % TEAM_COUNT) + 1;
+}
+
+/**
+ * Seats of a team, e.g. [1, 3] for team 1
+ */
+export function teamMembers(team) {
+  return [team, team + TEAM_COUNT];
+}
+
+/**
+ * Check that a team game has four players. Throws otherwise.
+ */
+export function checkTeams(teams, playerCount) {
+  if (teams && playerCount !== TEAM_PLAYER_COUNT) {
+    throw new Error(`Team games are for ${TEAM_PLAYER_COUNT} players`);
+  }
+}
+
+/**
+ * Pooled team scores from player scores ({ playerNum: score }): { 1, 2 }
+ */
+export function teamScores(scores) {
+  const pooled = { 1: 0, 2: 0 };
+  for (const [player, score] of Object.entries(scores)) {
+    pooled[teamOf(Number(player))] += score ?? 0;
+  }
+  return pooled;
+}
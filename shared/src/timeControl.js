@@ -0,0 +1,216 @@
+/**
+ * Time Controls
+ * Chess-style clocks for realtime games. Each player has a base time that
+ * runs down on their turns, and on top of it either
+ *
+ *   { type: 'fischer', base, increment }
+ *
+ * which adds increment seconds to the player's clock after each of their
+ * turns, or
+ *
+ *   { type: 'byoyomi', base, periods, period }
+ *
+ * which gives a player out of base time a number of periods of period
+ * seconds each. A turn taken within a period leaves the period whole for the
+ * next turn; a period that runs out is used up. A player out of time loses.
+ * Times in a time control are in seconds.
+ *
+ * A player's clock is { remaining, periods, overtime }: the milliseconds left
+ * of the base time or, in overtime, of the current period, and the byo-yomi
+ * periods left.
+ *
+ * Turn-based games have a time control of their own, in hours:
+ *
+ *   { perMove, reserve }
+ *
+ * Each move is due perMove hours after the turn started. Time taken beyond
+ * that comes out of the player's reserve, reserve hours for the whole game;
+ * a player out of both loses on time.
+ */
+
+export const TIME_CONTROL_TYPES = ['fischer', 'byoyomi'];
+export const MAX_BASE_TIME = 3 * 60 * 60; // s
+export const MAX_INCREMENT = 60; // s
+export const MAX_PERIODS = 10;
+export const MAX_PERIOD = 5 * 60; // s
+export const MAX_ASYNC_MOVE_TIME = 14 * 24; // h
+export const MAX_ASYNC_RESERVE = 30 * 24; // h
+
+export const TIME_CONTROL_PRESETS = {
+  blitz: { type: 'fischer', base: 3 * 60, increment: 2 },
+  rapid: { type: 'fischer', base: 10 * 60, increment: 5 },
+  classical: { type: 'fischer', base: 30 * 60, increment: 20 },
+  byoyomi: { type: 'byoyomi', base: 10 * 60, periods: 3, period: 30 }
+};
+
+export const ASYNC_TIME_CONTROL_PRESETS = {
+  fast: { perMove: 12, reserve: 24 },
+  daily: { perMove: 24, reserve: 3 * 24 },
+  relaxed: { perMove: 3 * 24, reserve: 7 * 24 },
+  weekly: { perMove: 7 * 24, reserve: 0 }
+};
+
+function checkSeconds(value, name, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be between ${min} and ${max} seconds`);
+  }
+}
+
+/**
+ * Validate a time control, given as an object or a preset name. Returns null
+ * for an untimed game; throws on invalid input.
+ */
+export function normalizeTimeControl(timeControl) {
+  if (timeControl === null || timeControl === undefined || timeControl === 'none') {
+    return null;
+  }
+  if (typeof timeControl === 'string') {
+    if (!TIME_CONTROL_PRESETS[timeControl]) {
+      throw new Error(`Time control must be one of ${Object.keys(TIME_CONTROL_PRESETS).join(', ')}`);
+    }
+    return { ...TIME_CONTROL_PRESETS[timeControl] };
+  }
+
+  const { type = 'fischer', base } = timeControl;
+  if (!TIME_CONTROL_TYPES.includes(type)) {
+    throw new Error(`Time control type must be one of ${TIME_CONTROL_TYPES.join(', ')}`);
+  }
+  checkSeconds(base, 'Base time', 1, MAX_BASE_TIME);
+  if (type === 'fischer') {
+    const { increment = 0 } = timeControl;
+    checkSeconds(increment, 'Increment', 0, MAX_INCREMENT);
+    return { type, base, increment };
+  }
+  const { periods, period } = timeControl;
+  if (!Number.isInteger(periods) || periods < 1 || periods > MAX_PERIODS) {
+    throw new Error(`Byo-yomi periods must be between 1 and ${MAX_PERIODS}`);
+  }
+  checkSeconds(period, 'Byo-yomi period', 1, MAX_PERIOD);
+  return { type, base, periods, period };
+}
+
+function formatSeconds(seconds) {
+  if (seconds % 60 !== 0) return `${seconds}s`;
+  return `${seconds / 60} min`;
+}
+
+/**
+ * Short human readable description, e.g. "3 min + 2s" or "10 min + 3×30s",
+ * or "No clock" for an untimed game
+ */
+export function describeTimeControl(timeControl) {
+  if (!timeControl) return 'No clock';
+  if (timeControl.type === 'fischer') {
+    return `${formatSeconds(timeControl.base)} + ${timeControl.increment}s`;
+  }
+  return `${formatSeconds(timeControl.base)} + ${timeControl.periods}×${timeControl.period}s`;
+}
+
+/**
+ * Stable string identifying a time control, for comparisons
+ */
+export function timeControlKey(timeControl) {
+  const tc = normalizeTimeControl(timeControl);
+  if (!tc) return 'none';
+  return tc.type === 'fischer'
+    ? `fischer:${tc.base}+${tc.increment}`
+    : `byoyomi:${tc.base}+${tc.periods}x${tc.period}`;
+}
+
+/**
+ * A player's clock at the start of a game
+ */
+export function startingClock(timeControl) {
+  return {
+    remaining: timeControl.base * 1000,
+    periods: timeControl.type === 'byoyomi' ? timeControl.periods : 0,
+    overtime: false
+  };
+}
+
+/**
+ * A clock after running for elapsed milliseconds. Runs into the byo-yomi
+ * periods after the base time; the time left is 0 or less once out of time.
+ */
+export function spendTime(clock, elapsed, timeControl) {
+  let { remaining, periods, overtime } = clock;
+  remaining -= elapsed;
+  while (remaining <= 0 && timeControl.type === 'byoyomi') {
+    if (overtime) periods--;
+    if (periods <= 0) break;
+    overtime = true;
+    remaining += timeControl.period * 1000;
+  }
+  return { remaining, periods: Math.max(0, periods), overtime };
+}
+
+/**
+ * A clock after its player completed a turn: the Fischer increment is added,
+ * or a byo-yomi period starts over
+ */
+export function completeTurn(clock, timeControl) {
+  if (timeControl.type === 'fischer') {
+    return { ...clock, remaining: clock.remaining + timeControl.increment * 1000 };
+  }
+  return clock.overtime ? { ...clock, remaining: timeControl.period * 1000 } : { ...clock };
+}
+
+/**
+ * Milliseconds a running clock has left before its player is out of time,
+ * counting the byo-yomi periods still to come
+ */
+export function timeUntilFlag(clock, timeControl) {
+  if (timeControl.type !== 'byoyomi') return Math.max(0, clock.remaining);
+  const periodsToCome = Math.max(0, clock.overtime ? clock.periods - 1 : clock.periods);
+  return Math.max(0, clock.remaining + periodsToCome * timeControl.period * 1000);
+}
+
+export function isOutOfTime(clock, timeControl) {
+  return timeUntilFlag(clock, timeControl) <= 0;
+}
+
+/**
+ * Validate a turn-based time control, given as an object or a preset name.
+ * Returns null when none is given or 'default', for the game's default;
+ * throws on invalid input.
+ */
+export function normalizeAsyncTimeControl(timeControl) {
+  if (timeControl === null || timeControl === undefined || timeControl === 'default') {
+    return null;
+  }
+  if (typeof timeControl === 'string') {
+    if (!ASYNC_TIME_CONTROL_PRESETS[timeControl]) {
+      throw new Error(`Turn-based time control must be one of ${Object.keys(ASYNC_TIME_CONTROL_PRESETS).join(', ')}`);
+    }
+    return { ...ASYNC_TIME_CONTROL_PRESETS[timeControl] };
+  }
+  const { perMove, reserve = 0 } = timeControl;
+  if (!Number.isInteger(perMove) || perMove < 1 || perMove > MAX_ASYNC_MOVE_TIME) {
+    throw new Error(`Time per move must be between 1 and ${MAX_ASYNC_MOVE_TIME} hours`);
+  }
+  if (!Number.isInteger(reserve) || reserve < 0 || reserve > MAX_ASYNC_RESERVE) {
+    throw new Error(`Reserve must be between 0 and ${MAX_ASYNC_RESERVE} hours`);
+  }
+  return { perMove, reserve };
+}
+
+function formatHours(hours) {
+  const [count, unit] = hours % 24 === 0 ? [hours / 24, 'day'] : [hours, 'hour'];
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Short human readable description, e.g. "1 day per move + 3 days reserve"
+ */
+export function describeAsyncTimeControl({ perMove, reserve }) {
+  const perMoveText = `${formatHours(perMove)} per move`;
+  return reserve > 0 ? `${perMoveText} + ${formatHours(reserve)} reserve` : perMoveText;
+}
+
+/**
+ * Stable string identifying a turn-based time control, for comparisons
+ */
+export function asyncTimeControlKey(timeControl) {
+  const tc = normalizeAsyncTimeControl(timeControl);
+  return tc ? `${tc.perMove}+${tc.reserve}` : 'default';
+}
@@ -0,0 +1,75 @@
+/**
+ * Computer Opponent Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { AI_LEVELS, BoardLogic, chooseAiMove, normalizeAiLevel, suggestMoves } from '../src/index.js';
+
+// Player 2's dot at 2,2 walled in by player 1 on three sides
+function captureInOne() {
+  const board = new BoardLogic(5);
+  board.occupyDot(2, 2, 2);
+  board.occupyDot(2, 1, 1);
+  board.occupyDot(1, 2, 1);
+  board.occupyDot(3, 2, 1);
+  return board;
+}
+
+describe('computer opponent', () => {
+  it('should only accept known levels', () => {
+    assert.strictEqual(normalizeAiLevel(), 'medium');
+    assert.strictEqual(normalizeAiLevel('hard'), 'hard');
+    assert.throws(() => normalizeAiLevel('godlike'), /AI level must be one of easy, medium, hard, expert/);
+  });
+
+  it('should play a free dot at every level', () => {
+    const board = new BoardLogic(4);
+    board.occupyDot(1, 1, 1);
+    for (const level of AI_LEVELS) {
+      const { x, y } = chooseAiMove(board, 2, { level, timeLimit: 50 });
+      assert.strictEqual(board.isDotClickable(x, y), true);
+    }
+  });
+
+  it('should return null when no dot is left', () => {
+    const board = new BoardLogic(2);
+    board.occupyDot(0, 0, 1);
+    board.occupyDot(1, 0, 2);
+    board.occupyDot(0, 1, 1);
+    board.occupyDot(1, 1, 2);
+    assert.strictEqual(chooseAiMove(board, 1), null);
+  });
+
+  it('should take a capture on offer', () => {
+    for (const level of ['medium', 'hard']) {
+      assert.deepStrictEqual(chooseAiMove(captureInOne(), 1, { level }), { x: 2, y: 3 });
+    }
+    assert.deepStrictEqual(chooseAiMove(captureInOne(), 1, { level: 'easy', random: () => 0 }), { x: 2, y: 3 });
+  });
+
+  it('should block the opponent\'s capture', () => {
+    for (const level of ['medium', 'hard']) {
+      assert.deepStrictEqual(chooseAiMove(captureInOne(), 2, { level }), { x: 2, y: 3 });
+    }
+  });
+
+  it('should leave the board as it was', () => {
+    const board = captureInOne();
+    const before = JSON.stringify(board.serialize());
+    chooseAiMove(board, 2, { level: 'hard' });
+    assert.strictEqual(JSON.stringify(board.serialize()), before);
+  });
+
+  it('should suggest the best moves with what they capture', () => {
+    const board = captureInOne();
+    const before = JSON.stringify(board.serialize());
+    const hints = suggestMoves(board, 1);
+
+    assert.strictEqual(hints.length, 3);
+    assert.deepStrictEqual(hints[0], { ...hints[0], x: 2, y: 3, captures: 1 });
+    assert.ok(hints.every(({ value }, i) => i === 0 || value <= hints[i - 1].value));
+    assert.strictEqual(suggestMoves(board, 1, { count: 1 }).length, 1);
+    assert.strictEqual(JSON.stringify(board.serialize()), before);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Game Analysis Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { analyzeGame, parseGameRecord, BLUNDER_LOSS } from '../src/index.js';
+
+// Small deterministic PRNG so analyses repeat
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Player 1 walls in player 2's dot at 2,2 on three sides, then plays lastMove
+function recordWith(lastMove) {
+  return `[Board "5x5"]\n[Result "*"]\n\n1. 2,1 2,2 2. 1,2 0,0 3. 3,2 4,4 4. ${lastMove}\n`;
+}
+
+const options = { playouts: 1500, timeLimit: null };
+
+describe('analyzeGame', () => {
+  it('should report every move with the scores after it', () => {
+    const report = analyzeGame(recordWith('2,3'), { ...options, random: createRandom(1) });
+
+    assert.deepStrictEqual(report.scores, { 1: 0, 2: 0 });
+    assert.strictEqual(report.moves.length, 7);
+    assert.deepStrictEqual(report.moves.map(({ player }) => player), [1, 2, 1, 2, 1, 2, 1]);
+    const last = report.moves[6];
+    assert.deepStrictEqual([last.x, last.y], [2, 3]);
+    assert.ok(last.scores[1] > report.moves[5].scores[1], 'the last move captures');
+    for (const move of report.moves) {
+      assert.ok(move.before >= move.after);
+      assert.ok(Math.abs(move.loss - (move.before - move.after)) < 0.11, 'loss is rounded on its own');
+      assert.strictEqual(move.blunder, move.loss >= BLUNDER_LOSS);
+    }
+    for (const num of [1, 2]) {
+      assert.strictEqual(report.blunders[num], report.moves.filter(move => move.blunder && move.player === num).length);
+    }
+  });
+
+  it('should find that missing a capture loses points', () => {
+    const taken = analyzeGame(recordWith('2,3'), { ...options, random: createRandom(2) }).moves[6];
+    const missed = analyzeGame(parseGameRecord(recordWith('0,4')), { ...options, random: createRandom(2) }).moves[6];
+
+    assert.deepStrictEqual(missed.best, { x: 2, y: 3 });
+    assert.ok(missed.loss > taken.loss);
+    assert.ok(missed.after < taken.after);
+  });
+
+  it('should reject a move that is not legal', () => {
+    assert.throws(() => analyzeGame(recordWith('2,2'), options), /move 7 at 2,2 is not legal/);
+  });
+});
@@ -0,0 +1,958 @@
+/**
+ * Board Logic Tests
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { BoardLogic } from '../src/index.js';
+
+describe('BoardLogic', () => {
+  let board;
+
+  beforeEach(() => {
+    board = new BoardLogic(5);
+  });
+
+  describe('initialization', () => {
+    it('should create a 5x5 grid of dots', () => {
+      assert.strictEqual(board.dots.size, 25);
+    });
+
+    it('should start with no captured areas', () => {
+      assert.strictEqual(board.capturedAreas.length, 0);
+    });
+
+    it('should have all dots unowned and uncaptured', () => {
+      for (const [, dot] of board.dots) {
+        assert.strictEqual(dot.owner, null);
+        assert.strictEqual(dot.captured, false);
+      }
+    });
+  });
+
+  describe('dot access', () => {
+    it('should get dot at valid position', () => {
+      const dot = board.getDot(2, 3);
+      assert.strictEqual(dot.x, 2);
+      assert.strictEqual(dot.y, 3);
+    });
+
+    it('should return undefined for invalid position', () => {
+      const dot = board.getDot(10, 10);
+      assert.strictEqual(dot, undefined);
+    });
+  });
+
+  describe('dot clickability', () => {
+    it('should return true for unowned uncaptured dots', () => {
+      assert.strictEqual(board.isDotClickable(2, 2), true);
+    });
+
+    it('should return false for owned dots', () => {
+      board.occupyDot(2, 2, 1);
+      assert.strictEqual(board.isDotClickable(2, 2), false);
+    });
+
+    it('should return false for out of bounds', () => {
+      assert.strictEqual(board.isDotClickable(-1, 0), false);
+      assert.strictEqual(board.isDotClickable(5, 0), false);
+    });
+  });
+
+  describe('dot occupation', () => {
+    it('should successfully occupy an unowned dot', () => {
+      const result = board.occupyDot(2, 2, 1);
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(board.getDot(2, 2).owner, 1);
+    });
+
+    it('should fail to occupy an already owned dot', () => {
+      board.occupyDot(2, 2, 1);
+      const result = board.occupyDot(2, 2, 2);
+      assert.strictEqual(result.success, false);
+    });
+
+    it('should return captured dots on successful occupation', () => {
+      const result = board.occupyDot(2, 2, 1);
+      assert.ok(Array.isArray(result.capturedDots));
+    });
+  });
+
+  describe('territory capture (enclosure)', () => {
+    it('should capture enclosed dots when surrounded', () => {
+      // Create a 3x3 enclosure pattern
+      // Player 1 surrounds dot (2,2) with dots at cardinal directions
+      board.occupyDot(1, 2, 1); // left
+      board.occupyDot(3, 2, 1); // right  
+      board.occupyDot(2, 1, 1); // top
+      const result = board.occupyDot(2, 3, 1); // bottom - completes enclosure
+      
+      // The center dot (2,2) should now be captured
+      const centerDot = board.getDot(2, 2);
+      assert.strictEqual(centerDot.captured, true);
+      assert.strictEqual(centerDot.capturedBy, 1);
+    });
+
+    it('should not capture dots touching the border', () => {
+      // Try to enclose corner area
+      board.occupyDot(1, 0, 1); // top edge
+      board.occupyDot(0, 1, 1); // left edge
+      
+      // Corner dot (0,0) touches the border, should not be captured
+      const cornerDot = board.getDot(0, 0);
+      assert.strictEqual(cornerDot.captured, false);
+    });
+
+    it('should capture opponent dots when fully enclosed', () => {
+      // Place opponent dot inside potential enclosure
+      board.occupyDot(2, 2, 2); // opponent in center
+      
+      // Enclose with player 1
+      board.occupyDot(1, 2, 1);
+      board.occupyDot(3, 2, 1);
+      board.occupyDot(2, 1, 1);
+      board.occupyDot(2, 3, 1);
+      
+      // The opponent dot should be captured
+      const opponentDot = board.getDot(2, 2);
+      assert.strictEqual(opponentDot.captured, true, 'Opponent dot should be captured');
+      assert.strictEqual(opponentDot.capturedBy, 1, 'Opponent dot should be captured by player 1');
+      assert.strictEqual(opponentDot.owner, null, 'Opponent dot ownership should be removed');
+    });
+
+    it('should report dots lost by each enemy player', () => {
+      board.occupyDot(2, 2, 2);
+      board.occupyDot(1, 2, 1);
+      board.occupyDot(3, 2, 1);
+      board.occupyDot(2, 1, 1);
+      const result = board.occupyDot(2, 3, 1);
+
+      assert.strictEqual(result.lostByPlayers.get(2), 1);
+    });
+  });
+
+  describe('preview capture', () => {
+    it('should preview captured dots correctly', () => {
+      // Set up almost-enclosure
+      board.occupyDot(1, 2, 1);
+      board.occupyDot(3, 2, 1);
+      board.occupyDot(2, 1, 1);
+      
+      // Preview what happens if we complete the enclosure
+      const preview = board.previewCapture(2, 3, 1);
+      
+      // Should preview capture of (2,2)
+      assert.ok(preview.length > 0);
+      
+      // The dot should still be unoccupied after preview
+      assert.strictEqual(board.getDot(2, 3).owner, null);
+    });
+
+    it('should return empty array for invalid move', () => {
+      board.occupyDot(2, 2, 1);
+      const preview = board.previewCapture(2, 2, 2);
+      assert.strictEqual(preview.length, 0);
+    });
+
+    it('should list every dot where a player could capture next', () => {
+      board.occupyDot(1, 2, 1);
+      board.occupyDot(3, 2, 1);
+      board.occupyDot(2, 1, 1);
+      board.occupyDot(2, 2, 2);
+
+      assert.deepStrictEqual(board.captureThreats(1), [
+        { x: 2, y: 3, captures: board.previewCapture(2, 3, 1).length }
+      ]);
+      assert.deepStrictEqual(board.captureThreats(2), []);
+    });
+  });
+
+  describe('game over detection', () => {
+    it('should return false when clickable dots remain', () => {
+      assert.strictEqual(board.isGameOver(), false);
+    });
+
+    it('should return true when no clickable dots remain', () => {
+      // Fill entire 2x2 grid
+      const smallBoard = new BoardLogic(2);
+      smallBoard.occupyDot(0, 0, 1);
+      smallBoard.occupyDot(1, 0, 2);
+      smallBoard.occupyDot(0, 1, 1);
+      smallBoard.occupyDot(1, 1, 2);
+      
+      assert.strictEqual(smallBoard.isGameOver(), true);
+    });
+  });
+
+  describe('score calculation', () => {
+    it('should calculate score correctly', () => {
+      board.occupyDot(0, 0, 1);
+      board.occupyDot(1, 1, 1);
+      
+      const score = board.calculateScore(1);
+      assert.strictEqual(score, 2);
+    });
+
+    it('should include captured dots in score', () => {
+      // Create enclosure
+      board.occupyDot(1, 2, 1);
+      board.occupyDot(3, 2, 1);
+      board.occupyDot(2, 1, 1);
+      board.occupyDot(2, 3, 1);
+      
+      const score = board.calculateScore(1);
+      // 4 owned dots + captured dots
+      assert.ok(score >= 4);
+    });
+  });
+
+  describe('serialization', () => {
+    it('should serialize and deserialize correctly', () => {
+      board.occupyDot(0, 0, 1);
+      board.occupyDot(1, 1, 2);
+      
+      const serialized = board.serialize();
+      
+      const newBoard = new BoardLogic(5);
+      newBoard.deserialize(serialized);
+      
+      assert.strictEqual(newBoard.dots.size, board.dots.size);
+      assert.deepStrictEqual(newBoard.getShape(), board.getShape());
+    });
+
+    it('should restore the shape of a rectangular masked board', () => {
+      const shaped = new BoardLogic({ width: 7, height: 5, mask: 'cross' });
+      shaped.occupyDot(3, 2, 1);
+
+      const newBoard = new BoardLogic(5);
+      newBoard.deserialize(JSON.parse(JSON.stringify(shaped.serialize())));
+
+      assert.deepStrictEqual(newBoard.getShape(), shaped.getShape());
+      assert.strictEqual(newBoard.getDot(0, 0), undefined);
+      assert.strictEqual(newBoard.getDot(3, 2).owner, 1);
+    });
+
+    it('should read records that only have a gridSize', () => {
+      const newBoard = new BoardLogic();
+      newBoard.deserialize({ gridSize: 3, dots: new BoardLogic(3).serialize().dots });
+
+      assert.strictEqual(newBoard.width, 3);
+      assert.strictEqual(newBoard.height, 3);
+      assert.strictEqual(newBoard.mask, null);
+    });
+  });
+
+  describe('reset', () => {
+    it('should clear all dot ownership and captures', () => {
+      board.occupyDot(0, 0, 1);
+      board.occupyDot(1, 1, 2);
+      
+      board.reset();
+      
+      assert.strictEqual(board.capturedAreas.length, 0);
+      for (const [, dot] of board.dots) {
+        assert.strictEqual(dot.owner, null);
+        assert.strictEqual(dot.captured, false);
+      }
+    });
+  });
+});
+
+describe('Board shapes', () => {
+  it('should create a rectangular board', () => {
+    const board = new BoardLogic({ width: 6, height: 3 });
+
+    assert.strictEqual(board.dots.size, 18);
+    assert.ok(board.getDot(5, 2));
+    assert.strictEqual(board.getDot(2, 5), undefined);
+    assert.strictEqual(board.isDotClickable(2, 5), false);
+  });
+
+  it('should capture on a rectangular board', () => {
+    const board = new BoardLogic({ width: 7, height: 4 });
+    board.occupyDot(4, 1, 1);
+    board.occupyDot(6, 1, 1);
+    board.occupyDot(5, 0, 1);
+    const result = board.occupyDot(5, 2, 1);
+
+    assert.deepStrictEqual(result.capturedDots, [{ x: 5, y: 1 }]);
+  });
+
+  it('should leave holes out of the board', () => {
+    const board = new BoardLogic({
+      width: 3,
+      height: 3,
+      mask: [
+        '...',
+        '.#.',
+        '...'
+      ]
+    });
+
+    assert.strictEqual(board.dots.size, 8);
+    assert.strictEqual(board.isWithinBounds(1, 1), false);
+    assert.strictEqual(board.isDotClickable(1, 1), false);
+    assert.strictEqual(board.occupyDot(1, 1, 1).success, false);
+  });
+
+  it('should treat dots next to a hole as border', () => {
+    const board = new BoardLogic({
+      width: 7,
+      height: 7,
+      mask: [
+        '.......',
+        '.......',
+        '.......',
+        '...#...',
+        '.......',
+        '.......',
+        '.......'
+      ]
+    });
+
+    assert.strictEqual(board.isBorderPosition(3, 2), true);
+    assert.strictEqual(board.isBorderPosition(2, 2), false);
+
+    // A ring around the hole does not capture the dots next to it
+    for (const [x, y] of [[2, 1], [3, 1], [4, 1], [1, 2], [5, 2], [1, 3], [5, 3], [1, 4], [5, 4], [2, 5], [3, 5]]) {
+      board.occupyDot(x, y, 1);
+    }
+    const result = board.occupyDot(4, 5, 1);
+
+    assert.deepStrictEqual(result.capturedDots, []);
+    assert.strictEqual(board.getDot(3, 2).captured, false);
+  });
+
+  it('should not count holes as clickable when checking game over', () => {
+    const board = new BoardLogic({ width: 2, height: 2, mask: ['..', '#.'] });
+    board.occupyDot(0, 0, 1);
+    board.occupyDot(1, 0, 2);
+    assert.strictEqual(board.isGameOver(), false);
+    board.occupyDot(1, 1, 1);
+    assert.strictEqual(board.isGameOver(), true);
+  });
+});
+
+describe('Board layouts', () => {
+  const BLOCKED_CENTER = {
+    width: 5,
+    height: 5,
+    mask: [
+      '.....',
+      '.....',
+      '..x..',
+      '.....',
+      '.....'
+    ]
+  };
+
+  it('should keep blocked dots on the board but out of play', () => {
+    const board = new BoardLogic(BLOCKED_CENTER);
+
+    assert.strictEqual(board.dots.size, 25);
+    assert.strictEqual(board.isWithinBounds(2, 2), true);
+    assert.strictEqual(board.isDotClickable(2, 2), false);
+    assert.strictEqual(board.occupyDot(2, 2, 1).success, false);
+    assert.strictEqual(board.previewCapture(2, 2, 1).length, 0);
+    assert.ok(!board.getClickableDots().some(dot => dot.x === 2 && dot.y === 2));
+  });
+
+  it('should enclose a blocked dot like an empty one', () => {
+    const board = new BoardLogic(BLOCKED_CENTER);
+    board.occupyDot(2, 1, 1);
+    board.occupyDot(1, 2, 1);
+    board.occupyDot(3, 2, 1);
+    const result = board.occupyDot(2, 3, 1);
+
+    assert.deepStrictEqual(result.capturedDots, [{ x: 2, y: 2 }]);
+    assert.strictEqual(board.getDot(2, 2).blocked, true);
+  });
+
+  it('should end the game when only blocked dots are left', () => {
+    const board = new BoardLogic({ width: 2, height: 2, mask: ['..', 'x.'] });
+    board.occupyDot(0, 0, 1);
+    board.occupyDot(1, 0, 2);
+    board.occupyDot(1, 1, 1);
+    assert.strictEqual(board.isGameOver(), true);
+  });
+
+  it('should place the starting dots before the first move', () => {
+    const board = new BoardLogic({ width: 6, height: 6, start: 'cross' });
+
+    assert.strictEqual(board.getDot(2, 2).owner, 1);
+    assert.strictEqual(board.getDot(3, 3).owner, 1);
+    assert.strictEqual(board.getDot(3, 2).owner, 2);
+    assert.strictEqual(board.getDot(2, 3).owner, 2);
+    assert.strictEqual(board.isDotClickable(2, 2), false);
+    assert.strictEqual(board.getMoveHistory().length, 0);
+    assert.strictEqual(board.calculateScore(1), 2);
+  });
+
+  it('should capture with the starting dots', () => {
+    const board = new BoardLogic({ width: 5, height: 5, start: [{ x: 2, y: 1, player: 1 }, { x: 2, y: 2, player: 2 }] });
+    board.occupyDot(1, 2, 1);
+    board.occupyDot(3, 2, 1);
+    const result = board.occupyDot(2, 3, 1);
+
+    assert.deepStrictEqual(result.capturedDots, [{ x: 2, y: 2 }]);
+  });
+
+  it('should keep the starting dots through undo, reset and serialization', () => {
+    const board = new BoardLogic({ width: 6, height: 6, start: 'cross' });
+    board.occupyDot(0, 0, 1);
+    board.undo();
+    assert.strictEqual(board.canUndo(), false);
+    assert.strictEqual(board.getDot(2, 2).owner, 1);
+
+    board.occupyDot(0, 0, 1);
+    const restored = new BoardLogic();
+    restored.deserialize(JSON.parse(JSON.stringify(board.serialize())));
+    assert.deepStrictEqual(restored.getShape(), board.getShape());
+    assert.strictEqual(restored.getDot(0, 0).owner, 1);
+
+    board.reset();
+    assert.strictEqual(board.getDot(0, 0).owner, null);
+    assert.strictEqual(board.getDot(3, 2).owner, 2);
+  });
+});
+
+describe('Classic rule set', () => {
+  // Player 1 diamond around (2,2): joined diagonally only
+  function surroundCenter(board) {
+    board.occupyDot(2, 1, 1);
+    board.occupyDot(1, 2, 1);
+    board.occupyDot(3, 2, 1);
+    return board.occupyDot(2, 3, 1);
+  }
+
+  it('should default to territory rules', () => {
+    assert.strictEqual(new BoardLogic(5).ruleSet, 'territory');
+  });
+
+  it('should reject an unknown rule set', () => {
+    assert.throws(() => new BoardLogic(5, 'go'), /Unknown rule set/);
+  });
+
+  it('should not capture an empty enclosure', () => {
+    const board = new BoardLogic(5, 'classic');
+    const result = surroundCenter(board);
+
+    assert.deepStrictEqual(result.capturedDots, []);
+    assert.strictEqual(board.isDotClickable(2, 2), true);
+    assert.strictEqual(board.calculateScore(1), 0);
+  });
+
+  it('should capture an enemy dot enclosed by a diagonal chain', () => {
+    const board = new BoardLogic(5, 'classic');
+    board.occupyDot(2, 2, 2);
+    const result = surroundCenter(board);
+
+    assert.deepStrictEqual(result.capturedDots, [{ x: 2, y: 2 }]);
+    assert.strictEqual(board.getDot(2, 2).capturedFrom, 2);
+    assert.strictEqual(board.calculateScore(1), 1);
+    assert.strictEqual(board.calculateScore(2), 0);
+  });
+
+  it('should capture a dot placed inside an empty enclosure on the next move', () => {
+    const board = new BoardLogic(5, 'classic');
+    surroundCenter(board);
+
+    board.occupyDot(2, 2, 2);
+    assert.strictEqual(board.getDot(2, 2).owner, 2);
+
+    const result = board.occupyDot(0, 0, 1);
+    assert.deepStrictEqual(result.capturedDots, [{ x: 2, y: 2 }]);
+    assert.strictEqual(board.calculateScore(1), 1);
+  });
+
+  it('should take empty dots along with the enemy dot but only score the enemy dot', () => {
+    const board = new BoardLogic(6, 'classic');
+    board.occupyDot(2, 2, 2);
+    for (const [x, y] of [[2, 1], [3, 1], [1, 2], [4, 2], [2, 3], [3, 3]]) {
+      board.occupyDot(x, y, 1);
+    }
+
+    assert.strictEqual(board.getDot(3, 2).captured, true);
+    assert.strictEqual(board.isDotClickable(3, 2), false);
+    assert.strictEqual(board.calculateScore(1), 1);
+  });
+
+  it('should preview only scoring enclosures', () => {
+    const board = new BoardLogic(5, 'classic');
+    board.occupyDot(2, 1, 1);
+    board.occupyDot(1, 2, 1);
+    board.occupyDot(3, 2, 1);
+
+    assert.deepStrictEqual(board.previewCapture(2, 3, 1), []);
+    board.occupyDot(2, 2, 2);
+    assert.deepStrictEqual(board.previewCapture(2, 3, 1), [{ x: 2, y: 2 }]);
+  });
+
+  it('should keep the rule set when serialized', () => {
+    const board = new BoardLogic(5, 'classic');
+    const restored = new BoardLogic(5);
+    restored.deserialize(JSON.parse(JSON.stringify(board.serialize())));
+
+    assert.strictEqual(restored.ruleSet, 'classic');
+  });
+});
+
+describe('Rule options', () => {
+  // Player 2 dot at (2,2) surrounded by player 1
+  function captureCenter(board) {
+    board.occupyDot(2, 2, 2);
+    for (const [x, y] of [[2, 1], [1, 2], [3, 2], [2, 3]]) {
+      board.occupyDot(x, y, 1);
+    }
+  }
+
+  it('should resolve the rule set options', () => {
+    const board = new BoardLogic(5, 'classic', { enemyDotValue: 2 });
+
+    assert.strictEqual(board.ruleOptions.captureEmptyAreas, false);
+    assert.strictEqual(board.ruleOptions.enemyDotValue, 2);
+  });
+
+  it('should not capture against the border by default', () => {
+    const board = new BoardLogic(5);
+    board.occupyDot(1, 0, 1);
+
+    assert.deepStrictEqual(board.occupyDot(0, 1, 1).capturedDots, []);
+  });
+
+  it('should capture a corner cut off against the border', () => {
+    const board = new BoardLogic(5, 'territory', { borderCapture: true });
+    assert.deepStrictEqual(board.occupyDot(1, 0, 1).capturedDots, []);
+
+    const result = board.occupyDot(0, 1, 1);
+
+    assert.deepStrictEqual(result.capturedDots, [{ x: 0, y: 0 }]);
+    assert.strictEqual(board.calculateScore(1), 3);
+  });
+
+  it('should capture the smaller side of a wall across the board', () => {
+    const board = new BoardLogic(4, 'territory', { borderCapture: true });
+    board.occupyDot(1, 0, 1);
+    board.occupyDot(1, 1, 1);
+    board.occupyDot(1, 2, 1);
+    const result = board.occupyDot(1, 3, 1);
+
+    assert.strictEqual(result.capturedDots.length, 4);
+    assert.ok(result.capturedDots.every(dot => dot.x === 0));
+    assert.strictEqual(board.isDotClickable(3, 3), true);
+  });
+
+  it('should capture a dot played into an empty area cut off against the border', () => {
+    const board = new BoardLogic(5, 'classic', { borderCapture: true });
+    board.occupyDot(1, 0, 1);
+    assert.deepStrictEqual(board.occupyDot(0, 1, 1).capturedDots, []);
+
+    board.occupyDot(0, 0, 2);
+    const result = board.occupyDot(4, 4, 1);
+
+    assert.deepStrictEqual(result.capturedDots, [{ x: 0, y: 0 }]);
+    assert.strictEqual(board.calculateScore(1), 1);
+  });
+
+  it('should count captured enemy dots double', () => {
+    const board = new BoardLogic(5, 'territory', { enemyDotValue: 2 });
+    captureCenter(board);
+
+    assert.strictEqual(board.calculateScore(1), 6);
+    assert.strictEqual(board.calculateScore(2), 0);
+  });
+
+  it('should score only captures with territory-only scoring', () => {
+    const board = new BoardLogic(5, 'territory', { scoreOwnedDots: false });
+    captureCenter(board);
+    board.occupyDot(0, 0, 2);
+
+    assert.strictEqual(board.calculateScore(1), 1);
+    assert.strictEqual(board.calculateScore(2), 0);
+  });
+
+  it('should keep the options when serialized', () => {
+    const board = new BoardLogic(5, 'classic', { borderCapture: true });
+    const restored = new BoardLogic(5);
+    restored.deserialize(JSON.parse(JSON.stringify(board.serialize())));
+
+    assert.deepStrictEqual(restored.ruleOptions, board.ruleOptions);
+  });
+});
+
+describe('Torus', () => {
+  // Player 2's corner dot walled in by player 1 across both edges
+  function wallInCorner(board) {
+    board.occupyDot(0, 0, 2);
+    board.occupyDot(1, 0, 1);
+    board.occupyDot(4, 0, 1);
+    board.occupyDot(0, 1, 1);
+    return board.occupyDot(0, 4, 1);
+  }
+
+  it('should wrap neighbors around the edges', () => {
+    const board = new BoardLogic(5, 'territory', { torus: true });
+
+    assert.deepStrictEqual(board.getOrthogonalNeighbors(0, 0), [{ x: 0, y: 4 }, { x: 0, y: 1 }, { x: 4, y: 0 }, { x: 1, y: 0 }]);
+    assert.strictEqual(board.getAdjacentPositions(4, 4).length, 8);
+    assert.strictEqual(board.isBorderPosition(0, 0), false);
+    assert.deepStrictEqual(board.wrapPosition(-1, 5), { x: 4, y: 0 });
+  });
+
+  it('should capture a dot enclosed across the edges', () => {
+    const result = wallInCorner(new BoardLogic(5, 'classic', { torus: true }));
+    assert.deepStrictEqual(result.capturedDots, [{ x: 0, y: 0 }]);
+    assert.strictEqual(wallInCorner(new BoardLogic(5, 'classic')).capturedDots.length, 0);
+  });
+
+  it('should never capture the open board', () => {
+    const board = new BoardLogic(5, 'territory', { torus: true });
+    // One line around the torus does not cut it in two
+    for (let x = 0; x < 5; x++) {
+      assert.deepStrictEqual(board.occupyDot(x, 2, 1).capturedDots, []);
+    }
+
+    // A second line does: the smaller band between them is captured
+    for (let x = 0; x < 4; x++) board.occupyDot(x, 4, 1);
+    const result = board.occupyDot(4, 4, 1);
+
+    assert.strictEqual(result.capturedDots.length, 5);
+    assert.ok(result.capturedDots.every(dot => dot.y === 3));
+    assert.strictEqual(board.isDotClickable(0, 0), true);
+  });
+
+  it('should keep wrapping after undo and deserialize', () => {
+    const board = new BoardLogic(5, 'classic', { torus: true });
+    wallInCorner(board);
+    board.undo();
+
+    const copy = new BoardLogic(5);
+    copy.deserialize(JSON.parse(JSON.stringify(board.serialize())));
+    assert.deepStrictEqual(copy.occupyDot(0, 4, 1).capturedDots, [{ x: 0, y: 0 }]);
+  });
+});
+
+describe('Settled outcome', () => {
+  function play(board, moves) {
+    for (const [x, y, player] of moves) board.occupyDot(x, y, player);
+    return board;
+  }
+
+  // Player 2's center dot captured by player 1; only the corners are left
+  const CENTER_CAPTURED = [[1, 1, 2], [1, 0, 1], [0, 1, 1], [2, 1, 1], [1, 2, 1]];
+
+  it('should see captures while a free dot can still be walled in', () => {
+    const board = new BoardLogic(5);
+    assert.strictEqual(board.canCapture(1), true);
+    assert.strictEqual(board.isOutcomeSettled([1, 2]), false);
+  });
+
+  it('should see no captures once every open area reaches the border', () => {
+    const board = play(new BoardLogic(3, 'classic'), [[1, 1, 1], [0, 0, 2]]);
+    // Player 1's center dot can still be surrounded
+    assert.strictEqual(board.canCapture(2), true);
+
+    board.occupyDot(1, 0, 1);
+    assert.strictEqual(board.canCapture(1), false);
+    assert.strictEqual(board.canCapture(2), false);
+    // Nothing scores any more under classic rules: a settled draw
+    assert.strictEqual(board.isOutcomeSettled([1, 2]), true);
+  });
+
+  it('should only settle when the free dots cannot change the winner', () => {
+    const close = play(new BoardLogic(3), [[1, 1, 1], [0, 0, 2], [1, 0, 1]]);
+    assert.strictEqual(close.isOutcomeSettled([1, 2]), false);
+
+    // 5 to 0 with four free dots left
+    const decided = play(new BoardLogic(3), CENTER_CAPTURED);
+    assert.strictEqual(decided.canCapture(2), false);
+    assert.strictEqual(decided.isOutcomeSettled([1, 2]), true);
+    assert.strictEqual(play(new BoardLogic(3, 'classic'), CENTER_CAPTURED).isOutcomeSettled([1, 2]), true);
+  });
+
+  it('should keep captures possible on a torus while dots are free', () => {
+    const board = play(new BoardLogic(3, 'territory', { torus: true }), CENTER_CAPTURED);
+    assert.strictEqual(board.canCapture(2), true);
+  });
+});
+
+describe('Undo', () => {
+  // Player 2 dot at (2,2) captured when player 1 closes the enclosure
+  const ENCLOSURE_MOVES = [
+    [1, 2, 1], [2, 2, 2], [3, 2, 1], [0, 0, 2], [2, 1, 1], [4, 4, 2], [2, 3, 1]
+  ];
+
+  function snapshot(board) {
+    const { dots, capturedAreas } = JSON.parse(JSON.stringify(board.serialize()));
+    return { dots, capturedAreas, scores: [board.calculateScore(1), board.calculateScore(2)] };
+  }
+
+  it('should restore the board from before a capturing move', () => {
+    const board = new BoardLogic(5);
+    for (const [x, y, player] of ENCLOSURE_MOVES.slice(0, -1)) {
+      board.occupyDot(x, y, player);
+    }
+    const before = snapshot(board);
+
+    board.occupyDot(2, 3, 1);
+    assert.strictEqual(board.getDot(2, 2).capturedFrom, 2);
+
+    const result = board.undo();
+    assert.deepStrictEqual(result, { success: true, move: { x: 2, y: 3, player: 1 } });
+    assert.deepStrictEqual(snapshot(board), before);
+    assert.strictEqual(board.getDot(2, 2).owner, 2);
+    assert.strictEqual(board.isDotClickable(2, 3), true);
+  });
+
+  it('should capture again when the undone move is replayed', () => {
+    const board = new BoardLogic(5);
+    for (const [x, y, player] of ENCLOSURE_MOVES) {
+      board.occupyDot(x, y, player);
+    }
+    const after = snapshot(board);
+
+    board.undo();
+    const result = board.occupyDot(2, 3, 1);
+
+    assert.deepStrictEqual(result.capturedDots, [{ x: 2, y: 2 }]);
+    assert.deepStrictEqual(snapshot(board), after);
+  });
+
+  it('should undo a whole game back to the empty board', () => {
+    const board = new BoardLogic(6, 'classic', { borderCapture: true });
+    const snapshots = [];
+    let player = 1;
+    for (let i = 0; !board.isGameOver(); i += 7) {
+      const clickable = board.getClickableDots();
+      const { x, y } = clickable[i % clickable.length];
+      snapshots.push(snapshot(board));
+      board.occupyDot(x, y, player);
+      player = 3 - player;
+    }
+
+    while (board.canUndo()) {
+      board.undo();
+      assert.deepStrictEqual(snapshot(board), snapshots.pop());
+    }
+    assert.strictEqual(snapshots.length, 0);
+    assert.deepStrictEqual(board.undo(), { success: false });
+  });
+
+  it('should undo to a move count and report the undone moves', () => {
+    const board = new BoardLogic(5);
+    for (const [x, y, player] of ENCLOSURE_MOVES) {
+      board.occupyDot(x, y, player);
+    }
+
+    const undone = board.undoTo(4);
+
+    assert.deepStrictEqual(undone, [{ x: 2, y: 3, player: 1 }, { x: 4, y: 4, player: 2 }, { x: 2, y: 1, player: 1 }]);
+    assert.deepStrictEqual(board.getMoveHistory(), ENCLOSURE_MOVES.slice(0, 4).map(([x, y, player]) => ({ x, y, player })));
+  });
+
+  it('should keep the history when serialized and clear it on reset', () => {
+    const board = new BoardLogic(5);
+    for (const [x, y, player] of ENCLOSURE_MOVES) {
+      board.occupyDot(x, y, player);
+    }
+
+    const restored = new BoardLogic();
+    restored.deserialize(JSON.parse(JSON.stringify(board.serialize())));
+    restored.undo();
+    assert.strictEqual(restored.getDot(2, 2).owner, 2);
+    assert.strictEqual(restored.capturedAreas.length, 0);
+
+    board.reset();
+    assert.strictEqual(board.canUndo(), false);
+  });
+});
+
+describe('Territory Detection', () => {
+  let board;
+
+  beforeEach(() => {
+    board = new BoardLogic(5);
+  });
+
+  it('should detect simple enclosure', () => {
+    // Create a simple box enclosure around (2,2)
+    board.occupyDot(1, 1, 1);
+    board.occupyDot(2, 1, 1);
+    board.occupyDot(3, 1, 1);
+    board.occupyDot(1, 2, 1);
+    board.occupyDot(3, 2, 1);
+    board.occupyDot(1, 3, 1);
+    board.occupyDot(2, 3, 1);
+    board.occupyDot(3, 3, 1);
+    
+    const centerDot = board.getDot(2, 2);
+    assert.strictEqual(centerDot.captured, true);
+  });
+
+  it('should handle multiple captures', () => {
+    // Create enclosure with multiple dots inside
+    board.occupyDot(1, 1, 1);
+    board.occupyDot(2, 1, 1);
+    board.occupyDot(3, 1, 1);
+    board.occupyDot(4, 1, 1);
+    board.occupyDot(1, 2, 1);
+    board.occupyDot(4, 2, 1);
+    board.occupyDot(1, 3, 1);
+    board.occupyDot(4, 3, 1);
+    board.occupyDot(1, 4, 1);
+    board.occupyDot(2, 4, 1);
+    board.occupyDot(3, 4, 1);
+    board.occupyDot(4, 4, 1);
+    
+    // Multiple dots should be captured
+    const capturedCount = board.getCapturedDotsForPlayer(1).length;
+    assert.ok(capturedCount >= 4);
+  });
+});
+
+describe('Capture Bug - Mixed dots inside enclosure', () => {
+  let board;
+
+  beforeEach(() => {
+    board = new BoardLogic(5);
+  });
+
+  it('should capture territory even when there are 2 dots (neutral + enemy) inside', () => {
+    // Player 1 creates an enclosure that contains both:
+    // - A neutral (unowned) dot
+    // - An enemy (player 2) dot
+    
+    // Create a larger enclosure around (2,2) area
+    // Place enemy dot first
+    board.occupyDot(2, 2, 2); // Enemy dot in the middle
+    
+    // Now player 1 surrounds this area
+    board.occupyDot(1, 1, 1);
+    board.occupyDot(2, 1, 1);
+    board.occupyDot(3, 1, 1);
+    board.occupyDot(1, 2, 1);
+    board.occupyDot(3, 2, 1);
+    board.occupyDot(1, 3, 1);
+    // This move completes the enclosure around (2,2)
+    const captureResult = board.occupyDot(2, 3, 1);
+    board.occupyDot(3, 3, 1);
+    
+    // The enemy dot should be captured when the enclosure is completed
+    const enemyDot = board.getDot(2, 2);
+    assert.strictEqual(enemyDot.captured, true, 'Enemy dot should be captured');
+    assert.strictEqual(enemyDot.capturedBy, 1, 'Enemy dot should be captured by player 1');
+    assert.strictEqual(enemyDot.owner, null, 'Enemy dot ownership should be removed');
+    
+    // Captured dots should be returned on the enclosure-completing move
+    assert.ok(captureResult.capturedDots.length > 0, 'Should have captured dots on the enclosure-completing move');
+  });
+
+  it('should capture territory with neutral dots but no enemy', () => {
+    // Player 1 creates an enclosure that contains only neutral dots
+    board.occupyDot(1, 1, 1);
+    board.occupyDot(2, 1, 1);
+    board.occupyDot(3, 1, 1);
+    board.occupyDot(1, 2, 1);
+    board.occupyDot(3, 2, 1);
+    board.occupyDot(1, 3, 1);
+    board.occupyDot(2, 3, 1);
+    const result = board.occupyDot(3, 3, 1);
+    
+    // Dot (2,2) should be captured
+    const centerDot = board.getDot(2, 2);
+    assert.strictEqual(centerDot.captured, true, 'Center dot should be captured');
+    assert.strictEqual(centerDot.capturedBy, 1, 'Center dot should be captured by player 1');
+  });
+});
+
+describe('Capture Bug Analysis - Adjacent neutral and enemy dots', () => {
+  let board;
+
+  beforeEach(() => {
+    board = new BoardLogic(7); // Use larger board for more complex scenarios
+  });
+
+  it('should capture both neutral and enemy dots when fully enclosed', () => {
+    // Create a scenario where:
+    // - Player 1 surrounds an area
+    // - The area contains neutral dots AND an enemy (player 2) dot
+    // - All dots inside the enclosure should be captured
+    
+    // Legend: 1=Player1, 2=Player2, .=empty, C=should be captured
+    // Layout (5x5 area in center of 7x7):
+    //   1 1 1 1 1
+    //   1 C C C 1
+    //   1 C 2 C 1   <- both neutral and enemy dots should be captured
+    //   1 C C C 1
+    //   1 1 1 1 1
+    
+    // Place enemy dot FIRST inside where the enclosure will be
+    board.occupyDot(3, 3, 2);
+    
+    // Create the enclosure boundary with player 1
+    // Top row
+    board.occupyDot(1, 1, 1);
+    board.occupyDot(2, 1, 1);
+    board.occupyDot(3, 1, 1);
+    board.occupyDot(4, 1, 1);
+    board.occupyDot(5, 1, 1);
+    
+    // Left column
+    board.occupyDot(1, 2, 1);
+    board.occupyDot(1, 3, 1);
+    board.occupyDot(1, 4, 1);
+    
+    // Right column
+    board.occupyDot(5, 2, 1);
+    board.occupyDot(5, 3, 1);
+    board.occupyDot(5, 4, 1);
+    
+    // Bottom row
+    board.occupyDot(1, 5, 1);
+    board.occupyDot(2, 5, 1);
+    board.occupyDot(3, 5, 1);
+    board.occupyDot(4, 5, 1);
+    board.occupyDot(5, 5, 1);
+    
+    // Neutral dots inside should be captured
+    const dot22 = board.getDot(2, 2);
+    const dot32 = board.getDot(3, 2);
+    const dot42 = board.getDot(4, 2);
+    
+    assert.strictEqual(dot22.captured, true, 'Dot (2,2) should be captured');
+    assert.strictEqual(dot22.capturedBy, 1, 'Dot (2,2) should be captured by player 1');
+    assert.strictEqual(dot32.captured, true, 'Dot (3,2) should be captured');
+    assert.strictEqual(dot42.captured, true, 'Dot (4,2) should be captured');
+    
+    // Enemy dot should also be captured (ownership removed)
+    const enemyDot = board.getDot(3, 3);
+    assert.strictEqual(enemyDot.captured, true, 'Enemy dot (3,3) should be captured');
+    assert.strictEqual(enemyDot.capturedBy, 1, 'Enemy dot (3,3) should be captured by player 1');
+    assert.strictEqual(enemyDot.owner, null, 'Enemy dot ownership should be removed');
+  });
+
+  it('should handle the case where neutral dots exist without border touch but enemy nearby', () => {
+    // A more specific scenario that might be the bug:
+    // If the flood fill starts from a neutral dot and finds an enemy,
+    // it might not properly mark the enclosure as invalid
+    
+    // Create small 5x5 enclosure without edge cases
+    // Inner 3x3 area at center of 5x5 board
+    board = new BoardLogic(5);
+    
+    // Create boundary - Player 1 dots around the outside
+    board.occupyDot(1, 1, 1);
+    board.occupyDot(2, 1, 1);
+    board.occupyDot(3, 1, 1);
+    board.occupyDot(1, 2, 1);
+    board.occupyDot(3, 2, 1);
+    board.occupyDot(1, 3, 1);
+    board.occupyDot(2, 3, 1);
+    board.occupyDot(3, 3, 1);
+    
+    // Center dot (2,2) is still neutral - this should be captured
+    const centerDot = board.getDot(2, 2);
+    assert.strictEqual(centerDot.captured, true, 'Center dot should be captured when enclosed by player 1');
+    assert.strictEqual(centerDot.capturedBy, 1, 'Center dot should be captured by player 1');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Board Shape Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  normalizeBoardShape,
+  shapeHasDot,
+  shapeIsBlocked,
+  boardShapeKey,
+  describeBoardShape,
+  BOARD_MASK_PRESETS
+} from '../src/index.js';
+
+describe('normalizeBoardShape', () => {
+  it('should turn a grid size into a square shape', () => {
+    assert.deepStrictEqual(normalizeBoardShape(5), { width: 5, height: 5, mask: null, start: null });
+  });
+
+  it('should read legacy gridSize records', () => {
+    assert.deepStrictEqual(normalizeBoardShape({ gridSize: 8 }), { width: 8, height: 8, mask: null, start: null });
+  });
+
+  it('should keep separate width and height', () => {
+    assert.deepStrictEqual(normalizeBoardShape({ width: 12, height: 7 }), { width: 12, height: 7, mask: null, start: null });
+  });
+
+  it('should expand mask presets', () => {
+    const shape = normalizeBoardShape({ width: 9, height: 9, mask: 'cross' });
+    assert.deepStrictEqual(shape.mask, BOARD_MASK_PRESETS.cross(9, 9));
+    assert.strictEqual(shape.mask[0], '###...###');
+    assert.strictEqual(shape.mask[4], '.........');
+  });
+
+  it('should take the size from an explicit mask', () => {
+    const shape = normalizeBoardShape({ mask: ['.#.', '...'] });
+    assert.strictEqual(shape.width, 3);
+    assert.strictEqual(shape.height, 2);
+  });
+
+  it('should drop a mask without holes', () => {
+    assert.strictEqual(normalizeBoardShape({ width: 2, height: 2, mask: ['..', '..'] }).mask, null);
+  });
+
+  it('should reject invalid shapes', () => {
+    assert.throws(() => normalizeBoardShape(1), /between/);
+    assert.throws(() => normalizeBoardShape({ width: 5, height: 500 }), /between/);
+    assert.throws(() => normalizeBoardShape({ width: 3.5, height: 3 }), /integer/);
+    assert.throws(() => normalizeBoardShape({ width: 3, height: 2, mask: ['...'] }), /2 rows/);
+    assert.throws(() => normalizeBoardShape({ width: 3, height: 2, mask: ['...', '..'] }), /3 characters/);
+    assert.throws(() => normalizeBoardShape({ width: 2, height: 2, mask: ['.o', '..'] }), /only contain/);
+    assert.throws(() => normalizeBoardShape({ width: 2, height: 2, mask: ['.#', '##'] }), /at least two/);
+    assert.throws(() => normalizeBoardShape({ width: 5, height: 5, mask: 'spiral' }), /Unknown board mask/);
+    assert.throws(() => normalizeBoardShape('big'), /Invalid board shape/);
+  });
+
+  it('should keep a mask with blocked dots but no holes', () => {
+    const shape = normalizeBoardShape({ width: 3, height: 2, mask: ['.x.', '...'] });
+    assert.deepStrictEqual(shape.mask, ['.x.', '...']);
+    assert.throws(() => normalizeBoardShape({ width: 2, height: 2, mask: ['.x', 'xx'] }), /at least two playable/);
+  });
+
+  it('should expand start presets', () => {
+    assert.deepStrictEqual(normalizeBoardShape({ width: 10, height: 10, start: 'cross' }).start, [
+      { x: 4, y: 4, player: 1 },
+      { x: 5, y: 5, player: 1 },
+      { x: 5, y: 4, player: 2 },
+      { x: 4, y: 5, player: 2 }
+    ]);
+    assert.strictEqual(normalizeBoardShape({ width: 5, height: 5, start: [] }).start, null);
+  });
+
+  it('should reject invalid starting dots', () => {
+    const shape = { width: 3, height: 2, mask: ['.#x', '...'] };
+    assert.throws(() => normalizeBoardShape({ ...shape, start: 'opening' }), /Unknown board start/);
+    assert.throws(() => normalizeBoardShape({ ...shape, start: [{ x: 1, y: 0, player: 1 }] }), /not a playable dot/);
+    assert.throws(() => normalizeBoardShape({ ...shape, start: [{ x: 2, y: 0, player: 1 }] }), /not a playable dot/);
+    assert.throws(() => normalizeBoardShape({ ...shape, start: [{ x: 0, y: 0, player: 3 }] }), /player 1 or 2/);
+    assert.throws(() => normalizeBoardShape({ ...shape, start: [{ x: 0.5, y: 1, player: 1 }] }), /whole number coordinates/);
+    assert.throws(() => normalizeBoardShape({ ...shape, start: [{ x: '0', y: 1, player: 1 }] }), /whole number coordinates/);
+    assert.throws(
+      () => normalizeBoardShape({ ...shape, start: [{ x: 0, y: 1, player: 1 }, { x: 0, y: 1, player: 2 }] }),
+      /more than one dot/
+    );
+  });
+});
+
+describe('shape helpers', () => {
+  it('should report dots and holes', () => {
+    const shape = normalizeBoardShape({ width: 3, height: 2, mask: ['.#.', '...'] });
+    assert.strictEqual(shapeHasDot(shape, 0, 0), true);
+    assert.strictEqual(shapeHasDot(shape, 1, 0), false);
+    assert.strictEqual(shapeHasDot(shape, 3, 0), false);
+    assert.strictEqual(shapeHasDot(shape, 0.5, 0), false);
+  });
+
+  it('should report blocked dots', () => {
+    const shape = normalizeBoardShape({ width: 3, height: 2, mask: ['.#x', '...'] });
+    assert.strictEqual(shapeHasDot(shape, 2, 0), true);
+    assert.strictEqual(shapeIsBlocked(shape, 2, 0), true);
+    assert.strictEqual(shapeIsBlocked(shape, 1, 0), false);
+    assert.strictEqual(shapeIsBlocked(shape, 0, 0), false);
+    assert.strictEqual(shapeIsBlocked(normalizeBoardShape(3), 0, 0), false);
+  });
+
+  it('should give equal shapes the same key', () => {
+    assert.strictEqual(boardShapeKey(10), boardShapeKey({ width: 10, height: 10 }));
+    assert.notStrictEqual(boardShapeKey({ width: 10, height: 8 }), boardShapeKey({ width: 8, height: 10 }));
+    assert.notStrictEqual(boardShapeKey({ width: 9, height: 9, mask: 'cross' }), boardShapeKey(9));
+    assert.notStrictEqual(boardShapeKey({ width: 9, height: 9, start: 'cross' }), boardShapeKey(9));
+  });
+
+  it('should describe shapes', () => {
+    assert.strictEqual(describeBoardShape({ width: 12, height: 7 }), '12×7');
+    assert.strictEqual(describeBoardShape({ width: 9, height: 9, mask: 'holes' }), '9×9 (shaped)');
+    assert.strictEqual(describeBoardShape({ width: 9, height: 9, mask: 'holes', start: 'cross' }), '9×9 (shaped, 4 starting dots)');
+  });
+});
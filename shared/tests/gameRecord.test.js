@@ -0,0 +1,193 @@
+/**
+ * Game Record Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  BoardLogic,
+  normalizeBoardShape,
+  formatGameRecord,
+  parseGameRecord,
+  replayGameRecord,
+  resultFromWinner,
+  winnerFromResult
+} from '../src/index.js';
+
+// Player 2 dot at (2,2) captured when player 1 closes the enclosure
+const ENCLOSURE_MOVES = [
+  { x: 1, y: 2 }, { x: 2, y: 2 }, { x: 3, y: 2 }, { x: 0, y: 0 },
+  { x: 2, y: 1 }, { x: 4, y: 4 }, { x: 2, y: 3 }
+];
+
+function createGame(overrides = {}) {
+  return {
+    players: { 1: { name: 'Alice', rating: 1216.4 }, 2: { name: 'Bob "the builder"', rating: 1184 } },
+    boardShape: 5,
+    ruleSet: 'territory',
+    ruleOptions: {},
+    moves: ENCLOSURE_MOVES,
+    result: '1-0',
+    scores: { 1: 5, 2: 2 },
+    date: Date.UTC(2026, 9, 18),
+    ...overrides
+  };
+}
+
+describe('formatGameRecord', () => {
+  it('should write headers and numbered moves', () => {
+    const text = formatGameRecord(createGame());
+
+    assert.strictEqual(text, [
+      '[Game "Dots"]',
+      '[Date "2026.10.18"]',
+      '[Player1 "Alice"]',
+      '[Player2 "Bob \\"the builder\\""]',
+      '[Player1Rating "1216"]',
+      '[Player2Rating "1184"]',
+      '[Board "5x5"]',
+      '[Rules "territory"]',
+      '[Result "1-0"]',
+      '[Score "5-2"]',
+      '',
+      '1. 1,2 2,2 2. 3,2 0,0 3. 2,1 4,4 4. 2,3',
+      ''
+    ].join('\n'));
+  });
+
+  it('should write the mask and changed rule options', () => {
+    const text = formatGameRecord(createGame({
+      boardShape: { width: 7, height: 5, mask: 'cross' },
+      ruleSet: 'classic',
+      ruleOptions: { borderCapture: true, enemyDotValue: 2 },
+      moves: []
+    }));
+
+    assert.match(text, /\[Board "7x5"\]\n\[Mask "##\.\.\.##\/.*"\]/);
+    assert.match(text, /\[RuleOptions "borderCapture=true,enemyDotValue=2"\]/);
+  });
+
+  it('should write blocked dots and the starting position', () => {
+    const text = formatGameRecord(createGame({
+      boardShape: { width: 5, height: 5, mask: ['x....', '.....', '.....', '.....', '.....'], start: 'cross' },
+      moves: []
+    }));
+
+    assert.match(text, /\[Mask "x\.\.\.\.\/\.\.\.\.\.\//);
+    assert.match(text, /\[Start "1:2,2 1:3,3 2:3,2 2:2,3"\]/);
+    assert.deepStrictEqual(parseGameRecord(text).boardShape, normalizeBoardShape({
+      width: 5, height: 5, mask: ['x....', '.....', '.....', '.....', '.....'], start: 'cross'
+    }));
+    assert.throws(() => parseGameRecord('[Board "5x5"]\n[Start "1:2"]\n'), /must look like 1:4,5/);
+  });
+
+  it('should note how a game ended early', () => {
+    const text = formatGameRecord(createGame({ result: '0-1', termination: 'forfeit' }));
+
+    assert.match(text, /\[Result "0-1"\]\n\[Termination "forfeit"\]\n\[Score "5-2"\]/);
+    assert.strictEqual(parseGameRecord(text).termination, 'forfeit');
+  });
+
+  it('should count the hints each player asked for', () => {
+    const text = formatGameRecord(createGame({ hints: { 1: 2, 2: 0 } }));
+
+    assert.match(text, /\[Score "5-2"\]\n\[Hints "2-0"\]/);
+    assert.deepStrictEqual(parseGameRecord(text).hints, { 1: 2, 2: 0 });
+    assert.doesNotMatch(formatGameRecord(createGame({ hints: { 1: 0, 2: 0 } })), /Hints/);
+    assert.strictEqual(parseGameRecord(formatGameRecord(createGame())).hints, null);
+    assert.throws(() => parseGameRecord('[Board "10x10"]\n[Hints "2"]\n'), /Hints must look like 12-8/);
+  });
+
+  it('should wrap long move lists', () => {
+    const board = new BoardLogic(10);
+    const moves = board.getClickableDots().slice(0, 60).map(({ x, y }) => ({ x, y }));
+    const lines = formatGameRecord(createGame({ boardShape: 10, moves, scores: null })).split('\n');
+
+    assert.ok(lines.every(line => line.length <= 80));
+    assert.strictEqual(parseGameRecord(lines.join('\n')).moves.length, 60);
+  });
+});
+
+describe('parseGameRecord', () => {
+  it('should read back what was written', () => {
+    const game = createGame({
+      boardShape: { width: 7, height: 5, mask: 'cross' },
+      ruleSet: 'classic',
+      ruleOptions: { enemyDotValue: 2 },
+      moves: [{ x: 3, y: 2 }, { x: 4, y: 2 }]
+    });
+    const record = parseGameRecord(formatGameRecord(game));
+
+    assert.deepStrictEqual(record.players, { 1: { name: 'Alice', rating: 1216 }, 2: { name: 'Bob "the builder"', rating: 1184 } });
+    assert.deepStrictEqual(record.boardShape.mask, new BoardLogic(game.boardShape).mask);
+    assert.strictEqual(record.ruleSet, 'classic');
+    assert.strictEqual(record.ruleOptions.enemyDotValue, 2);
+    assert.strictEqual(record.result, '1-0');
+    assert.strictEqual(record.date, '2026.10.18');
+    assert.deepStrictEqual(record.moves, [{ x: 3, y: 2, player: 1 }, { x: 4, y: 2, player: 2 }]);
+  });
+
+  it('should accept a minimal record with Windows line endings', () => {
+    const record = parseGameRecord('[Board "6x4"]\r\n\r\n1. 0,0 5,3\r\n');
+
+    assert.deepStrictEqual(record.boardShape, { width: 6, height: 4, mask: null, start: null });
+    assert.strictEqual(record.ruleSet, 'territory');
+    assert.strictEqual(record.result, '*');
+    assert.strictEqual(record.scores, null);
+    assert.strictEqual(record.moves.length, 2);
+    assert.deepStrictEqual(parseGameRecord('[Board "6x4"]\n').moves, []);
+  });
+
+  it('should count passed turns when assigning moves to players', () => {
+    const text = formatGameRecord(createGame({ moves: [{ x: 1, y: 1 }, { pass: true }, { x: 2, y: 2 }], scores: null }));
+    assert.match(text, /\n1\. 1,1 pass 2\. 2,2\n/);
+
+    const record = parseGameRecord(text);
+    assert.strictEqual(record.passes, 1);
+    assert.deepStrictEqual(record.moves, [{ x: 1, y: 1, player: 1 }, { x: 2, y: 2, player: 1 }]);
+  });
+
+  it('should reject malformed records', () => {
+    assert.throws(() => parseGameRecord(''), /empty record/);
+    assert.throws(() => parseGameRecord('[Rules "classic"]\n'), /missing Board/);
+    assert.throws(() => parseGameRecord('[Board "ten"]\n'), /Board must look like/);
+    assert.throws(() => parseGameRecord('[Board "10x10"]\n[Rules "go"]\n'), /Unknown rule set/);
+    assert.throws(() => parseGameRecord('[Board "10x10"]\n[RuleOptions "borderCapture=yes"]\n'), /must be a boolean/);
+    assert.throws(() => parseGameRecord('[Board "10x10"]\n[Result "2-0"]\n'), /Result must be/);
+    assert.throws(() => parseGameRecord('[Board "10x10"]\n\n1. a1 b2\n'), /unexpected "a1"/);
+    assert.throws(() => parseGameRecord('[Board "10x10"\n'), /malformed header on line 1/);
+  });
+});
+
+describe('replayGameRecord', () => {
+  it('should replay the moves and check the score', () => {
+    const { boardLogic, scores, gameOver } = replayGameRecord(formatGameRecord(createGame()));
+
+    assert.deepStrictEqual(scores, { 1: 5, 2: 2 });
+    assert.strictEqual(boardLogic.getDot(2, 2).capturedBy, 1);
+    assert.strictEqual(boardLogic.getMoveHistory().length, ENCLOSURE_MOVES.length);
+    assert.strictEqual(gameOver, false);
+  });
+
+  it('should reject illegal moves', () => {
+    assert.throws(() => replayGameRecord('[Board "5x5"]\n\n1. 1,1 1,1\n'), /move 2 at 1,1 is not legal/);
+    assert.throws(() => replayGameRecord('[Board "5x5"]\n\n1. 7,1\n'), /move 1 at 7,1 is not legal/);
+  });
+
+  it('should reject a score that does not match the moves', () => {
+    const text = formatGameRecord(createGame({ scores: { 1: 9, 2: 2 } }));
+    assert.throws(() => replayGameRecord(text), /Score 9-2 does not match the moves \(5-2\)/);
+  });
+});
+
+describe('results', () => {
+  it('should convert between winners and results', () => {
+    assert.strictEqual(resultFromWinner(1), '1-0');
+    assert.strictEqual(resultFromWinner(2), '0-1');
+    assert.strictEqual(resultFromWinner(null), '1/2-1/2');
+    assert.strictEqual(resultFromWinner(1, false), '*');
+    assert.strictEqual(winnerFromResult('0-1'), 2);
+    assert.strictEqual(winnerFromResult('1/2-1/2'), null);
+    assert.strictEqual(winnerFromResult('*'), undefined);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Handicap Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  BoardLogic,
+  normalizeHandicap,
+  handicapFromRatings,
+  applyHandicap,
+  playerForMove,
+  handicapRatingBonus,
+  describeHandicap,
+  formatGameRecord,
+  parseGameRecord
+} from '../src/index.js';
+
+describe('Handicap', () => {
+  it('should validate handicaps', () => {
+    assert.strictEqual(normalizeHandicap(null), null);
+    assert.strictEqual(normalizeHandicap({ player: 2, count: 0 }), null);
+    assert.deepStrictEqual(normalizeHandicap({ player: 2, count: 3 }), { player: 2, count: 3, type: 'dots' });
+    assert.throws(() => normalizeHandicap({ player: 3, count: 1 }), /player must be 1 or 2/);
+    assert.throws(() => normalizeHandicap({ player: 1, count: 10 }), /between 0 and 9/);
+    assert.throws(() => normalizeHandicap({ player: 1, count: 1, type: 'time' }), /type must be one of/);
+  });
+
+  it('should give the weaker player one dot per 100 rating points', () => {
+    assert.strictEqual(handicapFromRatings(1200, 1290), null);
+    assert.deepStrictEqual(handicapFromRatings(1500, 1240), { player: 2, count: 2, type: 'dots' });
+    assert.deepStrictEqual(handicapFromRatings(1000, 1320, 'moves'), { player: 1, count: 3, type: 'moves' });
+    assert.strictEqual(handicapFromRatings(400, 2400).count, 9);
+  });
+
+  it('should place handicap dots on the handicap points', () => {
+    const { boardShape, handicap } = applyHandicap(9, { player: 2, count: 5 });
+
+    assert.deepStrictEqual(boardShape.start, [
+      { x: 6, y: 2, player: 2 }, { x: 2, y: 6, player: 2 }, { x: 6, y: 6, player: 2 },
+      { x: 2, y: 2, player: 2 }, { x: 4, y: 4, player: 2 }
+    ]);
+    assert.strictEqual(handicap.count, 5);
+    assert.strictEqual(new BoardLogic(boardShape).getDot(4, 4).owner, 2);
+  });
+
+  it('should skip taken or missing points and lower the count to what fits', () => {
+    const { boardShape, handicap } = applyHandicap(
+      { width: 4, height: 4, mask: ['....', '.x..', '....', '....'], start: [{ x: 2, y: 2, player: 1 }] },
+      { player: 1, count: 9 }
+    );
+
+    assert.deepStrictEqual(boardShape.start, [
+      { x: 2, y: 2, player: 1 }, { x: 2, y: 1, player: 1 }, { x: 1, y: 2, player: 1 }
+    ]);
+    assert.strictEqual(handicap.count, 2);
+  });
+
+  it('should leave the board alone for extra moves', () => {
+    const { boardShape, handicap } = applyHandicap(6, { player: 1, count: 2, type: 'moves' });
+
+    assert.strictEqual(boardShape.start, null);
+    assert.deepStrictEqual(handicap, { player: 1, count: 2, type: 'moves' });
+  });
+
+  it('should work out who makes each move', () => {
+    const players = (handicap) => [0, 1, 2, 3, 4, 5].map(i => playerForMove(i, handicap));
+
+    assert.deepStrictEqual(players(null), [1, 2, 1, 2, 1, 2]);
+    assert.deepStrictEqual(players({ player: 2, count: 3, type: 'dots' }), [1, 2, 1, 2, 1, 2]);
+    assert.deepStrictEqual(players({ player: 1, count: 3, type: 'dots' }), [2, 1, 2, 1, 2, 1]);
+    assert.deepStrictEqual(players({ player: 2, count: 2, type: 'moves' }), [2, 2, 2, 1, 2, 1]);
+  });
+
+  it('should describe handicaps and their rating value', () => {
+    assert.strictEqual(describeHandicap({ player: 2, count: 3, type: 'dots' }), '3 handicap dots for Player 2');
+    assert.strictEqual(describeHandicap({ player: 1, count: 1, type: 'moves' }), '1 extra move for Player 1');
+    assert.strictEqual(handicapRatingBonus({ player: 1, count: 3, type: 'moves' }), 300);
+    assert.strictEqual(handicapRatingBonus(null), 0);
+  });
+
+  it('should round-trip through a game record', () => {
+    const handicap = { player: 2, count: 1, type: 'moves' };
+    const text = formatGameRecord({
+      players: { 1: { name: 'Alice' }, 2: { name: 'Bob' } },
+      boardShape: 5,
+      ruleSet: 'classic',
+      handicap,
+      moves: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }]
+    });
+
+    assert.match(text, /\[Handicap "1 moves for player 2"\]/);
+    const record = parseGameRecord(text);
+    assert.deepStrictEqual(record.handicap, handicap);
+    assert.deepStrictEqual(record.moves.map(m => m.player), [2, 2, 1]);
+    assert.throws(() => parseGameRecord('[Board "5x5"]\n[Handicap "lots"]\n'), /Handicap must look like/);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Search Engine Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BoardLogic, FastBoard, MctsEngine } from '../src/index.js';
+
+// Small deterministic PRNG so searches and random games repeat
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Player 2's dot at 2,2 walled in by player 1 on three sides
+function captureInOne() {
+  const board = new BoardLogic(5);
+  board.occupyDot(2, 2, 2);
+  board.occupyDot(2, 1, 1);
+  board.occupyDot(1, 2, 1);
+  board.occupyDot(3, 2, 1);
+  return board;
+}
+
+describe('FastBoard', () => {
+  it('should capture and score like BoardLogic in random games', () => {
+    for (const ruleOptions of [{}, { torus: true }]) {
+      for (let game = 1; game <= 5; game++) {
+        const random = createRandom(game);
+        const board = new BoardLogic(7, 'territory', ruleOptions);
+        const fast = FastBoard.fromBoardLogic(board);
+        for (let playerNum = 1; !board.isGameOver(); playerNum = 3 - playerNum) {
+          const free = board.getClickableDots();
+          const { x, y } = free[Math.floor(random() * free.length)];
+          board.occupyDot(x, y, playerNum);
+          fast.play(board.indexOf(x, y), playerNum);
+          assert.strictEqual(fast.freeCount, board.getClickableDots().length);
+        }
+        assert.deepStrictEqual([fast.score(1), fast.score(2)], [board.calculateScore(1), board.calculateScore(2)]);
+      }
+    }
+  });
+
+  it('should copy a position without sharing its state', () => {
+    const fast = FastBoard.fromBoardLogic(captureInOne());
+    const copy = fast.clone();
+    assert.strictEqual(copy.play(3 * 5 + 2, 1), 1); // 2,3 closes the capture
+    assert.strictEqual(copy.score(1), 5);
+    assert.strictEqual(fast.score(1), 3);
+    assert.strictEqual(fast.isFree(3 * 5 + 2), true);
+  });
+});
+
+// The same, with two more dots for player 2 to even out the game, so the
+// capture decides it
+function evenCapture() {
+  const board = captureInOne();
+  board.occupyDot(0, 0, 2);
+  board.occupyDot(4, 4, 2);
+  return board;
+}
+
+describe('MctsEngine', () => {
+  it('should take a capture and block one', () => {
+    const engine = new MctsEngine({ playouts: 1500, random: createRandom(7) });
+    assert.deepStrictEqual(engine.search(evenCapture(), 1).move, { x: 2, y: 3 });
+    assert.deepStrictEqual(engine.search(evenCapture(), 2).move, { x: 2, y: 3 });
+  });
+
+  it('should keep to its playout budget and report the searched moves', () => {
+    const board = captureInOne();
+    const before = JSON.stringify(board.serialize());
+    const { playouts, moves } = new MctsEngine({ playouts: 300, random: createRandom(1) }).search(board, 1);
+
+    assert.strictEqual(playouts, 300);
+    assert.strictEqual(moves.reduce((sum, { visits }) => sum + visits, 0), 300);
+    assert.ok(moves.every(({ winRate }) => winRate >= 0 && winRate <= 1));
+    assert.strictEqual(JSON.stringify(board.serialize()), before);
+  });
+
+  it('should stop at its time limit', () => {
+    const start = performance.now();
+    const { playouts } = new MctsEngine({ playouts: Infinity, timeLimit: 50 }).search(new BoardLogic(10), 1);
+    assert.ok(playouts > 0);
+    assert.ok(performance.now() - start < 1000);
+  });
+
+  it('should have no move on a full board', () => {
+    const board = new BoardLogic(2);
+    for (const [x, y, player] of [[0, 0, 1], [1, 0, 2], [0, 1, 1], [1, 1, 2]]) {
+      board.occupyDot(x, y, player);
+    }
+    assert.deepStrictEqual(new MctsEngine().search(board, 1), { move: null, playouts: 0, moves: [] });
+  });
+});
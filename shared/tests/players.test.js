@@ -0,0 +1,126 @@
+/**
+ * Free-for-all Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  BoardLogic,
+  checkPlayerCount,
+  formatGameRecord,
+  normalizePlayerCount,
+  parseGameRecord,
+  playerForMove,
+  playerNumbers,
+  rankPlayers,
+  replayGameRecord,
+  resultFromWinner,
+  winnerFromResult,
+  winnerFromScores
+} from '../src/index.js';
+
+describe('player count', () => {
+  it('should default to two players and accept up to four', () => {
+    assert.strictEqual(normalizePlayerCount(undefined), 2);
+    assert.strictEqual(normalizePlayerCount(4), 4);
+    assert.deepStrictEqual(playerNumbers(3), [1, 2, 3]);
+    assert.throws(() => normalizePlayerCount(1), /between 2 and 4/);
+    assert.throws(() => normalizePlayerCount(5), /between 2 and 4/);
+    assert.throws(() => normalizePlayerCount('3'), /between 2 and 4/);
+  });
+
+  it('should keep handicaps and the swap rule to two-player games', () => {
+    const handicap = { player: 2, count: 2, type: 'dots' };
+    assert.doesNotThrow(() => checkPlayerCount(2, { handicap, ruleOptions: { swapRule: true } }));
+    assert.doesNotThrow(() => checkPlayerCount(3, { ruleOptions: { swapRule: false } }));
+    assert.throws(() => checkPlayerCount(3, { handicap }), /Handicap games are for two players/);
+    assert.throws(() => checkPlayerCount(4, { ruleOptions: { swapRule: true } }), /swap rule/);
+  });
+
+  it('should pass the turn around every seat', () => {
+    assert.deepStrictEqual([0, 1, 2, 3, 4].map(i => playerForMove(i, null, 3)), [1, 2, 3, 1, 2]);
+    assert.deepStrictEqual([0, 1, 2, 3, 4].map(i => playerForMove(i, null, 4)), [1, 2, 3, 4, 1]);
+  });
+});
+
+describe('standings', () => {
+  it('should rank players by score with shared places for ties', () => {
+    assert.deepStrictEqual(rankPlayers({ 1: 4, 2: 9, 3: 4, 4: 1 }), [
+      { player: 2, score: 9, place: 1 },
+      { player: 1, score: 4, place: 2 },
+      { player: 3, score: 4, place: 2 },
+      { player: 4, score: 1, place: 4 }
+    ]);
+  });
+
+  it('should only name a winner with the top score to themselves', () => {
+    assert.strictEqual(winnerFromScores({ 1: 3, 2: 5, 3: 2 }), 2);
+    assert.strictEqual(winnerFromScores({ 1: 5, 2: 5, 3: 2 }), null);
+    assert.strictEqual(winnerFromScores({ 1: 0, 2: 4 }), 2);
+  });
+});
+
+describe('free-for-all captures', () => {
+  it('should let any player capture the dots of every other player inside', () => {
+    const board = new BoardLogic(5);
+    board.occupyDot(1, 1, 1);
+    board.occupyDot(2, 1, 2);
+    let result;
+    for (const [x, y] of [[1, 0], [2, 0], [0, 1], [3, 1], [1, 2], [2, 2]]) {
+      result = board.occupyDot(x, y, 3);
+    }
+
+    assert.strictEqual(result.capturedDots.length, 2);
+    assert.deepStrictEqual([...result.lostByPlayers], [[1, 1], [2, 1]]);
+    assert.strictEqual(board.getDot(1, 1).capturedBy, 3);
+    assert.strictEqual(board.calculateScore(3), 8);
+    assert.strictEqual(board.calculateScore(1), 0);
+  });
+});
+
+describe('free-for-all game records', () => {
+  function createRecord(overrides = {}) {
+    return formatGameRecord({
+      players: { 1: { name: 'Alice' }, 2: { name: 'Bob' }, 3: { name: 'Carol' } },
+      playerCount: 3,
+      boardShape: 5,
+      ruleSet: 'territory',
+      moves: [{ x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }, { x: 0, y: 4 }],
+      result: '*',
+      scores: { 1: 2, 2: 1, 3: 1 },
+      ...overrides
+    });
+  }
+
+  it('should write every player and number rounds by seat count', () => {
+    const text = createRecord();
+    assert.match(text, /\[Players "3"\]\n\[Player1 "Alice"\]\n\[Player2 "Bob"\]\n\[Player3 "Carol"\]/);
+    assert.match(text, /\[Score "2-1-1"\]/);
+    assert.match(text, /\n1\. 1,1 2,2 3,3 2\. 0,4\n/);
+  });
+
+  it('should read back the seats and replay the moves', () => {
+    const record = parseGameRecord(createRecord());
+    assert.strictEqual(record.playerCount, 3);
+    assert.strictEqual(record.players[3].name, 'Carol');
+    assert.deepStrictEqual(record.moves.map(m => m.player), [1, 2, 3, 1]);
+    assert.deepStrictEqual(replayGameRecord(record).scores, { 1: 2, 2: 1, 3: 1 });
+  });
+
+  it('should convert results with one field per player', () => {
+    assert.strictEqual(resultFromWinner(3, true, 4), '0-0-1-0');
+    assert.strictEqual(resultFromWinner(null, true, 3), '1/2-1/2-1/2');
+    assert.strictEqual(winnerFromResult('0-0-1-0'), 3);
+    assert.strictEqual(winnerFromResult('1/2-1/2-1/2'), null);
+  });
+
+  it('should reject results, scores and options that do not fit the seats', () => {
+    assert.throws(() => parseGameRecord(createRecord({ result: '1-0' })), /Result must be one of 1-0-0/);
+    assert.throws(() => parseGameRecord(createRecord().replace('2-1-1', '2-1')), /Score must look like 12-8-5/);
+    assert.throws(() => parseGameRecord('[Players "5"]\n[Board "5x5"]\n'), /between 2 and 4/);
+    assert.throws(
+      () => parseGameRecord('[Players "3"]\n[Board "5x5"]\n[RuleOptions "swapRule=true"]\n'),
+      /swap rule is for two-player games/
+    );
+  });
+});
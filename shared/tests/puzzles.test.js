@@ -0,0 +1,111 @@
+/**
+ * Capture Puzzle Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  PUZZLES,
+  normalizePuzzle,
+  getPuzzle,
+  describePuzzleGoal,
+  createPuzzleBoard,
+  puzzleReply,
+  checkPuzzleSolution,
+  puzzleDay,
+  dailyPuzzle
+} from '../src/index.js';
+
+// One solution per built-in puzzle, kept out of the puzzle data
+const SOLUTIONS = {
+  'first-capture': [{ x: 2, y: 3 }],
+  'closing-the-net': [{ x: 3, y: 3 }],
+  'two-for-one': [{ x: 3, y: 2 }],
+  'double-threat': [{ x: 3, y: 2 }, { x: 4, y: 3 }],
+  'twin-pairs': [{ x: 3, y: 2 }, { x: 4, y: 4 }],
+  'crowded-corner': [{ x: 0, y: 4 }, { x: 1, y: 5 }]
+};
+
+describe('Puzzles', () => {
+  it('should have a verified solution for every built-in puzzle', () => {
+    for (const data of PUZZLES) {
+      const puzzle = normalizePuzzle(data);
+      const result = checkPuzzleSolution(puzzle, SOLUTIONS[data.id]);
+      assert.deepStrictEqual(
+        { solved: result.solved, finished: result.finished },
+        { solved: true, finished: true },
+        `${data.id} should be solved`
+      );
+      assert.ok(result.captured >= puzzle.goal.captures);
+    }
+  });
+
+  it('should set up the starting position on the board', () => {
+    const puzzle = getPuzzle('first-capture');
+    const board = createPuzzleBoard(puzzle);
+
+    assert.strictEqual(puzzle.boardShape.width, 5);
+    assert.strictEqual(board.getDot(2, 1).owner, 1);
+    assert.strictEqual(board.getDot(2, 2).owner, 2);
+    assert.strictEqual(board.getDot(0, 0).owner, null);
+    assert.strictEqual(puzzle.ruleSet, 'classic');
+  });
+
+  it('should answer with the scripted reply, or the default', () => {
+    const puzzle = getPuzzle('double-threat');
+    const board = createPuzzleBoard(puzzle);
+
+    assert.deepStrictEqual(puzzleReply(puzzle, board, [{ x: 3, y: 2 }]), { x: 2, y: 3 });
+    assert.deepStrictEqual(puzzleReply(puzzle, board, [{ x: 0, y: 0 }]), { x: 3, y: 2 });
+    assert.strictEqual(puzzleReply(puzzle, board, [{ x: 3, y: 2 }, { x: 3, y: 3 }]), null);
+  });
+
+  it('should pass when the scripted dot is taken', () => {
+    const puzzle = getPuzzle('double-threat');
+    const board = createPuzzleBoard(puzzle);
+    board.occupyDot(2, 3, 1);
+
+    assert.strictEqual(puzzleReply(puzzle, board, [{ x: 3, y: 2 }]), null);
+  });
+
+  it('should fail a wrong line once out of moves', () => {
+    const puzzle = getPuzzle('double-threat');
+
+    assert.deepStrictEqual(checkPuzzleSolution(puzzle, [{ x: 3, y: 2 }]), { solved: false, finished: false, captured: 0 });
+    assert.deepStrictEqual(
+      checkPuzzleSolution(puzzle, [{ x: 3, y: 2 }, { x: 2, y: 4 }]),
+      { solved: false, finished: true, captured: 0 }
+    );
+    // The default reply takes the key dot
+    assert.strictEqual(checkPuzzleSolution(puzzle, [{ x: 0, y: 0 }, { x: 3, y: 3 }]).solved, false);
+  });
+
+  it('should reject illegal moves and moves after the puzzle is over', () => {
+    const puzzle = getPuzzle('first-capture');
+
+    assert.throws(() => checkPuzzleSolution(puzzle, [{ x: 2, y: 1 }]), /not legal/);
+    assert.throws(() => checkPuzzleSolution(puzzle, [{ x: 2, y: 3 }, { x: 0, y: 0 }]), /already over/);
+  });
+
+  it('should reject invalid puzzles', () => {
+    const puzzle = PUZZLES[0];
+
+    assert.throws(() => normalizePuzzle({ ...puzzle, goal: { captures: 0, moves: 1 } }), /goal/);
+    assert.throws(() => normalizePuzzle({ ...puzzle, replies: [{ default: '0,0' }] }), /more replies/);
+    assert.throws(() => normalizePuzzle({ ...puzzle, goal: { captures: 1, moves: 2 }, replies: [{ default: '9,9' }] }), /not a dot/);
+  });
+
+  it('should describe goals', () => {
+    assert.strictEqual(describePuzzleGoal({ captures: 1, moves: 1 }), 'Capture at least 1 dot in 1 move');
+    assert.strictEqual(describePuzzleGoal({ captures: 6, moves: 2 }), 'Capture at least 6 dots in 2 moves');
+  });
+
+  it('should rotate the daily puzzle by UTC day', () => {
+    const day = Date.UTC(2026, 0, 1);
+    const ids = PUZZLES.map((_, i) => dailyPuzzle(day + i * 86400000).id);
+
+    assert.deepStrictEqual([...ids].sort(), PUZZLES.map(p => p.id).sort());
+    assert.strictEqual(dailyPuzzle(day + 1000).id, dailyPuzzle(day + 86399000).id);
+    assert.strictEqual(puzzleDay(day + 1000), '2026-01-01');
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Region Tracker Tests
+ * Checks the incremental capture engine against the original flood fill
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BoardLogic } from '../src/index.js';
+import { RegionTracker } from '../src/regionTracker.js';
+import { ReferenceBoardLogic } from '../bench/referenceBoardLogic.js';
+
+// Small deterministic PRNG so failures can be reproduced
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Shape fields differ between the engines, only dot state is compared.
+// The reference engine does not record capturedFrom.
+function assertSameBoard(board, reference) {
+  const { capturedAreas } = board.serialize();
+  const dots = board.serialize().dots.map(([key, { capturedFrom, ...dot }]) => [key, dot]);
+  assert.deepStrictEqual({ dots, capturedAreas }, {
+    dots: reference.serialize().dots,
+    capturedAreas: reference.serialize().capturedAreas
+  });
+}
+
+function pickClickable(board, random) {
+  const clickable = board.getClickableDots();
+  return clickable[Math.floor(random() * clickable.length)];
+}
+
+function playEquivalentGame(gridSize, playerCount, seed) {
+  const random = createRandom(seed);
+  const board = new BoardLogic(gridSize);
+  const reference = new ReferenceBoardLogic(gridSize);
+  let player = 1;
+  let moves = 0;
+
+  while (!reference.isGameOver()) {
+    const probe = pickClickable(reference, random);
+    assert.deepStrictEqual(
+      board.previewCapture(probe.x, probe.y, player),
+      reference.previewCapture(probe.x, probe.y, player),
+      `preview differs at move ${moves} (seed ${seed})`
+    );
+
+    const { x, y } = pickClickable(reference, random);
+    const expected = reference.occupyDot(x, y, player);
+    const actual = board.occupyDot(x, y, player);
+    assert.deepStrictEqual(actual, expected, `move ${moves} at (${x},${y}) differs (seed ${seed})`);
+
+    player = (player % playerCount) + 1;
+    moves++;
+  }
+
+  assertSameBoard(board, reference);
+  assert.strictEqual(board.isGameOver(), true);
+}
+
+describe('RegionTracker', () => {
+  // Grid without border cells, indexed row by row
+  function createTopology(width, height) {
+    const neighbors = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const list = [];
+        if (y > 0) list.push((y - 1) * width + x);
+        if (y < height - 1) list.push((y + 1) * width + x);
+        if (x > 0) list.push(y * width + x - 1);
+        if (x < width - 1) list.push(y * width + x + 1);
+        neighbors.push(list);
+      }
+    }
+    return { size: width * height, neighbors, isBorder: new Uint8Array(width * height) };
+  }
+
+  it('should start with one region per connected open area', () => {
+    const owned = new Set([1, 4, 7]);
+    const tracker = new RegionTracker(createTopology(3, 3), index => !owned.has(index));
+
+    assert.strictEqual(tracker.regions.size, 2);
+    assert.strictEqual(tracker.labels[4], -1);
+    assert.notStrictEqual(tracker.labels[0], tracker.labels[2]);
+    assert.strictEqual(tracker.labels[0], tracker.labels[6]);
+  });
+
+  it('should split a region when the player occupies a cut cell', () => {
+    const owned = new Set([1, 7]);
+    const tracker = new RegionTracker(createTopology(3, 3), index => !owned.has(index));
+    assert.strictEqual(tracker.regions.size, 1);
+
+    const split = tracker.analyzeSplit(4);
+    assert.strictEqual(split.pieces.length, 2);
+    tracker.applySplit(4, split);
+
+    assert.strictEqual(tracker.regions.size, 2);
+    assert.strictEqual(tracker.labels[4], -1);
+    assert.notStrictEqual(tracker.labels[3], tracker.labels[5]);
+    assert.deepStrictEqual(tracker.collectRegion(0).sort(), [0, 3, 6]);
+  });
+
+  it('should not split a region that stays connected', () => {
+    const tracker = new RegionTracker(createTopology(3, 3), () => true);
+
+    const split = tracker.analyzeSplit(4);
+    tracker.applySplit(4, split);
+
+    assert.strictEqual(tracker.regions.size, 1);
+    assert.strictEqual([...tracker.regions.values()][0].cells.size, 8);
+  });
+
+  it('should join regions when the player loses a cell', () => {
+    const owned = new Set([1, 4, 7]);
+    const tracker = new RegionTracker(createTopology(3, 3), index => !owned.has(index));
+
+    tracker.merge(4);
+
+    assert.strictEqual(tracker.regions.size, 1);
+    assert.strictEqual(tracker.labels[0], tracker.labels[2]);
+    assert.ok(tracker.pending.has(4));
+  });
+
+  it('should mark pieces cut off by a split as outside the open board', () => {
+    const topology = createTopology(3, 3);
+    topology.isBorder.fill(1);
+    topology.isBorder[4] = 0;
+    const owned = new Set([1]);
+    const tracker = new RegionTracker(topology, index => !owned.has(index));
+    assert.strictEqual([...tracker.regions.values()][0].outside, true);
+
+    const split = tracker.analyzeSplit(3);
+    assert.deepStrictEqual(tracker.findEnclosures(3, split, () => false), []);
+    assert.deepStrictEqual(tracker.findEnclosures(3, split, () => false, true), [[0]]);
+    tracker.applySplit(3, split);
+
+    assert.strictEqual(tracker.regions.get(tracker.labels[0]).outside, false);
+    assert.strictEqual(tracker.regions.get(tracker.labels[8]).outside, true);
+  });
+
+  it('should report pieces that do not touch the border as enclosed', () => {
+    const board = new BoardLogic(5);
+    board.occupyDot(1, 2, 1);
+    board.occupyDot(3, 2, 1);
+    board.occupyDot(2, 1, 1);
+
+    const tracker = board.getRegionTracker(1);
+    const index = board.indexOf(2, 3);
+    const split = tracker.analyzeSplit(index);
+
+    assert.strictEqual(split.pieces.filter(piece => piece.border === 0).length, 1);
+    assert.deepStrictEqual(tracker.findEnclosures(index, split, () => false), [[board.indexOf(2, 2)]]);
+  });
+});
+
+describe('Incremental capture matches full flood fill', () => {
+  for (const gridSize of [4, 6, 9]) {
+    it(`should play identical two-player games on ${gridSize}x${gridSize}`, () => {
+      for (let seed = 1; seed <= 25; seed++) {
+        playEquivalentGame(gridSize, 2, seed * gridSize);
+      }
+    });
+  }
+
+  it('should play identical three-player games', () => {
+    for (let seed = 1; seed <= 25; seed++) {
+      playEquivalentGame(7, 3, seed);
+    }
+  });
+
+  it('should continue correctly after deserializing a game', () => {
+    const random = createRandom(42);
+    const board = new BoardLogic(8);
+    const reference = new ReferenceBoardLogic(8);
+    let player = 1;
+
+    for (let i = 0; i < 30; i++) {
+      const { x, y } = pickClickable(reference, random);
+      board.occupyDot(x, y, player);
+      reference.occupyDot(x, y, player);
+      player = 3 - player;
+    }
+
+    const restored = new BoardLogic();
+    restored.deserialize(JSON.parse(JSON.stringify(board.serialize())));
+
+    while (!reference.isGameOver()) {
+      const { x, y } = pickClickable(reference, random);
+      assert.deepStrictEqual(restored.occupyDot(x, y, player), reference.occupyDot(x, y, player));
+      player = 3 - player;
+    }
+    assertSameBoard(restored, reference);
+  });
+});
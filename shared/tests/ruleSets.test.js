@@ -0,0 +1,80 @@
+/**
+ * Rule Set Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  normalizeRuleSet,
+  resolveRuleOptions,
+  rulesKey,
+  describeRules,
+  RULE_SETS
+} from '../src/index.js';
+
+describe('normalizeRuleSet', () => {
+  it('should fall back to territory rules', () => {
+    assert.strictEqual(normalizeRuleSet(undefined), 'territory');
+    assert.strictEqual(normalizeRuleSet(null), 'territory');
+  });
+
+  it('should reject unknown rule sets', () => {
+    assert.throws(() => normalizeRuleSet('toString'), /Unknown rule set/);
+  });
+});
+
+describe('resolveRuleOptions', () => {
+  it('should return the rule set options when nothing is overridden', () => {
+    assert.deepStrictEqual(resolveRuleOptions('classic'), RULE_SETS.classic.options);
+    assert.deepStrictEqual(resolveRuleOptions('territory', null), RULE_SETS.territory.options);
+  });
+
+  it('should apply overrides on top of the rule set', () => {
+    const options = resolveRuleOptions('classic', { borderCapture: true, enemyDotValue: 2 });
+
+    assert.strictEqual(options.borderCapture, true);
+    assert.strictEqual(options.enemyDotValue, 2);
+    assert.strictEqual(options.captureEmptyAreas, false);
+  });
+
+  it('should not change the rule set presets', () => {
+    resolveRuleOptions('territory', { borderCapture: true });
+    assert.strictEqual(RULE_SETS.territory.options.borderCapture, false);
+  });
+
+  it('should reject unknown options', () => {
+    assert.throws(() => resolveRuleOptions('territory', { komi: 1 }), /Unknown rule option: komi/);
+  });
+
+  it('should reject invalid values', () => {
+    assert.throws(() => resolveRuleOptions('territory', { borderCapture: 'yes' }), /must be a boolean/);
+    assert.throws(() => resolveRuleOptions('territory', { enemyDotValue: 3 }), /must be 1 or 2/);
+    assert.throws(() => resolveRuleOptions('territory', 'fast'), /Invalid rule options/);
+  });
+});
+
+describe('rulesKey', () => {
+  it('should treat explicit defaults like no overrides', () => {
+    assert.strictEqual(rulesKey('classic', { captureEmptyAreas: false }), rulesKey('classic'));
+  });
+
+  it('should tell different options apart', () => {
+    assert.notStrictEqual(rulesKey('classic', { borderCapture: true }), rulesKey('classic'));
+    assert.notStrictEqual(rulesKey('classic'), rulesKey('territory'));
+  });
+});
+
+describe('describeRules', () => {
+  it('should name the rule set', () => {
+    assert.strictEqual(describeRules('territory'), 'Territory');
+  });
+
+  it('should list options that differ from the rule set', () => {
+    assert.strictEqual(
+      describeRules('classic', { borderCapture: true, enemyDotValue: 2, scoreOwnedDots: false }),
+      'Classic Points (border capture, enemy dots ×2)'
+    );
+    assert.strictEqual(describeRules('territory', { scoreOwnedDots: false }), 'Territory (territory-only scoring)');
+    assert.strictEqual(describeRules('territory', { torus: true }), 'Territory (torus)');
+  });
+});
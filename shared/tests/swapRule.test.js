@@ -0,0 +1,64 @@
+/**
+ * Swap Rule Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { checkSwap, describeRules, formatGameRecord, parseGameRecord, replayGameRecord } from '../src/index.js';
+
+const SWAP_RULES = { swapRule: true };
+
+describe('checkSwap', () => {
+  it('should let player 2 swap right after the first move', () => {
+    assert.strictEqual(checkSwap({ ruleOptions: SWAP_RULES, moveCount: 1 }, 2), null);
+  });
+
+  it('should refuse a swap at any other time', () => {
+    assert.match(checkSwap({ ruleOptions: {}, moveCount: 1 }, 2), /not played with the swap rule/);
+    assert.match(checkSwap({ ruleOptions: SWAP_RULES, moveCount: 0 }, 2), /right after the first move/);
+    assert.match(checkSwap({ ruleOptions: SWAP_RULES, moveCount: 2 }, 2), /right after the first move/);
+    assert.match(checkSwap({ ruleOptions: SWAP_RULES, moveCount: 1, swapped: true }, 2), /right after the first move/);
+    assert.match(checkSwap({ ruleOptions: SWAP_RULES, moveCount: 1 }, 1), /Only player 2/);
+  });
+
+  it('should refuse a swap in a handicap game', () => {
+    const handicap = { player: 2, count: 2, type: 'dots' };
+    assert.match(checkSwap({ ruleOptions: SWAP_RULES, handicap, moveCount: 1 }, 2), /Handicap games/);
+  });
+
+  it('should be described as a rule option', () => {
+    assert.strictEqual(describeRules('territory', SWAP_RULES), 'Territory (swap rule)');
+  });
+});
+
+describe('swap in game records', () => {
+  function createRecord(overrides = {}) {
+    return formatGameRecord({
+      players: { 1: { name: 'Bob' }, 2: { name: 'Alice' } },
+      boardShape: 5,
+      ruleSet: 'territory',
+      ruleOptions: SWAP_RULES,
+      moves: [{ x: 2, y: 2 }, { x: 1, y: 1 }, { x: 3, y: 3 }],
+      swapped: true,
+      ...overrides
+    });
+  }
+
+  it('should write the swap after the first move and read it back', () => {
+    const text = createRecord();
+    assert.match(text, /\n1\. 2,2 swap 1,1 2\. 3,3\n/);
+
+    const record = parseGameRecord(text);
+    assert.strictEqual(record.swapped, true);
+    assert.deepStrictEqual(record.moves.map(m => m.player), [1, 2, 1]);
+    assert.strictEqual(replayGameRecord(text).boardLogic.getDot(2, 2).owner, 1);
+  });
+
+  it('should reject a swap the rules do not allow', () => {
+    assert.throws(() => parseGameRecord(createRecord({ ruleOptions: {} })), /not played with the swap rule/);
+    assert.throws(
+      () => parseGameRecord('[Board "5x5"]\n[RuleOptions "swapRule=true"]\n\n1. 2,2 1,1 swap\n'),
+      /right after the first move/
+    );
+  });
+});
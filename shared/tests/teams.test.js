@@ -0,0 +1,129 @@
+/**
+ * Team Game Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  BoardLogic,
+  checkTeams,
+  formatGameRecord,
+  parseGameRecord,
+  replayGameRecord,
+  resultFromWinner,
+  teamMembers,
+  teamOf,
+  teamScores,
+  winnerFromResult
+} from '../src/index.js';
+
+describe('teams', () => {
+  it('should seat teams 1 and 3 against 2 and 4', () => {
+    assert.deepStrictEqual([1, 2, 3, 4].map(teamOf), [1, 2, 1, 2]);
+    assert.deepStrictEqual(teamMembers(2), [2, 4]);
+  });
+
+  it('should pool the scores of each team', () => {
+    assert.deepStrictEqual(teamScores({ 1: 3, 2: 1, 3: 4, 4: 0 }), { 1: 7, 2: 1 });
+  });
+
+  it('should only allow team games for four players', () => {
+    assert.doesNotThrow(() => checkTeams(true, 4));
+    assert.doesNotThrow(() => checkTeams(false, 3));
+    assert.throws(() => checkTeams(true, 2), /Team games are for 4 players/);
+  });
+});
+
+describe('team captures', () => {
+  // Player 2's dot at 1,1 walled in by players 1 and 3 together
+  function wallIn(board) {
+    board.occupyDot(1, 1, 2);
+    board.occupyDot(1, 0, 1);
+    board.occupyDot(0, 1, 3);
+    board.occupyDot(2, 1, 1);
+    return board.occupyDot(1, 2, 3);
+  }
+
+  it('should capture an area walled in by both allies', () => {
+    const board = new BoardLogic(5, 'territory', {}, true);
+    const result = wallIn(board);
+
+    assert.deepStrictEqual(result.capturedDots, [{ x: 1, y: 1 }]);
+    assert.deepStrictEqual([...result.lostByPlayers], [[2, 1]]);
+    assert.strictEqual(board.getDot(1, 1).capturedBy, 3);
+    assert.strictEqual(board.calculateScore(1) + board.calculateScore(3), 5);
+  });
+
+  it('should not share boundaries outside a team game', () => {
+    const board = new BoardLogic(5);
+    assert.strictEqual(wallIn(board).capturedDots.length, 0);
+  });
+
+  it('should never capture an ally', () => {
+    const board = new BoardLogic(5, 'territory', {}, true);
+    board.occupyDot(1, 1, 3);
+    board.occupyDot(1, 0, 1);
+    board.occupyDot(0, 1, 1);
+    board.occupyDot(2, 1, 1);
+    const result = board.occupyDot(1, 2, 1);
+
+    assert.strictEqual(result.capturedDots.length, 0);
+    assert.strictEqual(board.getDot(1, 1).owner, 3);
+  });
+
+  it('should keep the team boundary after undo and deserialize', () => {
+    const board = new BoardLogic(5, 'territory', {}, true);
+    wallIn(board);
+    board.undo();
+
+    const copy = new BoardLogic(5);
+    copy.deserialize(board.serialize());
+    assert.strictEqual(copy.teams, true);
+    assert.deepStrictEqual(copy.occupyDot(1, 2, 3).capturedDots, [{ x: 1, y: 1 }]);
+  });
+});
+
+describe('team game records', () => {
+  const moves = [{ x: 1, y: 1 }, { x: 1, y: 0 }, { x: 3, y: 3 }, { x: 0, y: 1 }, { x: 4, y: 4 }, { x: 2, y: 1 }, { x: 3, y: 4 }, { x: 1, y: 2 }];
+
+  function createRecord(overrides = {}) {
+    return formatGameRecord({
+      players: { 1: { name: 'Alice' }, 2: { name: 'Bob' }, 3: { name: 'Carol' }, 4: { name: 'Dave' } },
+      playerCount: 4,
+      teams: true,
+      boardShape: 5,
+      ruleSet: 'territory',
+      moves,
+      result: '*',
+      ...overrides
+    });
+  }
+
+  it('should give both players of the winning team a win', () => {
+    assert.strictEqual(resultFromWinner(2, true, 4, true), '0-1-0-1');
+    assert.strictEqual(winnerFromResult('0-1-0-1'), 2);
+    assert.strictEqual(resultFromWinner(null, true, 4, true), '1/2-1/2-1/2-1/2');
+  });
+
+  it('should write and read the teams', () => {
+    const text = createRecord({ result: '1-0-1-0' });
+    assert.match(text, /\[Players "4"\]\n\[Teams "1\+3 vs 2\+4"\]/);
+
+    const record = parseGameRecord(text);
+    assert.strictEqual(record.teams, true);
+    assert.strictEqual(winnerFromResult(record.result), 1);
+  });
+
+  it('should replay captures across the team boundary', () => {
+    // Player 1 at 1,1 is walled in by players 2 and 4
+    const { boardLogic, scores } = replayGameRecord(createRecord());
+    assert.strictEqual(boardLogic.getDot(1, 1).capturedBy, 4);
+    assert.strictEqual(teamScores(scores)[2], 5);
+  });
+
+  it('should reject team records that are not two against two', () => {
+    assert.throws(() => parseGameRecord(createRecord({ result: '1-0-0-0' })), /Result must be one of 1-0-1-0, 0-1-0-1/);
+    assert.throws(() => parseGameRecord('[Teams "1+3 vs 2+4"]\n[Board "5x5"]\n'), /Team games are for 4 players/);
+    assert.throws(() => parseGameRecord('[Players "4"]\n[Teams "1+2 vs 3+4"]\n[Board "5x5"]\n'), /Teams must be/);
+  });
+});
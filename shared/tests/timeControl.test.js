@@ -0,0 +1,91 @@
+/**
+ * Time Control Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  normalizeTimeControl,
+  describeTimeControl,
+  timeControlKey,
+  startingClock,
+  spendTime,
+  completeTurn,
+  timeUntilFlag,
+  isOutOfTime,
+  normalizeAsyncTimeControl,
+  describeAsyncTimeControl,
+  asyncTimeControlKey
+} from '../src/index.js';
+
+const FISCHER = { type: 'fischer', base: 60, increment: 5 };
+const BYOYOMI = { type: 'byoyomi', base: 60, periods: 3, period: 10 };
+
+describe('Time Control', () => {
+  it('should validate time controls', () => {
+    assert.strictEqual(normalizeTimeControl(null), null);
+    assert.strictEqual(normalizeTimeControl('none'), null);
+    assert.deepStrictEqual(normalizeTimeControl({ base: 300 }), { type: 'fischer', base: 300, increment: 0 });
+    assert.deepStrictEqual(normalizeTimeControl('blitz'), { type: 'fischer', base: 180, increment: 2 });
+    assert.deepStrictEqual(normalizeTimeControl(BYOYOMI), BYOYOMI);
+    assert.throws(() => normalizeTimeControl('bullet'), /must be one of/);
+    assert.throws(() => normalizeTimeControl({ type: 'hourglass', base: 60 }), /type must be one of/);
+    assert.throws(() => normalizeTimeControl({ base: 0 }), /Base time must be between/);
+    assert.throws(() => normalizeTimeControl({ base: 60, increment: 61 }), /Increment must be between/);
+    assert.throws(() => normalizeTimeControl({ type: 'byoyomi', base: 60, periods: 0, period: 10 }), /periods must be between/);
+  });
+
+  it('should describe and key time controls', () => {
+    assert.strictEqual(describeTimeControl(null), 'No clock');
+    assert.strictEqual(describeTimeControl(FISCHER), '1 min + 5s');
+    assert.strictEqual(describeTimeControl(BYOYOMI), '1 min + 3×10s');
+    assert.strictEqual(timeControlKey(null), 'none');
+    assert.strictEqual(timeControlKey('rapid'), timeControlKey({ base: 600, increment: 5 }));
+    assert.notStrictEqual(timeControlKey(FISCHER), timeControlKey(BYOYOMI));
+  });
+
+  it('should add the Fischer increment after each turn', () => {
+    let clock = startingClock(FISCHER);
+    clock = completeTurn(spendTime(clock, 8000, FISCHER), FISCHER);
+    assert.strictEqual(clock.remaining, 57000);
+    assert.strictEqual(timeUntilFlag(clock, FISCHER), 57000);
+
+    clock = spendTime(clock, 57000, FISCHER);
+    assert.ok(isOutOfTime(clock, FISCHER));
+  });
+
+  it('should run into byo-yomi periods after the base time', () => {
+    let clock = startingClock(BYOYOMI);
+    assert.strictEqual(timeUntilFlag(clock, BYOYOMI), 90000);
+
+    // 4 seconds into the first period, which starts over after the turn
+    clock = spendTime(clock, 64000, BYOYOMI);
+    assert.deepStrictEqual(clock, { remaining: 6000, periods: 3, overtime: true });
+    clock = completeTurn(clock, BYOYOMI);
+    assert.deepStrictEqual(clock, { remaining: 10000, periods: 3, overtime: true });
+
+    // Using up a period costs it
+    clock = spendTime(clock, 15000, BYOYOMI);
+    assert.deepStrictEqual(clock, { remaining: 5000, periods: 2, overtime: true });
+    assert.strictEqual(timeUntilFlag(clock, BYOYOMI), 15000);
+
+    clock = spendTime(clock, 15000, BYOYOMI);
+    assert.ok(isOutOfTime(clock, BYOYOMI));
+    assert.strictEqual(clock.periods, 0);
+  });
+
+  it('should validate and describe turn-based time controls', () => {
+    assert.strictEqual(normalizeAsyncTimeControl(null), null);
+    assert.deepStrictEqual(normalizeAsyncTimeControl({ perMove: 24 }), { perMove: 24, reserve: 0 });
+    assert.throws(() => normalizeAsyncTimeControl({ perMove: 0 }), /per move must be between/);
+    assert.throws(() => normalizeAsyncTimeControl({ perMove: 24, reserve: -1 }), /Reserve must be between/);
+    assert.deepStrictEqual(normalizeAsyncTimeControl('daily'), { perMove: 24, reserve: 72 });
+    assert.strictEqual(normalizeAsyncTimeControl('default'), null);
+    assert.throws(() => normalizeAsyncTimeControl('monthly'), /must be one of/);
+    assert.strictEqual(asyncTimeControlKey('weekly'), asyncTimeControlKey({ perMove: 168 }));
+    assert.strictEqual(asyncTimeControlKey(null), 'default');
+
+    assert.strictEqual(describeAsyncTimeControl({ perMove: 24, reserve: 0 }), '1 day per move');
+    assert.strictEqual(describeAsyncTimeControl({ perMove: 12, reserve: 72 }), '12 hours per move + 3 days reserve');
+  });
+});